@@ -13,26 +13,58 @@ import {
   TAG_COLOR_PRESETS,
   MOBILE_BREAKPOINT,
   PREFERENCE_SYNC_DELAY,
+  MATURE_FILTER_ANY,
 } from '../src/util/constants.js';
 import {
   state,
   setAuth,
+  setSession,
+  setAccounts,
   setFollows,
   setTagState,
+  setSavedViews,
   mergePreferences,
   setFetchedAt,
   setLoading,
+  setSelectedStreamers,
+  retainSelectedStreamers,
+  clearSelection,
 } from '../src/app/state.js';
 import {
   renderApp,
   closeOpenMenus,
   updateLiveToggleAppearance,
+  renderLanguageFilterOptions,
   updateStarredToggleAppearance,
   lastUpdatedText,
+  getVisibleStreamerIds,
+  ACCOUNT_SWITCHER_ADD,
 } from '../src/app/render.js';
 import { sortTagsByOrder } from '../src/util/sorting.js';
 import { getPreferences } from '../src/storage/index.js';
 import { normalizeNotificationTagIds } from '../src/util/notificationTags.js';
+import {
+  DEFAULT_TAG_FILTER,
+  normalizeTagFilter,
+  isTagFilterActive,
+  setTagFilterMembership,
+} from '../src/util/tagFilter.js';
+import { pickSavedViewFields } from '../src/util/savedViews.js';
+import { getTagParentId, getTagDescendantIds } from '../src/util/tagTree.js';
+import {
+  TAG_RULE_FIELDS,
+  TAG_RULE_OPERATORS,
+  MAX_TAG_RULE_CONDITIONS,
+  isValidRulePattern,
+  previewTagRules,
+} from '../src/util/tagRules.js';
+import {
+  SMART_TAG_FIELDS,
+  MAX_SMART_TAG_CONDITIONS,
+  isSmartTag,
+  normalizeSmartTagQuery,
+  streamerMatchesSmartQuery,
+} from '../src/util/smartTags.js';
 
 const localizationReady = (async () => {
   try {
@@ -49,15 +81,40 @@ localize();
 
 const t = (key, substitutions) => getMessageStrict(key, substitutions);
 
+const CONDITION_PREVIEW_LIMIT = 25;
+const TOAST_DURATION_MS = 8000;
+
+// Maps history journal actions to their description keys.
+const HISTORY_ACTION_KEYS = {
+  create: 'app_history_action_create',
+  rename: 'app_history_action_rename',
+  recolor: 'app_history_action_recolor',
+  move: 'app_history_action_move',
+  update: 'app_history_action_update',
+  delete: 'app_history_action_delete',
+  assign: 'app_history_action_assign',
+  reorder: 'app_history_action_reorder',
+  rules: 'app_history_action_rules',
+  import: 'app_history_action_import',
+  reset: 'app_history_action_reset',
+  restore: 'app_history_action_restore',
+};
+
 const elements = {
   loginButton: document.getElementById('login-button'),
   settingsButton: document.getElementById('settings-button'),
   userLabel: document.getElementById('user-label'),
+  accountSwitcher: document.getElementById('account-switcher'),
+  sessionBanner: document.getElementById('session-banner'),
+  sessionBannerText: document.getElementById('session-banner-text'),
+  sessionReconnectButton: document.getElementById('session-reconnect-button'),
   themeInputs: Array.from(document.querySelectorAll('input[name="theme-mode"]')),
   nameFilterInput: document.getElementById('name-filter'),
   clearNameFilter: document.getElementById('clear-name-filter'),
   contentFilterInput: document.getElementById('content-filter'),
   clearContentFilter: document.getElementById('clear-content-filter'),
+  languageFilterSelect: document.getElementById('language-filter'),
+  matureFilterSelect: document.getElementById('mature-filter'),
   sortSelect: document.getElementById('sort-select'),
   liveToggle: document.getElementById('live-toggle'),
   liveToggleLabel: document.getElementById('live-toggle-label'),
@@ -66,10 +123,17 @@ const elements = {
   refreshButton: document.getElementById('refresh-button'),
   tagList: document.getElementById('tag-list'),
   addTagButton: document.getElementById('add-tag-button'),
+  addSmartTagButton: document.getElementById('add-smart-tag-button'),
+  importPackButton: document.getElementById('import-pack-button'),
   reorderTagsButton: document.getElementById('reorder-tags-button'),
   streamerContainer: document.getElementById('streamer-container'),
   streamerCount: document.getElementById('streamer-count'),
   updatedLabel: document.getElementById('updated-label'),
+  tagFilterBar: document.getElementById('tag-filter-bar'),
+  bulkActionBar: document.getElementById('bulk-action-bar'),
+  toastContainer: document.getElementById('toast-container'),
+  savedViewsLabel: document.getElementById('saved-views-label'),
+  savedViewsMenu: document.getElementById('saved-views-menu'),
   tagPane: document.getElementById('tag-sidebar'),
   tagPaneToggle: document.getElementById('tag-pane-toggle'),
   tagPaneClose: document.getElementById('tag-pane-close'),
@@ -84,6 +148,7 @@ let isMoveMode = false;
 let autoRefreshInterval = null;
 let isTagOperationInProgress = false;
 let updatedLabelInterval = null;
+let tagDropTarget = null;
 
 /**
  * Debounce a function to reduce the frequency of calls
@@ -406,6 +471,74 @@ function showConfirmModal(title, message, confirmText = 'OK', variant = 'danger'
   });
 }
 
+/**
+ * Show a short-lived toast in the bottom corner, replacing any visible one.
+ * @param {string} message - Toast text (set as textContent)
+ * @param {Object} [options]
+ * @param {string} [options.actionText] - Label of an optional action button
+ * @param {Function} [options.onAction] - Called when the action button is clicked
+ * @param {number} [options.duration] - Time in ms before the toast hides itself
+ */
+function showToast(message, { actionText = '', onAction = null, duration = TOAST_DURATION_MS } = {}) {
+  const container = elements.toastContainer;
+  if (!container) return;
+  container.innerHTML = '';
+
+  const toast = document.createElement('div');
+  toast.className = 'toast app-toast fade';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+  toast.setAttribute('aria-atomic', 'true');
+
+  const body = document.createElement('div');
+  body.className = 'toast-body d-flex align-items-center gap-2';
+
+  const text = document.createElement('span');
+  text.className = 'flex-grow-1';
+  text.textContent = message;
+  body.appendChild(text);
+
+  let hideTimer = null;
+  const hide = () => {
+    clearTimeout(hideTimer);
+    toast.classList.remove('show');
+    setTimeout(() => toast.remove(), 150);
+  };
+
+  if (actionText && onAction) {
+    const actionButton = document.createElement('button');
+    actionButton.type = 'button';
+    actionButton.className = 'btn btn-sm btn-link app-toast-action';
+    actionButton.textContent = actionText;
+    actionButton.addEventListener('click', () => {
+      hide();
+      onAction();
+    });
+    body.appendChild(actionButton);
+  }
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'btn-close';
+  closeButton.setAttribute('aria-label', t('common_close'));
+  closeButton.addEventListener('click', hide);
+  body.appendChild(closeButton);
+
+  toast.appendChild(body);
+  container.appendChild(toast);
+
+  // Keep the toast up while the pointer is on it so the action stays reachable.
+  const scheduleHide = () => {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hide, duration);
+  };
+  toast.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+  toast.addEventListener('mouseleave', scheduleHide);
+
+  setTimeout(() => toast.classList.add('show'), 10);
+  scheduleHide();
+}
+
 /**
  * Show a tag color picker modal dialog
  * @param {Object} options - Modal configuration
@@ -589,6 +722,502 @@ function showColorPickerModal({ title, initialColor, defaultColors = [] }) {
   });
 }
 
+/**
+ * Show a condition editor (used by auto-tag rules and smart tags) with a live
+ * preview of the followed streamers the conditions match.
+ * @param {Object} options - Modal configuration
+ * @param {string} options.title - Modal title
+ * @param {string} options.hint - Explanation shown under the conditions
+ * @param {Array<{value: string, label: string, operators: Array<{value: string, label: string, valueType: string}>}>} options.fields
+ *   Selectable fields; `valueType` is one of text, pattern, number, boolean or none
+ * @param {{match?: string, conditions?: Array<Object>}|null} options.query - Current conditions
+ * @param {(query: {match: string, conditions: Array<Object>}) => Array<Object>} options.preview
+ * @param {string} options.saveText - Save button text
+ * @param {string} [options.enabledLabel] - Shows an on/off switch when provided
+ * @param {boolean} [options.enabled] - Initial switch state
+ * @param {string} [options.clearText] - Shows a destructive secondary action when provided
+ * @param {number} [options.maxConditions] - Maximum number of condition rows
+ * @returns {Promise<{action: 'save', enabled: boolean, match: string, conditions: Array<Object>}|{action: 'clear'}|null>}
+ */
+function showConditionsModal({
+  title,
+  hint,
+  fields,
+  query,
+  preview,
+  saveText,
+  enabledLabel = null,
+  enabled = true,
+  clearText = null,
+  maxConditions = 10,
+}) {
+  return new Promise((resolve) => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop fade';
+    document.body.appendChild(backdrop);
+    setTimeout(() => backdrop.classList.add('show'), 10);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal fade tag-conditions-modal';
+    modal.tabIndex = -1;
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'modalTitle');
+
+    const closeLabel = escapeHtml(t('common_close'));
+    const cancelText = escapeHtml(t('common_cancel'));
+    const enabledSwitch = enabledLabel
+      ? `
+            <div class="form-check form-switch mb-2">
+              <input class="form-check-input" type="checkbox" id="tagConditionsEnabled">
+              <label class="form-check-label" for="tagConditionsEnabled">${escapeHtml(enabledLabel)}</label>
+            </div>`
+      : '';
+    modal.innerHTML = `
+      <div class="modal-dialog modal-dialog-centered modal-lg">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="modalTitle">${escapeHtml(title)}</h5>
+            <button type="button" class="btn-close" data-dismiss="modal" aria-label="${closeLabel}"></button>
+          </div>
+          <div class="modal-body">${enabledSwitch}
+            <div class="tag-conditions-match mb-2">
+              <label class="form-label small mb-0" for="tagConditionsMatch">${escapeHtml(t('app_modal_conditions_match_label'))}</label>
+              <select class="form-select form-select-sm" id="tagConditionsMatch">
+                <option value="any">${escapeHtml(t('app_modal_conditions_match_any'))}</option>
+                <option value="all">${escapeHtml(t('app_modal_conditions_match_all'))}</option>
+              </select>
+            </div>
+            <div class="tag-conditions-list"></div>
+            <button type="button" class="btn btn-sm btn-outline-secondary tag-conditions-add">${escapeHtml(t('app_modal_conditions_add'))}</button>
+            <p class="text-muted small mt-2 mb-2">${escapeHtml(hint)}</p>
+            <div class="tag-conditions-preview">
+              <div class="tag-conditions-preview-summary small fw-semibold"></div>
+              <ul class="tag-conditions-preview-list small"></ul>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-outline-danger me-auto" data-clear="modal"></button>
+            <button type="button" class="btn btn-secondary" data-dismiss="modal">${cancelText}</button>
+            <button type="button" class="btn btn-primary" data-submit="modal">${escapeHtml(saveText)}</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const enabledInput = modal.querySelector('#tagConditionsEnabled');
+    const matchSelect = modal.querySelector('#tagConditionsMatch');
+    const conditionsList = modal.querySelector('.tag-conditions-list');
+    const addButton = modal.querySelector('.tag-conditions-add');
+    const previewSummary = modal.querySelector('.tag-conditions-preview-summary');
+    const previewList = modal.querySelector('.tag-conditions-preview-list');
+    const clearBtn = modal.querySelector('[data-clear="modal"]');
+    const cancelButtons = modal.querySelectorAll('[data-dismiss="modal"]');
+    const submitBtn = modal.querySelector('[data-submit="modal"]');
+
+    const fillSelect = (select, options, selected) => {
+      select.replaceChildren();
+      options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === selected;
+        select.appendChild(option);
+      });
+    };
+
+    const getOperatorDef = (fieldValue, operatorValue) => {
+      const field = fields.find((entry) => entry.value === fieldValue) || fields[0];
+      return field.operators.find((entry) => entry.value === operatorValue) || field.operators[0];
+    };
+
+    const createValueControl = (valueType, value) => {
+      if (valueType === 'boolean') {
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm';
+        fillSelect(select, [
+          { value: 'true', label: t('app_modal_conditions_value_true') },
+          { value: 'false', label: t('app_modal_conditions_value_false') },
+        ], String(value ?? true));
+        return select;
+      }
+      const input = document.createElement('input');
+      input.className = 'form-control form-control-sm';
+      if (valueType === 'number') {
+        input.type = 'number';
+        input.min = '0';
+        input.step = '1';
+      } else {
+        input.type = 'text';
+        input.maxLength = 100;
+      }
+      input.value = value != null ? String(value) : '';
+      if (valueType === 'none') {
+        input.style.visibility = 'hidden';
+      }
+      input.placeholder = t('app_modal_conditions_value_placeholder');
+      return input;
+    };
+
+    const readConditions = () => Array.from(conditionsList.children).map((row) => {
+      const operator = getOperatorDef(row.dataset.field, row.dataset.operator);
+      const raw = row.querySelector('[data-role="value"]').value.trim();
+      return {
+        field: row.dataset.field,
+        operator: operator.value,
+        value: operator.valueType === 'none' ? null : raw,
+      };
+    }).filter((condition) => condition.value !== '');
+
+    const readQuery = () => ({
+      match: matchSelect.value,
+      conditions: readConditions(),
+    });
+
+    const updatePreview = () => {
+      Array.from(conditionsList.children).forEach((row) => {
+        const operator = getOperatorDef(row.dataset.field, row.dataset.operator);
+        const valueInput = row.querySelector('[data-role="value"]');
+        const value = valueInput.value.trim();
+        valueInput.classList.toggle(
+          'is-invalid',
+          operator.valueType === 'pattern' && !!value && !isValidRulePattern(value),
+        );
+      });
+
+      const matches = preview(readQuery());
+      previewSummary.textContent = t('app_modal_conditions_preview_count', [String(matches.length)]);
+      previewList.replaceChildren();
+      matches.slice(0, CONDITION_PREVIEW_LIMIT).forEach((streamer) => {
+        const item = document.createElement('li');
+        item.textContent = streamer.displayName || streamer.login;
+        previewList.appendChild(item);
+      });
+      if (matches.length > CONDITION_PREVIEW_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'text-muted';
+        more.textContent = t('app_modal_conditions_preview_more', [String(matches.length - CONDITION_PREVIEW_LIMIT)]);
+        previewList.appendChild(more);
+      }
+    };
+
+    const addConditionRow = (condition = {}) => {
+      if (conditionsList.children.length >= maxConditions) return null;
+      const row = document.createElement('div');
+      row.className = 'tag-conditions-row';
+
+      const fieldSelect = document.createElement('select');
+      fieldSelect.className = 'form-select form-select-sm';
+      fieldSelect.setAttribute('aria-label', t('app_modal_conditions_field_label'));
+      const operatorSelect = document.createElement('select');
+      operatorSelect.className = 'form-select form-select-sm';
+      operatorSelect.setAttribute('aria-label', t('app_modal_conditions_operator_label'));
+
+      let valueControl = null;
+      const renderValueControl = (value) => {
+        const operator = getOperatorDef(row.dataset.field, row.dataset.operator);
+        const next = createValueControl(operator.valueType, value);
+        next.dataset.role = 'value';
+        next.setAttribute('aria-label', t('app_modal_conditions_value_placeholder'));
+        next.addEventListener('input', updatePreview, { signal });
+        next.addEventListener('change', updatePreview, { signal });
+        if (valueControl) {
+          valueControl.replaceWith(next);
+        } else {
+          row.appendChild(next);
+        }
+        valueControl = next;
+      };
+
+      const renderOperators = (selected) => {
+        const field = fields.find((entry) => entry.value === row.dataset.field) || fields[0];
+        const operator = field.operators.find((entry) => entry.value === selected) || field.operators[0];
+        fillSelect(operatorSelect, field.operators, operator.value);
+        row.dataset.operator = operator.value;
+      };
+
+      const initialField = fields.find((entry) => entry.value === condition.field) || fields[0];
+      fillSelect(fieldSelect, fields, initialField.value);
+      row.dataset.field = initialField.value;
+      row.append(fieldSelect, operatorSelect);
+      renderOperators(condition.operator);
+      renderValueControl(condition.value);
+
+      fieldSelect.addEventListener('change', () => {
+        const previousType = getOperatorDef(row.dataset.field, row.dataset.operator).valueType;
+        row.dataset.field = fieldSelect.value;
+        renderOperators(null);
+        const nextType = getOperatorDef(row.dataset.field, row.dataset.operator).valueType;
+        renderValueControl(previousType === nextType ? valueControl.value : undefined);
+        updatePreview();
+      }, { signal });
+      operatorSelect.addEventListener('change', () => {
+        const previousType = getOperatorDef(row.dataset.field, row.dataset.operator).valueType;
+        row.dataset.operator = operatorSelect.value;
+        const nextType = getOperatorDef(row.dataset.field, row.dataset.operator).valueType;
+        renderValueControl(previousType === nextType ? valueControl.value : undefined);
+        updatePreview();
+      }, { signal });
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'btn btn-sm btn-outline-secondary';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', t('app_modal_conditions_remove'));
+      removeButton.title = t('app_modal_conditions_remove');
+      removeButton.addEventListener('click', () => {
+        row.remove();
+        addButton.disabled = false;
+        updatePreview();
+      }, { signal });
+      row.appendChild(removeButton);
+
+      conditionsList.appendChild(row);
+      addButton.disabled = conditionsList.children.length >= maxConditions;
+      return valueControl;
+    };
+
+    if (enabledInput) {
+      enabledInput.checked = enabled;
+    }
+    matchSelect.value = query?.match === 'all' ? 'all' : 'any';
+    (query?.conditions?.length ? query.conditions : [{}]).forEach((condition) => addConditionRow(condition));
+
+    if (clearText) {
+      clearBtn.textContent = clearText;
+    } else {
+      clearBtn.remove();
+    }
+
+    const cleanup = () => {
+      abortController.abort();
+      modal.classList.remove('show');
+      backdrop.classList.remove('show');
+      setTimeout(() => {
+        modal.remove();
+        backdrop.remove();
+        document.body.classList.remove('modal-open');
+        document.body.style.removeProperty('overflow');
+        document.body.style.removeProperty('padding-right');
+      }, 150);
+    };
+
+    const handleSubmit = () => {
+      const invalid = conditionsList.querySelector('.is-invalid');
+      if (invalid) {
+        invalid.focus();
+        return;
+      }
+      const nextQuery = readQuery();
+      cleanup();
+      resolve({ action: 'save', enabled: enabledInput ? enabledInput.checked : true, ...nextQuery });
+    };
+
+    const handleCancel = () => {
+      cleanup();
+      resolve(null);
+    };
+
+    addButton.addEventListener('click', () => {
+      addConditionRow()?.focus();
+      updatePreview();
+    }, { signal });
+    matchSelect.addEventListener('change', updatePreview, { signal });
+    if (clearText) {
+      clearBtn.addEventListener('click', () => {
+        cleanup();
+        resolve({ action: 'clear' });
+      }, { signal });
+    }
+    submitBtn.addEventListener('click', handleSubmit, { signal });
+    cancelButtons.forEach((btn) => btn.addEventListener('click', handleCancel, { signal }));
+    backdrop.addEventListener('click', handleCancel, { signal });
+
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        handleCancel();
+      } else if (event.key === 'Enter' && event.target.dataset?.role === 'value') {
+        event.preventDefault();
+        handleSubmit();
+      }
+    }, { signal });
+
+    updatePreview();
+
+    document.body.classList.add('modal-open');
+    document.body.style.overflow = 'hidden';
+    setTimeout(() => {
+      modal.classList.add('show');
+      modal.style.display = 'block';
+      conditionsList.querySelector('[data-role="value"]')?.focus();
+    }, 10);
+  });
+}
+
+/**
+ * Show a modal around a tag pack text box. With `onPreview` the text is
+ * editable and a file can be loaded into it (import); without it the text is
+ * read-only and can be copied or downloaded (share).
+ * @param {Object} options
+ * @param {string} options.title - Modal title (will be HTML-escaped)
+ * @param {string} options.hint - Help text below the text box
+ * @param {string} [options.text] - Initial pack text
+ * @param {string} [options.fileName] - Download name for a shared pack
+ * @param {Function} [options.onPreview] - Async `(text) => ({message, canSubmit})`
+ * @param {string} [options.submitText] - Import button label
+ * @returns {Promise<string|null>} - Pack text when submitted, null otherwise
+ */
+function showTagPackModal({ title, hint, text = '', fileName = 'tag-pack.json', onPreview = null, submitText = '' }) {
+  return new Promise((resolve) => {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const isImport = typeof onPreview === 'function';
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop fade';
+    document.body.appendChild(backdrop);
+    setTimeout(() => backdrop.classList.add('show'), 10);
+
+    const modal = document.createElement('div');
+    modal.className = 'modal fade tag-pack-modal';
+    modal.tabIndex = -1;
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'modalTitle');
+
+    const closeLabel = escapeHtml(t('common_close'));
+    const footer = isImport
+      ? `
+            <label class="btn btn-outline-secondary me-auto mb-0">
+              ${escapeHtml(t('app_modal_tag_pack_choose_file'))}
+              <input type="file" accept="application/json,.json,text/plain,.txt" hidden data-role="file">
+            </label>
+            <button type="button" class="btn btn-secondary" data-dismiss="modal">${escapeHtml(t('common_cancel'))}</button>
+            <button type="button" class="btn btn-primary" data-submit="modal" disabled>${escapeHtml(submitText)}</button>`
+      : `
+            <button type="button" class="btn btn-outline-secondary me-auto" data-role="download">${escapeHtml(t('app_modal_tag_pack_download'))}</button>
+            <button type="button" class="btn btn-secondary" data-dismiss="modal">${closeLabel}</button>
+            <button type="button" class="btn btn-primary" data-role="copy">${escapeHtml(t('app_modal_tag_pack_copy'))}</button>`;
+    modal.innerHTML = `
+      <div class="modal-dialog modal-dialog-centered modal-lg">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="modalTitle">${escapeHtml(title)}</h5>
+            <button type="button" class="btn-close" data-dismiss="modal" aria-label="${closeLabel}"></button>
+          </div>
+          <div class="modal-body">
+            <p class="text-muted small mb-2">${escapeHtml(hint)}</p>
+            <textarea class="form-control font-monospace small" rows="8" spellcheck="false" aria-label="${escapeHtml(title)}"${isImport ? '' : ' readonly'}></textarea>
+            <div class="tag-pack-preview small mt-2" aria-live="polite"></div>
+          </div>
+          <div class="modal-footer">${footer}
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const textarea = modal.querySelector('textarea');
+    const previewEl = modal.querySelector('.tag-pack-preview');
+    const cancelButtons = modal.querySelectorAll('[data-dismiss="modal"]');
+    const submitBtn = modal.querySelector('[data-submit="modal"]');
+    textarea.value = text;
+
+    const cleanup = () => {
+      abortController.abort();
+      modal.classList.remove('show');
+      backdrop.classList.remove('show');
+      setTimeout(() => {
+        modal.remove();
+        backdrop.remove();
+        document.body.classList.remove('modal-open');
+        document.body.style.removeProperty('overflow');
+        document.body.style.removeProperty('padding-right');
+      }, 150);
+    };
+
+    const handleCancel = () => {
+      cleanup();
+      resolve(null);
+    };
+
+    let previewRequest = 0;
+    const updatePreview = debounce(async () => {
+      const requestId = ++previewRequest;
+      const value = textarea.value.trim();
+      if (!value) {
+        previewEl.textContent = '';
+        submitBtn.disabled = true;
+        return;
+      }
+      const { message, canSubmit } = await onPreview(value);
+      if (requestId !== previewRequest || signal.aborted) return;
+      previewEl.textContent = message;
+      previewEl.classList.toggle('text-danger', !canSubmit);
+      submitBtn.disabled = !canSubmit;
+    }, 250);
+
+    if (isImport) {
+      submitBtn.addEventListener('click', () => {
+        cleanup();
+        resolve(textarea.value.trim());
+      }, { signal });
+      textarea.addEventListener('input', updatePreview, { signal });
+      modal.querySelector('[data-role="file"]').addEventListener('change', async (event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        textarea.value = await file.text();
+        event.target.value = '';
+        updatePreview();
+      }, { signal });
+    } else {
+      const copyBtn = modal.querySelector('[data-role="copy"]');
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(textarea.value);
+          copyBtn.textContent = t('app_modal_tag_pack_copied');
+        } catch (error) {
+          textarea.select();
+        }
+      }, { signal });
+      modal.querySelector('[data-role="download"]').addEventListener('click', () => {
+        const url = URL.createObjectURL(new Blob([textarea.value], { type: 'application/json' }));
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = fileName;
+        document.body.appendChild(anchor);
+        anchor.click();
+        setTimeout(() => {
+          anchor.remove();
+          URL.revokeObjectURL(url);
+        }, 0);
+      }, { signal });
+    }
+    cancelButtons.forEach((btn) => btn.addEventListener('click', handleCancel, { signal }));
+    backdrop.addEventListener('click', handleCancel, { signal });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        handleCancel();
+      }
+    }, { signal });
+
+    document.body.classList.add('modal-open');
+    document.body.style.overflow = 'hidden';
+    setTimeout(() => {
+      modal.classList.add('show');
+      modal.style.display = 'block';
+      textarea.focus();
+      if (!isImport) textarea.select();
+    }, 10);
+  });
+}
+
 async function promptRenameTag(tagId, currentName) {
   const nextName = await showInputModal(
     t('app_modal_rename_tag_title'),
@@ -646,6 +1275,101 @@ async function promptUpdateTagColor(tagId, currentColor) {
   });
 }
 
+function describeHistoryEntry(entry) {
+  const action = t(HISTORY_ACTION_KEYS[entry?.action] || HISTORY_ACTION_KEYS.update);
+  return entry?.label ? t('app_history_action_with_label', [action, entry.label]) : action;
+}
+
+/**
+ * Step the tag history back (`undo`) or forward (`redo`) and offer the
+ * opposite step in a toast.
+ * @param {'undo'|'redo'} direction
+ */
+async function stepHistory(direction) {
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke(direction === 'undo' ? 'history:undo' : 'history:redo');
+      setTagState(data.tagState);
+      render();
+      const isUndo = direction === 'undo';
+      showToast(
+        t(isUndo ? 'app_history_undone' : 'app_history_redone', [describeHistoryEntry(data.entry)]),
+        {
+          actionText: t(isUndo ? 'app_history_redo' : 'app_history_undo'),
+          onAction: () => stepHistory(isUndo ? 'redo' : 'undo'),
+        },
+      );
+    } catch (error) {
+      handleUserError(error, t(direction === 'undo' ? 'app_error_undo' : 'app_error_redo'));
+    }
+  });
+}
+
+function showUndoToast(message) {
+  showToast(message, {
+    actionText: t('app_history_undo'),
+    onAction: () => stepHistory('undo'),
+  });
+}
+
+/**
+ * Toggle one streamer in the bulk selection. With `range`, select every
+ * visible streamer between the last toggled card and this one.
+ * @param {string} streamerId
+ * @param {{range?: boolean}} [options]
+ */
+function toggleStreamerSelection(streamerId, { range = false } = {}) {
+  const selected = state.selectedStreamerIds;
+  const visibleIds = getVisibleStreamerIds();
+  const anchorIndex = state.selectionAnchorId ? visibleIds.indexOf(state.selectionAnchorId) : -1;
+  const targetIndex = visibleIds.indexOf(streamerId);
+
+  if (range && anchorIndex !== -1 && targetIndex !== -1) {
+    const [start, end] = anchorIndex < targetIndex
+      ? [anchorIndex, targetIndex]
+      : [targetIndex, anchorIndex];
+    setSelectedStreamers([...selected, ...visibleIds.slice(start, end + 1)], streamerId);
+  } else if (selected.includes(streamerId)) {
+    setSelectedStreamers(selected.filter((id) => id !== streamerId), streamerId);
+  } else {
+    setSelectedStreamers([...selected, streamerId], streamerId);
+  }
+  render();
+}
+
+async function applyBulkUpdate(changes) {
+  const streamerIds = state.selectedStreamerIds.slice();
+  if (!streamerIds.length) return;
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:bulk', { streamerIds, ...changes });
+      setTagState(data.tagState);
+      render();
+      if (data.changed > 0 && (changes.clear || changes.remove?.length)) {
+        showUndoToast(data.changed === 1
+          ? t('app_toast_bulk_updated_single')
+          : t('app_toast_bulk_updated_multiple', [String(data.changed)]));
+      }
+    } catch (error) {
+      handleUserError(error, t('app_error_bulk_update'));
+    }
+  });
+}
+
+async function confirmBulkClearTags() {
+  const count = state.selectedStreamerIds.length;
+  if (!count) return;
+  const confirmed = await showConfirmModal(
+    t('app_modal_bulk_clear_title'),
+    t('app_modal_bulk_clear_message', [String(count)]),
+    t('app_modal_bulk_clear_confirm'),
+    'danger'
+  );
+  if (!confirmed) return;
+  await applyBulkUpdate({ clear: true });
+}
+
 async function confirmDeleteTag(tagId, name) {
   const confirmed = await showConfirmModal(
     t('app_modal_delete_tag_title'),
@@ -662,19 +1386,376 @@ async function confirmDeleteTag(tagId, name) {
       if (state.preferences.selectedTagId === tagId) {
         mergePreferences({ selectedTagId: TAG_ALL });
       }
+      mergePreferences({
+        tagFilter: setTagFilterMembership(state.preferences.tagFilter, tagId, null),
+      });
       render();
+      showUndoToast(t('app_toast_tag_deleted', [name]));
     } catch (error) {
       handleUserError(error, t('app_error_delete_tag'));
     }
   });
 }
 
+async function promptCreateSubtag(parentId) {
+  const parent = state.tagState?.tags?.[parentId];
+  if (!parent) return;
+  const name = await showInputModal(
+    t('app_modal_new_subtag_title', [parent.name]),
+    t('app_modal_tag_name_placeholder'),
+  );
+  if (!name || !name.trim()) return;
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:create', { name, parentId });
+      setTagState(data.tagState);
+      const collapsed = (state.preferences.collapsedTagIds || []).filter((id) => id !== parentId);
+      mergePreferences({ collapsedTagIds: collapsed });
+      render();
+      queuePreferenceSync();
+    } catch (error) {
+      handleUserError(error, t('app_error_create_tag'));
+    }
+  });
+}
+
+async function moveTagToTopLevel(tagId) {
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:update', { tagId, parentId: null });
+      setTagState(data.tagState);
+      render();
+    } catch (error) {
+      handleUserError(error, t('app_error_reorder_tags'));
+    }
+  });
+}
+
+async function setTagAccount(tagId, accountId) {
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:update', { tagId, accountId });
+      setTagState(data.tagState);
+      render();
+    } catch (error) {
+      handleUserError(error, t('app_error_tag_account'));
+    }
+  });
+}
+
+function countAutoAssignments(tagId) {
+  const autoAssignments = state.tagState?.autoAssignments || {};
+  return Object.values(autoAssignments).filter((tagIds) => tagIds.includes(tagId)).length;
+}
+
+function getTagRuleFields() {
+  return TAG_RULE_FIELDS.map((field) => ({
+    value: field,
+    label: t(`app_modal_rules_field_${field}`),
+    operators: TAG_RULE_OPERATORS.map((operator) => ({
+      value: operator,
+      label: t(`app_modal_rules_operator_${operator}`),
+      valueType: operator === 'regex' ? 'pattern' : 'text',
+    })),
+  }));
+}
+
+function getSmartTagFields() {
+  return Object.entries(SMART_TAG_FIELDS).map(([field, operators]) => ({
+    value: field,
+    label: t(`app_modal_smart_field_${field}`),
+    operators: Object.entries(operators).map(([operator, valueType]) => ({
+      value: operator,
+      label: t(`app_modal_smart_operator_${operator}`),
+      valueType,
+    })),
+  }));
+}
+
+function showSmartTagQueryModal(title, query) {
+  return showConditionsModal({
+    title,
+    hint: t('app_modal_smart_hint'),
+    fields: getSmartTagFields(),
+    query,
+    preview: (draft) => {
+      const normalized = normalizeSmartTagQuery(draft);
+      const now = Date.now();
+      return state.follows.filter((streamer) => streamerMatchesSmartQuery(streamer, normalized, now));
+    },
+    saveText: t('app_modal_smart_save'),
+    maxConditions: MAX_SMART_TAG_CONDITIONS,
+  });
+}
+
+async function promptCreateSmartTag() {
+  const name = await showInputModal(
+    t('app_modal_new_smart_tag_title'),
+    t('app_modal_tag_name_placeholder'),
+  );
+  if (!name || !name.trim()) return;
+
+  const result = await showSmartTagQueryModal(t('app_modal_smart_title', [name.trim()]), null);
+  if (!result) return;
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:create', {
+        name,
+        smart: { match: result.match, conditions: result.conditions },
+      });
+      setTagState(data.tagState);
+      render();
+    } catch (error) {
+      handleUserError(error, t('app_error_create_tag'));
+    }
+  });
+}
+
+async function promptEditSmartTag(tagId) {
+  const tagRecord = state.tagState?.tags?.[tagId];
+  if (!isSmartTag(tagRecord)) return;
+  const result = await showSmartTagQueryModal(
+    t('app_modal_smart_title', [tagRecord.name]),
+    tagRecord.smart,
+  );
+  if (!result) return;
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('tag:update', {
+        tagId,
+        smart: { match: result.match, conditions: result.conditions },
+      });
+      setTagState(data.tagState);
+      render();
+    } catch (error) {
+      handleUserError(error, t('app_error_update_smart_tag'));
+    }
+  });
+}
+
+async function promptEditTagRules(tagId) {
+  const tagRecord = state.tagState?.tags?.[tagId];
+  if (!tagRecord) return;
+  const autoCount = countAutoAssignments(tagId);
+  const rules = tagRecord.rules || null;
+  const result = await showConditionsModal({
+    title: t('app_modal_rules_title', [tagRecord.name]),
+    hint: t('app_modal_rules_hint'),
+    fields: getTagRuleFields(),
+    query: rules,
+    preview: (draft) => previewTagRules(state.follows, draft),
+    saveText: t('app_modal_rules_save'),
+    enabledLabel: t('app_modal_rules_enabled_label'),
+    enabled: rules ? rules.enabled : true,
+    clearText: autoCount > 0 ? t('app_modal_rules_clear_auto', [String(autoCount)]) : null,
+    maxConditions: MAX_TAG_RULE_CONDITIONS,
+  });
+  if (!result) return;
+
+  if (result.action === 'clear') {
+    const confirmed = await showConfirmModal(
+      t('app_modal_rules_clear_title'),
+      t('app_modal_rules_clear_message', [String(autoCount), tagRecord.name]),
+      t('app_modal_rules_clear_confirm'),
+      'danger',
+    );
+    if (!confirmed) return;
+  }
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = result.action === 'clear'
+        ? await invoke('rule:clearAuto', { tagId })
+        : await invoke('rule:update', {
+          tagId,
+          rules: result.conditions.length
+            ? { enabled: result.enabled, match: result.match, conditions: result.conditions }
+            : null,
+        });
+      setTagState(data.tagState);
+      render();
+    } catch (error) {
+      handleUserError(error, t('app_error_update_tag_rules'));
+    }
+  });
+}
+
+async function shareTag(tagId) {
+  const tag = state.tagState?.tags?.[tagId];
+  if (!tag) return;
+  try {
+    const { pack } = await invoke('pack:export', { tagId });
+    const slug = tag.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tag';
+    await showTagPackModal({
+      title: t('app_modal_tag_pack_share_title', [tag.name]),
+      hint: t('app_modal_tag_pack_share_hint', [String(pack.members.length)]),
+      text: JSON.stringify(pack, null, 2),
+      fileName: `ttagger-pack-${slug}.json`,
+    });
+  } catch (error) {
+    handleUserError(error, t('app_error_share_tag'));
+  }
+}
+
+async function previewTagPackText(text) {
+  try {
+    const preview = await invoke('pack:preview', { pack: text });
+    const key = preview.existingTag ? 'app_tag_pack_preview_existing' : 'app_tag_pack_preview_new';
+    let message = t(key, [preview.name, String(preview.followed.length)]);
+    if (preview.missing.length) {
+      message += ` ${t('app_tag_pack_preview_missing', [String(preview.missing.length)])}`;
+    }
+    return { message, canSubmit: true };
+  } catch (error) {
+    return { message: error?.message || t('app_error_import_tag_pack'), canSubmit: false };
+  }
+}
+
+async function promptImportTagPack() {
+  const text = await showTagPackModal({
+    title: t('app_modal_tag_pack_import_title'),
+    hint: t('app_modal_tag_pack_import_hint'),
+    onPreview: previewTagPackText,
+    submitText: t('app_modal_tag_pack_import_confirm'),
+  });
+  if (!text) return;
+
+  await withTagOperationLoading(async () => {
+    try {
+      const data = await invoke('pack:import', { pack: text });
+      setTagState(data.tagState);
+      render();
+      const tagName = data.tagState.tags[data.tagId]?.name || '';
+      let message = t('app_toast_tag_pack_imported', [tagName, String(data.assigned)]);
+      if (data.missing.length) {
+        const shown = data.missing.slice(0, 5).join(', ');
+        const names = data.missing.length > 5 ? `${shown}, …` : shown;
+        message += ` ${t('app_toast_tag_pack_missing', [String(data.missing.length), names])}`;
+      }
+      showUndoToast(message);
+    } catch (error) {
+      handleUserError(error, t('app_error_import_tag_pack'));
+    }
+  });
+}
+
+function toggleTagCollapsed(tagId) {
+  const collapsed = new Set(state.preferences.collapsedTagIds || []);
+  if (collapsed.has(tagId)) {
+    collapsed.delete(tagId);
+  } else {
+    collapsed.add(tagId);
+  }
+  mergePreferences({ collapsedTagIds: Array.from(collapsed) });
+  render();
+  queuePreferenceSync();
+}
+
 function selectTag(tagId) {
-  mergePreferences({ selectedTagId: tagId ?? TAG_ALL });
+  mergePreferences({ selectedTagId: tagId ?? TAG_ALL, tagFilter: DEFAULT_TAG_FILTER });
+  render();
+  queuePreferenceSync();
+}
+
+/**
+ * Apply a new tag filter expression. A single tag selection is folded into the
+ * filter the first time it is extended so Ctrl-click keeps the current view.
+ * @param {{include: Array<string>, exclude: Array<string>, mode: string}} nextFilter
+ */
+function updateTagFilter(nextFilter) {
+  const normalized = normalizeTagFilter(nextFilter);
+  mergePreferences({
+    tagFilter: normalized,
+    selectedTagId: isTagFilterActive(normalized) ? TAG_ALL : state.preferences.selectedTagId,
+  });
   render();
   queuePreferenceSync();
 }
 
+function toggleTagFilter(tagId, target) {
+  let current = normalizeTagFilter(state.preferences.tagFilter);
+  const selectedTagId = state.preferences.selectedTagId;
+  if (!isTagFilterActive(current) && selectedTagId && selectedTagId !== tagId) {
+    current = setTagFilterMembership(current, selectedTagId, 'include');
+  }
+  updateTagFilter(setTagFilterMembership(current, tagId, target));
+}
+
+function applySavedView(viewId) {
+  const view = (state.savedViews?.views || []).find((entry) => entry.id === viewId);
+  if (!view) return;
+  applyPreferences(pickSavedViewFields(view));
+  render();
+  queuePreferenceSync();
+}
+
+async function promptSaveView() {
+  const name = await showInputModal(
+    t('app_modal_save_view_title'),
+    t('app_modal_view_name_placeholder'),
+  );
+  const trimmed = name ? name.trim() : '';
+  if (!trimmed) return;
+
+  const existing = (state.savedViews?.views || []).find(
+    (view) => view.name.toLowerCase() === trimmed.toLowerCase(),
+  );
+  if (existing) {
+    const confirmed = await showConfirmModal(
+      t('app_modal_overwrite_view_title'),
+      t('app_modal_overwrite_view_message', [existing.name]),
+      t('app_modal_overwrite_view_confirm'),
+      'primary',
+    );
+    if (!confirmed) return;
+  }
+
+  try {
+    const data = await invoke('view:save', {
+      viewId: existing?.id,
+      name: trimmed,
+      fields: pickSavedViewFields(state.preferences),
+    });
+    setSavedViews(data.savedViews);
+    render();
+  } catch (error) {
+    handleUserError(error, t('app_error_save_view'));
+  }
+}
+
+async function updateSavedView(viewId) {
+  try {
+    const data = await invoke('view:save', {
+      viewId,
+      fields: pickSavedViewFields(state.preferences),
+    });
+    setSavedViews(data.savedViews);
+    render();
+  } catch (error) {
+    handleUserError(error, t('app_error_save_view'));
+  }
+}
+
+async function confirmDeleteView(viewId, name) {
+  const confirmed = await showConfirmModal(
+    t('app_modal_delete_view_title'),
+    t('app_modal_delete_view_message', [name]),
+    t('app_modal_delete_view_confirm'),
+  );
+  if (!confirmed) return;
+
+  try {
+    const data = await invoke('view:remove', { viewId });
+    setSavedViews(data.savedViews);
+    render();
+  } catch (error) {
+    handleUserError(error, t('app_error_delete_view'));
+  }
+}
+
 function queuePreferenceSync() {
   clearTimeout(preferenceSyncHandle);
   preferenceSyncHandle = setTimeout(() => {
@@ -694,6 +1775,8 @@ function applyPreferences(preferences) {
   elements.clearNameFilter.style.display = state.preferences.nameFilter ? 'block' : 'none';
   elements.contentFilterInput.value = state.preferences.contentFilter || '';
   elements.clearContentFilter.style.display = state.preferences.contentFilter ? 'block' : 'none';
+  renderLanguageFilterOptions(elements);
+  elements.matureFilterSelect.value = state.preferences.matureFilter || MATURE_FILTER_ANY;
   elements.sortSelect.value = state.preferences.sortBy || 'follow-date-desc';
 
   elements.liveToggle.checked = !!state.preferences.liveFirst;
@@ -733,6 +1816,7 @@ function handleTagPaneMediaChange(event) {
 }
 
 function render() {
+  retainSelectedStreamers(getVisibleStreamerIds());
   renderApp(elements, getRenderActions(), { isMoveMode });
   updateLastUpdatedLabel();
 }
@@ -744,6 +1828,14 @@ function getRenderActions() {
       onRenameTag: promptRenameTag,
       onUpdateTagColor: promptUpdateTagColor,
       onDeleteTag: confirmDeleteTag,
+      onToggleTagFilter: toggleTagFilter,
+      onToggleTagCollapsed: toggleTagCollapsed,
+      onCreateSubtag: promptCreateSubtag,
+      onMoveTagToTopLevel: moveTagToTopLevel,
+      onEditTagRules: promptEditTagRules,
+      onEditSmartTag: promptEditSmartTag,
+      onShareTag: shareTag,
+      onSetTagAccount: setTagAccount,
       onToggleTagNotification: async (tagId, enabled) => {
         const validTagIds = Object.keys(state.tagState?.tags || {});
         const currentTagIds = Array.isArray(state.preferences.notificationTagIds)
@@ -778,7 +1870,35 @@ function getRenderActions() {
         });
       },
     },
+    tagFilter: {
+      onToggleTagFilter: toggleTagFilter,
+      onSetTagFilterMode: (mode) => {
+        updateTagFilter({ ...normalizeTagFilter(state.preferences.tagFilter), mode });
+      },
+      onClearTagFilter: () => {
+        updateTagFilter(DEFAULT_TAG_FILTER);
+      },
+    },
+    savedViews: {
+      onApplyView: applySavedView,
+      onSaveView: promptSaveView,
+      onUpdateView: updateSavedView,
+      onDeleteView: confirmDeleteView,
+    },
+    bulk: {
+      onBulkUpdate: applyBulkUpdate,
+      onBulkClearTags: confirmBulkClearTags,
+      onSelectAll: () => {
+        setSelectedStreamers(getVisibleStreamerIds());
+        render();
+      },
+      onClearSelection: () => {
+        clearSelection();
+        render();
+      },
+    },
     card: {
+      onToggleSelection: toggleStreamerSelection,
       onToggleFavorite: async (streamerId, isFavorite) => {
         return withTagOperationLoading(async () => {
           try {
@@ -822,10 +1942,11 @@ function getCustomTagOrderFromState() {
   return sortTagsByOrder(tags.filter((tag) => tag && tag.id && tag.id !== TAG_STARRED)).map((tag) => tag.id);
 }
 
-async function persistTagOrder(tagIds) {
+async function persistTagOrder(tagIds, parents = null) {
   const filtered = Array.from(new Set(tagIds.filter(Boolean)));
   const currentOrder = getCustomTagOrderFromState();
   if (
+    !parents &&
     filtered.length === currentOrder.length &&
     filtered.every((tagId, index) => tagId === currentOrder[index])
   ) {
@@ -834,7 +1955,7 @@ async function persistTagOrder(tagIds) {
 
   await withTagOperationLoading(async () => {
     try {
-      const data = await invoke('tag:reorder', { tagIds: filtered });
+      const data = await invoke('tag:reorder', { tagIds: filtered, parents });
       setTagState(data.tagState);
       render();
     } catch (error) {
@@ -844,11 +1965,22 @@ async function persistTagOrder(tagIds) {
   });
 }
 
+function setTagDropTarget(target) {
+  elements.tagList?.querySelectorAll('.is-drop-into').forEach((node) => {
+    node.classList.remove('is-drop-into');
+  });
+  tagDropTarget = target;
+  if (target?.position === 'inside') {
+    target.item.classList.add('is-drop-into');
+  }
+}
+
 function resetDragState() {
   const dragging = elements.tagList?.querySelector('.is-dragging');
   if (dragging) {
     dragging.classList.remove('is-dragging');
   }
+  setTagDropTarget(null);
 }
 
 function setMoveMode(enabled) {
@@ -909,6 +2041,7 @@ function handleTagDragOver(event) {
 
   const targetItem = event.target.closest('li');
   if (!targetItem) {
+    setTagDropTarget(null);
     elements.tagList?.appendChild(dragging);
     return;
   }
@@ -917,12 +2050,30 @@ function handleTagDragOver(event) {
     return;
   }
 
-  if (!targetItem.dataset.tagId) {
+  const targetId = targetItem.dataset.tagId;
+  if (!targetId) {
+    return;
+  }
+
+  // A tag cannot be dropped into its own subtree.
+  const draggedId = dragging.dataset.tagId;
+  if (getTagDescendantIds(state.tagState?.tags || {}, draggedId).has(targetId)) {
     return;
   }
 
+  // The middle of a row nests the dragged tag; the edges reorder it as a sibling.
+  // Smart tags never take part in nesting.
+  const tags = state.tagState?.tags || {};
+  const canNest = !isSmartTag(tags[draggedId]) && !isSmartTag(tags[targetId]);
   const rect = targetItem.getBoundingClientRect();
-  const shouldInsertBefore = event.clientY < rect.top + rect.height / 2;
+  const offset = event.clientY - rect.top;
+  if (canNest && offset > rect.height * 0.25 && offset < rect.height * 0.75) {
+    setTagDropTarget({ item: targetItem, tagId: targetId, position: 'inside' });
+    return;
+  }
+
+  const shouldInsertBefore = offset < rect.height / 2;
+  setTagDropTarget({ item: targetItem, tagId: targetId, position: shouldInsertBefore ? 'before' : 'after' });
   if (shouldInsertBefore) {
     targetItem.before(dragging);
   } else {
@@ -930,17 +2081,35 @@ function handleTagDragOver(event) {
   }
 }
 
+function resolveDropParentId(target, draggedId) {
+  if (!target) return null;
+  if (target.position === 'inside') return target.tagId;
+  const tags = state.tagState?.tags || {};
+  return isSmartTag(tags[draggedId]) ? null : getTagParentId(tags, target.tagId);
+}
+
 async function handleTagDrop(event) {
   if (!isMoveMode) return;
   event.preventDefault();
   const dragging = elements.tagList?.querySelector('.is-dragging');
+  const target = tagDropTarget;
+  let parents = null;
   if (dragging) {
     dragging.classList.remove('is-dragging');
+    const draggedId = dragging.dataset.tagId;
+    const nextParentId = resolveDropParentId(target, draggedId);
+    if (target?.position === 'inside') {
+      target.item.after(dragging);
+    }
+    if (draggedId && nextParentId !== getTagParentId(state.tagState?.tags || {}, draggedId)) {
+      parents = { [draggedId]: nextParentId };
+    }
   }
+  setTagDropTarget(null);
   const orderedIds = Array.from(elements.tagList?.querySelectorAll('[data-tag-id]') || [])
     .map((node) => node.dataset.tagId)
     .filter(Boolean);
-  await persistTagOrder(orderedIds);
+  await persistTagOrder(orderedIds, parents);
 }
 
 function handleTagDragEnd() {
@@ -957,6 +2126,8 @@ async function loadData(force = false) {
   try {
     const payload = await invoke('data:request', { force });
     setAuth(payload.auth || null);
+    setSession(payload.session || null);
+    setAccounts(payload.accounts);
     setFollows(payload.follows || []);
     if (payload.tagState) {
       setTagState(payload.tagState);
@@ -964,6 +2135,9 @@ async function loadData(force = false) {
     if (payload.preferences) {
       applyPreferences(payload.preferences);
     }
+    if (payload.savedViews) {
+      setSavedViews(payload.savedViews);
+    }
     setFetchedAt(payload.fetchedAt || null);
     applyTheme(state.preferences.themeMode);
   } catch (error) {
@@ -1006,31 +2180,69 @@ function cleanup() {
   }
 }
 
+async function connectTwitch(button) {
+  updateSpinner(button, true);
+  try {
+    await invoke('oauth:start');
+    await loadData(true);
+  } catch (error) {
+    const message = (error?.message || '').toLowerCase();
+    const isCancelled =
+      message.includes('user denied') ||
+      message.includes('user did not approve') ||
+      message.includes('user cancelled') ||
+      message.includes('user canceled') ||
+      message.includes('window was closed');
+
+    if (!isCancelled) {
+      handleUserError(error, t('app_error_login'));
+    }
+  } finally {
+    updateSpinner(button, false);
+  }
+}
+
+async function switchAccount(userId) {
+  const select = elements.accountSwitcher;
+  select.disabled = true;
+  try {
+    await invoke('accounts:switch', { userId });
+    clearSelection();
+    await loadData(false);
+    // Tags scoped to the previous account are gone from the list
+    const { selectedTagId } = state.preferences;
+    if (/^\d+$/.test(String(selectedTagId)) && !state.tagState.tags?.[selectedTagId]) {
+      selectTag(TAG_ALL);
+    }
+  } catch (error) {
+    handleUserError(error, t('app_error_switch_account'));
+    render();
+  } finally {
+    select.disabled = false;
+  }
+}
+
 function attachEventHandlers() {
-  elements.loginButton.addEventListener('click', async () => {
+  elements.loginButton.addEventListener('click', () => {
     if (state.auth?.user) {
       return;
     }
+    connectTwitch(elements.loginButton);
+  });
 
-    updateSpinner(elements.loginButton, true);
-    try {
-      await invoke('oauth:start');
-      await loadData(true);
-    } catch (error) {
-      const message = (error?.message || '').toLowerCase();
-      const isCancelled =
-        message.includes('user denied') ||
-        message.includes('user did not approve') ||
-        message.includes('user cancelled') ||
-        message.includes('user canceled') ||
-        message.includes('window was closed');
-
-      if (!isCancelled) {
-        handleUserError(error, t('app_error_login'));
-      }
-    } finally {
-      updateSpinner(elements.loginButton, false);
+  elements.sessionReconnectButton?.addEventListener('click', () => {
+    connectTwitch(elements.sessionReconnectButton);
+  });
+
+  elements.accountSwitcher?.addEventListener('change', () => {
+    const { value } = elements.accountSwitcher;
+    if (value === ACCOUNT_SWITCHER_ADD) {
+      elements.accountSwitcher.value = state.auth?.user?.id || '';
+      // No spinner here; it would replace the select's options
+      connectTwitch();
+      return;
     }
+    switchAccount(value);
   });
 
   elements.settingsButton?.addEventListener('click', () => {
@@ -1118,6 +2330,18 @@ function attachEventHandlers() {
     queuePreferenceSync();
   });
 
+  elements.languageFilterSelect.addEventListener('change', (event) => {
+    mergePreferences({ languageFilter: event.target.value });
+    render();
+    queuePreferenceSync();
+  });
+
+  elements.matureFilterSelect.addEventListener('change', (event) => {
+    mergePreferences({ matureFilter: event.target.value });
+    render();
+    queuePreferenceSync();
+  });
+
   elements.sortSelect.addEventListener('change', (event) => {
     mergePreferences({ sortBy: event.target.value });
     render();
@@ -1166,6 +2390,26 @@ function attachEventHandlers() {
     });
   });
 
+  elements.addSmartTagButton?.addEventListener('click', promptCreateSmartTag);
+  elements.importPackButton?.addEventListener('click', promptImportTagPack);
+
+  document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = event.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal.show')) return;
+    event.preventDefault();
+    stepHistory(key === 'y' || event.shiftKey ? 'redo' : 'undo');
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || !state.selectedStreamerIds.length) return;
+    if (document.querySelector('.modal.show, .dropdown-menu.show')) return;
+    clearSelection();
+    render();
+  });
+
   document.addEventListener('click', (event) => {
     if (!event.target.closest('.tag-selector')) {
       closeOpenMenus();
@@ -1245,12 +2489,20 @@ async function initialize() {
 
 addRuntimeListener((message) => {
   if (message?.type === 'oauth:status') {
+    const previousUserId = state.auth?.user?.id || null;
     if (message.signedIn) {
       setAuth({ ...(state.auth || {}), user: message.user });
     } else {
       setAuth(null);
     }
+    setSession(message.session || null);
+    setAccounts(message.accounts);
     render();
+    // Device-code sign-ins finish on the options page, and other pages can
+    // switch or disconnect accounts
+    if (message.signedIn && message.user?.id !== previousUserId) {
+      loadData(false);
+    }
     return;
   }
 
@@ -1270,6 +2522,12 @@ addRuntimeListener((message) => {
     return;
   }
 
+  if (message?.type === 'views:updated' && message.savedViews) {
+    setSavedViews(message.savedViews);
+    render();
+    return;
+  }
+
   if (message?.type === 'preferences:updated' && message.preferences) {
     const previousLocale = state.preferences.languageOverride;
     mergePreferences(message.preferences);
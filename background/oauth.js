@@ -1,9 +1,33 @@
 import { launchWebAuthFlow, getRedirectURL } from '../src/util/extension.js';
-import { getAuthState, setAuthState, clearAuthState } from '../src/storage/index.js';
+import {
+  getAuthState,
+  setAuthState,
+  clearAuthState,
+  getPendingDeviceAuth,
+  setPendingDeviceAuth,
+  clearPendingDeviceAuth,
+} from '../src/storage/index.js';
 import { fetchCurrentUser } from '../src/api/twitch.js';
 import { TWITCH_CLIENT_ID, TWITCH_SCOPES } from '../src/config.js';
+import {
+  DEVICE_AUTH_PENDING,
+  DEVICE_AUTH_COMPLETE,
+  DEVICE_AUTH_EXPIRED,
+  DEVICE_AUTH_DENIED,
+} from '../src/util/constants.js';
 
 const TOKEN_EXPIRY_BUFFER_MS = 60 * 1000; // refresh 1 minute early
+const DEVICE_CODE_URL = 'https://id.twitch.tv/oauth2/device';
+const TOKEN_URL = 'https://id.twitch.tv/oauth2/token';
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEFAULT_DEVICE_POLL_INTERVAL_S = 5;
+const SLOW_DOWN_STEP_S = 5;
+
+// Problems with a stored token that need the user to reconnect
+export const SESSION_ISSUE_EXPIRING = 'expiring';
+export const SESSION_ISSUE_REVOKED = 'revoked';
+export const SESSION_ISSUE_SCOPES = 'scopes';
+export const SESSION_ISSUE_EXPIRED = 'expired';
 
 function generateStateToken() {
   const array = new Uint8Array(16);
@@ -56,19 +80,144 @@ function parseTokenFromRedirect(redirectUri) {
   };
 }
 
+function assertClientConfigured() {
+  if (!TWITCH_CLIENT_ID || TWITCH_CLIENT_ID.startsWith('REPLACE')) {
+    throw new Error('Set TWITCH_CLIENT_ID in src/config.js before signing in.');
+  }
+}
+
+/**
+ * Look up the account behind a new token and build the stored auth state.
+ * Nothing is saved here, so a failed lookup leaves the previous state intact.
+ * @param {{accessToken: string, expiresIn?: number, scope?: string|null, refreshToken?: string|null, expectedUserId?: string|null}} token
+ * @returns {Promise<object>} Auth state
+ */
+async function buildAuthState({ accessToken, expiresIn, scope, refreshToken = null, expectedUserId = null }) {
+  const user = await fetchCurrentUser(accessToken);
+  if (!user) {
+    throw new Error('Unable to fetch Twitch user profile.');
+  }
+
+  // Validate user object has required fields to prevent corruption
+  if (!user.id || !user.login) {
+    throw new Error('Invalid user profile returned from Twitch (missing required fields).');
+  }
+
+  if (expectedUserId && user.id !== expectedUserId) {
+    throw new Error('Twitch returned a token for a different account.');
+  }
+
+  const state = {
+    accessToken,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    scope,
+    user: {
+      id: user.id,
+      login: user.login,
+      displayName: user.display_name || user.login,
+      profileImageUrl: user.profile_image_url || '',
+    },
+  };
+  if (refreshToken) {
+    state.refreshToken = refreshToken;
+  }
+  return state;
+}
+
+async function postTokenForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: TWITCH_CLIENT_ID, ...params }),
+  });
+  const payload = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, payload };
+}
+
+async function saveTokenResponse(payload, expectedUserId = null) {
+  const state = await buildAuthState({
+    accessToken: payload.access_token,
+    expiresIn: Number(payload.expires_in) || 0,
+    // The token endpoint returns scopes as an array, the implicit grant as a string
+    scope: Array.isArray(payload.scope) ? payload.scope.join(' ') : payload.scope || null,
+    refreshToken: payload.refresh_token || null,
+    expectedUserId,
+  });
+  await setAuthState(state);
+  return state;
+}
+
 export async function getAuthStatus() {
   const state = await getAuthState();
   return isValidAuthState(state) ? state : null;
 }
 
+/**
+ * Auth state of the active account, even when its token has expired. The
+ * account stays signed in until the user disconnects it; surfaces show the
+ * reconnect banner instead.
+ * @returns {Promise<object|null>}
+ */
+export async function getSignedInState() {
+  const state = await getAuthState();
+  return state?.accessToken ? state : null;
+}
+
+/**
+ * Remove the active account's tokens. Callers go through
+ * `signOutActiveAccount`, which also parks or clears its cached data.
+ * @returns {Promise<void>}
+ */
 export async function signOut() {
   await clearAuthState();
 }
 
-export async function startOAuthFlow({ interactive = true, forcePrompt = interactive } = {}) {
-  if (!TWITCH_CLIENT_ID || TWITCH_CLIENT_ID.startsWith('REPLACE')) {
-    throw new Error('Set TWITCH_CLIENT_ID in src/config.js before signing in.');
+/**
+ * Session details the dashboard and popup need for the reconnect banner.
+ * @param {object|null} auth - Auth state
+ * @returns {{issue: string|null, expiresAt: number|null}}
+ */
+export function getSessionInfo(auth) {
+  const expired = !!auth && !isValidAuthState(auth);
+  return {
+    issue: auth?.sessionIssue || (expired ? SESSION_ISSUE_EXPIRED : null),
+    expiresAt: auth?.expiresAt || null,
+  };
+}
+
+/**
+ * Flag a problem with the stored token (or clear it with `null`) without
+ * signing out, so cached data stays visible while the user reconnects.
+ * @param {string|null} issue - One of the `SESSION_ISSUE_*` values
+ * @param {{expiresAt?: number|null}} [updates] - Expiry reported by Twitch
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+export async function setSessionIssue(issue, updates = {}) {
+  const state = await getAuthState();
+  if (!state) return false;
+  const expiresAt = 'expiresAt' in updates ? updates.expiresAt : state.expiresAt ?? null;
+  if ((state.sessionIssue || null) === issue && (state.expiresAt ?? null) === expiresAt) {
+    return false;
   }
+  await setAuthState({ ...state, expiresAt, sessionIssue: issue });
+  return true;
+}
+
+/**
+ * Run the Twitch implicit grant and store the new token. A failed flow leaves
+ * the stored accounts alone; only signing out removes one, so its cached data
+ * goes with it.
+ * @param {{interactive?: boolean, forcePrompt?: boolean, expectedUserId?: string|null}} [options]
+ *   `expectedUserId` rejects a token for another account (silent renewal can
+ *   pick up whoever is signed in to Twitch).
+ * @returns {Promise<object>} New auth state
+ */
+export async function startOAuthFlow({
+  interactive = true,
+  forcePrompt = interactive,
+  expectedUserId = null,
+} = {}) {
+  assertClientConfigured();
 
   const redirectUri = getRedirectURL('oauth');
   const authUrl = new URL('https://id.twitch.tv/oauth2/authorize');
@@ -84,72 +233,134 @@ export async function startOAuthFlow({ interactive = true, forcePrompt = interac
 
   const url = authUrl.toString();
   let redirectResponse;
-  let accessToken;
-  let user;
 
   try {
-    // Wrap entire OAuth flow in try-catch to prevent partial state corruption
-    try {
-      redirectResponse = await launchWebAuthFlow({ url, interactive });
-    } catch (error) {
-      const message = (error && error.message) || String(error);
-      if (/authorization page could not be loaded/i.test(message)) {
-        throw new Error(
-          `Twitch could not load the authorization page. Verify that ${redirectUri} is listed as an allowed redirect URL in your Twitch developer application.`,
-        );
-      }
-      throw error;
+    redirectResponse = await launchWebAuthFlow({ url, interactive });
+  } catch (error) {
+    const message = (error && error.message) || String(error);
+    if (/authorization page could not be loaded/i.test(message)) {
+      throw new Error(
+        `Twitch could not load the authorization page. Verify that ${redirectUri} is listed as an allowed redirect URL in your Twitch developer application.`,
+      );
     }
+    throw error;
+  }
 
-    const tokenResult = parseTokenFromRedirect(redirectResponse);
+  const tokenResult = parseTokenFromRedirect(redirectResponse);
 
-    if (!tokenResult) {
-      throw new Error('Twitch did not return an access token.');
-    }
+  if (!tokenResult) {
+    throw new Error('Twitch did not return an access token.');
+  }
 
-    if (tokenResult.state && tokenResult.state !== stateToken) {
-      throw new Error('OAuth state mismatch. Please try again.');
-    }
+  if (tokenResult.state && tokenResult.state !== stateToken) {
+    throw new Error('OAuth state mismatch. Please try again.');
+  }
 
-    accessToken = tokenResult.accessToken;
-    const { expiresIn, scope } = tokenResult;
+  const { accessToken, expiresIn, scope } = tokenResult;
 
-    // Fetch user profile - if this fails, we haven't saved any state yet
-    user = await fetchCurrentUser(accessToken);
-    if (!user) {
-      throw new Error('Unable to fetch Twitch user profile.');
-    }
+  // Fetch user profile - if this fails, we haven't saved any state yet
+  const state = await buildAuthState({ accessToken, expiresIn, scope, expectedUserId });
+  await setAuthState(state);
+  return state;
+}
 
-    // Validate user object has required fields to prevent corruption
-    if (!user.id || !user.login) {
-      throw new Error('Invalid user profile returned from Twitch (missing required fields).');
-    }
+/**
+ * Start a Device Code Grant. The user enters the returned code at the
+ * verification URL on any device; meanwhile `pollDeviceAuthorization` asks
+ * Twitch whether the code was confirmed. Starting again replaces any
+ * pending request.
+ * @returns {Promise<{userCode: string, verificationUri: string, expiresAt: number, interval: number}>}
+ */
+export async function startDeviceAuthorization() {
+  assertClientConfigured();
+  await clearPendingDeviceAuth();
 
-    // Only save auth state if ALL steps succeeded
-    const expiresAt = expiresIn ? Date.now() + expiresIn * 1000 : null;
-    const state = {
-      accessToken,
-      expiresAt,
-      scope,
-      user: {
-        id: user.id,
-        login: user.login,
-        displayName: user.display_name || user.login,
-        profileImageUrl: user.profile_image_url || '',
-      },
-    };
-
-    await setAuthState(state);
-    return state;
-  } catch (error) {
-    // If anything fails during OAuth flow, clear any partial auth state to prevent corruption
-    try {
-      await clearAuthState();
-    } catch (cleanupError) {
-      console.error('Failed to clean up auth state after OAuth error:', cleanupError);
+  const { ok, status, payload } = await postTokenForm(DEVICE_CODE_URL, { scopes: TWITCH_SCOPES.join(' ') });
+  if (!ok || !payload.device_code || !payload.user_code) {
+    throw new Error(payload.message || `Twitch did not return a device code (status ${status}).`);
+  }
+
+  const interval = Number(payload.interval) || DEFAULT_DEVICE_POLL_INTERVAL_S;
+  const expiresAt = Date.now() + (Number(payload.expires_in) || 0) * 1000;
+  // The device code never reaches the options page, which only polls
+  await setPendingDeviceAuth({ deviceCode: payload.device_code, interval, expiresAt });
+  return {
+    userCode: payload.user_code,
+    verificationUri: payload.verification_uri,
+    expiresAt,
+    interval,
+  };
+}
+
+/**
+ * Ask Twitch once whether the pending device code was confirmed. On success
+ * the token is stored in the same auth state shape as the browser sign-in,
+ * plus the refresh token used to renew it.
+ * @returns {Promise<{status: string, interval?: number, state?: object}>}
+ *   `status` is one of the `DEVICE_AUTH_*` values; `interval` is the number
+ *   of seconds to wait before polling again.
+ */
+export async function pollDeviceAuthorization() {
+  const pending = await getPendingDeviceAuth();
+  if (!pending || pending.expiresAt <= Date.now()) {
+    await clearPendingDeviceAuth();
+    return { status: DEVICE_AUTH_EXPIRED };
+  }
+
+  const { ok, status, payload } = await postTokenForm(TOKEN_URL, {
+    scopes: TWITCH_SCOPES.join(' '),
+    device_code: pending.deviceCode,
+    grant_type: DEVICE_CODE_GRANT_TYPE,
+  });
+
+  if (!ok) {
+    const message = String(payload.message || '').toLowerCase();
+    if (message.includes('authorization_pending')) {
+      return { status: DEVICE_AUTH_PENDING, interval: pending.interval };
     }
-    throw error;
+    if (message.includes('slow_down')) {
+      pending.interval += SLOW_DOWN_STEP_S;
+      await setPendingDeviceAuth(pending);
+      return { status: DEVICE_AUTH_PENDING, interval: pending.interval };
+    }
+    await clearPendingDeviceAuth();
+    if (message.includes('denied')) {
+      return { status: DEVICE_AUTH_DENIED };
+    }
+    if (message.includes('invalid device code') || message.includes('expired')) {
+      return { status: DEVICE_AUTH_EXPIRED };
+    }
+    throw new Error(payload.message || `Twitch token request failed (status ${status}).`);
   }
+
+  // Clear first, so a later poll can't store the token twice
+  await clearPendingDeviceAuth();
+  const state = await saveTokenResponse(payload);
+  return { status: DEVICE_AUTH_COMPLETE, state };
+}
+
+export async function cancelDeviceAuthorization() {
+  await clearPendingDeviceAuth();
+}
+
+/**
+ * Renew a device-code sign-in with its refresh token. Twitch hands out a new
+ * refresh token with every renewal, so the stored one is replaced as well.
+ * @param {object} state - Auth state with a `refreshToken`
+ * @returns {Promise<object>} New auth state
+ */
+export async function refreshDeviceToken(state) {
+  if (!state?.refreshToken) {
+    throw new Error('Authentication required');
+  }
+  const { ok, status, payload } = await postTokenForm(TOKEN_URL, {
+    grant_type: 'refresh_token',
+    refresh_token: state.refreshToken,
+  });
+  if (!ok || !payload.access_token) {
+    throw new Error(payload.message || `Twitch token refresh failed (status ${status}).`);
+  }
+  return saveTokenResponse(payload, state.user?.id || null);
 }
 
 export async function ensureAuth({ interactive = false } = {}) {
@@ -158,15 +369,33 @@ export async function ensureAuth({ interactive = false } = {}) {
     return existing;
   }
 
-  // Try silent renewal first (non-interactive)
+  // Device-code sign-ins renew with their refresh token; the browser flow
+  // may not even work where the user picked the device code instead
+  if (existing?.refreshToken) {
+    try {
+      return await refreshDeviceToken(existing);
+    } catch (error) {
+      console.warn('[OAuth] Device token refresh failed:', error.message || error);
+      if (!interactive) {
+        throw new Error('Authentication required');
+      }
+      return startOAuthFlow({ interactive: true, forcePrompt: true });
+    }
+  }
+
+  // Try silent renewal first (non-interactive). Twitch answers for whoever
+  // is signed in on twitch.tv, which may be another connected account.
   try {
-    const renewed = await startOAuthFlow({ interactive: false, forcePrompt: false });
+    const renewed = await startOAuthFlow({
+      interactive: false,
+      forcePrompt: false,
+      expectedUserId: existing?.user?.id || null,
+    });
     if (renewed) return renewed;
   } catch (error) {
     // If silent renewal fails with a recoverable error, continue to interactive flow
-    // If it's a non-recoverable error, we've already cleaned up auth state in startOAuthFlow
     if (!isRecoverableSilentOAuthError(error)) {
-      // Non-recoverable error - auth state already cleaned up, re-throw
+      // Non-recoverable error - the stored account is kept, re-throw
       throw error;
     }
     // Recoverable error (user interaction needed) - continue to interactive flow below
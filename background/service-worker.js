@@ -1,13 +1,27 @@
-import { extension, addRuntimeListener } from '../src/util/extension.js';
+import { extension, addRuntimeListener, addStorageListener } from '../src/util/extension.js';
 import {
   getPreferences,
   setPreferences,
-  clearFollowCache,
   getUpdateLog,
   clearUpdateLog,
   getTagState,
+  getSyncStorageUsage,
+  getStorageMode,
+  getSavedViews,
+  getSyncConflictLog,
+  clearSyncConflictLog,
+  isTagStateStorageKey,
+  getSignInMethod,
+  getAuthState,
 } from '../src/storage/index.js';
-import { startOAuthFlow, signOut, getAuthStatus } from './oauth.js';
+import {
+  startOAuthFlow,
+  getAuthStatus,
+  getSignedInState,
+  startDeviceAuthorization,
+  pollDeviceAuthorization,
+  cancelDeviceAuthorization,
+} from './oauth.js';
 import { broadcastAuthStatus } from '../src/background/auth.js';
 import {
   ensureLiveChecksRunning,
@@ -18,7 +32,13 @@ import {
   handleLiveAlarm,
   areLiveChecksRunning,
 } from '../src/background/liveTracking.js';
-import { refreshFollowCache, addStreamerToCache, removeStreamerFromCache } from '../src/background/followCache.js';
+import {
+  refreshFollowCache,
+  addStreamerToCache,
+  removeStreamerFromCache,
+  getStoredFollowCache,
+  CACHE_ITEMS_KEY,
+} from '../src/background/followCache.js';
 import {
   upsertTag,
   removeTag,
@@ -27,12 +47,63 @@ import {
   resetTagStateToDefault,
   reorderTags,
   normalizeTagState,
+  updateTagRules,
+  clearAutoAssignments,
+  bulkUpdateAssignments,
+  undoTagState,
+  redoTagState,
+  migrateTagStateStorage,
 } from '../src/background/tagState.js';
-import { handleExport, handleImport } from '../src/background/importExport.js';
+import { getTagHistorySummary } from '../src/background/tagHistory.js';
+import {
+  takeTagSnapshot,
+  listTagSnapshots,
+  previewTagSnapshot,
+  restoreTagSnapshot,
+  initializeTagSnapshots,
+  handleSnapshotAlarm,
+} from '../src/background/tagSnapshots.js';
+import {
+  handleExport,
+  handleImport,
+  handleMergeImport,
+  previewImport,
+} from '../src/background/importExport.js';
+import {
+  handleCsvExport,
+  previewCsvImport,
+  handleCsvImport,
+} from '../src/background/csvTransfer.js';
+import { exportTagPack, previewTagPack, importTagPack } from '../src/background/tagPacks.js';
+import { previewStorageModeSwitch, switchStorageMode } from '../src/background/storageMode.js';
+import { reconcileRemoteTagState } from '../src/background/syncMerge.js';
+import {
+  runRemoteSync,
+  getRemoteSyncOverview,
+  updateRemoteSyncSettings,
+  initializeRemoteSync,
+  REMOTE_SYNC_ALARM_NAME,
+} from '../src/background/remoteSync.js';
+import { saveView, removeView, pruneSavedViews } from '../src/background/savedViews.js';
+import { initializeSessionValidation, handleSessionAlarm } from '../src/background/session.js';
 import { getDashboardPayload } from '../src/background/payload.js';
+import { listAccounts, switchAccount, signOutActiveAccount } from '../src/background/accounts.js';
+import { scopeTagStateToAccount } from '../src/util/accountScope.js';
 import { normalizeNotificationTagIds } from '../src/util/notificationTags.js';
+import { normalizeTagFilter } from '../src/util/tagFilter.js';
+import { normalizeLanguageFilter, normalizeMatureFilter } from '../src/util/streamFilters.js';
+import {
+  IMPORT_MODE_MERGE,
+  SIGN_IN_METHOD_DEVICE,
+  DEVICE_SIGN_IN_HASH,
+  DEVICE_AUTH_COMPLETE,
+} from '../src/util/constants.js';
+import { normalizeCollapsedTagIds } from '../src/util/tagTree.js';
 
 extension.alarms.onAlarm.addListener(handleLiveAlarm);
+extension.alarms.onAlarm.addListener(handleSnapshotAlarm);
+extension.alarms.onAlarm.addListener(handleRemoteSyncAlarm);
+extension.alarms.onAlarm.addListener(handleSessionAlarm);
 
 function areStringArraysEqual(a = [], b = []) {
   if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
@@ -41,65 +112,237 @@ function areStringArraysEqual(a = [], b = []) {
   return a.every((value, index) => value === b[index]);
 }
 
-function broadcastPreferencesUpdated(preferences) {
+function broadcast(message) {
   try {
-    extension.runtime.sendMessage({ type: 'preferences:updated', preferences });
+    extension.runtime.sendMessage(message);
   } catch (error) {
     const messageText = error && error.message ? error.message : String(error);
     if (/receiving end does not exist/i.test(messageText) || /message port closed/i.test(messageText)) {
-      console.debug('[ServiceWorker] No listeners for preferences:updated broadcast.');
+      console.debug(`[ServiceWorker] No listeners for ${message.type} broadcast.`);
     } else {
-      console.warn('[ServiceWorker] Failed to broadcast preferences update', error);
+      console.warn(`[ServiceWorker] Failed to broadcast ${message.type}`, error);
     }
   }
 }
 
-async function sanitizeNotificationTagPreferences(tagStateInput = null) {
+function broadcastPreferencesUpdated(preferences) {
+  broadcast({ type: 'preferences:updated', preferences });
+}
+
+function broadcastSavedViewsUpdated(savedViews) {
+  broadcast({ type: 'views:updated', savedViews });
+}
+
+function pickTagFields(message, keys) {
+  return keys.reduce((fields, key) => {
+    if (Object.prototype.hasOwnProperty.call(message, key)) {
+      fields[key] = message[key];
+    }
+    return fields;
+  }, {});
+}
+
+async function assertConnectedAccount(accountId) {
+  if (accountId == null) return;
+  const accounts = await listAccounts();
+  if (!accounts.some((account) => account.id === String(accountId))) {
+    throw new Error('This Twitch account is not connected.');
+  }
+}
+
+function areTagFiltersEqual(a, b) {
+  return a.mode === b.mode
+    && areStringArraysEqual(a.include, b.include)
+    && areStringArraysEqual(a.exclude, b.exclude);
+}
+
+// Drop references to removed tags from preferences and saved views.
+async function sanitizeTagPreferences(tagStateInput = null) {
   const [currentPreferences, rawTagState] = await Promise.all([
     getPreferences(),
     tagStateInput ? Promise.resolve(tagStateInput) : getTagState(),
   ]);
   const tagState = normalizeTagState(rawTagState);
+  const prunedViews = await pruneSavedViews(tagState);
+  if (prunedViews) {
+    broadcastSavedViewsUpdated(prunedViews);
+  }
   const validTagIds = Object.keys(tagState.tags || {});
   const normalizedTagIds = normalizeNotificationTagIds(
     currentPreferences.notificationTagIds,
     validTagIds,
   );
+  const currentTagFilter = normalizeTagFilter(currentPreferences.tagFilter);
+  const normalizedTagFilter = normalizeTagFilter(currentTagFilter, validTagIds);
 
-  if (areStringArraysEqual(currentPreferences.notificationTagIds || [], normalizedTagIds)) {
+  if (
+    areStringArraysEqual(currentPreferences.notificationTagIds || [], normalizedTagIds)
+    && areTagFiltersEqual(currentTagFilter, normalizedTagFilter)
+  ) {
     return currentPreferences;
   }
 
   const nextPreferences = {
     ...currentPreferences,
     notificationTagIds: normalizedTagIds,
+    tagFilter: normalizedTagFilter,
   };
   await setPreferences(nextPreferences);
   broadcastPreferencesUpdated(nextPreferences);
   return nextPreferences;
 }
 
+// Shards of one write arrive as separate change events; wait for them to settle.
+const SYNC_MERGE_DELAY_MS = 1500;
+let syncMergeTimer = null;
+
+async function reconcileSyncedTagState() {
+  const result = await reconcileRemoteTagState();
+  if (result.changed) {
+    await sanitizeTagPreferences(result.tagState);
+    await syncLiveAssignments(result.tagState.assignments);
+  }
+  return result;
+}
+
+function handleStorageChanged(changes, areaName) {
+  if (areaName !== 'sync' || !Object.keys(changes).some(isTagStateStorageKey)) {
+    return;
+  }
+  clearTimeout(syncMergeTimer);
+  syncMergeTimer = setTimeout(() => {
+    syncMergeTimer = null;
+    reconcileSyncedTagState().catch((error) => {
+      console.warn('[ServiceWorker] Failed to merge synced tag state:', error);
+    });
+  }, SYNC_MERGE_DELAY_MS);
+}
+
+addStorageListener(handleStorageChanged);
+
+async function runRemoteSyncAndRefresh() {
+  const { result, applied } = await runRemoteSync();
+  if (applied) {
+    await sanitizeTagPreferences(applied.tagState);
+    if (applied.savedViews) {
+      broadcastSavedViewsUpdated(applied.savedViews);
+    }
+    await syncLiveAssignments(applied.tagState.assignments);
+  }
+  return result;
+}
+
+async function handleRemoteSyncAlarm(alarm) {
+  if (alarm.name !== REMOTE_SYNC_ALARM_NAME) {
+    return;
+  }
+  try {
+    await runRemoteSyncAndRefresh();
+  } catch (error) {
+    console.warn('[ServiceWorker] Remote sync failed:', error);
+  }
+}
+
+// Null when nothing is cached yet, so imports don't report every streamer as unknown.
+async function getFollowedStreamers() {
+  const cache = await getStoredFollowCache();
+  const items = cache?.[CACHE_ITEMS_KEY];
+  return Array.isArray(items) ? items : null;
+}
+
+async function getCsvImportContext() {
+  const [auth, streamers] = await Promise.all([getAuthStatus(), getFollowedStreamers()]);
+  return {
+    token: auth?.accessToken || null,
+    streamers,
+  };
+}
+
+async function getActiveAccountId() {
+  return (await getAuthState())?.user?.id || null;
+}
+
+/**
+ * Surfaces only ever see the tags of the active account; the stored state,
+ * and with it exports and sync, keeps every account's tags.
+ * @param {unknown} data - Handler result
+ * @returns {Promise<unknown>}
+ */
+async function scopeResponseTagState(data) {
+  if (!data?.tagState) {
+    return data;
+  }
+  return { ...data, tagState: scopeTagStateToAccount(data.tagState, await getActiveAccountId()) };
+}
+
+// Fill the cache before announcing the sign-in, so pages that reload on the
+// broadcast don't start a second follow list rebuild
+async function completeSignIn(user) {
+  await switchAccount(user.id);
+  try {
+    await refreshFollowCache(true);
+  } finally {
+    await broadcastAuthStatus();
+  }
+  await ensureLiveChecksRunning({ runImmediately: true });
+}
+
 const handlers = {
   async 'oauth:start'() {
+    if ((await getSignInMethod()) === SIGN_IN_METHOD_DEVICE) {
+      // The code has to stay visible while the user confirms it elsewhere,
+      // which the popup can't do; the options page shows it instead
+      await extension.tabs.create({
+        url: extension.runtime.getURL(`options/options.html#${DEVICE_SIGN_IN_HASH}`),
+      });
+      return { user: null, deviceSignIn: true };
+    }
     const state = await startOAuthFlow({ interactive: true });
-    await broadcastAuthStatus();
-    await refreshFollowCache(true);
-    await ensureLiveChecksRunning({ runImmediately: true });
+    await completeSignIn(state.user);
     return { user: state.user };
   },
 
+  async 'oauth:device:start'() {
+    return startDeviceAuthorization();
+  },
+
+  async 'oauth:device:poll'() {
+    const result = await pollDeviceAuthorization();
+    if (result.status !== DEVICE_AUTH_COMPLETE) {
+      return result;
+    }
+    await completeSignIn(result.state.user);
+    return { status: result.status, user: result.state.user };
+  },
+
+  async 'oauth:device:cancel'() {
+    await cancelDeviceAuthorization();
+    return { ok: true };
+  },
+
   async 'oauth:status:request'() {
-    const auth = await getAuthStatus();
+    const auth = await getSignedInState();
     return { signedIn: !!auth, user: auth?.user || null };
   },
 
   async 'oauth:signout'() {
-    await signOut();
-    await clearFollowCache();
-    await stopLiveChecks();
-    await clearLiveState();
+    const next = await signOutActiveAccount();
+    if (next) {
+      await broadcastAuthStatus();
+      await ensureLiveChecksRunning({ runImmediately: true });
+    } else {
+      await stopLiveChecks();
+      await clearLiveState();
+      await broadcastAuthStatus();
+    }
+    return { ok: true, user: next?.user || null };
+  },
+
+  async 'accounts:switch'(message = {}) {
+    const state = await switchAccount(message.userId);
     await broadcastAuthStatus();
-    return { ok: true };
+    await ensureLiveChecksRunning({ runImmediately: true });
+    return { user: state.user };
   },
 
   async 'data:request'(message = {}) {
@@ -128,7 +371,7 @@ const handlers = {
     if (!auth) {
       throw new Error('Not authenticated');
     }
-    await addStreamerToCache(auth.accessToken, message.login);
+    await addStreamerToCache(auth.accessToken, message.login, auth.user.id);
     return { ok: true };
   },
 
@@ -137,19 +380,31 @@ const handlers = {
     return { ok: true };
   },
 
+  async 'tag:state'() {
+    return { tagState: normalizeTagState(await getTagState()) };
+  },
+
   async 'tag:create'(message) {
-    const state = await upsertTag({ name: message.name, color: message.color });
+    await assertConnectedAccount(message.accountId);
+    const state = await upsertTag(pickTagFields(message, ['name', 'color', 'parentId', 'smart', 'accountId']));
     return { tagState: state };
   },
 
   async 'tag:update'(message) {
-    const state = await upsertTag({ name: message.name, color: message.color }, message.tagId);
+    await assertConnectedAccount(message.accountId);
+    const state = await upsertTag(
+      pickTagFields(message, ['name', 'color', 'parentId', 'smart', 'accountId']),
+      message.tagId,
+    );
+    if (message.smart) {
+      await syncLiveAssignments(state.assignments);
+    }
     return { tagState: state };
   },
 
   async 'tag:remove'(message) {
     const state = await removeTag(message.tagId);
-    await sanitizeNotificationTagPreferences(state);
+    await sanitizeTagPreferences(state);
     await syncLiveAssignments(state.assignments);
     return { tagState: state };
   },
@@ -161,16 +416,67 @@ const handlers = {
   },
 
   async 'tag:replace'(message) {
-    const state = await replaceAssignments(message.streamerId, message.tagIds || []);
+    const state = await replaceAssignments(message.streamerId, message.tagIds || [], {
+      accountId: await getActiveAccountId(),
+    });
     await syncLiveAssignments(state.assignments, { changedStreamerId: message.streamerId });
     return { tagState: state };
   },
 
+  async 'tag:bulk'(message = {}) {
+    const result = await bulkUpdateAssignments(message.streamerIds, {
+      add: message.add,
+      remove: message.remove,
+      clear: !!message.clear,
+      accountId: await getActiveAccountId(),
+    });
+    if (result.changed > 0) {
+      await syncLiveAssignments(result.state.assignments);
+    }
+    return { tagState: result.state, changed: result.changed };
+  },
+
   async 'tag:reorder'(message = {}) {
-    const state = await reorderTags(message.tagIds || []);
+    const state = await reorderTags(message.tagIds || [], message.parents || null, {
+      accountId: await getActiveAccountId(),
+    });
     return { tagState: state };
   },
 
+  async 'rule:update'(message = {}) {
+    const cache = await getStoredFollowCache();
+    const result = await updateTagRules(message.tagId, message.rules ?? null, {
+      streamers: cache?.[CACHE_ITEMS_KEY] || [],
+      removeAutoAssignments: !!message.removeAutoAssignments,
+    });
+    await syncLiveAssignments(result.state.assignments);
+    return { tagState: result.state, applied: result.applied, removed: result.removed };
+  },
+
+  async 'rule:clearAuto'(message = {}) {
+    const result = await clearAutoAssignments(message.tagId);
+    await syncLiveAssignments(result.state.assignments);
+    return { tagState: result.state, removed: result.removed };
+  },
+
+  async 'history:get'() {
+    return { history: await getTagHistorySummary() };
+  },
+
+  async 'history:undo'() {
+    const result = await undoTagState();
+    await sanitizeTagPreferences(result.state);
+    await syncLiveAssignments(result.state.assignments);
+    return { tagState: result.state, entry: result.entry, history: result.history };
+  },
+
+  async 'history:redo'() {
+    const result = await redoTagState();
+    await sanitizeTagPreferences(result.state);
+    await syncLiveAssignments(result.state.assignments);
+    return { tagState: result.state, entry: result.entry, history: result.history };
+  },
+
   async 'preferences:update'(message) {
     const current = await getPreferences();
     const tagState = normalizeTagState(await getTagState());
@@ -179,6 +485,10 @@ const handlers = {
     const next = {
       ...proposed,
       notificationTagIds: normalizeNotificationTagIds(proposed.notificationTagIds, validTagIds),
+      tagFilter: normalizeTagFilter(proposed.tagFilter, validTagIds),
+      collapsedTagIds: normalizeCollapsedTagIds(proposed.collapsedTagIds, validTagIds),
+      languageFilter: normalizeLanguageFilter(proposed.languageFilter),
+      matureFilter: normalizeMatureFilter(proposed.matureFilter),
     };
     await setPreferences(next);
     broadcastPreferencesUpdated(next);
@@ -186,25 +496,152 @@ const handlers = {
     return { preferences: next };
   },
 
+  async 'view:save'(message = {}) {
+    const savedViews = await saveView(
+      { name: message.name, fields: message.fields },
+      message.viewId,
+    );
+    broadcastSavedViewsUpdated(savedViews);
+    return { savedViews };
+  },
+
+  async 'view:remove'(message = {}) {
+    const savedViews = await removeView(message.viewId);
+    broadcastSavedViewsUpdated(savedViews);
+    return { savedViews };
+  },
+
   async 'data:reset'() {
+    await takeTagSnapshot('reset');
     const tagState = await resetTagStateToDefault();
-    await sanitizeNotificationTagPreferences(tagState);
+    await sanitizeTagPreferences(tagState);
     await clearLiveState();
     return { tagState };
   },
 
   async 'data:export'() {
-    return handleExport();
+    return handleExport(await getFollowedStreamers());
+  },
+
+  async 'data:importPreview'(message = {}) {
+    return previewImport(message.payload, {
+      mode: message.mode,
+      resolutions: message.resolutions,
+      streamers: await getFollowedStreamers(),
+      accountId: await getActiveAccountId(),
+    });
   },
 
   async 'data:import'(message) {
-    const result = await handleImport(message.payload);
-    await sanitizeNotificationTagPreferences(result.tagState);
+    const streamers = await getFollowedStreamers();
+    await takeTagSnapshot('import');
+    const result = message.mode === IMPORT_MODE_MERGE
+      ? await handleMergeImport(message.payload, {
+        resolutions: message.resolutions,
+        streamers,
+        accountId: await getActiveAccountId(),
+      })
+      : await handleImport(message.payload, { streamers });
+    await sanitizeTagPreferences(result.tagState);
+    if (result.savedViews) {
+      broadcastSavedViewsUpdated(result.savedViews);
+    }
+    await syncLiveAssignments(result.tagState.assignments);
+    await ensureLiveChecksRunning({ runImmediately: true });
+    return result;
+  },
+
+  async 'data:exportCsv'() {
+    return { csv: await handleCsvExport((await getFollowedStreamers()) || []) };
+  },
+
+  async 'data:importCsvPreview'(message = {}) {
+    return previewCsvImport(message.text, await getCsvImportContext());
+  },
+
+  async 'data:importCsv'(message = {}) {
+    const context = await getCsvImportContext();
+    await takeTagSnapshot('import');
+    const result = await handleCsvImport(message.text, context);
+    await sanitizeTagPreferences(result.tagState);
     await syncLiveAssignments(result.tagState.assignments);
     await ensureLiveChecksRunning({ runImmediately: true });
     return result;
   },
 
+  async 'pack:export'(message = {}) {
+    return { pack: await exportTagPack(message.tagId, (await getFollowedStreamers()) || []) };
+  },
+
+  async 'pack:preview'(message = {}) {
+    return previewTagPack(message.pack, await getFollowedStreamers(), await getActiveAccountId());
+  },
+
+  async 'pack:import'(message = {}) {
+    const result = await importTagPack(message.pack, await getFollowedStreamers(), await getActiveAccountId());
+    await syncLiveAssignments(result.tagState.assignments);
+    return result;
+  },
+
+  async 'snapshot:list'() {
+    return { snapshots: await listTagSnapshots() };
+  },
+
+  async 'snapshot:create'() {
+    const snapshot = await takeTagSnapshot('manual');
+    return { snapshot, snapshots: await listTagSnapshots() };
+  },
+
+  async 'snapshot:preview'(message = {}) {
+    return previewTagSnapshot(message.snapshotId);
+  },
+
+  async 'snapshot:restore'(message = {}) {
+    const tagState = await restoreTagSnapshot(message.snapshotId);
+    await sanitizeTagPreferences(tagState);
+    await syncLiveAssignments(tagState.assignments);
+    return { tagState, snapshots: await listTagSnapshots() };
+  },
+
+  async 'storage:usage'() {
+    const [usage, mode] = await Promise.all([getSyncStorageUsage(), getStorageMode()]);
+    return { ...usage, mode };
+  },
+
+  async 'storage:modePreview'(message = {}) {
+    return previewStorageModeSwitch(message.mode);
+  },
+
+  async 'storage:setMode'(message = {}) {
+    const result = await switchStorageMode(message.mode, { keep: message.keep || null });
+    if (result.changed) {
+      const tagState = normalizeTagState(await getTagState());
+      const preferences = await sanitizeTagPreferences(tagState);
+      broadcastPreferencesUpdated(preferences);
+      broadcastSavedViewsUpdated(await getSavedViews());
+      await syncLiveAssignments(tagState.assignments);
+    }
+    return result;
+  },
+
+  async 'remoteSync:get'() {
+    return getRemoteSyncOverview();
+  },
+
+  async 'remoteSync:save'(message = {}) {
+    await updateRemoteSyncSettings(message.settings || {});
+    return getRemoteSyncOverview();
+  },
+
+  async 'remoteSync:run'() {
+    try {
+      await runRemoteSyncAndRefresh();
+    } catch (error) {
+      console.warn('[ServiceWorker] Remote sync failed:', error);
+    }
+    return getRemoteSyncOverview();
+  },
+
   async 'debug:getLog'() {
     try {
       const logs = await getUpdateLog();
@@ -224,6 +661,15 @@ const handlers = {
       throw error;
     }
   },
+
+  async 'debug:getSyncConflicts'() {
+    return { conflicts: await getSyncConflictLog() };
+  },
+
+  async 'debug:clearSyncConflicts'() {
+    await clearSyncConflictLog();
+    return { ok: true };
+  },
 };
 
 addRuntimeListener((message, sender, sendResponse) => {
@@ -232,6 +678,7 @@ addRuntimeListener((message, sender, sendResponse) => {
   if (!handler) return false;
 
   handler(message)
+    .then(scopeResponseTagState)
     .then((data) => sendResponse({ ok: true, data }))
     .catch((error) => {
       console.error('Background handler error', message.type, error);
@@ -248,3 +695,21 @@ broadcastAuthStatus().catch((error) => {
 initializeLiveTracking().catch((error) => {
   console.warn('Failed to initialize live tracking:', error);
 });
+
+migrateTagStateStorage()
+  .then(() => reconcileSyncedTagState())
+  .catch((error) => {
+    console.warn('Failed to migrate or merge tag state storage:', error);
+  });
+
+initializeTagSnapshots().catch((error) => {
+  console.warn('Failed to initialize tag snapshots:', error);
+});
+
+initializeRemoteSync().catch((error) => {
+  console.warn('Failed to initialize remote sync:', error);
+});
+
+initializeSessionValidation().catch((error) => {
+  console.warn('Failed to initialize token validation:', error);
+});
@@ -7,6 +7,7 @@
 
 // Constants
 const STARRED_TAG_ID = 'favorite';
+const TAG_SHARD_KEY_PREFIX = 'tagShard_';
 const HIGHLIGHT_CLASS = 'ttagger-starred';
 const TAG_CONTAINER_CLASS = 'ttagger-sidebar-tag-badges';
 const TAG_BADGE_CLASS = 'ttagger-sidebar-tag-badge';
@@ -196,12 +197,21 @@ function getCardUsername(cardElement) {
   return extractUsername(href);
 }
 
+/**
+ * Storage area holding preferences and tags: sync, unless this browser
+ * profile keeps its data local-only
+ */
+async function getDataArea() {
+  const result = await chrome.storage.local.get('storageMode');
+  return result.storageMode === 'local' ? 'local' : 'sync';
+}
+
 /**
  * Fetch the highlighting enabled preference from storage
  */
 async function fetchHighlightingPreference() {
   try {
-    const result = await chrome.storage.sync.get('preferences');
+    const result = await chrome.storage[await getDataArea()].get('preferences');
     const preferences = result.preferences || {};
     highlightingEnabled = preferences.twitchHighlighting !== false;
     sidebarTagsEnabled = preferences.twitchSidebarTags !== false;
@@ -224,12 +234,11 @@ async function fetchHighlightingPreference() {
  */
 async function fetchStarredStreamers() {
   try {
-    // Get both tag assignments and follow cache
-    const result = await chrome.storage.local.get(['tagState', 'followCache']);
-
-    // First get the starred IDs from tagState (stored in sync)
-    const syncResult = await chrome.storage.sync.get('tagState');
-    const tagState = syncResult.tagState || { assignments: {}, tags: {} };
+    // Get the follow cache and the tag state (sharded in sync storage, so
+    // ask the background script to assemble it)
+    const result = await chrome.storage.local.get('followCache');
+    const response = await chrome.runtime.sendMessage({ type: 'tag:state' });
+    const tagState = (response?.ok && response.data?.tagState) || { assignments: {}, tags: {} };
     const assignments = tagState.assignments || {};
     const tagsById = tagState.tags || {};
 
@@ -478,21 +487,30 @@ function observeSidebar() {
   return observer;
 }
 
+/**
+ * Whether a sync storage change touches the tag state index or one of its shards
+ */
+function hasTagStateChange(changes) {
+  return Object.keys(changes).some((key) => key === 'tagState' || key.startsWith(TAG_SHARD_KEY_PREFIX));
+}
+
 /**
  * Listen for storage changes to update highlighting in real-time
  */
 function setupStorageListener() {
-  chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'sync') {
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    // Switching between sync and local-only storage swaps all user data
+    const modeChanged = areaName === 'local' && !!changes.storageMode;
+    if (modeChanged || areaName === await getDataArea()) {
       // Tag state changed, refetch starred streamers and update
-      if (changes.tagState) {
+      if (modeChanged || hasTagStateChange(changes)) {
         fetchStarredStreamers().then(() => {
           updateHighlighting();
         });
       }
 
       // Preferences changed, check if highlighting was toggled
-      if (changes.preferences) {
+      if (modeChanged || changes.preferences) {
         fetchHighlightingPreference().then(() => {
           updateHighlighting();
         });
@@ -54,6 +54,7 @@
   const STAR_SVG_PATH = 'M47.755 3.765l11.525 23.353c0.448 0.907 1.313 1.535 2.314 1.681l25.772 3.745c2.52 0.366 3.527 3.463 1.703 5.241L70.42 55.962c-0.724 0.706-1.055 1.723-0.884 2.72l4.402 25.667c0.431 2.51-2.204 4.424-4.458 3.239L46.43 75.47c-0.895-0.471-1.965-0.471-2.86 0L20.519 87.588c-2.254 1.185-4.889-0.729-4.458-3.239l4.402-25.667c0.171-0.997-0.16-2.014-0.884-2.72L0.931 37.784c-1.824-1.778-0.817-4.875 1.703-5.241l25.772-3.745c1.001-0.145 1.866-0.774 2.314-1.681L42.245 3.765c1.127-2.284 4.383-2.284 5.51 0z';
   const TAG_SVG_PATH = 'm483.24 0h-150.29c-27.556 0-66.04 15.94-85.52 35.424l-232.81 232.81c-19.483 19.483-19.483 51.37 0 70.85l179.64 179.64c19.483 19.484 51.37 19.484 70.849 0l232.81-232.81c19.483-19.484 35.424-57.969 35.424-85.52v-150.29c-.0001-27.554-22.544-50.1-50.1-50.1m-66.57 166.67c-27.614 0-50-22.385-50-50 0-27.614 22.386-50 50-50 27.614 0 50 22.386 50 50 0 27.614-22.386 50-50 50z';
   const DEBUG_PREFIX = '[TTagger Streamer Page]';
+  const TAG_SHARD_KEY_PREFIX = 'tagShard_';
 
   // State
   let currentStreamerUsername = null;
@@ -156,10 +157,23 @@
     }
   }
 
+  /**
+   * Storage area holding preferences and tags: sync, unless this browser
+   * profile keeps its data local-only
+   */
+  async function getDataArea() {
+    const result = await chrome.storage.local.get('storageMode');
+    return result.storageMode === 'local' ? 'local' : 'sync';
+  }
+
+  async function getStoredPreferences() {
+    const result = await chrome.storage[await getDataArea()].get('preferences');
+    return result?.preferences || {};
+  }
+
   async function loadDebugLoggingPreference() {
     try {
-      const result = await chrome.storage.sync.get('preferences');
-      const preferences = result.preferences || {};
+      const preferences = await getStoredPreferences();
       setDebugLogging(preferences.debugLogging === true);
     } catch (error) {
       LOG_DEBUG = false;
@@ -182,8 +196,7 @@
       return;
     }
     try {
-      const result = await chrome.storage.sync.get('preferences');
-      const preferences = result?.preferences || {};
+      const preferences = await getStoredPreferences();
       const languagePreference = preferences.languageOverride ?? LANGUAGE_SYSTEM;
       const applied = await setLanguageOverride(languagePreference);
       activeLanguageOverride = applied ?? null;
@@ -324,8 +337,9 @@
   async function fetchTagState() {
     try {
       debug('Fetching tag state...');
-      const result = await chrome.storage.sync.get('tagState');
-      tagState = result.tagState || { tags: {}, assignments: {}, nextId: 1 };
+      // Tag state is sharded in sync storage; the background script assembles it
+      const response = await chrome.runtime.sendMessage({ type: 'tag:state' });
+      tagState = (response?.ok && response.data?.tagState) || { tags: {}, assignments: {}, nextId: 1 };
       debug('Tag state loaded:', Object.keys(tagState.tags || {}).length, 'tags');
       return tagState;
     } catch (error) {
@@ -726,9 +740,9 @@
       return section;
     }
 
-    // Get all custom tags (sorted, excluding starred tag)
+    // Get all custom tags (sorted, excluding starred and smart tags)
     const sortedTags = Object.entries(tagState.tags)
-      .filter(([id]) => id !== STARRED_TAG_ID)
+      .filter(([id, tag]) => id !== STARRED_TAG_ID && !tag.smart)
       .sort((a, b) => (a[1].sortOrder || 0) - (b[1].sortOrder || 0));
 
     if (sortedTags.length === 0) {
@@ -977,7 +991,7 @@
 
     // Get sorted tags
     const sortedTags = Object.entries(tagState.tags)
-      .filter(([id]) => id !== STARRED_TAG_ID)
+      .filter(([id, tag]) => id !== STARRED_TAG_ID && !tag.smart)
       .sort((a, b) => (a[1].sortOrder || 0) - (b[1].sortOrder || 0));
 
     const assignedTagsData = sortedTags.filter(([tagId]) => assignedTags.includes(tagId));
@@ -1341,15 +1355,29 @@
   function setupStorageListener() {
     // Define listener function so we can remove it later
     const listener = async (changes, areaName) => {
-      if (areaName === 'sync') {
-        if (changes.tagState) {
+      // Switching between sync and local-only storage swaps all user data
+      const modeChanged = areaName === 'local' && !!changes.storageMode;
+      // Tags scoped to a Twitch account only show while that account is active
+      const accountChanged = areaName === 'local' && !!changes.authAccounts
+        && changes.authAccounts.oldValue?.activeUserId !== changes.authAccounts.newValue?.activeUserId;
+      if (accountChanged) {
+        await fetchTagState();
+        updateStarButton();
+        updateTagsSection();
+      }
+      if (modeChanged || areaName === await getDataArea()) {
+        const tagStateChanged = modeChanged || Object.keys(changes)
+          .some((key) => key === 'tagState' || key.startsWith(TAG_SHARD_KEY_PREFIX));
+        if (tagStateChanged) {
           await fetchTagState();
           updateStarButton();
           updateTagsSection();
         }
 
-        if (changes.preferences) {
-          const nextPreferences = changes.preferences.newValue || {};
+        if (modeChanged || changes.preferences) {
+          const nextPreferences = modeChanged
+            ? await getStoredPreferences()
+            : changes.preferences.newValue || {};
           setDebugLogging(nextPreferences.debugLogging === true);
           const nextLocale = nextPreferences.languageOverride ?? LANGUAGE_SYSTEM;
           try {
@@ -1,13 +1,28 @@
-import { sendRuntimeMessage, invoke, addRuntimeListener } from '../src/util/extension.js';
+import { sendRuntimeMessage, invoke, addRuntimeListener, requestHostPermissions } from '../src/util/extension.js';
 import { handleUserError } from '../src/util/errors.js';
 import { localize, getMessageStrict, setLanguageOverride } from '../src/util/i18n.js';
-import { getPreferences, constants as storageConstants } from '../src/storage/index.js';
+import {
+  getPreferences,
+  getSignInMethod,
+  setSignInMethod,
+  constants as storageConstants,
+} from '../src/storage/index.js';
 import { createLiveNotification } from '../src/util/notifications.js';
+import { parseRemoteSyncUrl } from '../src/util/validators.js';
+import {
+  SIGN_IN_METHOD_BROWSER,
+  SIGN_IN_METHOD_DEVICE,
+  DEVICE_SIGN_IN_HASH,
+  DEVICE_AUTH_PENDING,
+  DEVICE_AUTH_COMPLETE,
+  DEVICE_AUTH_DENIED,
+} from '../src/util/constants.js';
 
 let currentLanguagePreference = 'system';
 let activeLanguageOverride = null;
 const DEFAULT_HIGHLIGHT_COLOR = '#ffd700';
 let currentHighlightColor = DEFAULT_HIGHLIGHT_COLOR;
+let devicePollTimer = null;
 
 const localizationReady = (async () => {
   try {
@@ -31,8 +46,17 @@ const escapeHtml = (value) => {
 };
 
 const exportButton = document.getElementById('export-button');
+const exportCsvButton = document.getElementById('export-csv-button');
 const importInput = document.getElementById('import-input');
 const signoutButton = document.getElementById('signout-button');
+const connectButton = document.getElementById('connect-button');
+const signInMethodBrowser = document.getElementById('sign-in-method-browser');
+const signInMethodDevice = document.getElementById('sign-in-method-device');
+const deviceSignInPanel = document.getElementById('device-sign-in-panel');
+const deviceUserCodeEl = document.getElementById('device-user-code');
+const deviceVerificationLink = document.getElementById('device-verification-link');
+const deviceSignInStatusEl = document.getElementById('device-sign-in-status');
+const deviceSignInCancelButton = document.getElementById('device-sign-in-cancel');
 const statusButton = document.getElementById('status-button');
 const notificationsToggle = document.getElementById('notifications-toggle');
 const notificationCutoffInput = document.getElementById('notification-cutoff');
@@ -51,7 +75,34 @@ const refreshLogButton = document.getElementById('refresh-log');
 const clearLogButton = document.getElementById('clear-log');
 const exportLogButton = document.getElementById('export-log');
 const logEntriesEl = document.getElementById('log-entries');
+const refreshSyncConflictsButton = document.getElementById('refresh-sync-conflicts');
+const clearSyncConflictsButton = document.getElementById('clear-sync-conflicts');
+const syncConflictEntriesEl = document.getElementById('sync-conflict-entries');
 const languageSelect = document.getElementById('language-select');
+const snapshotCreateButton = document.getElementById('snapshot-create-button');
+const snapshotEntriesEl = document.getElementById('snapshot-entries');
+const snapshotPreviewEl = document.getElementById('snapshot-preview');
+const syncStorageTotalEl = document.getElementById('sync-storage-total');
+const syncStorageEntriesEl = document.getElementById('sync-storage-entries');
+const syncStorageRefreshButton = document.getElementById('sync-storage-refresh');
+const storageModeToggle = document.getElementById('storage-mode-toggle');
+const storageModeChoiceEl = document.getElementById('storage-mode-choice');
+const remoteSyncForm = document.getElementById('remote-sync-form');
+const remoteSyncEnabledToggle = document.getElementById('remote-sync-enabled');
+const remoteSyncUrlInput = document.getElementById('remote-sync-url');
+const remoteSyncUsernameInput = document.getElementById('remote-sync-username');
+const remoteSyncPasswordInput = document.getElementById('remote-sync-password');
+const remoteSyncIntervalSelect = document.getElementById('remote-sync-interval');
+const remoteSyncRunButton = document.getElementById('remote-sync-run');
+const remoteSyncStatusEl = document.getElementById('remote-sync-status');
+const importPanel = document.getElementById('import-panel');
+const importPanelTitle = document.getElementById('import-panel-title');
+const importModeOptions = document.getElementById('import-mode-options');
+const importModeMerge = document.getElementById('import-mode-merge');
+const importModeReplace = document.getElementById('import-mode-replace');
+const importPreviewEl = document.getElementById('import-preview');
+const importConfirmButton = document.getElementById('import-confirm-button');
+const importCancelButton = document.getElementById('import-cancel-button');
 
 const testNotificationsButton = document.getElementById('test-notifications-button');
 const toggleDebuggingButton = document.getElementById('toggle-debugging');
@@ -109,22 +160,30 @@ function syncHighlightColorInputs(color) {
   }
 }
 
+function downloadFile(contents, type, fileName) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  setTimeout(() => {
+    document.body.removeChild(anchor);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+function getExportTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
 async function handleExport() {
   hideStatus();
   try {
     const data = await invoke('data:export');
     const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const anchor = document.createElement('a');
-    anchor.href = url;
-    anchor.download = `twitch-tagger-export-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-    document.body.appendChild(anchor);
-    anchor.click();
-    setTimeout(() => {
-      document.body.removeChild(anchor);
-      URL.revokeObjectURL(url);
-    }, 0);
+    downloadFile(json, 'application/json', `twitch-tagger-export-${getExportTimestamp()}.json`);
     showStatus(t('options_export_success'));
   } catch (error) {
     const message = error?.message || t('options_export_error');
@@ -133,37 +192,436 @@ async function handleExport() {
   }
 }
 
+async function handleCsvExport() {
+  hideStatus();
+  try {
+    const { csv } = await invoke('data:exportCsv');
+    downloadFile(csv, 'text/csv;charset=utf-8', `twitch-tagger-export-${getExportTimestamp()}.csv`);
+    showStatus(t('options_export_success'));
+  } catch (error) {
+    const message = error?.message || t('options_export_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
+const IMPORT_PREVIEW_ROW_LIMIT = 50;
+let pendingImport = null;
+
+function getImportMode() {
+  return importModeReplace?.checked ? 'replace' : 'merge';
+}
+
+function closeImportPanel() {
+  pendingImport = null;
+  importPanel?.classList.add('d-none');
+  if (importPreviewEl) importPreviewEl.innerHTML = '';
+}
+
+function renderColorSwatch(color) {
+  return color
+    ? `<span class="d-inline-block rounded-circle align-middle me-1" style="width: 0.75rem; height: 0.75rem; background: ${escapeHtml(color)};"></span>`
+    : '';
+}
+
+function renderImportConflictSide(side) {
+  const parent = side.parent || t('options_import_conflict_top_level');
+  return `${renderColorSwatch(side.color)}<small>${escapeHtml(parent)}</small>`;
+}
+
+function describeImportIssue(issue) {
+  if (issue.section === 'rows') {
+    return issue.name
+      ? t('options_import_issue_line_named', [String(issue.line), issue.name])
+      : t('options_import_issue_line', [String(issue.line)]);
+  }
+  if (issue.index === null) {
+    return t('options_import_issue_file');
+  }
+  const position = String(issue.index + 1);
+  if (issue.section === 'tags') {
+    return issue.name
+      ? t('options_import_issue_tag_named', [position, issue.name])
+      : t('options_import_issue_tag', [position]);
+  }
+  if (issue.section === 'views') {
+    return t('options_import_issue_view', [position]);
+  }
+  return t('options_import_issue_file');
+}
+
+function renderImportIssues(issues) {
+  const items = issues.map((issue) => (
+    `<li><span class="fw-semibold">${escapeHtml(describeImportIssue(issue))}:</span> ${escapeHtml(issue.reason)}</li>`
+  )).join('');
+  return `
+    <div class="alert alert-danger mb-0">
+      <p class="fw-semibold mb-1">${escapeHtml(t('options_import_issues_title', [String(issues.length)]))}</p>
+      <ul class="mb-0">${items}</ul>
+    </div>
+  `;
+}
+
+function renderLimitedList(items, renderItem) {
+  const shown = items.slice(0, IMPORT_PREVIEW_ROW_LIMIT).map(renderItem).join('');
+  const hidden = items.length - IMPORT_PREVIEW_ROW_LIMIT;
+  const more = hidden > 0
+    ? `<li class="text-muted">${escapeHtml(t('options_import_diff_more', [String(hidden)]))}</li>`
+    : '';
+  return `<ul class="mb-2 small">${shown}${more}</ul>`;
+}
+
+function renderImportDiffGroup(titleKey, items, renderItem) {
+  if (!items.length) return '';
+  return `
+    <p class="fw-semibold mb-1">${escapeHtml(t(titleKey, [String(items.length)]))}</p>
+    ${renderLimitedList(items, renderItem)}
+  `;
+}
+
+function renderImportDiff(diff) {
+  const renderName = (name) => `<li>${escapeHtml(name)}</li>`;
+  const renderStreamer = (streamer) => `<li>${escapeHtml(streamer.name)}</li>`;
+  const groups = [
+    renderImportDiffGroup('options_import_diff_added_tags', diff.addedTags, renderName),
+    renderImportDiffGroup('options_import_diff_removed_tags', diff.removedTags, renderName),
+    renderImportDiffGroup('options_import_diff_recolored_tags', diff.recoloredTags, (tag) => `
+      <li>${escapeHtml(tag.name)}: ${renderColorSwatch(tag.from)}→ ${renderColorSwatch(tag.to)}</li>
+    `),
+    renderImportDiffGroup('options_import_diff_streamers', diff.streamers, (streamer) => {
+      const changes = [
+        ...streamer.added.map((name) => `<span class="text-success">+${escapeHtml(name)}</span>`),
+        ...streamer.removed.map((name) => `<span class="text-danger">−${escapeHtml(name)}</span>`),
+      ].join(' ');
+      return `<li>${escapeHtml(streamer.name)}: ${changes}</li>`;
+    }),
+    renderImportDiffGroup('options_import_diff_starred_added', diff.starredAdded, renderStreamer),
+    renderImportDiffGroup('options_import_diff_starred_removed', diff.starredRemoved, renderStreamer),
+  ].filter(Boolean);
+
+  const body = groups.length
+    ? groups.join('')
+    : `<p class="text-muted mb-0">${escapeHtml(t('options_import_diff_none'))}</p>`;
+  return `
+    <p class="fw-semibold mb-1 mt-2">${escapeHtml(t('options_import_diff_title'))}</p>
+    <div class="border rounded p-2" style="max-height: 320px; overflow-y: auto;">${body}</div>
+  `;
+}
+
+function renderImportConflicts(conflicts) {
+  if (!conflicts.length) {
+    return `<p class="text-muted mb-0">${escapeHtml(t('options_import_conflicts_none'))}</p>`;
+  }
+  const keepLabel = escapeHtml(t('options_import_conflict_keep'));
+  const importedLabel = escapeHtml(t('options_import_conflict_imported'));
+  const rows = conflicts.map((conflict) => {
+    const useImported = pendingImport.resolutions[conflict.key] === 'imported';
+    return `
+      <tr>
+        <td>${escapeHtml(conflict.name)}</td>
+        <td>${renderImportConflictSide(conflict.current)}</td>
+        <td>${renderImportConflictSide(conflict.imported)}</td>
+        <td>
+          <select class="form-select form-select-sm" data-import-conflict="${escapeHtml(conflict.key)}">
+            <option value="keep">${keepLabel}</option>
+            <option value="imported"${useImported ? ' selected' : ''}>${importedLabel}</option>
+          </select>
+        </td>
+      </tr>
+    `;
+  }).join('');
+  return `
+    <p class="form-text mb-1">${escapeHtml(t('options_import_conflicts_help'))}</p>
+    <div class="table-responsive" style="max-height: 240px; overflow-y: auto;">
+      <table class="table table-sm align-middle mb-0">
+        <thead class="sticky-top bg-body">
+          <tr>
+            <th>${escapeHtml(t('options_import_conflict_header_tag'))}</th>
+            <th>${escapeHtml(t('options_import_conflict_header_mine'))}</th>
+            <th>${escapeHtml(t('options_import_conflict_header_imported'))}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderImportPreview() {
+  if (!pendingImport) return;
+  const { preview } = pendingImport;
+  if (!preview) {
+    importPreviewEl.innerHTML = `<p class="text-muted mb-0">${escapeHtml(t('options_update_log_loading'))}</p>`;
+    importConfirmButton.disabled = true;
+    return;
+  }
+
+  if (preview.issues.length) {
+    importPreviewEl.innerHTML = renderImportIssues(preview.issues);
+    importConfirmButton.disabled = true;
+    return;
+  }
+
+  if (pendingImport.kind === 'csv') {
+    const { summary } = preview;
+    const unresolved = summary.unresolvedLogins.length
+      ? `
+        <p class="fw-semibold mb-1 text-warning">${escapeHtml(t('options_import_csv_unresolved', [String(summary.unresolvedLogins.length)]))}</p>
+        ${renderLimitedList(summary.unresolvedLogins, (login) => `<li>${escapeHtml(login)}</li>`)}
+      `
+      : '';
+    importPreviewEl.innerHTML = `
+      <p class="mb-2">${escapeHtml(t('options_import_csv_summary', [String(summary.rowsApplied)]))}</p>
+      ${unresolved}
+      ${renderImportDiff(preview.diff)}
+    `;
+    importConfirmButton.disabled = summary.rowsApplied === 0;
+    return;
+  }
+
+  const matchedNote = preview.matchedByLogin
+    ? `<p class="form-text mb-1">${escapeHtml(t('options_import_matched_by_login', [String(preview.matchedByLogin)]))}</p>`
+    : '';
+
+  if (getImportMode() === 'replace') {
+    importPreviewEl.innerHTML = `
+      <p class="text-warning mb-0">${escapeHtml(t('options_import_replace_prompt'))}</p>
+      ${matchedNote}
+      ${renderImportDiff(preview.diff)}
+    `;
+    importConfirmButton.disabled = false;
+    return;
+  }
+
+  const { summary, conflicts } = preview;
+  const lines = [
+    t('options_import_summary_tags_added', [String(summary.tagsAdded)]),
+    t('options_import_summary_tags_merged', [String(summary.tagsMerged)]),
+    t('options_import_summary_assignments_added', [String(summary.assignmentsAdded + summary.starredAdded)]),
+    t('options_import_summary_unknown_streamers', [String(summary.unknownStreamers)]),
+  ];
+  if (summary.tagsSkipped) {
+    lines.push(t('options_import_summary_tags_skipped', [String(summary.tagsSkipped)]));
+  }
+
+  importPreviewEl.innerHTML = `
+    <ul class="mb-2">${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    ${matchedNote}
+    <p class="fw-semibold mb-1">${escapeHtml(t('options_import_conflicts_title', [String(conflicts.length)]))}</p>
+    ${renderImportConflicts(conflicts)}
+    ${renderImportDiff(preview.diff)}
+  `;
+  importConfirmButton.disabled = false;
+}
+
+async function loadImportPreview() {
+  const current = pendingImport;
+  if (!current) return;
+  current.preview = null;
+  renderImportPreview();
+  try {
+    const preview = current.kind === 'csv'
+      ? await invoke('data:importCsvPreview', { text: current.text })
+      : await invoke('data:importPreview', {
+        payload: current.payload,
+        mode: getImportMode(),
+        resolutions: current.resolutions,
+      });
+    if (pendingImport !== current) return;
+    current.preview = preview;
+    renderImportPreview();
+  } catch (error) {
+    const message = error?.message || t('options_import_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    closeImportPanel();
+  }
+}
+
+function handleImportConflictChange(event) {
+  const select = event.target.closest('[data-import-conflict]');
+  if (!select || !pendingImport) return;
+  pendingImport.resolutions[select.dataset.importConflict] = select.value;
+  loadImportPreview();
+}
+
 async function handleImport(file) {
   hideStatus();
   if (!file) return;
   try {
     const text = await file.text();
-    const payload = JSON.parse(text);
-    const replacePrompt = t(
-      'options_import_replace_prompt',
-      'Importing will replace your existing tags and assignments. Continue?'
-    );
-    if (!window.confirm(replacePrompt)) {
-      return;
-    }
-    await invoke('data:import', { payload });
-    showStatus(t('options_import_replace_success'));
+    const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    pendingImport = isCsv
+      ? { kind: 'csv', text, preview: null }
+      : { kind: 'json', payload: JSON.parse(text), preview: null, resolutions: {} };
+    importModeOptions?.classList.toggle('d-none', isCsv);
+    importPanelTitle.textContent = t('options_import_panel_title', [file.name]);
+    importPanel.classList.remove('d-none');
+    await loadImportPreview();
   } catch (error) {
     const message = error?.message || t('options_import_error');
     handleUserError(error, message);
     showStatus(message, 'danger');
+    closeImportPanel();
   } finally {
     importInput.value = '';
   }
 }
 
+async function handleImportConfirm() {
+  if (!pendingImport) return;
+  hideStatus();
+  const mode = getImportMode();
+  const { kind, text, payload, resolutions } = pendingImport;
+  importConfirmButton.disabled = true;
+  try {
+    if (kind === 'csv') {
+      const { summary } = await invoke('data:importCsv', { text });
+      showStatus(t('options_import_csv_success', [String(summary.rowsApplied), String(summary.tagsAdded)]));
+    } else if (mode === 'replace') {
+      await invoke('data:import', { payload, mode });
+      showStatus(t('options_import_replace_success'));
+    } else {
+      const { summary } = await invoke('data:import', {
+        payload,
+        mode,
+        resolutions,
+      });
+      showStatus(t('options_import_merge_success', [
+        String(summary.tagsAdded),
+        String(summary.tagsMerged),
+        String(summary.assignmentsAdded + summary.starredAdded),
+      ]));
+    }
+    closeImportPanel();
+    await loadSnapshots();
+    await loadSyncStorageUsage();
+  } catch (error) {
+    const message = error?.message || t('options_import_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    importConfirmButton.disabled = false;
+  }
+}
+
+async function loadSignInMethod() {
+  const method = await getSignInMethod();
+  if (signInMethodBrowser) signInMethodBrowser.checked = method === SIGN_IN_METHOD_BROWSER;
+  if (signInMethodDevice) signInMethodDevice.checked = method === SIGN_IN_METHOD_DEVICE;
+}
+
+async function handleSignInMethodChange(event) {
+  hideStatus();
+  try {
+    await setSignInMethod(event.target.value);
+  } catch (error) {
+    const message = error?.message || t('options_sign_in_method_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    await loadSignInMethod();
+  }
+}
+
+async function handleConnect() {
+  hideStatus();
+  if (signInMethodDevice?.checked) {
+    await startDeviceSignIn();
+    return;
+  }
+  connectButton.disabled = true;
+  try {
+    await invoke('oauth:start');
+    await checkStatus();
+    loadNotificationPreference();
+  } catch (error) {
+    const message = error?.message || t('options_connect_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  } finally {
+    connectButton.disabled = false;
+  }
+}
+
+function stopDeviceSignIn() {
+  clearTimeout(devicePollTimer);
+  devicePollTimer = null;
+  deviceSignInPanel?.classList.add('d-none');
+  if (connectButton) connectButton.disabled = false;
+}
+
+function scheduleDevicePoll(seconds) {
+  clearTimeout(devicePollTimer);
+  devicePollTimer = setTimeout(pollDeviceSignIn, seconds * 1000);
+}
+
+async function startDeviceSignIn() {
+  stopDeviceSignIn();
+  connectButton.disabled = true;
+  try {
+    const { userCode, verificationUri, interval } = await invoke('oauth:device:start');
+    deviceUserCodeEl.textContent = userCode;
+    deviceVerificationLink.href = verificationUri;
+    deviceVerificationLink.textContent = verificationUri;
+    deviceSignInStatusEl.textContent = t('options_device_waiting');
+    deviceSignInPanel.classList.remove('d-none');
+    scheduleDevicePoll(interval);
+  } catch (error) {
+    stopDeviceSignIn();
+    const message = error?.message || t('options_device_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
+async function pollDeviceSignIn() {
+  devicePollTimer = null;
+  let result;
+  try {
+    result = await invoke('oauth:device:poll');
+  } catch (error) {
+    stopDeviceSignIn();
+    const message = error?.message || t('options_device_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    return;
+  }
+  // Cancelled while the request was running
+  if (deviceSignInPanel.classList.contains('d-none')) return;
+
+  if (result.status === DEVICE_AUTH_PENDING) {
+    scheduleDevicePoll(result.interval);
+    return;
+  }
+  stopDeviceSignIn();
+  if (result.status === DEVICE_AUTH_COMPLETE) {
+    await checkStatus();
+    loadNotificationPreference();
+  } else if (result.status === DEVICE_AUTH_DENIED) {
+    showStatus(t('options_device_denied'), 'warning');
+  } else {
+    showStatus(t('options_device_expired'), 'warning');
+  }
+}
+
+function handleDeviceSignInCancel() {
+  stopDeviceSignIn();
+  invoke('oauth:device:cancel').catch((error) => {
+    console.warn('[Options] Failed to cancel device sign-in:', error);
+  });
+}
+
 async function handleSignout() {
   hideStatus();
   const promptMessage = t('options_signout_prompt');
   if (!window.confirm(promptMessage)) return;
   try {
-    await invoke('oauth:signout');
-    showStatus(t('options_signout_success'), 'warning');
+    const { user } = await invoke('oauth:signout');
+    if (user) {
+      showStatus(t('options_signout_switched', [user.displayName, user.login]));
+    } else {
+      showStatus(t('options_signout_success'), 'warning');
+    }
   } catch (error) {
     const message = error?.message || t('options_signout_error');
     handleUserError(error, message);
@@ -565,6 +1023,8 @@ async function handleReset() {
   try {
     await invoke('data:reset');
     showStatus(t('options_reset_success'), 'warning');
+    await loadSnapshots();
+    await loadSyncStorageUsage();
   } catch (error) {
     const message = error?.message || t('options_reset_error');
     handleUserError(error, message);
@@ -575,6 +1035,376 @@ async function handleReset() {
   }
 }
 
+const SNAPSHOT_PREVIEW_NAME_LIMIT = 10;
+
+function getSnapshotReasonLabel(reason) {
+  const labels = {
+    daily: t('options_snapshot_reason_daily'),
+    import: t('options_snapshot_reason_import'),
+    reset: t('options_snapshot_reason_reset'),
+    restore: t('options_snapshot_reason_restore'),
+    manual: t('options_snapshot_reason_manual'),
+    storage: t('options_snapshot_reason_storage'),
+    remote: t('options_snapshot_reason_remote'),
+  };
+  return labels[reason] || reason;
+}
+
+function renderSnapshots(snapshots) {
+  if (!snapshots.length) {
+    const emptyMessage = escapeHtml(t('options_snapshots_empty'));
+    snapshotEntriesEl.innerHTML = `<tr><td colspan="5" class="text-center text-muted">${emptyMessage}</td></tr>`;
+    return;
+  }
+
+  const previewLabel = escapeHtml(t('options_snapshot_preview_button'));
+  const restoreLabel = escapeHtml(t('options_snapshot_restore_button'));
+  snapshotEntriesEl.innerHTML = snapshots.map((snapshot) => {
+    const id = escapeHtml(snapshot.id);
+    return `
+      <tr>
+        <td><small>${escapeHtml(new Date(snapshot.createdAt).toLocaleString())}</small></td>
+        <td><span class="badge bg-secondary">${escapeHtml(getSnapshotReasonLabel(snapshot.reason))}</span></td>
+        <td>${Number(snapshot.tagCount) || 0}</td>
+        <td>${Number(snapshot.assignmentCount) || 0}</td>
+        <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-snapshot-action="preview" data-snapshot-id="${id}">${previewLabel}</button>
+          <button type="button" class="btn btn-sm btn-outline-primary" data-snapshot-action="restore" data-snapshot-id="${id}">${restoreLabel}</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function loadSnapshots() {
+  if (!snapshotEntriesEl) return;
+  try {
+    const data = await invoke('snapshot:list');
+    renderSnapshots(data.snapshots || []);
+  } catch (error) {
+    console.error('Failed to load snapshots:', error);
+    const errorMessage = escapeHtml(t('options_snapshots_load_error'));
+    snapshotEntriesEl.innerHTML = `<tr><td colspan="5" class="text-center text-danger">${errorMessage}</td></tr>`;
+  }
+}
+
+function formatSnapshotNames(names) {
+  const shown = names.slice(0, SNAPSHOT_PREVIEW_NAME_LIMIT).join(', ');
+  return names.length > SNAPSHOT_PREVIEW_NAME_LIMIT ? `${shown}, …` : shown;
+}
+
+function hideSnapshotPreview() {
+  snapshotPreviewEl?.classList.add('d-none');
+}
+
+async function handleSnapshotPreview(snapshotId) {
+  hideStatus();
+  try {
+    const { snapshot, diff } = await invoke('snapshot:preview', { snapshotId });
+    const lines = [];
+    if (diff.addedTags.length) {
+      lines.push(t('options_snapshot_diff_added', [String(diff.addedTags.length), formatSnapshotNames(diff.addedTags)]));
+    }
+    if (diff.removedTags.length) {
+      lines.push(t('options_snapshot_diff_removed', [String(diff.removedTags.length), formatSnapshotNames(diff.removedTags)]));
+    }
+    if (diff.changedTags.length) {
+      lines.push(t('options_snapshot_diff_changed', [String(diff.changedTags.length), formatSnapshotNames(diff.changedTags)]));
+    }
+    if (diff.changedStreamers) {
+      lines.push(t('options_snapshot_diff_streamers', [String(diff.changedStreamers)]));
+    }
+
+    const title = escapeHtml(t('options_snapshot_diff_title', [new Date(snapshot.createdAt).toLocaleString()]));
+    const body = lines.length
+      ? `<ul class="mb-2">${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+      : `<p class="mb-2">${escapeHtml(t('options_snapshot_diff_none'))}</p>`;
+    const restoreLabel = escapeHtml(t('options_snapshot_restore_button'));
+    snapshotPreviewEl.innerHTML = `
+      <p class="fw-semibold mb-1">${title}</p>
+      ${body}
+      <button type="button" class="btn btn-sm btn-primary" data-snapshot-action="restore" data-snapshot-id="${escapeHtml(snapshot.id)}"${lines.length ? '' : ' disabled'}>${restoreLabel}</button>
+    `;
+    snapshotPreviewEl.classList.remove('d-none');
+  } catch (error) {
+    const message = error?.message || t('options_snapshot_preview_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
+async function handleSnapshotRestore(snapshotId) {
+  hideStatus();
+  try {
+    const data = await invoke('snapshot:restore', { snapshotId });
+    renderSnapshots(data.snapshots || []);
+    hideSnapshotPreview();
+    showStatus(t('options_snapshot_restore_success'));
+    await loadSyncStorageUsage();
+  } catch (error) {
+    const message = error?.message || t('options_snapshot_restore_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  } finally {
+    await loadNotificationPreference();
+  }
+}
+
+async function handleSnapshotCreate() {
+  hideStatus();
+  try {
+    const data = await invoke('snapshot:create');
+    renderSnapshots(data.snapshots || []);
+    showStatus(t('options_snapshot_create_success'));
+  } catch (error) {
+    const message = error?.message || t('options_snapshot_create_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
+function handleSnapshotClick(event) {
+  const button = event.target.closest('[data-snapshot-action]');
+  if (!button || button.disabled) return;
+  const { snapshotAction, snapshotId } = button.dataset;
+  if (snapshotAction === 'preview') {
+    handleSnapshotPreview(snapshotId);
+  } else if (snapshotAction === 'restore') {
+    handleSnapshotRestore(snapshotId);
+  }
+}
+
+function formatKilobytes(bytes) {
+  return (bytes / 1024).toFixed(1);
+}
+
+function getSyncStorageItemLabel(key) {
+  if (key === storageConstants.TAG_STATE_KEY) {
+    return t('options_sync_storage_item_index');
+  }
+  if (key.startsWith(storageConstants.TAG_SHARD_KEY_PREFIX)) {
+    const index = Number(key.slice(storageConstants.TAG_SHARD_KEY_PREFIX.length));
+    return t('options_sync_storage_item_shard', [String(index + 1)]);
+  }
+  if (key === storageConstants.PREFERENCE_KEY) {
+    return t('options_sync_storage_item_preferences');
+  }
+  if (key === storageConstants.SAVED_VIEWS_KEY) {
+    return t('options_sync_storage_item_views');
+  }
+  return key;
+}
+
+function renderSyncStorageUsage(usage) {
+  const isLocalMode = usage.mode === 'local';
+  if (storageModeToggle) {
+    storageModeToggle.checked = !isLocalMode;
+  }
+  const total = t('options_sync_storage_total', [
+    formatKilobytes(usage.bytesInUse),
+    formatKilobytes(usage.quotaBytes),
+    (usage.percentUsed * 100).toFixed(1),
+  ]);
+  syncStorageTotalEl.textContent = isLocalMode ? `${total} ${t('options_storage_mode_local_note')}` : total;
+  syncStorageTotalEl.classList.toggle('text-danger', usage.percentUsed >= 0.8);
+
+  if (!usage.items.length) {
+    const emptyMessage = escapeHtml(t('options_sync_storage_empty'));
+    syncStorageEntriesEl.innerHTML = `<tr><td colspan="3" class="text-center text-muted">${emptyMessage}</td></tr>`;
+    return;
+  }
+
+  syncStorageEntriesEl.innerHTML = usage.items.map((item) => {
+    const percent = Math.min(100, (item.bytes / usage.itemQuotaBytes) * 100);
+    const barClass = percent >= 95 ? 'bg-danger' : percent >= 80 ? 'bg-warning' : 'bg-primary';
+    return `
+      <tr>
+        <td><small>${escapeHtml(getSyncStorageItemLabel(item.key))}</small></td>
+        <td><small>${escapeHtml(formatKilobytes(item.bytes))} KB</small></td>
+        <td>
+          <div class="progress" role="progressbar" aria-valuenow="${percent.toFixed(0)}" aria-valuemin="0" aria-valuemax="100" style="height: 0.5rem;">
+            <div class="progress-bar ${barClass}" style="width: ${percent.toFixed(1)}%"></div>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function loadSyncStorageUsage() {
+  if (!syncStorageEntriesEl) return;
+  try {
+    renderSyncStorageUsage(await invoke('storage:usage'));
+  } catch (error) {
+    console.error('Failed to load sync storage usage:', error);
+    const errorMessage = escapeHtml(t('options_sync_storage_load_error'));
+    syncStorageEntriesEl.innerHTML = `<tr><td colspan="3" class="text-center text-danger">${errorMessage}</td></tr>`;
+  }
+}
+
+function hideStorageModeChoice() {
+  storageModeChoiceEl?.classList.add('d-none');
+}
+
+function renderStorageModeChoice(preview) {
+  const message = t('options_storage_mode_choice', [
+    String(preview.device.tags),
+    String(preview.synced.tags),
+    String(preview.synced.streamers),
+  ]);
+  storageModeChoiceEl.innerHTML = `
+    <p class="mb-2">${escapeHtml(message)}</p>
+    <div class="d-flex gap-2 flex-wrap">
+      <button type="button" class="btn btn-sm btn-primary" data-storage-keep="device">${escapeHtml(t('options_storage_mode_keep_device'))}</button>
+      <button type="button" class="btn btn-sm btn-outline-primary" data-storage-keep="synced">${escapeHtml(t('options_storage_mode_keep_synced'))}</button>
+      <button type="button" class="btn btn-sm btn-outline-secondary" data-storage-keep="">${escapeHtml(t('options_import_cancel_button'))}</button>
+    </div>
+  `;
+  storageModeChoiceEl.classList.remove('d-none');
+}
+
+async function applyStorageMode(mode, keep = null) {
+  hideStorageModeChoice();
+  storageModeToggle.disabled = true;
+  try {
+    await invoke('storage:setMode', { mode, keep });
+    showStatus(t(mode === 'local' ? 'options_storage_mode_local_success' : 'options_storage_mode_sync_success'));
+    await loadNotificationPreference();
+    await loadSnapshots();
+  } catch (error) {
+    const message = error?.message || t('options_storage_mode_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  } finally {
+    storageModeToggle.disabled = false;
+    await loadSyncStorageUsage();
+  }
+}
+
+async function handleStorageModeToggle() {
+  const mode = storageModeToggle.checked ? 'sync' : 'local';
+  hideStatus();
+  hideStorageModeChoice();
+  try {
+    const preview = await invoke('storage:modePreview', { mode });
+    if (preview.needsChoice) {
+      renderStorageModeChoice(preview);
+      return;
+    }
+    await applyStorageMode(mode);
+  } catch (error) {
+    const message = error?.message || t('options_storage_mode_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    storageModeToggle.checked = mode !== 'sync';
+  }
+}
+
+function handleStorageModeChoiceClick(event) {
+  const button = event.target.closest('[data-storage-keep]');
+  if (!button) return;
+  const { storageKeep } = button.dataset;
+  if (!storageKeep) {
+    hideStorageModeChoice();
+    storageModeToggle.checked = false;
+    return;
+  }
+  applyStorageMode('sync', storageKeep);
+}
+
+function getRemoteSyncResultLabel(result) {
+  const labels = {
+    unchanged: t('options_remote_sync_result_unchanged'),
+    pulled: t('options_remote_sync_result_pulled'),
+    pushed: t('options_remote_sync_result_pushed'),
+    merged: t('options_remote_sync_result_merged'),
+  };
+  return labels[result] || result;
+}
+
+function renderRemoteSync({ settings, status }) {
+  if (!remoteSyncForm) return;
+  remoteSyncEnabledToggle.checked = !!settings.enabled;
+  remoteSyncUrlInput.value = settings.url || '';
+  remoteSyncUsernameInput.value = settings.username || '';
+  remoteSyncPasswordInput.value = settings.password || '';
+  remoteSyncIntervalSelect.value = String(settings.intervalMinutes);
+  remoteSyncRunButton.disabled = !settings.enabled;
+
+  const time = status.lastSyncAt ? new Date(status.lastSyncAt).toLocaleString() : null;
+  remoteSyncStatusEl.classList.toggle('text-danger', !!status.lastError);
+  remoteSyncStatusEl.classList.toggle('text-muted', !status.lastError);
+  if (status.lastError) {
+    remoteSyncStatusEl.textContent = t('options_remote_sync_status_failed', [time, status.lastError]);
+  } else if (time && status.lastResult) {
+    remoteSyncStatusEl.textContent = t('options_remote_sync_status_last', [time, getRemoteSyncResultLabel(status.lastResult)]);
+  } else {
+    remoteSyncStatusEl.textContent = settings.enabled ? t('options_remote_sync_status_never') : '';
+  }
+}
+
+async function loadRemoteSync() {
+  if (!remoteSyncForm) return;
+  try {
+    renderRemoteSync(await invoke('remoteSync:get'));
+  } catch (error) {
+    console.error('Failed to load remote sync settings:', error);
+  }
+}
+
+async function runRemoteSyncNow() {
+  remoteSyncRunButton.disabled = true;
+  remoteSyncStatusEl.textContent = t('options_remote_sync_status_running');
+  try {
+    const overview = await invoke('remoteSync:run');
+    renderRemoteSync(overview);
+    if (!overview.status.lastError) {
+      loadSnapshots();
+      loadSyncStorageUsage();
+    }
+  } catch (error) {
+    const message = error?.message || t('options_remote_sync_run_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+    remoteSyncRunButton.disabled = false;
+  }
+}
+
+async function handleRemoteSyncSubmit(event) {
+  event.preventDefault();
+  hideStatus();
+  const settings = {
+    enabled: remoteSyncEnabledToggle.checked,
+    url: remoteSyncUrlInput.value.trim(),
+    username: remoteSyncUsernameInput.value.trim(),
+    password: remoteSyncPasswordInput.value,
+    intervalMinutes: Number(remoteSyncIntervalSelect.value),
+  };
+  const url = settings.url ? parseRemoteSyncUrl(settings.url) : null;
+  if (settings.url && !url) {
+    showStatus(t('options_remote_sync_invalid_url'), 'danger');
+    return;
+  }
+
+  try {
+    // Requested before any other await so the click still counts as a user gesture
+    if (settings.enabled && url && !(await requestHostPermissions([`${url.protocol}//${url.hostname}/*`]))) {
+      showStatus(t('options_remote_sync_permission_denied'), 'warning');
+      return;
+    }
+    const overview = await invoke('remoteSync:save', { settings });
+    renderRemoteSync(overview);
+    showStatus(t('options_remote_sync_saved'), 'success');
+    if (overview.settings.enabled) {
+      await runRemoteSyncNow();
+    }
+  } catch (error) {
+    const message = error?.message || t('options_remote_sync_save_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
 async function loadUpdateLog() {
   try {
     const data = await invoke('debug:getLog');
@@ -582,7 +1412,7 @@ async function loadUpdateLog() {
 
     if (!logs.length) {
       const emptyMessage = escapeHtml(t('options_log_empty'));
-      logEntriesEl.innerHTML = `<tr><td colspan="7" class="text-center text-muted">${emptyMessage}</td></tr>`;
+      logEntriesEl.innerHTML = `<tr><td colspan="8" class="text-center text-muted">${emptyMessage}</td></tr>`;
       return;
     }
 
@@ -627,6 +1457,7 @@ async function loadUpdateLog() {
           <td>${entry.trackedCount ?? entry.starredCount ?? 0}</td>
           <td><small>${formatDuration(entry.cacheAge)}</small></td>
           <td><small>${formatDuration(entry.duration)}</small></td>
+          <td>${formatApiStats(entry.api)}</td>
           <td>${statusBadge}</td>
         </tr>
       `;
@@ -634,10 +1465,29 @@ async function loadUpdateLog() {
   } catch (error) {
     console.error('Failed to load update log:', error);
     const errorMessage = escapeHtml(t('options_log_load_error'));
-    logEntriesEl.innerHTML = `<tr><td colspan="7" class="text-center text-danger">${errorMessage}</td></tr>`;
+    logEntriesEl.innerHTML = `<tr><td colspan="8" class="text-center text-danger">${errorMessage}</td></tr>`;
   }
 }
 
+function formatApiStats(api) {
+  if (!api) {
+    return '<small class="text-muted">-</small>';
+  }
+  const budget = api.remaining != null && api.limit != null
+    ? t('options_log_api_budget', [String(api.remaining), String(api.limit)])
+    : t('options_log_api_budget_unknown');
+  const title = escapeHtml(t('options_log_api_title', [
+    String(api.rateLimited || 0),
+    String(api.serverErrors || 0),
+    formatDuration(api.throttledMs),
+    budget,
+  ]));
+  const retries = api.retries
+    ? ` <span class="badge bg-warning text-dark">${escapeHtml(t('options_log_api_retries', [String(api.retries)]))}</span>`
+    : '';
+  return `<small title="${title}">${api.requests || 0}</small>${retries}`;
+}
+
 function getTriggerBadge(trigger) {
   const classes = {
     alarm: 'bg-primary',
@@ -702,6 +1552,63 @@ async function handleExportLog() {
   }
 }
 
+function getSyncConflictItemLabel(entry) {
+  const name = entry.name || entry.id;
+  return entry.kind === 'tag'
+    ? t('options_sync_conflicts_item_tag', [name])
+    : t('options_sync_conflicts_item_streamer', [name]);
+}
+
+async function loadSyncConflicts() {
+  if (!syncConflictEntriesEl) return;
+  try {
+    const data = await invoke('debug:getSyncConflicts');
+    const conflicts = data.conflicts || [];
+
+    if (!conflicts.length) {
+      const emptyMessage = escapeHtml(t('options_sync_conflicts_empty'));
+      syncConflictEntriesEl.innerHTML = `<tr><td colspan="3" class="text-center text-muted">${emptyMessage}</td></tr>`;
+      return;
+    }
+
+    const keptLocalLabel = escapeHtml(t('options_sync_conflicts_kept_local'));
+    const renumberedLabel = escapeHtml(t('options_sync_conflicts_renumbered'));
+
+    syncConflictEntriesEl.innerHTML = conflicts.slice().reverse().map((entry) => {
+      const timeStr = escapeHtml(new Date(entry.at).toLocaleString());
+      const resolution = entry.resolution === 'renumbered'
+        ? `<span class="badge bg-info">${renumberedLabel}</span>`
+        : `<span class="badge bg-warning">${keptLocalLabel}</span>`;
+      return `
+        <tr>
+          <td><small>${timeStr}</small></td>
+          <td>${escapeHtml(getSyncConflictItemLabel(entry))}</td>
+          <td>${resolution}</td>
+        </tr>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load sync conflicts:', error);
+    const errorMessage = escapeHtml(t('options_sync_conflicts_load_error'));
+    syncConflictEntriesEl.innerHTML = `<tr><td colspan="3" class="text-center text-danger">${errorMessage}</td></tr>`;
+  }
+}
+
+async function handleClearSyncConflicts() {
+  hideStatus();
+  if (!window.confirm(t('options_sync_conflicts_clear_prompt'))) return;
+
+  try {
+    await invoke('debug:clearSyncConflicts');
+    showStatus(t('options_sync_conflicts_clear_success'), 'success');
+    await loadSyncConflicts();
+  } catch (error) {
+    const message = error?.message || t('options_sync_conflicts_clear_error');
+    handleUserError(error, message);
+    showStatus(message, 'danger');
+  }
+}
+
 const IS_MACOS = navigator.userAgentData?.platform === 'macOS'
   || /\bMac\b/i.test(navigator.userAgent);
 const NOTIFICATION_STAGGER_MS = IS_MACOS ? 5000 : 0;
@@ -743,6 +1650,7 @@ function handleToggleDebugging() {
   if (!isHidden && !debugLogLoaded) {
     debugLogLoaded = true;
     loadUpdateLog();
+    loadSyncConflicts();
   }
 }
 
@@ -756,8 +1664,18 @@ function showVersion() {
 
 function init() {
   exportButton.addEventListener('click', handleExport);
+  exportCsvButton?.addEventListener('click', handleCsvExport);
   importInput.addEventListener('change', (event) => handleImport(event.target.files?.[0]));
+  importModeMerge?.addEventListener('change', loadImportPreview);
+  importModeReplace?.addEventListener('change', loadImportPreview);
+  importConfirmButton?.addEventListener('click', handleImportConfirm);
+  importCancelButton?.addEventListener('click', closeImportPanel);
+  importPreviewEl?.addEventListener('change', handleImportConflictChange);
   signoutButton.addEventListener('click', handleSignout);
+  connectButton?.addEventListener('click', handleConnect);
+  signInMethodBrowser?.addEventListener('change', handleSignInMethodChange);
+  signInMethodDevice?.addEventListener('change', handleSignInMethodChange);
+  deviceSignInCancelButton?.addEventListener('click', handleDeviceSignInCancel);
   statusButton.addEventListener('click', checkStatus);
   notificationsToggle.addEventListener('change', handleNotificationToggle);
   notificationCutoffInput?.addEventListener('change', handleNotificationCutoffChange);
@@ -777,10 +1695,30 @@ function init() {
   refreshLogButton.addEventListener('click', loadUpdateLog);
   clearLogButton.addEventListener('click', handleClearLog);
   exportLogButton.addEventListener('click', handleExportLog);
+  refreshSyncConflictsButton?.addEventListener('click', loadSyncConflicts);
+  clearSyncConflictsButton?.addEventListener('click', handleClearSyncConflicts);
   languageSelect?.addEventListener('change', handleLanguageChange);
+  snapshotCreateButton?.addEventListener('click', handleSnapshotCreate);
+  snapshotEntriesEl?.addEventListener('click', handleSnapshotClick);
+  snapshotPreviewEl?.addEventListener('click', handleSnapshotClick);
+  syncStorageRefreshButton?.addEventListener('click', loadSyncStorageUsage);
+  storageModeToggle?.addEventListener('change', handleStorageModeToggle);
+  storageModeChoiceEl?.addEventListener('click', handleStorageModeChoiceClick);
+  remoteSyncForm?.addEventListener('submit', handleRemoteSyncSubmit);
+  remoteSyncRunButton?.addEventListener('click', runRemoteSyncNow);
 
   showVersion();
   loadNotificationPreference();
+  loadSignInMethod().then(() => {
+    // Opened by the dashboard or popup to show the code
+    if (window.location.hash === `#${DEVICE_SIGN_IN_HASH}`) {
+      history.replaceState(null, '', window.location.pathname);
+      startDeviceSignIn();
+    }
+  });
+  loadSnapshots();
+  loadSyncStorageUsage();
+  loadRemoteSync();
 }
 
 if (document.readyState === 'loading') {
@@ -3,6 +3,7 @@ import {
   formatUptime,
   formatViewerCount,
   appendMetaSegment,
+  formatSessionIssue,
 } from '../src/util/formatters.js';
 import { TAG_STARRED } from '../src/util/constants.js';
 import { handleUserError } from '../src/util/errors.js';
@@ -14,6 +15,9 @@ import {
   clearPopupSnapshot,
 } from '../src/storage/index.js';
 import { localize, getMessageStrict, setLanguageOverride } from '../src/util/i18n.js';
+import { streamerMatchesSavedView } from '../src/util/savedViews.js';
+import { buildTagTree } from '../src/util/tagTree.js';
+import { getStreamerTagIds } from '../src/util/smartTags.js';
 
 let activeLanguageOverride = null;
 
@@ -41,6 +45,10 @@ const notificationToggleButton = document.getElementById('toggle-notifications')
 const notificationIcon = document.getElementById('notification-icon');
 const signinButton = document.getElementById('signin-button');
 const signinContainer = document.getElementById('signin-container');
+const sessionBannerEl = document.getElementById('session-banner');
+const sessionBannerTextEl = document.getElementById('session-banner-text');
+const sessionReconnectButton = document.getElementById('session-reconnect-button');
+const accountSwitcherEl = document.getElementById('account-switcher');
 const loadingEl = document.getElementById('loading');
 const loadingTextEl = document.getElementById('loading-text');
 const messageEl = document.getElementById('message');
@@ -55,6 +63,8 @@ let openInCurrentTab = 'never'; // 'never', 'always', or 'smart'
 let currentTagState = null;
 let currentFollows = [];
 let selectedTagId = TAG_STARRED;
+let currentSavedViews = null;
+let selectedViewId = null;
 
 
 
@@ -118,44 +128,168 @@ function showSignin(show) {
   signinContainer.hidden = !show;
 }
 
+function renderSessionBanner(session) {
+  if (!sessionBannerEl) return;
+  const text = formatSessionIssue(session);
+  sessionBannerEl.hidden = !text;
+  if (sessionBannerTextEl) sessionBannerTextEl.textContent = text || '';
+}
+
+/**
+ * Show the account switcher when more than one Twitch account is connected;
+ * adding accounts is left to the dashboard and options page.
+ * @param {Array<{id: string, login: string, displayName: string, active: boolean}>} accounts
+ */
+function renderAccountSwitcher(accounts) {
+  if (!accountSwitcherEl) return;
+  const list = Array.isArray(accounts) ? accounts : [];
+  accountSwitcherEl.hidden = list.length < 2;
+  accountSwitcherEl.replaceChildren(...list.map(({ id, login, displayName }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `${displayName} (@${login})`;
+    return option;
+  }));
+  const active = list.find((account) => account.active);
+  if (active) accountSwitcherEl.value = active.id;
+}
+
+function isCancelledSignIn(error) {
+  const message = (error?.message || '').toLowerCase();
+  return (
+    message.includes('user denied') ||
+    message.includes('user did not approve') ||
+    message.includes('user cancelled') ||
+    message.includes('user canceled') ||
+    message.includes('window was closed')
+  );
+}
+
+/**
+ * Assigned tag ids plus ancestors so parent tags include nested assignments,
+ * and the smart tags the streamer currently matches.
+ */
+function getEffectiveTagIds(tagState, streamer) {
+  return getStreamerTagIds(streamer, tagState);
+}
+
+function isUntagged(tagState, streamerId) {
+  return !(tagState?.assignments?.[streamerId]?.length);
+}
+
 function getLiveCountForTag(tagId) {
   if (!currentFollows.length || !currentTagState) return 0;
 
-  const assignments = currentTagState.assignments || {};
   return currentFollows.filter(streamer => {
     if (!streamer.isLive) return false;
-    const streamerTags = assignments[streamer.id] || [];
-    return streamerTags.includes(tagId);
+    return getEffectiveTagIds(currentTagState, streamer).includes(tagId);
   }).length;
 }
 
-function populateLabelFilter(tagState) {
+function getSelectedView() {
+  if (!selectedViewId || !currentSavedViews) return null;
+  return (currentSavedViews.views || []).find((view) => view.id === selectedViewId) || null;
+}
+
+function getLiveCountForView(view) {
+  if (!currentFollows.length || !currentTagState) return 0;
+
+  return currentFollows.filter(streamer => (
+    streamer.isLive
+    && streamerMatchesSavedView(
+      streamer,
+      getEffectiveTagIds(currentTagState, streamer),
+      view,
+      isUntagged(currentTagState, streamer.id),
+    )
+  )).length;
+}
+
+async function selectLabelFilter({ tagId = selectedTagId, viewId = null }) {
+  selectedTagId = tagId;
+  selectedViewId = viewId;
+  updateLabelFilterButton();
+  if (currentTagState) {
+    const cached = getFilteredStreamersByTag(currentFollows, currentTagState, selectedTagId);
+    renderStarred(cached);
+  }
+  await saveSelectedTag();
+  await fetchStarred(false);
+}
+
+function appendViewItems(views) {
+  const dividerItem = document.createElement('li');
+  const divider = document.createElement('hr');
+  divider.className = 'dropdown-divider';
+  dividerItem.appendChild(divider);
+  labelFilterMenu.appendChild(dividerItem);
+
+  const headerItem = document.createElement('li');
+  const header = document.createElement('h6');
+  header.className = 'dropdown-header';
+  header.textContent = t('popup_views_heading');
+  headerItem.appendChild(header);
+  labelFilterMenu.appendChild(headerItem);
+
+  views.forEach(view => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'dropdown-item label-view-item';
+    button.type = 'button';
+    button.dataset.viewId = view.id;
+
+    const name = document.createElement('span');
+    name.className = 'label-name';
+    name.textContent = view.name;
+
+    const count = document.createElement('span');
+    const liveCount = getLiveCountForView(view);
+    count.className = liveCount > 0 ? 'label-count label-count-live' : 'label-count';
+    count.textContent = liveCount.toString();
+
+    button.appendChild(name);
+    button.appendChild(count);
+
+    button.addEventListener('click', () => selectLabelFilter({ viewId: view.id }));
+
+    li.appendChild(button);
+    labelFilterMenu.appendChild(li);
+  });
+}
+
+function populateLabelFilter(tagState, savedViews = currentSavedViews) {
   if (!labelFilterMenu || !labelFilterText || !tagState) return;
 
   currentTagState = tagState;
+  currentSavedViews = savedViews || null;
   labelFilterMenu.innerHTML = '';
 
+  if (selectedViewId && !getSelectedView()) {
+    selectedViewId = null;
+  }
+
   // Validate selected tag still exists, otherwise reset to starred
   if (!tagState.tags[selectedTagId]) {
     selectedTagId = TAG_STARRED;
   }
 
-  // Get all tags and sort by sortOrder
-  const tags = Object.values(tagState.tags || {})
-    .filter(tag => tag && tag.id)
-    .sort((a, b) => {
-      const orderA = typeof a.sortOrder === 'number' ? a.sortOrder : Number.MAX_SAFE_INTEGER;
-      const orderB = typeof b.sortOrder === 'number' ? b.sortOrder : Number.MAX_SAFE_INTEGER;
-      return orderA - orderB;
-    });
+  // Starred first, then custom tags in tree order (nested tags indented)
+  const entries = [
+    ...(tagState.tags[TAG_STARRED] ? [{ tag: tagState.tags[TAG_STARRED], depth: 0 }] : []),
+    ...buildTagTree(tagState.tags),
+  ];
 
   // Populate dropdown with tags
-  tags.forEach(tag => {
+  entries.forEach(({ tag, depth }) => {
     const li = document.createElement('li');
     const button = document.createElement('button');
     button.className = 'dropdown-item';
     button.type = 'button';
     button.dataset.tagId = tag.id;
+    if (depth) {
+      button.classList.add('label-item-nested');
+      button.style.setProperty('--tag-depth', String(depth));
+    }
 
     // Create the label content with colored dot and count
     // Skip the dot for Starred tag since it has a star icon
@@ -181,27 +315,33 @@ function populateLabelFilter(tagState) {
     button.appendChild(name);
     button.appendChild(count);
 
-    button.addEventListener('click', async () => {
-      selectedTagId = tag.id;
-      updateLabelFilterButton();
-      if (currentTagState) {
-        const cached = getFilteredStreamersByTag(currentFollows, currentTagState, selectedTagId);
-        renderStarred(cached);
-      }
-      await saveSelectedTag();
-      await fetchStarred(false);
-    });
+    button.addEventListener('click', () => selectLabelFilter({ tagId: tag.id }));
 
     li.appendChild(button);
     labelFilterMenu.appendChild(li);
   });
 
+  const views = currentSavedViews?.views || [];
+  if (views.length) {
+    appendViewItems(views);
+  }
+
   updateLabelFilterButton();
 }
 
 function updateLabelFilterButton() {
   if (!labelFilterText || !currentTagState) return;
 
+  const selectedView = getSelectedView();
+  if (selectedView) {
+    labelFilterText.innerHTML = '';
+    const name = document.createElement('span');
+    name.className = 'label-name';
+    name.textContent = selectedView.name;
+    labelFilterText.appendChild(name);
+    return;
+  }
+
   const selectedTag = currentTagState.tags[selectedTagId];
   if (!selectedTag) return;
 
@@ -226,6 +366,8 @@ function updateLabelFilterButton() {
 }
 
 function getSelectedTagName() {
+  const selectedView = getSelectedView();
+  if (selectedView) return selectedView.name;
   if (!currentTagState || !selectedTagId) return t('popup_default_tag_name');
   const tag = currentTagState.tags[selectedTagId];
   return tag ? tag.name : t('popup_default_tag_name');
@@ -262,16 +404,30 @@ function sortStreamersForDisplay(a, b) {
 }
 
 function getFilteredStreamersByTag(follows = [], tagState, tagId = selectedTagId) {
-  if (!Array.isArray(follows) || !tagState || !tagId) return [];
+  if (!Array.isArray(follows) || !tagState) return [];
+
+  const selectedView = getSelectedView();
+
+  if (selectedView) {
+    return follows
+      .filter((streamer) => (
+        streamer?.isLive
+        && streamerMatchesSavedView(
+          streamer,
+          getEffectiveTagIds(tagState, streamer),
+          selectedView,
+          isUntagged(tagState, streamer.id),
+        )
+      ))
+      .sort(sortStreamersForDisplay);
+  }
 
-  const assignments = tagState.assignments || {};
+  if (!tagId) return [];
 
   return follows
     .filter((streamer) => {
       if (!streamer?.isLive) return false;
-      const streamerTags = assignments[streamer.id];
-      if (!Array.isArray(streamerTags)) return false;
-      return streamerTags.includes(tagId);
+      return getEffectiveTagIds(tagState, streamer).includes(tagId);
     })
     .sort(sortStreamersForDisplay);
 }
@@ -306,7 +462,11 @@ function isTabSmartOpenable(url) {
 async function saveSelectedTag() {
   try {
     const prefs = await getPreferences();
-    await setPreferences({ ...prefs, popupSelectedTagId: selectedTagId });
+    await setPreferences({
+      ...prefs,
+      popupSelectedTagId: selectedTagId,
+      popupSelectedViewId: selectedViewId,
+    });
   } catch (error) {
     console.error('Failed to save selected tag:', error);
   }
@@ -322,6 +482,9 @@ async function loadSelectedTag() {
     if (saved) {
       selectedTagId = saved;
     }
+    selectedViewId = typeof prefs.popupSelectedViewId === 'string' && prefs.popupSelectedViewId
+      ? prefs.popupSelectedViewId
+      : null;
   } catch (error) {
     console.error('Failed to load selected tag:', error);
   }
@@ -500,6 +663,7 @@ async function restoreFromSnapshot() {
       follows = [],
       tagState = null,
       preferences = null,
+      savedViews = null,
     } = snapshot;
 
     if (loadingTextEl) {
@@ -511,7 +675,7 @@ async function restoreFromSnapshot() {
     currentFollows = Array.isArray(follows) ? follows : [];
 
     if (tagState) {
-      populateLabelFilter(tagState);
+      populateLabelFilter(tagState, savedViews);
     }
 
     if (!hasAuth) {
@@ -546,7 +710,16 @@ async function fetchStarred(force = false) {
     if (!response || !response.ok) {
       throw new Error(response?.error || t('popup_error_load_data'));
     }
-    const { auth, follows = [], tagState, preferences, fetchedAt = null } = response.data || {};
+    const {
+      auth,
+      session = null,
+      accounts = [],
+      follows = [],
+      tagState,
+      preferences,
+      savedViews = null,
+      fetchedAt = null,
+    } = response.data || {};
 
     currentFollows = Array.isArray(follows) ? follows : [];
 
@@ -554,9 +727,12 @@ async function fetchStarred(force = false) {
 
     // Populate label filter dropdown
     if (tagState) {
-      populateLabelFilter(tagState);
+      populateLabelFilter(tagState, savedViews);
     }
 
+    renderSessionBanner(auth ? session : null);
+    renderAccountSwitcher(auth ? accounts : []);
+
     if (!auth) {
       currentFollows = [];
       await clearPopupSnapshot();
@@ -577,6 +753,7 @@ async function fetchStarred(force = false) {
         follows: currentFollows,
         tagState,
         preferences,
+        savedViews,
         fetchedAt,
       });
     } catch (storageError) {
@@ -737,15 +914,7 @@ signinButton?.addEventListener('click', async () => {
     }
     await fetchStarred(true);
   } catch (error) {
-    const message = (error?.message || '').toLowerCase();
-    const isCancelled =
-      message.includes('user denied') ||
-      message.includes('user did not approve') ||
-      message.includes('user cancelled') ||
-      message.includes('user canceled') ||
-      message.includes('window was closed');
-
-    if (!isCancelled) {
+    if (!isCancelledSignIn(error)) {
       const signInMessage = t('popup_error_signin');
       handleUserError(error, signInMessage);
       setMessage(signInMessage, 'danger');
@@ -757,16 +926,46 @@ signinButton?.addEventListener('click', async () => {
   }
 });
 
-resetFilterBtn?.addEventListener('click', async () => {
-  if (selectedTagId === TAG_STARRED) return;
-  selectedTagId = TAG_STARRED;
-  updateLabelFilterButton();
-  if (currentTagState) {
-    const cached = getFilteredStreamersByTag(currentFollows, currentTagState, selectedTagId);
-    renderStarred(cached);
+sessionReconnectButton?.addEventListener('click', async () => {
+  if (sessionReconnectButton.disabled) return;
+  sessionReconnectButton.disabled = true;
+  try {
+    const response = await sendRuntimeMessage({ type: 'oauth:start' });
+    if (!response || !response.ok) {
+      throw new Error(response?.error || t('popup_error_signin_short'));
+    }
+    await fetchStarred(true);
+  } catch (error) {
+    if (!isCancelledSignIn(error)) {
+      const signInMessage = t('popup_error_signin');
+      handleUserError(error, signInMessage);
+      setMessage(signInMessage, 'danger');
+    }
+  } finally {
+    sessionReconnectButton.disabled = false;
+  }
+});
+
+accountSwitcherEl?.addEventListener('change', async () => {
+  accountSwitcherEl.disabled = true;
+  try {
+    const response = await sendRuntimeMessage({ type: 'accounts:switch', userId: accountSwitcherEl.value });
+    if (!response || !response.ok) {
+      throw new Error(response?.error || t('popup_error_switch_account'));
+    }
+    await fetchStarred(false);
+  } catch (error) {
+    const message = t('popup_error_switch_account');
+    handleUserError(error, message);
+    setMessage(message, 'danger');
+  } finally {
+    accountSwitcherEl.disabled = false;
   }
-  await saveSelectedTag();
-  await fetchStarred(false);
+});
+
+resetFilterBtn?.addEventListener('click', async () => {
+  if (selectedTagId === TAG_STARRED && !selectedViewId) return;
+  await selectLabelFilter({ tagId: TAG_STARRED });
 });
 
 addRuntimeListener((message) => {
@@ -775,6 +974,16 @@ addRuntimeListener((message) => {
     return;
   }
 
+  if (message?.type === 'views:updated' && message.savedViews) {
+    if (currentTagState) {
+      populateLabelFilter(currentTagState, message.savedViews);
+      renderStarred(getFilteredStreamersByTag(currentFollows, currentTagState, selectedTagId));
+    } else {
+      currentSavedViews = message.savedViews;
+    }
+    return;
+  }
+
   if (message?.type === 'preferences:language-changed') {
     Promise.resolve(setLanguageOverride(message.languageOverride))
       .then((active) => {
@@ -0,0 +1,146 @@
+#!/usr/bin/env python3
+
+"""Serve one file over HTTP with ETags, as a local stand-in for a remote sync server.
+
+Point the extension's remote sync URL at http://localhost:<port>/<anything> to
+test pushing and pulling without a real WebDAV server. GET, HEAD and PUT honour
+If-Match / If-None-Match like WebDAV servers do, so concurrent writes from two
+browser profiles run into 412 Precondition Failed.
+"""
+
+from __future__ import annotations
+
+import argparse
+import base64
+import hashlib
+import os
+import sys
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+MAX_BODY_BYTES: int = 10 * 1024 * 1024
+
+
+def compute_etag(data: bytes) -> str:
+    return '"' + hashlib.sha256(data).hexdigest()[:32] + '"'
+
+
+def parse_etag_list(header: str) -> list[str]:
+    return [value.strip() for value in header.split(',') if value.strip()]
+
+
+class SyncFileHandler(BaseHTTPRequestHandler):
+    server_version = 'TTaggerSyncStandIn/1.0'
+    file_path: str = ''
+    credentials: str | None = None
+
+    def read_file(self) -> bytes | None:
+        try:
+            with open(self.file_path, 'rb') as handle:
+                return handle.read()
+        except FileNotFoundError:
+            return None
+
+    def send_empty(self, status: int, etag: str | None = None) -> None:
+        self.send_response(status)
+        if etag:
+            self.send_header('ETag', etag)
+        self.send_header('Content-Length', '0')
+        self.end_headers()
+
+    def is_authorized(self) -> bool:
+        if self.credentials is None:
+            return True
+        expected = 'Basic ' + base64.b64encode(self.credentials.encode('utf-8')).decode('ascii')
+        if self.headers.get('Authorization') == expected:
+            return True
+        self.send_response(401)
+        self.send_header('WWW-Authenticate', 'Basic realm="ttagger"')
+        self.send_header('Content-Length', '0')
+        self.end_headers()
+        return False
+
+    def send_file(self, include_body: bool) -> None:
+        if not self.is_authorized():
+            return
+        data = self.read_file()
+        if data is None:
+            self.send_empty(404)
+            return
+        etag = compute_etag(data)
+        if etag in parse_etag_list(self.headers.get('If-None-Match', '')):
+            self.send_empty(304, etag)
+            return
+        self.send_response(200)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(data)))
+        self.send_header('ETag', etag)
+        self.end_headers()
+        if include_body:
+            self.wfile.write(data)
+
+    def do_GET(self) -> None:  # noqa: N802 (http.server naming)
+        self.send_file(include_body=True)
+
+    def do_HEAD(self) -> None:  # noqa: N802
+        self.send_file(include_body=False)
+
+    def do_PUT(self) -> None:  # noqa: N802
+        if not self.is_authorized():
+            return
+        length = int(self.headers.get('Content-Length') or 0)
+        if length > MAX_BODY_BYTES:
+            self.send_empty(413)
+            return
+        body = self.rfile.read(length)
+
+        current = self.read_file()
+        current_etag = compute_etag(current) if current is not None else None
+        if_match = self.headers.get('If-Match')
+        if_none_match = self.headers.get('If-None-Match')
+        if if_match is not None and (
+            current_etag is None or (if_match.strip() != '*' and current_etag not in parse_etag_list(if_match))
+        ):
+            self.send_empty(412, current_etag)
+            return
+        if if_none_match is not None and current is not None and (
+            if_none_match.strip() == '*' or current_etag in parse_etag_list(if_none_match)
+        ):
+            self.send_empty(412, current_etag)
+            return
+
+        with open(self.file_path, 'wb') as handle:
+            handle.write(body)
+        self.send_empty(204 if current is not None else 201, compute_etag(body))
+
+
+def parse_args(argv: list[str]) -> argparse.Namespace:
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--port', type=int, default=8787, help='Port to listen on (default: 8787)')
+    parser.add_argument(
+        '--file',
+        default=os.path.join(os.getcwd(), 'ttagger-remote-sync.json'),
+        help='File that holds the synced export (default: ./ttagger-remote-sync.json)',
+    )
+    parser.add_argument('--user', help='Require HTTP Basic auth with this user name')
+    parser.add_argument('--password', default='', help='Password for --user')
+    return parser.parse_args(argv)
+
+
+def main(argv: list[str]) -> int:
+    args = parse_args(argv)
+    SyncFileHandler.file_path = os.path.abspath(args.file)
+    SyncFileHandler.credentials = f'{args.user}:{args.password}' if args.user else None
+
+    server = ThreadingHTTPServer(('127.0.0.1', args.port), SyncFileHandler)
+    print(f'Serving {SyncFileHandler.file_path} at http://localhost:{args.port}/ (Ctrl+C to stop)')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+    return 0
+
+
+if __name__ == '__main__':
+    sys.exit(main(sys.argv[1:]))
@@ -0,0 +1,164 @@
+/**
+ * Shared scheduler for Helix requests.
+ *
+ * Twitch gives every token a point bucket and reports it in `Ratelimit-*`
+ * headers. The scheduler keeps the last reported budget, holds new requests
+ * back once it is nearly used up until the bucket refills, caps how many
+ * requests are in flight, and retries 429 and 5xx answers with jittered
+ * backoff (waiting for `Ratelimit-Reset` on a 429).
+ */
+
+const MAX_CONCURRENT_REQUESTS = 4;
+// Keep a few points back for requests the user is waiting on.
+const LOW_BUDGET_THRESHOLD = 5;
+const MAX_BUDGET_WAIT_MS = 60 * 1000;
+const MAX_ATTEMPTS = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+const budget = {
+  limit: null,
+  remaining: null,
+  resetAt: 0,
+};
+const waitingForSlot = [];
+let activeRequests = 0;
+let stats = createStats();
+
+function createStats() {
+  return {
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    serverErrors: 0,
+    throttledMs: 0,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Read the `Ratelimit-*` headers of a Helix response.
+ * @param {Headers} headers
+ * @returns {{limit: number|null, remaining: number|null, reset: number|null}}
+ */
+export function parseRateLimit(headers) {
+  const limit = headers.get('Ratelimit-Limit');
+  const remaining = headers.get('Ratelimit-Remaining');
+  const reset = headers.get('Ratelimit-Reset');
+  return {
+    limit: limit ? Number(limit) : null,
+    remaining: remaining ? Number(remaining) : null,
+    reset: reset ? Number(reset) : null,
+  };
+}
+
+function recordRateLimit(rate) {
+  if (Number.isFinite(rate.limit)) budget.limit = rate.limit;
+  if (Number.isFinite(rate.remaining)) budget.remaining = rate.remaining;
+  // Ratelimit-Reset is a Unix timestamp in seconds
+  if (Number.isFinite(rate.reset)) budget.resetAt = rate.reset * 1000;
+}
+
+async function acquireSlot() {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    return;
+  }
+  // releaseSlot() hands its slot over without decrementing
+  await new Promise((resolve) => waitingForSlot.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waitingForSlot.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests -= 1;
+  }
+}
+
+async function waitForBudget() {
+  if (budget.remaining !== null && budget.remaining <= LOW_BUDGET_THRESHOLD) {
+    const wait = Math.min(budget.resetAt - Date.now(), MAX_BUDGET_WAIT_MS);
+    if (wait > 0) {
+      stats.throttledMs += wait;
+      await sleep(wait);
+    }
+    budget.remaining = budget.limit;
+  }
+  // Count the request against the budget until its response reports the real value
+  if (budget.remaining !== null) {
+    budget.remaining -= 1;
+  }
+}
+
+function getRetryDelay(attempt, status) {
+  const untilReset = budget.resetAt - Date.now();
+  if (status === 429 && untilReset > 0) {
+    return Math.min(untilReset, MAX_BACKOFF_MS) + Math.random() * 250;
+  }
+  const ceiling = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Send a Helix request through the shared scheduler. 429 and 5xx answers are
+ * retried; the last response is returned as-is once attempts run out.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+export async function scheduledFetch(url, init) {
+  for (let attempt = 0; ; attempt += 1) {
+    await acquireSlot();
+    let response;
+    try {
+      await waitForBudget();
+      stats.requests += 1;
+      response = await fetch(url, init);
+    } finally {
+      releaseSlot();
+    }
+    recordRateLimit(parseRateLimit(response.headers));
+
+    if (!isRetryable(response.status)) {
+      return response;
+    }
+    if (response.status === 429) {
+      stats.rateLimited += 1;
+    } else {
+      stats.serverErrors += 1;
+    }
+    if (attempt + 1 >= MAX_ATTEMPTS) {
+      return response;
+    }
+    stats.retries += 1;
+    const delay = getRetryDelay(attempt, response.status);
+    stats.throttledMs += delay;
+    console.warn(`[Twitch] Request answered with ${response.status}, retrying in ${Math.round(delay)} ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Return request counters since the previous call, plus the current budget,
+ * and start counting from zero.
+ * @returns {{requests: number, retries: number, rateLimited: number, serverErrors: number, throttledMs: number, limit: number|null, remaining: number|null}}
+ */
+export function drainRequestStats() {
+  const drained = {
+    ...stats,
+    throttledMs: Math.round(stats.throttledMs),
+    limit: budget.limit,
+    remaining: budget.remaining,
+  };
+  stats = createStats();
+  return drained;
+}
@@ -1,6 +1,10 @@
 import { TWITCH_CLIENT_ID } from '../config.js';
+import { scheduledFetch, parseRateLimit } from './requestScheduler.js';
 
 const API_BASE = 'https://api.twitch.tv/helix';
+const VALIDATE_URL = 'https://id.twitch.tv/oauth2/validate';
+const BATCH_SIZE = 100;
+const MAX_CONCURRENT_BATCHES = 3;
 
 function buildHeaders(token) {
   if (!TWITCH_CLIENT_ID || TWITCH_CLIENT_ID.startsWith('REPLACE')) {
@@ -13,17 +17,6 @@ function buildHeaders(token) {
   };
 }
 
-function parseRateLimit(headers) {
-  const limit = headers.get('Ratelimit-Limit');
-  const remaining = headers.get('Ratelimit-Remaining');
-  const reset = headers.get('Ratelimit-Reset');
-  return {
-    limit: limit ? Number(limit) : null,
-    remaining: remaining ? Number(remaining) : null,
-    reset: reset ? Number(reset) : null,
-  };
-}
-
 async function twitchFetch(path, token, { method = 'GET', searchParams, body } = {}) {
   const url = new URL(path.startsWith('http') ? path : `${API_BASE}${path}`);
 
@@ -38,7 +31,7 @@ async function twitchFetch(path, token, { method = 'GET', searchParams, body } =
     });
   }
 
-  const response = await fetch(url.toString(), {
+  const response = await scheduledFetch(url.toString(), {
     method,
     headers: buildHeaders(token),
     body,
@@ -58,6 +51,36 @@ async function twitchFetch(path, token, { method = 'GET', searchParams, body } =
   return { data: payload.data || [], pagination: payload.pagination || {}, rate };
 }
 
+/**
+ * Ask Twitch whether a token is still valid. Twitch expects apps to do this
+ * at least once an hour while they use a token.
+ * @param {string} token
+ * @returns {Promise<{valid: false}|{valid: true, userId: string, login: string, scopes: Array<string>, expiresIn: number}>}
+ *   `expiresIn` is in seconds; 0 means the token does not expire
+ * @throws {Error} On network errors and unexpected answers
+ */
+export async function validateAccessToken(token) {
+  const response = await fetch(VALIDATE_URL, {
+    headers: { Authorization: `OAuth ${token}` },
+  });
+  if (response.status === 401) {
+    return { valid: false };
+  }
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(payload?.message || `Twitch token validation failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return {
+    valid: true,
+    userId: payload.user_id,
+    login: payload.login,
+    scopes: Array.isArray(payload.scopes) ? payload.scopes : [],
+    expiresIn: Number(payload.expires_in) || 0,
+  };
+}
+
 export async function fetchCurrentUser(token) {
   const { data } = await twitchFetch('/users', token);
   return data[0] || null;
@@ -69,41 +92,48 @@ export async function fetchFollowedChannels(token, userId, after) {
   return twitchFetch('/channels/followed', token, { searchParams: params });
 }
 
-export async function fetchUsersByIds(token, ids) {
+/**
+ * Look up `values` 100 at a time, running at most `MAX_CONCURRENT_BATCHES`
+ * requests side by side. Results keep the order of the batches.
+ * @param {string} path
+ * @param {string} token
+ * @param {string} param - Query parameter that takes the values
+ * @param {Array<string>} values
+ * @param {object} [extraParams] - Sent with every batch
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchInBatches(path, token, param, values, extraParams = {}) {
   const batches = [];
-  for (let i = 0; i < ids.length; i += 100) {
-    batches.push(ids.slice(i, i + 100));
-  }
-  const results = [];
-  for (const batch of batches) {
-    const { data } = await twitchFetch('/users', token, { searchParams: { id: batch } });
-    results.push(...data);
+  for (let i = 0; i < values.length; i += BATCH_SIZE) {
+    batches.push(values.slice(i, i + BATCH_SIZE));
   }
-  return results;
+  const results = new Array(batches.length);
+  let nextBatch = 0;
+  const worker = async () => {
+    while (nextBatch < batches.length) {
+      const index = nextBatch;
+      nextBatch += 1;
+      const { data } = await twitchFetch(path, token, { searchParams: { ...extraParams, [param]: batches[index] } });
+      results[index] = data;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_BATCHES, batches.length) }, worker));
+  return results.flat();
+}
+
+export async function fetchUsersByIds(token, ids) {
+  return fetchInBatches('/users', token, 'id', ids);
 }
 
 export async function fetchUsersByLogins(token, logins) {
-  const batches = [];
-  for (let i = 0; i < logins.length; i += 100) {
-    batches.push(logins.slice(i, i + 100));
-  }
-  const results = [];
-  for (const batch of batches) {
-    const { data } = await twitchFetch('/users', token, { searchParams: { login: batch } });
-    results.push(...data);
-  }
-  return results;
+  return fetchInBatches('/users', token, 'login', logins);
 }
 
 export async function fetchStreamsByUserIds(token, ids) {
-  const batches = [];
-  for (let i = 0; i < ids.length; i += 100) {
-    batches.push(ids.slice(i, i + 100));
-  }
-  const results = [];
-  for (const batch of batches) {
-    const { data } = await twitchFetch('/streams', token, { searchParams: { user_id: batch } });
-    results.push(...data);
-  }
-  return results;
+  // /streams pages its answer (20 by default) even when asked for 100 ids
+  return fetchInBatches('/streams', token, 'user_id', ids, { first: BATCH_SIZE });
+}
+
+export async function fetchChannelsByIds(token, ids) {
+  return fetchInBatches('/channels', token, 'broadcaster_id', ids);
 }
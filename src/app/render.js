@@ -1,4 +1,9 @@
-import { resolveTagColor } from '../util/formatters.js';
+import {
+  resolveTagColor,
+  getContrastingTextColor,
+  formatLanguageName,
+  formatSessionIssue,
+} from '../util/formatters.js';
 import { createStreamerCard } from '../util/components.js';
 import {
   TAG_STARRED,
@@ -6,6 +11,8 @@ import {
   TAG_ALL,
   DEFAULT_TAG_COLOR,
   SORT_OPTIONS,
+  TAG_FILTER_MODE_ANY,
+  TAG_FILTER_MODE_ALL,
 } from '../util/constants.js';
 import {
   state,
@@ -13,8 +20,17 @@ import {
   clearOpenTagMenu,
   setOpenTagMenu,
 } from './state.js';
-import { compareTagsByOrder } from '../util/sorting.js';
-import { getMessageStrict } from '../util/i18n.js';
+import { getMessageStrict, getLanguageOverride } from '../util/i18n.js';
+import {
+  normalizeTagFilter,
+  isTagFilterActive,
+  matchesTagFilter,
+  getTagFilterMembership,
+} from '../util/tagFilter.js';
+import { isSavedViewActive } from '../util/savedViews.js';
+import { matchesContentTerm, matchesStreamFilters } from '../util/streamFilters.js';
+import { buildTagTree, getTagIdsWithAncestors, hasNestedTags } from '../util/tagTree.js';
+import { isSmartTag, hasSmartTags, getSmartTagIdsForStreamer, getStreamerTagIds } from '../util/smartTags.js';
 
 const t = (key, substitutions) => getMessageStrict(key, substitutions);
 
@@ -69,67 +85,107 @@ export function lastUpdatedText(timestamp) {
   return t('app_meta_updated_minutes', [minutesText]);
 }
 
+/**
+ * Assigned tag ids plus their ancestors, so parent tags match nested assignments,
+ * and the smart tags the streamer currently matches.
+ * @param {object} streamer
+ * @returns {Array<string>}
+ */
+function getEffectiveTagIds(streamer) {
+  return getStreamerTagIds(streamer, state.tagState);
+}
+
+function isUntagged(streamerId) {
+  return !getAssignmentsFor(streamerId).length;
+}
+
+/**
+ * Cache key part for the follow fields smart tags read. Empty without smart tags.
+ * @returns {string}
+ */
+function getSmartFollowsKey() {
+  if (!hasSmartTags(state.tagState?.tags)) return '';
+  return state.follows
+    .map((s) => `${s.id}:${s.isLive ? '1' : '0'}:${s.viewerCount}:${s.gameName}:${s.followDate}:${s.lastSeenLive}`)
+    .join(',');
+}
+
 function computeTagUsage() {
-  // Memoize based on assignments object
-  const cacheKey = getCacheKey([state.tagState?.assignments]);
+  // Memoize based on assignments and tags (parents change what a tag counts)
+  const smartFollowsKey = getSmartFollowsKey();
+  const cacheKey = getCacheKey([state.tagState?.assignments, state.tagState?.tags, smartFollowsKey]);
   if (tagUsageCacheKey === cacheKey && tagUsageCache !== null) {
     return tagUsageCache;
   }
 
   const usage = {};
+  const tags = state.tagState?.tags || {};
   Object.values(state.tagState?.assignments || {}).forEach((tagIds) => {
     if (!Array.isArray(tagIds)) return;
-    tagIds.forEach((tagId) => {
+    getTagIdsWithAncestors(tags, tagIds).forEach((tagId) => {
       usage[tagId] = (usage[tagId] || 0) + 1;
     });
   });
 
+  if (smartFollowsKey) {
+    const now = Date.now();
+    state.follows.forEach((streamer) => {
+      getSmartTagIdsForStreamer(streamer, tags, now).forEach((tagId) => {
+        usage[tagId] = (usage[tagId] || 0) + 1;
+      });
+    });
+  }
+
   tagUsageCache = usage;
   tagUsageCacheKey = cacheKey;
   return usage;
 }
 
 function computeLiveCounts() {
-  // Memoize based on follows array and assignments object
+  // Memoize based on follows array, assignments object and the active tag filter
   // We need to track follows separately since isLive status can change
   const followsKey = state.follows.map(s => `${s.id}:${s.isLive ? '1' : '0'}`).join(',');
-  const cacheKey = getCacheKey([followsKey, state.tagState?.assignments]);
+  const tagFilter = normalizeTagFilter(state.preferences.tagFilter);
+  const cacheKey = getCacheKey([
+    followsKey,
+    state.tagState?.assignments,
+    state.tagState?.tags,
+    tagFilter,
+    getSmartFollowsKey(),
+  ]);
   if (liveCountsCacheKey === cacheKey && liveCountsCache !== null) {
     return liveCountsCache;
   }
 
   const counts = {
     total: 0,
+    filtered: 0,
     untagged: 0,
     tags: {},
   };
 
-  const assignments = state.tagState?.assignments || {};
-  const followMap = new Map(state.follows.map((streamer) => [streamer.id, streamer]));
+  const isFiltering = isTagFilterActive(tagFilter);
 
+  // While a tag filter is active, per-tag counts only cover streamers matching it,
+  // so each row tells how many live results carry that tag.
   state.follows.forEach((streamer) => {
-    if (streamer.isLive) {
-      counts.total += 1;
-    }
-  });
+    if (!streamer.isLive) return;
+    counts.total += 1;
 
-  Object.entries(assignments).forEach(([streamerId, tagIds]) => {
-    const streamer = followMap.get(streamerId);
-    if (!streamer || !streamer.isLive || !Array.isArray(tagIds)) return;
+    const tagIds = getEffectiveTagIds(streamer);
+    const untagged = isUntagged(streamer.id);
+    if (isFiltering && !matchesTagFilter(tagIds, tagFilter, untagged)) return;
+    counts.filtered += 1;
+
+    if (untagged) {
+      counts.untagged += 1;
+    }
     tagIds.forEach((tagId) => {
       const key = String(tagId);
       counts.tags[key] = (counts.tags[key] || 0) + 1;
     });
   });
 
-  state.follows.forEach((streamer) => {
-    if (!streamer.isLive) return;
-    const tagIds = assignments[streamer.id] || [];
-    if (!tagIds.length) {
-      counts.untagged += 1;
-    }
-  });
-
   liveCountsCache = counts;
   liveCountsCacheKey = cacheKey;
   return counts;
@@ -138,11 +194,12 @@ function computeLiveCounts() {
 function getFilteredStreamers() {
   // Memoize based on follows, preferences, and assignments
   const followsKey = state.follows.map(s =>
-    `${s.id}:${s.isLive ? '1' : '0'}:${s.displayName}:${s.title}:${s.gameName}:${s.followDate}`
+    `${s.id}:${s.isLive ? '1' : '0'}:${s.displayName}:${s.title}:${s.gameName}:${s.followDate}:`
+    + `${s.language}:${s.isMature}:${s.viewerCount}:${(s.streamTags || []).join('.')}`
   ).join(',');
   const prefsKey = getCacheKey([state.preferences]);
-  const assignmentsKey = getCacheKey([state.tagState?.assignments]);
-  const cacheKey = `${followsKey}|${prefsKey}|${assignmentsKey}`;
+  const assignmentsKey = getCacheKey([state.tagState?.assignments, state.tagState?.tags]);
+  const cacheKey = `${followsKey}|${prefsKey}|${assignmentsKey}|${getSmartFollowsKey()}`;
 
   if (filteredStreamersCacheKey === cacheKey && filteredStreamersCache !== null) {
     return filteredStreamersCache;
@@ -163,17 +220,25 @@ function getFilteredStreamers() {
   }
 
   if (contentTerm) {
-    streamers = streamers.filter((item) => {
-      const title = item.title?.toLowerCase() || '';
-      const category = item.gameName?.toLowerCase() || '';
-      return title.includes(contentTerm) || category.includes(contentTerm);
-    });
+    streamers = streamers.filter((item) => matchesContentTerm(item, contentTerm));
+  }
+
+  const { languageFilter, matureFilter } = state.preferences;
+  if (languageFilter || matureFilter) {
+    streamers = streamers.filter((item) => matchesStreamFilters(item, { languageFilter, matureFilter }));
   }
 
   if (selectedTagId === TAG_UNTAGGED) {
-    streamers = streamers.filter((item) => !(getAssignmentsFor(item.id)?.length));
+    streamers = streamers.filter((item) => isUntagged(item.id));
   } else if (selectedTagId) {
-    streamers = streamers.filter((item) => getAssignmentsFor(item.id)?.includes(selectedTagId));
+    streamers = streamers.filter((item) => getEffectiveTagIds(item).includes(selectedTagId));
+  }
+
+  const tagFilter = normalizeTagFilter(state.preferences.tagFilter);
+  if (isTagFilterActive(tagFilter)) {
+    streamers = streamers.filter((item) => (
+      matchesTagFilter(getEffectiveTagIds(item), tagFilter, isUntagged(item.id))
+    ));
   }
 
   const comparators = {
@@ -181,6 +246,12 @@ function getFilteredStreamers() {
     [SORT_OPTIONS.FOLLOW_DATE_ASC]: (a, b) => new Date(a.followDate || 0) - new Date(b.followDate || 0),
     [SORT_OPTIONS.NAME_ASC]: (a, b) => (a.displayName || a.login || '').localeCompare(b.displayName || b.login || ''),
     [SORT_OPTIONS.NAME_DESC]: (a, b) => (b.displayName || b.login || '').localeCompare(a.displayName || a.login || ''),
+    // Offline streamers have no viewer count or stream language; keep them last
+    [SORT_OPTIONS.VIEWERS_DESC]: (a, b) => (b.viewerCount ?? -1) - (a.viewerCount ?? -1)
+      || (a.displayName || a.login || '').localeCompare(b.displayName || b.login || ''),
+    [SORT_OPTIONS.LANGUAGE_ASC]: (a, b) => (!a.language - !b.language)
+      || (a.language || '').localeCompare(b.language || '')
+      || (a.displayName || a.login || '').localeCompare(b.displayName || b.login || ''),
   };
 
   const comparator = comparators[sortBy] || comparators[SORT_OPTIONS.FOLLOW_DATE_DESC];
@@ -213,6 +284,37 @@ function getFilteredStreamers() {
   return streamers;
 }
 
+/**
+ * Fill the language filter with the stream languages found in the follow list.
+ * The selected language stays listed while nobody is streaming in it.
+ * @param {object} elements
+ */
+export function renderLanguageFilterOptions(elements) {
+  const select = elements.languageFilterSelect;
+  if (!select) return;
+  const selected = state.preferences.languageFilter || '';
+  const codes = new Set(
+    state.follows.map((streamer) => (streamer.language || '').toLowerCase()).filter(Boolean),
+  );
+  if (selected) codes.add(selected);
+
+  const key = `${getLanguageOverride() || ''}|${[...codes].sort().join(',')}`;
+  if (select.dataset.languages !== key) {
+    Array.from(select.options).slice(1).forEach((option) => option.remove());
+    [...codes]
+      .map((code) => ({ code, label: formatLanguageName(code) }))
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .forEach(({ code, label }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    select.dataset.languages = key;
+  }
+  select.value = selected;
+}
+
 /**
  * Hide any open tag selector menus and clear the tracked state.
  */
@@ -275,9 +377,10 @@ export function adjustTagMenuPosition(menu, trigger) {
  * @param {Record<string, {id:string, name:string, color?:string}>} tags
  * @param {Record<string, number>} usage
  * @param {{total:number, untagged:number, tags:Record<string, number>}} liveCounts
- * @returns {Array<{id:string|null, label:string, count:number, liveCount:number, color?:string, isSelected:boolean}>}
+ * @returns {Array<{id:string|null, label:string, count:number, liveCount:number, color?:string, isSelected:boolean, filterMembership:string|null}>}
  */
-function buildTagListEntries(selectedTagId, tags, usage, liveCounts) {
+function buildTagListEntries(selectedTagId, tags, usage, liveCounts, options = {}) {
+  const tagFilter = normalizeTagFilter(state.preferences.tagFilter);
   const notificationTagIds = new Set((state.preferences.notificationTagIds || []).map(String));
   const total = state.follows.length;
   const untaggedCount = state.follows.filter((item) => !getAssignmentsFor(item.id).length).length;
@@ -289,7 +392,8 @@ function buildTagListEntries(selectedTagId, tags, usage, liveCounts) {
       count: total,
       liveCount: liveCounts.total,
       notificationsEnabled: false,
-      isSelected: selectedTagId === TAG_ALL,
+      isSelected: selectedTagId === TAG_ALL && !isTagFilterActive(tagFilter),
+      filterMembership: null,
     },
     {
       id: TAG_UNTAGGED,
@@ -298,6 +402,7 @@ function buildTagListEntries(selectedTagId, tags, usage, liveCounts) {
       liveCount: liveCounts.untagged,
       notificationsEnabled: false,
       isSelected: selectedTagId === TAG_UNTAGGED,
+      filterMembership: getTagFilterMembership(tagFilter, TAG_UNTAGGED),
     },
   ];
 
@@ -309,23 +414,35 @@ function buildTagListEntries(selectedTagId, tags, usage, liveCounts) {
     color: tags[TAG_STARRED]?.color,
     notificationsEnabled: notificationTagIds.has(TAG_STARRED),
     isSelected: selectedTagId === TAG_STARRED,
+    filterMembership: getTagFilterMembership(tagFilter, TAG_STARRED),
   };
   entries.push(favorite);
 
-  Object.values(tags)
-    .filter((tag) => tag.id !== TAG_STARRED)
-    .sort(compareTagsByOrder)
-    .forEach((tag) => {
-      entries.push({
-        id: tag.id,
-        label: tag.name,
-        count: usage[tag.id] || 0,
-        liveCount: liveCounts.tags[String(tag.id)] || 0,
-        color: tag.color,
-        notificationsEnabled: notificationTagIds.has(String(tag.id)),
-        isSelected: selectedTagId === tag.id,
-      });
+  // Collapsed branches stay expanded in move mode so every tag can be dragged.
+  const collapsed = options.isMoveMode
+    ? new Set()
+    : new Set((state.preferences.collapsedTagIds || []).map(String));
+  const isTree = hasNestedTags(tags);
+
+  buildTagTree(tags).forEach(({ tag, depth, hasChildren, ancestorIds }) => {
+    if (ancestorIds.some((id) => collapsed.has(id))) return;
+    entries.push({
+      id: tag.id,
+      label: tag.name,
+      count: usage[tag.id] || 0,
+      liveCount: liveCounts.tags[String(tag.id)] || 0,
+      color: tag.color,
+      notificationsEnabled: notificationTagIds.has(String(tag.id)),
+      isSelected: selectedTagId === tag.id,
+      filterMembership: getTagFilterMembership(tagFilter, tag.id),
+      depth,
+      hasChildren,
+      isCollapsed: hasChildren && collapsed.has(String(tag.id)),
+      parentId: ancestorIds.length ? ancestorIds[ancestorIds.length - 1] : null,
+      isTree,
+      isSmart: isSmartTag(tag),
     });
+  });
 
   return entries;
 }
@@ -339,14 +456,25 @@ function createTagListItem(entry, actions, tagRecord, options = {}) {
     item.classList.add('active');
     item.setAttribute('aria-current', 'true');
   }
+  if (entry.filterMembership) {
+    item.classList.add(`tag-filter-${entry.filterMembership}`);
+  }
 
   if (isCustomTag) {
     item.dataset.tagId = entry.id;
+    if (entry.depth) {
+      item.classList.add('tag-list-item-nested');
+      item.style.setProperty('--tag-depth', String(entry.depth));
+    }
   }
 
   const labelWrapper = document.createElement('span');
   labelWrapper.className = 'd-flex align-items-center tag-list-label';
 
+  if (isCustomTag && entry.isTree) {
+    labelWrapper.appendChild(createTagTreeToggle(entry, actions));
+  }
+
   if (isMoveMode && isCustomTag) {
     item.classList.add('tag-list-item-reorderable');
     item.draggable = true;
@@ -368,11 +496,27 @@ function createTagListItem(entry, actions, tagRecord, options = {}) {
     labelWrapper.appendChild(swatch);
   }
 
+  if (entry.filterMembership) {
+    const marker = document.createElement('span');
+    marker.className = 'tag-filter-marker';
+    marker.setAttribute('aria-hidden', 'true');
+    marker.textContent = entry.filterMembership === 'include' ? '+' : '−';
+    labelWrapper.appendChild(marker);
+  }
+
   const labelText = document.createElement('span');
   labelText.className = 'tag-name-text';
   labelText.textContent = entry.label;
   labelWrapper.appendChild(labelText);
 
+  if (entry.isSmart) {
+    const smartBadge = document.createElement('span');
+    smartBadge.className = 'tag-smart-badge';
+    smartBadge.textContent = t('app_tag_smart_badge');
+    smartBadge.title = t('app_tag_smart_badge_title');
+    labelWrapper.appendChild(smartBadge);
+  }
+
   if (entry.notificationsEnabled && isNotificationToggleTag(entry.id)) {
     const indicator = document.createElement('span');
     indicator.className = 'tag-notification-indicator';
@@ -406,11 +550,42 @@ function createTagListItem(entry, actions, tagRecord, options = {}) {
       event.preventDefault();
       return;
     }
+    if (entry.id && (event.ctrlKey || event.metaKey || event.altKey)) {
+      event.preventDefault();
+      const target = event.altKey ? 'exclude' : 'include';
+      actions.onToggleTagFilter?.(String(entry.id), entry.filterMembership === target ? null : target);
+      return;
+    }
     actions.onSelectTag(entry.id);
   });
   return item;
 }
 
+function createTagTreeToggle(entry, actions) {
+  if (!entry.hasChildren) {
+    const spacer = document.createElement('span');
+    spacer.className = 'tag-tree-toggle tag-tree-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tag-tree-toggle';
+  toggle.setAttribute('aria-expanded', String(!entry.isCollapsed));
+  toggle.setAttribute(
+    'aria-label',
+    t(entry.isCollapsed ? 'app_tag_tree_expand_aria' : 'app_tag_tree_collapse_aria', [entry.label]),
+  );
+  toggle.textContent = entry.isCollapsed ? '▸' : '▾';
+  toggle.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    actions.onToggleTagCollapsed?.(String(entry.id));
+  });
+  return toggle;
+}
+
 function createCountBadge(total, live) {
   const badge = document.createElement('div');
   badge.className = 'combined-count-badge';
@@ -463,11 +638,86 @@ function createTagActionMenu(entry, actions, tagRecord) {
     }));
   }
 
+  if (isNotificationToggleTag(entry.id) && actions.onToggleTagFilter) {
+    if (menu.children.length) {
+      menu.appendChild(createDividerItem());
+    }
+    const tagKey = String(entry.id);
+    if (entry.filterMembership !== 'include') {
+      menu.appendChild(createMenuItem(t('app_tag_filter_include_action'), () => {
+        hideDropdown(toggle);
+        actions.onToggleTagFilter(tagKey, 'include');
+      }));
+    }
+    if (entry.filterMembership !== 'exclude') {
+      menu.appendChild(createMenuItem(t('app_tag_filter_exclude_action'), () => {
+        hideDropdown(toggle);
+        actions.onToggleTagFilter(tagKey, 'exclude');
+      }));
+    }
+    if (entry.filterMembership) {
+      menu.appendChild(createMenuItem(t('app_tag_filter_remove_action'), () => {
+        hideDropdown(toggle);
+        actions.onToggleTagFilter(tagKey, null);
+      }));
+    }
+  }
+
   if (isCustomTagId(entry.id)) {
     if (menu.children.length) {
       menu.appendChild(createDividerItem());
     }
 
+    if (entry.isSmart && actions.onEditSmartTag) {
+      menu.appendChild(createMenuItem(t('app_tag_edit_smart_action'), () => {
+        hideDropdown(toggle);
+        actions.onEditSmartTag(entry.id);
+      }));
+    }
+
+    if (!entry.isSmart && actions.onCreateSubtag) {
+      menu.appendChild(createMenuItem(t('app_tag_add_subtag_action'), () => {
+        hideDropdown(toggle);
+        actions.onCreateSubtag(entry.id);
+      }));
+    }
+
+    if (entry.parentId && actions.onMoveTagToTopLevel) {
+      menu.appendChild(createMenuItem(t('app_tag_move_top_level_action'), () => {
+        hideDropdown(toggle);
+        actions.onMoveTagToTopLevel(entry.id);
+      }));
+    }
+
+    if (!entry.isSmart && actions.onEditTagRules) {
+      const rulesLabel = tagRecord?.rules?.enabled
+        ? t('app_tag_rules_action_active')
+        : t('app_tag_rules_action');
+      menu.appendChild(createMenuItem(rulesLabel, () => {
+        hideDropdown(toggle);
+        actions.onEditTagRules(entry.id);
+      }));
+    }
+
+    const activeUser = state.auth?.user;
+    // Offer scoping once there is a second account to hide the tag from
+    if (actions.onSetTagAccount && activeUser && (tagRecord?.accountId || state.accounts.length > 1)) {
+      const scopeLabel = tagRecord?.accountId
+        ? t('app_tag_account_shared_action')
+        : t('app_tag_account_scope_action', [activeUser.login]);
+      menu.appendChild(createMenuItem(scopeLabel, () => {
+        hideDropdown(toggle);
+        actions.onSetTagAccount(entry.id, tagRecord?.accountId ? null : activeUser.id);
+      }));
+    }
+
+    if (!entry.isSmart && actions.onShareTag) {
+      menu.appendChild(createMenuItem(t('app_tag_share_action'), () => {
+        hideDropdown(toggle);
+        actions.onShareTag(entry.id);
+      }));
+    }
+
     menu.appendChild(createMenuItem('Rename', () => {
       hideDropdown(toggle);
       actions.onRenameTag(entry.id, tagRecord?.name);
@@ -586,6 +836,7 @@ function renderTagList(elements, actions, options = {}) {
     state.tagState?.tags || {},
     usage,
     liveCounts,
+    { isMoveMode },
   );
 
   entries.forEach((entry) => {
@@ -650,10 +901,12 @@ function renderStreamerList(elements, cardActions) {
   }
 
   streamerContainer.innerHTML = '';
+  streamerContainer.classList.toggle('has-selection', state.selectedStreamerIds.length > 0);
 
   const handlers = {
     onToggleFavorite: cardActions.onToggleFavorite,
     onToggleTagAssignment: cardActions.onToggleTagAssignment,
+    onToggleSelection: cardActions.onToggleSelection,
     onToggleTagMenu: (streamerId, menu, trigger) => {
       if (state.openTagMenu && state.openTagMenu !== streamerId) {
         closeOpenMenus();
@@ -678,6 +931,343 @@ function renderStreamerList(elements, cardActions) {
   });
 }
 
+/**
+ * Ids of the streamers currently shown in the grid, in display order.
+ * @returns {Array<string>}
+ */
+export function getVisibleStreamerIds() {
+  return getFilteredStreamers().map((streamer) => streamer.id);
+}
+
+function createBulkTagDropdown(label, entries, emptyLabel, onPick) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'dropdown';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'btn btn-sm btn-outline-secondary dropdown-toggle';
+  toggle.setAttribute('data-bs-toggle', 'dropdown');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.textContent = label;
+  wrapper.appendChild(toggle);
+
+  const menu = document.createElement('ul');
+  menu.className = 'dropdown-menu bulk-tag-menu';
+  if (!entries.length) {
+    const empty = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'dropdown-item-text text-muted small';
+    text.textContent = emptyLabel;
+    empty.appendChild(text);
+    menu.appendChild(empty);
+  }
+  entries.forEach(({ tag, depth }) => {
+    const item = createMenuItem(tag.name, () => {
+      hideDropdown(toggle);
+      onPick(String(tag.id));
+    });
+    if (depth) {
+      item.firstChild.style.paddingLeft = `${1 + depth}rem`;
+    }
+    menu.appendChild(item);
+  });
+  wrapper.appendChild(menu);
+
+  return wrapper;
+}
+
+function createBulkButton(label, handler, className = 'btn-outline-secondary') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-sm ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', handler);
+  return button;
+}
+
+/**
+ * Render the bulk action bar for the selected streamers.
+ * The bar is hidden while nothing is selected.
+ * @param {{bulkActionBar?: HTMLElement}} elements
+ * @param {object} actions
+ */
+function renderBulkActionBar(elements, actions) {
+  const bar = elements.bulkActionBar;
+  if (!bar) return;
+  bar.innerHTML = '';
+
+  const selectedIds = state.selectedStreamerIds;
+  const isActive = selectedIds.length > 0 && !!state.auth;
+  bar.classList.toggle('d-none', !isActive);
+  if (!isActive || !actions) return;
+
+  const count = document.createElement('span');
+  count.className = 'bulk-action-count small fw-semibold';
+  count.textContent = selectedIds.length === 1
+    ? t('app_bulk_selected_single')
+    : t('app_bulk_selected_multiple', [String(selectedIds.length)]);
+  bar.appendChild(count);
+
+  const tags = state.tagState?.tags || {};
+  const assignable = buildTagTree(tags).filter(({ tag }) => !isSmartTag(tag));
+  const assignedIds = new Set(selectedIds.flatMap((id) => getAssignmentsFor(id)));
+
+  bar.appendChild(createBulkTagDropdown(
+    t('app_bulk_add_tag'),
+    assignable,
+    t('app_bulk_no_tags'),
+    (tagId) => actions.onBulkUpdate({ add: [tagId] }),
+  ));
+  bar.appendChild(createBulkTagDropdown(
+    t('app_bulk_remove_tag'),
+    assignable.filter(({ tag }) => assignedIds.has(String(tag.id))),
+    t('app_bulk_no_assigned_tags'),
+    (tagId) => actions.onBulkUpdate({ remove: [tagId] }),
+  ));
+  bar.appendChild(createBulkButton(t('app_bulk_star'), () => {
+    actions.onBulkUpdate({ add: [TAG_STARRED] });
+  }));
+  bar.appendChild(createBulkButton(t('app_bulk_unstar'), () => {
+    actions.onBulkUpdate({ remove: [TAG_STARRED] });
+  }));
+  bar.appendChild(createBulkButton(t('app_bulk_clear_tags'), () => {
+    actions.onBulkClearTags();
+  }, 'btn-outline-danger'));
+
+  const selection = document.createElement('div');
+  selection.className = 'bulk-action-selection';
+  if (selectedIds.length < getFilteredStreamers().length) {
+    selection.appendChild(createBulkButton(t('app_bulk_select_all'), () => {
+      actions.onSelectAll();
+    }, 'btn-link'));
+  }
+  selection.appendChild(createBulkButton(t('app_bulk_clear_selection'), () => {
+    actions.onClearSelection();
+  }, 'btn-link'));
+  bar.appendChild(selection);
+}
+
+function getTagFilterLabel(tagId) {
+  if (tagId === TAG_UNTAGGED) return 'Untagged';
+  return state.tagState?.tags?.[tagId]?.name || tagId;
+}
+
+function createTagFilterChip(tagId, membership, actions) {
+  const chip = document.createElement('span');
+  chip.className = `tag-chip tag-filter-chip tag-filter-chip-${membership}`;
+  const label = getTagFilterLabel(tagId);
+  const tagColor = state.tagState?.tags?.[tagId]?.color;
+  if (membership === 'include' && tagColor && tagId !== TAG_STARRED) {
+    const backgroundColor = resolveTagColor(tagColor, DEFAULT_TAG_COLOR);
+    chip.style.backgroundColor = backgroundColor;
+    chip.style.color = getContrastingTextColor(backgroundColor);
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tag-filter-chip-label';
+  toggle.textContent = membership === 'exclude'
+    ? t('app_tag_filter_exclude_chip', [label])
+    : label;
+  toggle.title = membership === 'exclude'
+    ? t('app_tag_filter_chip_include_tooltip')
+    : t('app_tag_filter_chip_exclude_tooltip');
+  toggle.addEventListener('click', () => {
+    actions.onToggleTagFilter(tagId, membership === 'exclude' ? 'include' : 'exclude');
+  });
+  chip.appendChild(toggle);
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'tag-filter-chip-remove';
+  remove.setAttribute('aria-label', t('app_tag_filter_chip_remove_aria', [label]));
+  remove.textContent = '×';
+  remove.addEventListener('click', () => {
+    actions.onToggleTagFilter(tagId, null);
+  });
+  chip.appendChild(remove);
+
+  return chip;
+}
+
+function createTagFilterModeToggle(mode, actions) {
+  const group = document.createElement('div');
+  group.className = 'btn-group btn-group-sm tag-filter-mode';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', t('app_tag_filter_mode_group_aria'));
+
+  [
+    [TAG_FILTER_MODE_ANY, t('app_tag_filter_mode_any')],
+    [TAG_FILTER_MODE_ALL, t('app_tag_filter_mode_all')],
+  ].forEach(([value, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    const isActive = mode === value;
+    button.className = `btn ${isActive ? 'btn-primary' : 'btn-outline-primary'}`;
+    button.setAttribute('aria-pressed', String(isActive));
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      if (!isActive) {
+        actions.onSetTagFilterMode(value);
+      }
+    });
+    group.appendChild(button);
+  });
+
+  return group;
+}
+
+/**
+ * Render the include/exclude chips and any/all toggle for the active tag filter.
+ * The bar is hidden entirely while no tag filter is set.
+ * @param {{tagFilterBar?: HTMLElement}} elements
+ * @param {object} actions
+ */
+function renderTagFilterBar(elements, actions) {
+  const bar = elements.tagFilterBar;
+  if (!bar) return;
+  bar.innerHTML = '';
+
+  const tagFilter = normalizeTagFilter(state.preferences.tagFilter);
+  const isActive = isTagFilterActive(tagFilter);
+  bar.classList.toggle('d-none', !isActive);
+  if (!isActive || !actions) return;
+
+  const label = document.createElement('span');
+  label.className = 'tag-filter-label small text-muted';
+  label.textContent = t('app_tag_filter_label');
+  bar.appendChild(label);
+
+  if (tagFilter.include.length > 1) {
+    bar.appendChild(createTagFilterModeToggle(tagFilter.mode, actions));
+  }
+
+  const chips = document.createElement('div');
+  chips.className = 'tag-filter-chips';
+  tagFilter.include.forEach((tagId) => {
+    chips.appendChild(createTagFilterChip(tagId, 'include', actions));
+  });
+  tagFilter.exclude.forEach((tagId) => {
+    chips.appendChild(createTagFilterChip(tagId, 'exclude', actions));
+  });
+  bar.appendChild(chips);
+
+  const clearButton = document.createElement('button');
+  clearButton.type = 'button';
+  clearButton.className = 'btn btn-sm btn-outline-secondary tag-filter-clear';
+  clearButton.textContent = t('app_tag_filter_clear');
+  clearButton.addEventListener('click', () => {
+    actions.onClearTagFilter();
+  });
+  bar.appendChild(clearButton);
+}
+
+function createSavedViewItem(view, isActive, actions) {
+  const item = document.createElement('li');
+  item.className = 'saved-view-item';
+
+  const applyButton = document.createElement('button');
+  applyButton.type = 'button';
+  applyButton.className = `dropdown-item saved-view-apply${isActive ? ' active' : ''}`;
+  applyButton.textContent = view.name;
+  if (isActive) {
+    applyButton.setAttribute('aria-current', 'true');
+  }
+  applyButton.addEventListener('click', () => {
+    actions.onApplyView?.(view.id);
+  });
+
+  const updateButton = document.createElement('button');
+  updateButton.type = 'button';
+  updateButton.className = 'btn btn-sm btn-link saved-view-action';
+  updateButton.title = t('app_views_update_tooltip');
+  updateButton.setAttribute('aria-label', t('app_views_update_aria', [view.name]));
+  updateButton.innerHTML = `
+    <svg width="14" height="14" fill="currentColor" aria-hidden="true" focusable="false">
+      <use href="../assets/icons/refresh.svg#icon"/>
+    </svg>
+  `;
+  updateButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    actions.onUpdateView?.(view.id, view.name);
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.className = 'btn btn-sm btn-link text-danger saved-view-action';
+  deleteButton.title = t('app_views_delete_tooltip');
+  deleteButton.setAttribute('aria-label', t('app_views_delete_aria', [view.name]));
+  deleteButton.textContent = '×';
+  deleteButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    actions.onDeleteView?.(view.id, view.name);
+  });
+
+  item.appendChild(applyButton);
+  item.appendChild(updateButton);
+  item.appendChild(deleteButton);
+  return item;
+}
+
+function renderSavedViewsMenu(elements, actions = {}) {
+  const menu = elements.savedViewsMenu;
+  if (!menu) return;
+  menu.innerHTML = '';
+
+  const views = state.savedViews?.views || [];
+  const activeView = views.find((view) => isSavedViewActive(state.preferences, view)) || null;
+
+  if (elements.savedViewsLabel) {
+    elements.savedViewsLabel.textContent = activeView ? activeView.name : t('app_views_button');
+  }
+
+  if (!views.length) {
+    const empty = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'dropdown-item-text text-muted small';
+    text.textContent = t('app_views_empty');
+    empty.appendChild(text);
+    menu.appendChild(empty);
+  }
+
+  views.forEach((view) => {
+    menu.appendChild(createSavedViewItem(view, view === activeView, actions));
+  });
+
+  menu.appendChild(createDividerItem());
+  menu.appendChild(createMenuItem(t('app_views_save_current'), () => {
+    actions.onSaveView?.();
+  }));
+}
+
+/** Value of the account switcher option that connects another account. */
+export const ACCOUNT_SWITCHER_ADD = 'add';
+
+function renderAccountSwitcher(elements) {
+  const select = elements.accountSwitcher;
+  if (!select) return;
+  const accounts = state.auth?.user ? state.accounts : [];
+  select.hidden = !accounts.length;
+  if (!accounts.length) return;
+
+  const key = `${getLanguageOverride() || ''}|${accounts.map(({ id, login }) => `${id}:${login}`).join(',')}`;
+  if (select.dataset.accounts !== key) {
+    select.replaceChildren();
+    accounts.forEach(({ id, login, displayName }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = `${displayName} (@${login})`;
+      select.appendChild(option);
+    });
+    const addOption = document.createElement('option');
+    addOption.value = ACCOUNT_SWITCHER_ADD;
+    addOption.textContent = t('app_account_add');
+    select.appendChild(addOption);
+    select.dataset.accounts = key;
+  }
+  select.value = state.auth.user.id;
+}
+
 function updateAuthUI(elements) {
   const loginButton = elements.loginButton;
   if (!loginButton) return;
@@ -686,7 +1276,8 @@ function updateAuthUI(elements) {
     loginButton.classList.add('d-none');
     loginButton.disabled = true;
     const { displayName, login } = state.auth.user;
-    elements.userLabel.textContent = `${displayName} (@${login})`;
+    // The switcher shows the active account once the account list is known
+    elements.userLabel.textContent = state.accounts.length ? '' : `${displayName} (@${login})`;
   } else {
     loginButton.textContent = t('app_connect_button');
     loginButton.classList.remove('btn-outline-danger');
@@ -695,6 +1286,13 @@ function updateAuthUI(elements) {
     loginButton.classList.remove('d-none');
     elements.userLabel.textContent = '';
   }
+  renderAccountSwitcher(elements);
+
+  if (elements.sessionBanner) {
+    const sessionText = state.auth?.user ? formatSessionIssue(state.session) : null;
+    elements.sessionBanner.hidden = !sessionText;
+    elements.sessionBannerText.textContent = sessionText || '';
+  }
 }
 
 /**
@@ -737,6 +1335,10 @@ export function updateStarredToggleAppearance(elements) {
 export function renderApp(elements, actions, options = {}) {
   closeOpenMenus();
   renderTagList(elements, actions.tagList, options);
+  renderTagFilterBar(elements, actions.tagFilter);
+  renderBulkActionBar(elements, actions.bulk);
+  renderSavedViewsMenu(elements, actions.savedViews);
+  renderLanguageFilterOptions(elements);
   renderStreamerList(elements, actions.card);
   updateAuthUI(elements);
   updateLiveToggleAppearance(elements);
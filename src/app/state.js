@@ -6,12 +6,17 @@
  *
  * ## State Structure
  * - `auth`: Current authentication state (user and token info)
+ * - `session`: Token problems that need a reconnect (`{issue, expiresAt}`)
+ * - `accounts`: Connected Twitch accounts for the account switcher
  * - `follows`: Array of followed streamers with live status
  * - `tagState`: Tag definitions and streamer assignments
  * - `preferences`: User preferences (sorting, filters, theme)
+ * - `savedViews`: Named filter/sort presets (`{views, nextId}`)
  * - `fetchedAt`: Timestamp of last data fetch
  * - `isLoading`: Loading indicator flag
  * - `openTagMenu`: Currently open tag menu streamer ID
+ * - `selectedStreamerIds`: Streamers picked for bulk actions
+ * - `selectionAnchorId`: Last streamer toggled, used for shift-click ranges
  *
  * ## Mutation Pattern
  * State should ONLY be modified through the exported setter functions.
@@ -31,7 +36,10 @@ import {
   TAG_STARRED,
   THEME_SYSTEM,
   LANGUAGE_SYSTEM,
+  MATURE_FILTER_ANY,
 } from '../util/constants.js';
+import { DEFAULT_TAG_FILTER } from '../util/tagFilter.js';
+import { DEFAULT_SAVED_VIEWS } from '../util/savedViews.js';
 
 export const defaultTagState = { tags: {}, assignments: {}, nextId: 1 };
 
@@ -41,7 +49,11 @@ export const defaultPreferences = {
   starredFirst: true,
   nameFilter: '',
   contentFilter: '',
+  languageFilter: '',
+  matureFilter: MATURE_FILTER_ANY,
   selectedTagId: TAG_ALL,
+  tagFilter: DEFAULT_TAG_FILTER,
+  collapsedTagIds: [],
   themeMode: THEME_SYSTEM,
   notificationsEnabled: false,
   notificationTagIds: [TAG_STARRED],
@@ -58,12 +70,17 @@ export const defaultPreferences = {
  */
 export const state = {
   auth: null,
+  session: null,
+  accounts: [],
   follows: [],
   tagState: { ...defaultTagState },
   preferences: { ...defaultPreferences },
+  savedViews: DEFAULT_SAVED_VIEWS,
   fetchedAt: null,
   isLoading: false,
   openTagMenu: null,
+  selectedStreamerIds: [],
+  selectionAnchorId: null,
 };
 
 /**
@@ -74,6 +91,22 @@ export function setAuth(auth) {
   state.auth = auth;
 }
 
+/**
+ * Replace the session status (`{issue, expiresAt}`) behind the reconnect banner.
+ * @param {{issue: string|null, expiresAt: number|null}|null} session
+ */
+export function setSession(session) {
+  state.session = session;
+}
+
+/**
+ * Replace the list of connected Twitch accounts.
+ * @param {Array<{id: string, login: string, displayName: string, active: boolean}>} accounts
+ */
+export function setAccounts(accounts) {
+  state.accounts = Array.isArray(accounts) ? accounts : [];
+}
+
 /**
  * Replace the follow list backing the streamer grid.
  * @param {Array<object>} follows
@@ -90,6 +123,14 @@ export function setTagState(next) {
   state.tagState = next;
 }
 
+/**
+ * Replace the saved views snapshot.
+ * @param {{views: Array<object>, nextId: number}} next
+ */
+export function setSavedViews(next) {
+  state.savedViews = next;
+}
+
 /**
  * Merge preference fields in place, preserving existing values by default.
  * @param {object} [next]
@@ -132,6 +173,37 @@ export function clearOpenTagMenu() {
   state.openTagMenu = null;
 }
 
+/**
+ * Replace the bulk selection and optionally move the shift-click anchor.
+ * @param {Array<string>} streamerIds
+ * @param {string|null} [anchorId]
+ */
+export function setSelectedStreamers(streamerIds, anchorId = state.selectionAnchorId) {
+  state.selectedStreamerIds = Array.from(new Set(streamerIds));
+  state.selectionAnchorId = anchorId;
+}
+
+/**
+ * Drop selected streamers that are no longer in `visibleIds`.
+ * @param {Array<string>} visibleIds
+ */
+export function retainSelectedStreamers(visibleIds) {
+  if (!state.selectedStreamerIds.length) return;
+  const visible = new Set(visibleIds);
+  state.selectedStreamerIds = state.selectedStreamerIds.filter((id) => visible.has(id));
+  if (state.selectionAnchorId && !visible.has(state.selectionAnchorId)) {
+    state.selectionAnchorId = null;
+  }
+}
+
+/**
+ * Reset the bulk selection.
+ */
+export function clearSelection() {
+  state.selectedStreamerIds = [];
+  state.selectionAnchorId = null;
+}
+
 /**
  * Return tag ids assigned to a streamer, defaulting to an empty array.
  * @param {string} streamerId
@@ -0,0 +1,67 @@
+import {
+  getAuthState,
+  getAuthAccounts,
+  setActiveAccount,
+  swapAccountData,
+  clearFollowCache,
+  clearPopupSnapshot,
+} from '../storage/index.js';
+import { signOut } from '../../background/oauth.js';
+import { reloadLiveState, clearLiveState } from './liveTracking.js';
+
+/**
+ * Connected accounts for the account switcher.
+ * @returns {Promise<Array<{id: string, login: string, displayName: string, profileImageUrl: string, active: boolean}>>}
+ */
+export async function listAccounts() {
+  const { activeUserId, accounts } = await getAuthAccounts();
+  return accounts
+    .filter((state) => state?.user?.id)
+    .map(({ user }) => ({
+      id: user.id,
+      login: user.login,
+      displayName: user.displayName || user.login,
+      profileImageUrl: user.profileImageUrl || '',
+      active: user.id === activeUserId,
+    }));
+}
+
+/**
+ * Make another connected account the active one, bringing back its follow
+ * cache and live state and parking the current account's.
+ * @param {string} userId
+ * @returns {Promise<object>} Auth state of the now active account
+ */
+export async function switchAccount(userId) {
+  const current = await getAuthState();
+  const fromUserId = current?.user?.id || null;
+  if (fromUserId === String(userId)) {
+    return current;
+  }
+  const next = await setActiveAccount(userId);
+  await swapAccountData(fromUserId, next.user.id);
+  await reloadLiveState();
+  // The snapshot shows the previous account's follows until the next live check
+  await clearPopupSnapshot();
+  return next;
+}
+
+/**
+ * Disconnect the active account and drop its cached data. Another connected
+ * account, if any, takes over.
+ * @returns {Promise<object|null>} Auth state of the account that took over
+ */
+export async function signOutActiveAccount() {
+  await signOut();
+  await clearFollowCache();
+  await clearLiveState();
+  await clearPopupSnapshot();
+
+  const next = await getAuthState();
+  if (!next?.user?.id) {
+    return null;
+  }
+  await swapAccountData(null, next.user.id);
+  await reloadLiveState();
+  return next;
+}
@@ -1,5 +1,6 @@
 import { sendRuntimeMessage } from '../util/extension.js';
-import { getAuthStatus } from '../../background/oauth.js';
+import { getSignedInState, getSessionInfo } from '../../background/oauth.js';
+import { listAccounts } from './accounts.js';
 
 /**
  * Notify all extension surfaces about the current authentication status.
@@ -7,9 +8,15 @@ import { getAuthStatus } from '../../background/oauth.js';
  * @returns {Promise<void>}
  */
 export async function broadcastAuthStatus() {
-  const auth = await getAuthStatus();
+  const [auth, accounts] = await Promise.all([getSignedInState(), listAccounts()]);
   try {
-    await sendRuntimeMessage({ type: 'oauth:status', signedIn: !!auth, user: auth?.user || null });
+    await sendRuntimeMessage({
+      type: 'oauth:status',
+      signedIn: !!auth,
+      user: auth?.user || null,
+      session: getSessionInfo(auth),
+      accounts,
+    });
   } catch (error) {
     const message = error && error.message ? error.message : String(error);
     if (
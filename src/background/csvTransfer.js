@@ -0,0 +1,253 @@
+import { getTagState } from '../storage/index.js';
+import { fetchUsersByLogins } from '../api/twitch.js';
+import {
+  normalizeTagState,
+  applyTagStateUpdate,
+  pickTagColor,
+  STARRED_TAG_ID,
+} from './tagState.js';
+import { diffImportedState } from './importExport.js';
+import { formatCsv, parseCsv } from '../util/csv.js';
+import { isValidTagName, sanitizeTagName, isValidTwitchUsername } from '../util/validators.js';
+import { isSmartTag } from '../util/smartTags.js';
+
+/**
+ * Column headers of the CSV export. Only `login` is required on import;
+ * the name and date columns are informational and ignored.
+ */
+export const CSV_COLUMNS = Object.freeze([
+  'login',
+  'display_name',
+  'follow_date',
+  'last_seen_live',
+  'tags',
+  'starred',
+]);
+
+// Tags share one cell, so a tag name containing this separator can't round-trip.
+const CSV_TAG_SEPARATOR = ';';
+const MAX_CSV_ROWS = 10000;
+const STARRED_TRUE_VALUES = new Set(['yes', 'y', 'true', '1', 'x', 'ja']);
+
+function formatTimestamp(value) {
+  if (value == null || value === '') return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Build a CSV with one row per followed streamer.
+ * Smart tags are left out because they can't be assigned by hand.
+ * @param {object} state - Tag state
+ * @param {Array<object>} streamers - Follow cache entries
+ * @returns {string}
+ */
+export function buildCsvExport(state, streamers) {
+  const normalized = normalizeTagState(state);
+  const rows = (Array.isArray(streamers) ? streamers : [])
+    .slice()
+    .sort((a, b) => String(a.displayName || a.login).localeCompare(String(b.displayName || b.login)))
+    .map((streamer) => {
+      const tagIds = normalized.assignments[streamer.id] || [];
+      const tagNames = tagIds
+        .map((id) => normalized.tags[id])
+        .filter((tag) => tag && tag.id !== STARRED_TAG_ID && !isSmartTag(tag))
+        .map((tag) => tag.name);
+      return [
+        streamer.login,
+        streamer.displayName || '',
+        formatTimestamp(streamer.followDate),
+        formatTimestamp(streamer.lastSeenLive),
+        tagNames.join(`${CSV_TAG_SEPARATOR} `),
+        tagIds.includes(STARRED_TAG_ID) ? 'yes' : '',
+      ];
+    });
+  return formatCsv([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Export the follow list with its tags as CSV.
+ * @param {Array<object>} streamers - Follow cache entries
+ * @returns {Promise<string>}
+ */
+export async function handleCsvExport(streamers) {
+  return buildCsvExport(await getTagState(), streamers);
+}
+
+function createRowIssue(line, reason, name = null) {
+  return { section: 'rows', index: null, line, name, reason, message: `Invalid CSV: line ${line} ${reason}` };
+}
+
+/**
+ * Read the rows of a CSV import. Each row carries the full tag list of one
+ * streamer; `starred` is null when the file has no starred column.
+ * @param {string} text
+ * @returns {{rows: Array<{line: number, login: string, tags: Array<string>, starred: boolean|null}>, issues: Array<object>}}
+ */
+export function parseCsvImport(text) {
+  const [header, ...records] = parseCsv(text);
+  const columns = (header?.cells || []).map((cell) => cell.trim().toLowerCase());
+  const loginIndex = columns.indexOf('login');
+  if (loginIndex === -1) {
+    return { rows: [], issues: [createRowIssue(header?.line || 1, "has no 'login' column.")] };
+  }
+  if (records.length > MAX_CSV_ROWS) {
+    return { rows: [], issues: [createRowIssue(header.line, `starts a file with too many rows (maximum ${MAX_CSV_ROWS}).`)] };
+  }
+  const tagsIndex = columns.indexOf('tags');
+  const starredIndex = columns.indexOf('starred');
+
+  const rows = [];
+  const issues = [];
+  const seen = new Set();
+  records.forEach(({ line, cells }) => {
+    const login = (cells[loginIndex] || '').trim().toLowerCase();
+    if (!isValidTwitchUsername(login)) {
+      issues.push(createRowIssue(line, 'has an invalid login.', login || null));
+      return;
+    }
+    if (seen.has(login)) {
+      issues.push(createRowIssue(line, 'repeats a login from an earlier line.', login));
+      return;
+    }
+    seen.add(login);
+
+    const tags = [];
+    const rawTags = tagsIndex === -1 ? '' : cells[tagsIndex] || '';
+    rawTags.split(CSV_TAG_SEPARATOR).map((name) => name.trim()).filter(Boolean).forEach((rawName) => {
+      const name = sanitizeTagName(rawName);
+      if (!name || !isValidTagName(name)) {
+        issues.push(createRowIssue(line, `has an invalid tag name "${rawName}".`, login));
+      } else if (!tags.some((tag) => tag.toLowerCase() === name.toLowerCase())) {
+        tags.push(name);
+      }
+    });
+
+    const starred = starredIndex === -1
+      ? null
+      : STARRED_TRUE_VALUES.has((cells[starredIndex] || '').trim().toLowerCase());
+    rows.push({ line, login, tags, starred });
+  });
+  return { rows, issues };
+}
+
+/**
+ * Map logins to streamer ids, preferring the follow cache and asking Twitch
+ * for the rest when a token is available.
+ * @param {Array<string>} logins - Lowercase logins
+ * @param {{token?: string|null, streamers?: Array<object>|null}} [options]
+ * @returns {Promise<{idByLogin: Record<string, string>, streamerNames: Record<string, string>}>}
+ */
+async function resolveLogins(logins, { token = null, streamers = null } = {}) {
+  const idByLogin = {};
+  const streamerNames = {};
+  (streamers || []).forEach((streamer) => {
+    const login = String(streamer.login || '').toLowerCase();
+    if (!login) return;
+    idByLogin[login] = String(streamer.id);
+    streamerNames[String(streamer.id)] = streamer.displayName || streamer.login;
+  });
+
+  const missing = logins.filter((login) => !idByLogin[login]);
+  if (missing.length && token) {
+    const users = await fetchUsersByLogins(token, missing);
+    users.forEach((user) => {
+      idByLogin[String(user.login).toLowerCase()] = String(user.id);
+      streamerNames[String(user.id)] = user.display_name || user.login;
+    });
+  }
+  return { idByLogin, streamerNames };
+}
+
+/**
+ * Apply parsed CSV rows to a tag state. Every resolved row replaces that
+ * streamer's tags (and starred flag, when the column exists); tags that don't
+ * exist yet are created. Streamers missing from the file are left alone.
+ * Smart tags in a row are ignored.
+ * @param {object} currentState
+ * @param {Array<object>} rows - From `parseCsvImport`
+ * @param {Record<string, string>} idByLogin
+ * @returns {{state: object, summary: {rowsApplied: number, tagsAdded: number, unresolvedLogins: Array<string>}}}
+ */
+export function applyCsvRows(currentState, rows, idByLogin) {
+  const state = normalizeTagState(structuredClone(currentState));
+  const now = new Date().toISOString();
+  const summary = { rowsApplied: 0, tagsAdded: 0, unresolvedLogins: [] };
+
+  const nameToId = {};
+  Object.values(state.tags).forEach((tag) => {
+    if (tag.id !== STARRED_TAG_ID) nameToId[tag.name.toLowerCase()] = String(tag.id);
+  });
+
+  rows.forEach((row) => {
+    const streamerId = idByLogin[row.login];
+    if (!streamerId) {
+      summary.unresolvedLogins.push(row.login);
+      return;
+    }
+
+    const tagIds = row.tags
+      .map((name) => {
+        const lower = name.toLowerCase();
+        if (!nameToId[lower]) {
+          const newId = String(state.nextId++);
+          state.tags[newId] = { id: newId, name, color: pickTagColor(newId), createdAt: now };
+          nameToId[lower] = newId;
+          summary.tagsAdded += 1;
+        }
+        return nameToId[lower];
+      })
+      .filter((id) => !isSmartTag(state.tags[id]));
+
+    const wasStarred = (state.assignments[streamerId] || []).includes(STARRED_TAG_ID);
+    const starred = row.starred === null ? wasStarred : row.starred;
+    const next = starred ? [...tagIds, STARRED_TAG_ID] : tagIds;
+    if (next.length) {
+      state.assignments[streamerId] = next;
+    } else {
+      delete state.assignments[streamerId];
+    }
+    summary.rowsApplied += 1;
+  });
+
+  return { state: normalizeTagState(state), summary };
+}
+
+/**
+ * Dry-run a CSV import.
+ * @param {string} text
+ * @param {{token?: string|null, streamers?: Array<object>|null}} [options]
+ * @returns {Promise<{issues: Array<object>, diff?: object, summary?: object}>}
+ */
+export async function previewCsvImport(text, options = {}) {
+  const { rows, issues } = parseCsvImport(text);
+  if (issues.length) {
+    return { issues };
+  }
+  const { idByLogin, streamerNames } = await resolveLogins(rows.map((row) => row.login), options);
+  const current = normalizeTagState(await getTagState());
+  const { state, summary } = applyCsvRows(current, rows, idByLogin);
+  return { issues, diff: diffImportedState(current, state, streamerNames), summary };
+}
+
+/**
+ * Import a CSV of streamer tags. Refuses files with problems; see
+ * `previewCsvImport` to list them.
+ * @param {string} text
+ * @param {{token?: string|null, streamers?: Array<object>|null}} [options]
+ * @returns {Promise<{tagState: object, summary: object}>}
+ */
+export async function handleCsvImport(text, options = {}) {
+  const { rows, issues } = parseCsvImport(text);
+  if (issues.length) {
+    throw new Error(issues[0].message);
+  }
+  const { idByLogin } = await resolveLogins(rows.map((row) => row.login), options);
+  let summary = null;
+  const tagState = await applyTagStateUpdate((current) => {
+    const result = applyCsvRows(current, rows, idByLogin);
+    summary = result.summary;
+    return result.state;
+  }, { historyAction: 'import' });
+  return { tagState, summary };
+}
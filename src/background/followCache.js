@@ -1,16 +1,45 @@
 import {
+  fetchChannelsByIds,
   fetchFollowedChannels,
   fetchStreamsByUserIds,
   fetchUsersByIds,
   fetchUsersByLogins,
 } from '../api/twitch.js';
-import { FOLLOW_CACHE_TTL_MS } from '../config.js';
-import { getFollowCache, setFollowCache, clearFollowCache, getLastSeenLive, setLastSeenLive } from '../storage/index.js';
+import { FOLLOW_CACHE_TTL_MS, FOLLOW_LIST_TTL_MS } from '../config.js';
+import {
+  getAuthState,
+  getFollowCache,
+  setFollowCache,
+  getLastSeenLive,
+  setLastSeenLive,
+} from '../storage/index.js';
 import { broadcastAuthStatus } from './auth.js';
-import { ensureAuth, getAuthStatus, signOut } from '../../background/oauth.js';
+import { applyAutoTagRules } from './tagState.js';
+import { validateSession } from './session.js';
+import {
+  ensureAuth,
+  getAuthStatus,
+  setSessionIssue,
+  SESSION_ISSUE_REVOKED,
+  SESSION_ISSUE_EXPIRED,
+} from '../../background/oauth.js';
 
 export const CACHE_ITEMS_KEY = 'items';
 
+/**
+ * Free-form tags the broadcaster set (Helix `tags`).
+ * @param {object} source - Helix stream or channel object, or `{}`
+ * @returns {Array<string>}
+ */
+function readStreamTags(source) {
+  return Array.isArray(source.tags) ? source.tags.filter((tag) => typeof tag === 'string' && tag) : [];
+}
+
+function buildThumbnailUrl(stream) {
+  const thumbnailTemplate = typeof stream.thumbnail_url === 'string' ? stream.thumbnail_url : null;
+  return thumbnailTemplate ? thumbnailTemplate.replace('{width}x{height}', '320x180') : null;
+}
+
 /**
  * Pull the caller's full follow list and enrich it with user and stream data.
  * Returns a flattened snapshot suitable for caching and UI consumption.
@@ -19,6 +48,8 @@ export const CACHE_ITEMS_KEY = 'items';
  * 1. Fetches all followed channels (paginated)
  * 2. Fetches user profile data for all streamers
  * 3. Fetches current stream data to determine live status
+ * 3b. Fetches channel data so offline streamers keep their last title,
+ *     category, language, and tags
  * 4. Updates "last seen live" timestamps for currently live streamers
  * 5. Cleans up stale last-seen data for unfollowed streamers
  *
@@ -30,6 +61,10 @@ export const CACHE_ITEMS_KEY = 'items';
  *   displayName: string,
  *   title: string,
  *   gameName: string,
+ *   gameId: string|null,
+ *   language: string|null,
+ *   streamTags: Array<string>,
+ *   isMature: boolean|null,
  *   isLive: boolean,
  *   startedAt: string|null,
  *   followDate: string,
@@ -57,12 +92,14 @@ export async function buildFollowSnapshot(token, userId) {
   } while (cursor);
 
   const ids = [...new Set(follows.map((item) => item.broadcaster_id))];
-  const [users, streams] = await Promise.all([
+  const [users, streams, channels] = await Promise.all([
     ids.length ? fetchUsersByIds(token, ids) : [],
     ids.length ? fetchStreamsByUserIds(token, ids) : [],
+    ids.length ? fetchChannelsByIds(token, ids) : [],
   ]);
   const userMap = new Map(users.map((user) => [user.id, user]));
   const streamMap = new Map(streams.map((stream) => [stream.user_id, stream]));
+  const channelMap = new Map(channels.map((channel) => [channel.broadcaster_id, channel]));
 
   // Get last seen live data
   const lastSeenData = await getLastSeenLive();
@@ -73,10 +110,7 @@ export async function buildFollowSnapshot(token, userId) {
   const snapshot = follows.map((follow) => {
     const profile = userMap.get(follow.broadcaster_id) || {};
     const stream = streamMap.get(follow.broadcaster_id) || {};
-    const thumbnailTemplate = typeof stream.thumbnail_url === 'string' ? stream.thumbnail_url : null;
-    const thumbnailUrl = thumbnailTemplate
-      ? thumbnailTemplate.replace('{width}x{height}', '320x180')
-      : null;
+    const channel = channelMap.get(follow.broadcaster_id) || {};
     const isLive = stream.type === 'live';
 
     // Update last seen timestamp for currently live streamers
@@ -89,14 +123,18 @@ export async function buildFollowSnapshot(token, userId) {
       id: follow.broadcaster_id,
       login: follow.broadcaster_login,
       displayName: follow.broadcaster_name,
-      title: stream.title || follow.title,
-      gameName: stream.game_name || follow.game_name,
+      title: stream.title || channel.title || '',
+      gameName: stream.game_name || channel.game_name || '',
+      gameId: stream.game_id || channel.game_id || null,
+      language: stream.language || channel.broadcaster_language || null,
+      streamTags: readStreamTags(isLive ? stream : channel),
+      isMature: typeof stream.is_mature === 'boolean' ? stream.is_mature : null,
       isLive,
       startedAt: stream.started_at || null,
       followDate: follow.followed_at,
       avatarUrl: profile.profile_image_url || null,
       viewerCount: typeof stream.viewer_count === 'number' ? stream.viewer_count : null,
-      thumbnailUrl,
+      thumbnailUrl: buildThumbnailUrl(stream),
       lastSeenLive: lastSeenData[follow.broadcaster_id] || null,
       lastUpdated: now,
     };
@@ -122,46 +160,144 @@ export async function buildFollowSnapshot(token, userId) {
   return snapshot;
 }
 
+/**
+ * Patch the live status of cached streamers from a streams-only lookup, which
+ * costs one call per 100 follows instead of a full rebuild. Streamers that went
+ * offline keep their last title, category, language and tags.
+ * @param {string} token - Twitch OAuth bearer token
+ * @param {Array<object>} items - Cached streamers
+ * @returns {Promise<Array<object>>} Patched copies of the items
+ *
+ * @sideeffects
+ * - Updates lastSeenLive storage with current timestamps for live streamers
+ */
+export async function refreshLiveStatus(token, items) {
+  const ids = [...new Set(items.map((item) => item.id))];
+  const streams = ids.length ? await fetchStreamsByUserIds(token, ids) : [];
+  const streamMap = new Map(streams.map((stream) => [stream.user_id, stream]));
+  const lastSeenData = await getLastSeenLive();
+  const now = Date.now();
+  let lastSeenUpdated = false;
+
+  const patched = items.map((item) => {
+    const stream = streamMap.get(item.id);
+    if (!stream || stream.type !== 'live') {
+      return {
+        ...item,
+        isLive: false,
+        startedAt: null,
+        viewerCount: null,
+        thumbnailUrl: null,
+        isMature: null,
+        lastUpdated: now,
+      };
+    }
+
+    lastSeenData[item.id] = now;
+    lastSeenUpdated = true;
+    return {
+      ...item,
+      title: stream.title || item.title,
+      gameName: stream.game_name || item.gameName,
+      gameId: stream.game_id || item.gameId || null,
+      language: stream.language || item.language || null,
+      streamTags: readStreamTags(stream),
+      isMature: typeof stream.is_mature === 'boolean' ? stream.is_mature : null,
+      isLive: true,
+      startedAt: stream.started_at || null,
+      viewerCount: typeof stream.viewer_count === 'number' ? stream.viewer_count : null,
+      thumbnailUrl: buildThumbnailUrl(stream),
+      lastSeenLive: now,
+      lastUpdated: now,
+    };
+  });
+
+  if (lastSeenUpdated) {
+    await setLastSeenLive(lastSeenData);
+  }
+  return patched;
+}
+
+/**
+ * Run auto-tag rules against freshly fetched follow data. Failures are logged
+ * so a broken rule never blocks the cache refresh itself.
+ * @param {Array<object>} items
+ * @param {string|null} [accountId] - Account the follow data belongs to
+ * @returns {Promise<void>}
+ */
+async function applyRulesToSnapshot(items, accountId = null) {
+  try {
+    const { applied } = await applyAutoTagRules(items, { accountId });
+    if (applied > 0) {
+      console.log(`[TTagger] Auto-tag rules added ${applied} assignment(s)`);
+    }
+  } catch (error) {
+    console.warn('[TTagger] Failed to apply auto-tag rules:', error);
+  }
+}
+
 /**
  * Ensure the follow cache is fresh, attempting silent re-auth when needed.
- * Signs the user out if the token is rejected by Twitch.
- * @param {boolean} [force=false]
- * @returns {Promise<?{fetchedAt:number, [CACHE_ITEMS_KEY]: Array<object>}>}
+ * Live status is refreshed once `FOLLOW_CACHE_TTL_MS` has passed, or on every
+ * call with `refreshLive`; the follow list and profiles are only rebuilt after
+ * `FOLLOW_LIST_TTL_MS` or when forced.
+ * When Twitch rejects the token, or it expired and could not be renewed, the
+ * cached follows are kept and the session is flagged for reconnecting instead
+ * of signing the user out.
+ * @param {boolean} [force=false] - Rebuild the full follow list now
+ * @param {{refreshLive?: boolean}} [options] - `refreshLive` skips the
+ *   `FOLLOW_CACHE_TTL_MS` check, for live checks that run at that interval
+ * @returns {Promise<?{fetchedAt:number, followsFetchedAt:number, [CACHE_ITEMS_KEY]: Array<object>}>}
  */
-export async function refreshFollowCache(force = false) {
+export async function refreshFollowCache(force = false, { refreshLive = false } = {}) {
   let auth = await getAuthStatus();
   if (!auth) {
+    if (!(await getAuthState())?.accessToken) {
+      return null;
+    }
     try {
       auth = await ensureAuth({ interactive: false });
     } catch (error) {
-      if (error.message && error.message.includes('Authentication required')) {
-        return null;
+      console.info('[TTagger] Expired token could not be renewed:', error.message || error);
+      if (await setSessionIssue(SESSION_ISSUE_EXPIRED)) {
+        await broadcastAuthStatus();
       }
-      throw error;
+      return getFollowCache();
     }
   }
 
-  if (!auth) {
-    return null;
-  }
-
   const cached = await getFollowCache();
-  if (!force && cached && cached.fetchedAt + FOLLOW_CACHE_TTL_MS > Date.now()) {
+  if (auth.sessionIssue === SESSION_ISSUE_REVOKED) {
+    // Every call would fail until the user reconnects
+    return cached;
+  }
+  const now = Date.now();
+  // Caches written before the split only have `fetchedAt`
+  const followsFetchedAt = cached?.followsFetchedAt ?? cached?.fetchedAt ?? 0;
+  const rebuild = force || !cached || followsFetchedAt + FOLLOW_LIST_TTL_MS <= now;
+  if (!rebuild && !refreshLive && cached.fetchedAt + FOLLOW_CACHE_TTL_MS > now) {
     return cached;
   }
 
   try {
-    const items = await buildFollowSnapshot(auth.accessToken, auth.user.id);
+    const items = rebuild
+      ? await buildFollowSnapshot(auth.accessToken, auth.user.id)
+      : await refreshLiveStatus(auth.accessToken, cached[CACHE_ITEMS_KEY] || []);
+    const fetchedAt = Date.now();
     const cache = {
-      fetchedAt: Date.now(),
+      accountId: auth.user.id,
+      fetchedAt,
+      followsFetchedAt: rebuild ? fetchedAt : followsFetchedAt,
       [CACHE_ITEMS_KEY]: items,
     };
     await setFollowCache(cache);
+    await applyRulesToSnapshot(items, auth.user.id);
     return cache;
   } catch (error) {
     if (error.status === 401 || error.status === 403) {
-      await signOut();
-      await clearFollowCache();
+      await setSessionIssue(SESSION_ISSUE_REVOKED);
+      // Renews the token silently or settles on the actual problem
+      await validateSession();
       await broadcastAuthStatus();
     }
     throw error;
@@ -182,9 +318,10 @@ export async function getStoredFollowCache() {
  * Add a newly followed streamer to the cache without a full refresh.
  * @param {string} token - Twitch OAuth bearer token
  * @param {string} login - Streamer's login name
+ * @param {string} accountId - User id of the account that follows the streamer
  * @returns {Promise<void>}
  */
-export async function addStreamerToCache(token, login) {
+export async function addStreamerToCache(token, login, accountId) {
   try {
     // Fetch user data
     const users = await fetchUsersByLogins(token, [login]);
@@ -195,9 +332,13 @@ export async function addStreamerToCache(token, login) {
 
     const user = users[0];
 
-    // Fetch stream data
-    const streams = await fetchStreamsByUserIds(token, [user.id]);
+    // Fetch stream and channel data
+    const [streams, channels] = await Promise.all([
+      fetchStreamsByUserIds(token, [user.id]),
+      fetchChannelsByIds(token, [user.id]),
+    ]);
     const stream = streams.length > 0 ? streams[0] : {};
+    const channel = channels.length > 0 ? channels[0] : {};
 
     // Get last seen live data
     const lastSeenData = await getLastSeenLive();
@@ -211,29 +352,30 @@ export async function addStreamerToCache(token, login) {
     }
 
     // Build streamer entry
-    const thumbnailTemplate = typeof stream.thumbnail_url === 'string' ? stream.thumbnail_url : null;
-    const thumbnailUrl = thumbnailTemplate
-      ? thumbnailTemplate.replace('{width}x{height}', '320x180')
-      : null;
-
     const streamerEntry = {
       id: user.id,
       login: user.login,
       displayName: user.display_name,
-      title: stream.title || '',
-      gameName: stream.game_name || '',
+      title: stream.title || channel.title || '',
+      gameName: stream.game_name || channel.game_name || '',
+      gameId: stream.game_id || channel.game_id || null,
+      language: stream.language || channel.broadcaster_language || null,
+      streamTags: readStreamTags(isLive ? stream : channel),
+      isMature: typeof stream.is_mature === 'boolean' ? stream.is_mature : null,
       isLive,
       startedAt: stream.started_at || null,
       followDate: new Date().toISOString(), // We don't have the actual follow date
       avatarUrl: user.profile_image_url || null,
       viewerCount: typeof stream.viewer_count === 'number' ? stream.viewer_count : null,
-      thumbnailUrl,
+      thumbnailUrl: buildThumbnailUrl(stream),
       lastSeenLive: lastSeenData[user.id] || null,
       lastUpdated: now,
     };
 
     // Get current cache
-    const cache = await getFollowCache() || { fetchedAt: now, [CACHE_ITEMS_KEY]: [] };
+    // Without a cache the follow list is still unknown; rebuild it on the next refresh
+    const cache = await getFollowCache()
+      || { accountId, fetchedAt: now, followsFetchedAt: 0, [CACHE_ITEMS_KEY]: [] };
 
     // Check if streamer already exists in cache
     const existingIndex = cache[CACHE_ITEMS_KEY].findIndex(item => item.id === user.id);
@@ -248,6 +390,7 @@ export async function addStreamerToCache(token, login) {
 
     // Save updated cache
     await setFollowCache(cache);
+    await applyRulesToSnapshot([streamerEntry], accountId);
 
     console.log(`[TTagger] Added streamer ${login} (${user.id}) to cache`);
   } catch (error) {
@@ -1,23 +1,97 @@
-import { getTagState, setTagState } from '../storage/index.js';
-import { normalizeTagState, resetTagStateToDefault, pickTagColor, STARRED_TAG_ID } from './tagState.js';
-import { isValidTagName, sanitizeTagName, isValidHexColor } from '../util/validators.js';
+import { extension } from '../util/extension.js';
+import { getTagState, getSavedViews, setSavedViews } from '../storage/index.js';
+import {
+  normalizeTagState,
+  replaceTagState,
+  applyTagStateUpdate,
+  pickTagColor,
+  STARRED_TAG_ID,
+} from './tagState.js';
+import {
+  isValidTagName,
+  sanitizeTagName,
+  isValidHexColor,
+  isValidTwitchUsername,
+} from '../util/validators.js';
 import { sortTagsByOrder } from '../util/sorting.js';
+import {
+  TAG_UNTAGGED,
+  IMPORT_MODE_REPLACE,
+  IMPORT_MODE_MERGE,
+  IMPORT_CONFLICT_IMPORTED,
+} from '../util/constants.js';
+import { normalizeSavedViews, pickSavedViewFields } from '../util/savedViews.js';
+import { normalizeTagRules } from '../util/tagRules.js';
+import { isSmartTag, normalizeSmartTagQuery } from '../util/smartTags.js';
+import { isTagInAccountScope } from '../util/accountScope.js';
 
-function serializeTagForExport(tag) {
+/**
+ * Marker and schema version of export files. Bump the version whenever the
+ * shape changes and add a step to EXPORT_MIGRATIONS that upgrades the
+ * previous version.
+ */
+export const EXPORT_FORMAT = 'ttagger-export';
+export const EXPORT_VERSION = 3;
+
+function getExtensionVersion() {
+  try {
+    return extension.runtime.getManifest().version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function serializeTagForExport(tag, tags) {
   const entry = { name: tag.name };
   if (tag.color) entry.color = tag.color;
   const order = Number(tag.sortOrder);
   if (Number.isFinite(order)) entry.sortOrder = order;
+  // Parents are referenced by name since ids are reassigned on import.
+  const parentName = tag.parentId ? tags[tag.parentId]?.name : null;
+  if (parentName) entry.parent = parentName;
+  if (tag.rules) entry.rules = tag.rules;
+  if (isSmartTag(tag)) entry.smart = tag.smart;
+  // Twitch user ids are the same everywhere, so the scope survives a move
+  if (tag.accountId) entry.account = tag.accountId;
   return entry;
 }
 
+function isReservedTagRef(tagId) {
+  return tagId === STARRED_TAG_ID || tagId === TAG_UNTAGGED;
+}
+
+/**
+ * Saved views reference tags by id, which do not survive an import.
+ * Custom tags are exported by name; starred/untagged keep their reserved ids.
+ */
+function serializeViewForExport(view, tags) {
+  const toRef = (tagId) => (isReservedTagRef(tagId) ? tagId : tags[tagId]?.name || null);
+  const fields = pickSavedViewFields(view);
+  return {
+    name: view.name,
+    ...fields,
+    selectedTagId: fields.selectedTagId ? toRef(fields.selectedTagId) : null,
+    tagFilter: {
+      include: fields.tagFilter.include.map(toRef).filter(Boolean),
+      exclude: fields.tagFilter.exclude.map(toRef).filter(Boolean),
+      mode: fields.tagFilter.mode,
+    },
+  };
+}
+
 /**
  * Build a portable export payload from the current tag state.
- * Includes custom tags, assignments by name, and starred streamer ids.
+ * Wraps custom tags, assignments by name, starred streamer ids and, when
+ * provided, saved views with tag references resolved to names in a
+ * versioned envelope. `streamers` maps each exported streamer id to its login
+ * and display name so the file stays readable and can be applied to another
+ * account's follows.
  * @param {object} state
- * @returns {{tags:Array<object>, assignments:object, starred:Array<string>}}
+ * @param {{views: Array<object>}|null} [savedViews]
+ * @param {Array<object>|null} [followedStreamers] - Follow cache entries
+ * @returns {{format: string, version: number, exportedAt: string, source: object, tags:Array<object>, assignments:object, starred:Array<string>, streamers:object, views?:Array<object>}}
  */
-export function buildExportPayload(state) {
+export function buildExportPayload(state, savedViews = null, followedStreamers = null) {
   const normalized = normalizeTagState(state);
   const tags = Object.values(normalized.tags).filter((tag) => tag.id !== STARRED_TAG_ID);
 
@@ -45,20 +119,41 @@ export function buildExportPayload(state) {
     }
   });
 
-  return {
-    tags: tags.map(serializeTagForExport),
+  const followedById = new Map((followedStreamers || []).map((streamer) => [String(streamer.id), streamer]));
+  const streamers = {};
+  new Set([...Object.keys(assignments), ...starred]).forEach((streamerId) => {
+    const streamer = followedById.get(streamerId);
+    if (streamer?.login) {
+      streamers[streamerId] = { login: streamer.login, displayName: streamer.displayName || streamer.login };
+    }
+  });
+
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { extension: 'TTagger', version: getExtensionVersion() },
+    tags: tags.map((tag) => serializeTagForExport(tag, normalized.tags)),
     assignments,
     starred: Array.from(starred),
+    streamers,
   };
+
+  if (savedViews) {
+    payload.views = (savedViews.views || []).map((view) => serializeViewForExport(view, normalized.tags));
+  }
+
+  return payload;
 }
 
 /**
  * Produce the export payload expected by the options page download flow.
- * @returns {Promise<{tags:Array<object>, assignments:object, starred:Array<string>}>}
+ * @param {Array<object>|null} [followedStreamers] - Follow cache entries used for streamer names
+ * @returns {Promise<ReturnType<typeof buildExportPayload>>}
  */
-export async function handleExport() {
-  const state = await getTagState();
-  return buildExportPayload(state);
+export async function handleExport(followedStreamers = null) {
+  const [state, savedViews] = await Promise.all([getTagState(), getSavedViews()]);
+  return buildExportPayload(state, savedViews, followedStreamers);
 }
 
 function normalizeImportedTags(rawTags = []) {
@@ -87,6 +182,11 @@ function normalizeImportedTags(rawTags = []) {
       if (typeof tag.updatedAt === 'string') entry.updatedAt = tag.updatedAt;
       const rawOrder = Number(tag.sortOrder);
       if (Number.isFinite(rawOrder)) entry.sortOrder = rawOrder;
+      if (typeof tag.parent === 'string' && tag.parent.trim()) entry.parent = tag.parent.trim();
+      const rules = normalizeTagRules(tag.rules);
+      if (rules) entry.rules = rules;
+      if (isSmartTag(tag)) entry.smart = normalizeSmartTagQuery(tag.smart);
+      if (typeof tag.account === 'string' && /^\d+$/.test(tag.account.trim())) entry.account = tag.account.trim();
       return entry;
     })
     .filter(Boolean);
@@ -111,6 +211,19 @@ function normalizeImportedAssignments(rawAssignments = {}) {
   }, {});
 }
 
+function normalizeImportedStreamers(rawStreamers = {}) {
+  if (!rawStreamers || typeof rawStreamers !== 'object' || Array.isArray(rawStreamers)) return {};
+  return Object.entries(rawStreamers).reduce((acc, [streamerId, entry]) => {
+    const login = typeof entry?.login === 'string' ? entry.login.trim().toLowerCase() : '';
+    if (!streamerId || !isValidTwitchUsername(login)) return acc;
+    const displayName = typeof entry.displayName === 'string' && entry.displayName.trim()
+      ? entry.displayName.trim().slice(0, 50)
+      : login;
+    acc[streamerId] = { login, displayName };
+    return acc;
+  }, {});
+}
+
 function normalizeImportedStarred(rawStarred = []) {
   if (!Array.isArray(rawStarred)) return [];
   return Array.from(
@@ -124,112 +237,609 @@ function normalizeImportedStarred(rawStarred = []) {
 }
 
 
+function isReservedTagName(lowerName) {
+  return lowerName === '⭐ starred' || lowerName === 'favorite' || lowerName === 'starred';
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
- * Validate import payload structure before processing
+ * Upgrade an unversioned export (version 1). Early exports could list the
+ * starred tag among the tags and assign it by name; those assignments become
+ * `starred` entries. Numeric streamer ids become strings.
+ * @param {object} payload
+ * @returns {object}
+ */
+function migrateUnversionedExport(payload) {
+  const next = { ...payload, format: EXPORT_FORMAT, version: 2 };
+  const isReserved = (name) => typeof name === 'string' && isReservedTagName(name.trim().toLowerCase());
+  const starred = new Set(
+    (Array.isArray(payload.starred) ? payload.starred : [])
+      .map((id) => (typeof id === 'number' ? String(id) : id)),
+  );
+
+  if (Array.isArray(payload.tags)) {
+    next.tags = payload.tags.filter((tag) => !isReserved(tag?.name));
+  }
+  if (isPlainObject(payload.assignments)) {
+    next.assignments = Object.entries(payload.assignments).reduce((acc, [streamerId, tagNames]) => {
+      if (Array.isArray(tagNames) && tagNames.some(isReserved)) {
+        starred.add(streamerId);
+        acc[streamerId] = tagNames.filter((name) => !isReserved(name));
+      } else {
+        acc[streamerId] = tagNames;
+      }
+      return acc;
+    }, {});
+  }
+  if (payload.starred === undefined || Array.isArray(payload.starred)) {
+    next.starred = Array.from(starred);
+  }
+  return next;
+}
+
+/**
+ * Upgrade a version 2 export, which had no streamer directory.
+ * @param {object} payload
+ * @returns {object}
+ */
+function migrateExportWithoutStreamers(payload) {
+  return { ...payload, version: 3, streamers: payload.streamers ?? {} };
+}
+
+/**
+ * Steps that upgrade an export from the version they are keyed by to the next.
+ */
+const EXPORT_MIGRATIONS = Object.freeze({
+  1: migrateUnversionedExport,
+  2: migrateExportWithoutStreamers,
+});
+
+function getExportVersion(payload) {
+  if (payload.version === undefined) return 1;
+  const version = Number(payload.version);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+const IMPORT_ENTRY_LABELS = Object.freeze({ tags: 'tag', views: 'view' });
+
+/**
+ * Describe one problem in an import file. `index` points at the offending
+ * entry of `section` (null for problems with the file as a whole).
+ * @param {string} section - payload, tags, assignments, starred or views
+ * @param {number|null} index
+ * @param {string} reason
+ * @param {string|null} [name] - Name of the offending entry, when it has one
+ * @returns {{section: string, index: number|null, name: string|null, reason: string, message: string}}
+ */
+function createImportIssue(section, index, reason, name = null) {
+  let message = `Invalid import payload: ${reason}`;
+  if (section === 'version') {
+    message = reason;
+  } else if (index !== null) {
+    message = `Invalid import payload: ${IMPORT_ENTRY_LABELS[section]} at index ${index} ${reason}`;
+  }
+  return { section, index, name, reason, message };
+}
+
+function getExportVersionIssue(payload) {
+  if (payload.format !== undefined && payload.format !== EXPORT_FORMAT) {
+    return createImportIssue('version', null, 'This file is not a TTagger export.');
+  }
+  const version = getExportVersion(payload);
+  if (version === null) {
+    return createImportIssue('version', null, 'This file has an unknown export version.');
+  }
+  if (version > EXPORT_VERSION) {
+    return createImportIssue(
+      'version',
+      null,
+      `This file was exported by a newer version of TTagger (export version ${version}, this one reads up to ${EXPORT_VERSION}). Update the extension to import it.`,
+    );
+  }
+  return null;
+}
+
+/**
+ * Upgrade an export file to the current version, one step at a time.
  * @param {unknown} payload
- * @throws {Error} If validation fails
+ * @returns {object}
+ * @throws {Error} If the payload isn't an object or is from an unknown or newer version
  */
-function validateImportPayload(payload) {
-  if (!payload || typeof payload !== 'object') {
+export function migrateExportPayload(payload) {
+  if (!isPlainObject(payload)) {
     throw new Error('Invalid import payload: must be an object.');
   }
+  const issue = getExportVersionIssue(payload);
+  if (issue) {
+    throw new Error(issue.message);
+  }
+  let migrated = payload;
+  for (let version = getExportVersion(payload); version < EXPORT_VERSION; version += 1) {
+    migrated = EXPORT_MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Check the structure of an import file and list every problem found. Files
+ * from an older export version are checked after migrating them.
+ * @param {unknown} rawPayload
+ * @returns {Array<ReturnType<typeof createImportIssue>>}
+ */
+export function collectImportIssues(rawPayload) {
+  if (!isPlainObject(rawPayload)) {
+    return [createImportIssue('payload', null, 'must be an object.')];
+  }
+  const versionIssue = getExportVersionIssue(rawPayload);
+  if (versionIssue) {
+    return [versionIssue];
+  }
+  const payload = migrateExportPayload(rawPayload);
+  const issues = [];
 
   // Validate tags array
   if (payload.tags !== undefined && !Array.isArray(payload.tags)) {
-    throw new Error('Invalid import payload: tags must be an array.');
+    issues.push(createImportIssue('tags', null, 'tags must be an array.'));
   }
 
   if (Array.isArray(payload.tags) && payload.tags.length > 1000) {
-    throw new Error('Invalid import payload: too many tags (maximum 1000).');
+    issues.push(createImportIssue('tags', null, 'too many tags (maximum 1000).'));
   }
 
   // Validate assignments object
   if (payload.assignments !== undefined && (typeof payload.assignments !== 'object' || Array.isArray(payload.assignments))) {
-    throw new Error('Invalid import payload: assignments must be an object.');
+    issues.push(createImportIssue('assignments', null, 'assignments must be an object.'));
   }
 
   if (payload.assignments && Object.keys(payload.assignments).length > 10000) {
-    throw new Error('Invalid import payload: too many assignments (maximum 10000).');
+    issues.push(createImportIssue('assignments', null, 'too many assignments (maximum 10000).'));
   }
 
   // Validate starred array
   if (payload.starred !== undefined && !Array.isArray(payload.starred)) {
-    throw new Error('Invalid import payload: starred must be an array.');
+    issues.push(createImportIssue('starred', null, 'starred must be an array.'));
   }
 
   if (Array.isArray(payload.starred) && payload.starred.length > 10000) {
-    throw new Error('Invalid import payload: too many starred streamers (maximum 10000).');
+    issues.push(createImportIssue('starred', null, 'too many starred streamers (maximum 10000).'));
+  }
+
+  // Validate streamer directory
+  if (payload.streamers !== undefined && !isPlainObject(payload.streamers)) {
+    issues.push(createImportIssue('streamers', null, 'streamers must be an object.'));
+  }
+
+  // Validate views array
+  if (payload.views !== undefined && !Array.isArray(payload.views)) {
+    issues.push(createImportIssue('views', null, 'views must be an array.'));
   }
 
   // Validate each tag has required fields and valid values
   if (Array.isArray(payload.tags)) {
-    for (let i = 0; i < payload.tags.length; i++) {
-      const tag = payload.tags[i];
+    payload.tags.forEach((tag, i) => {
       if (!tag || typeof tag !== 'object') {
-        throw new Error(`Invalid import payload: tag at index ${i} must be an object.`);
+        issues.push(createImportIssue('tags', i, 'must be an object.'));
+        return;
       }
 
       if (!tag.name || typeof tag.name !== 'string') {
-        throw new Error(`Invalid import payload: tag at index ${i} missing required field 'name'.`);
+        issues.push(createImportIssue('tags', i, "missing required field 'name'."));
+        return;
       }
 
       if (!isValidTagName(tag.name)) {
-        throw new Error(`Invalid import payload: tag at index ${i} has invalid name (must be 1-50 chars, no HTML tags).`);
+        issues.push(createImportIssue('tags', i, 'has invalid name (must be 1-50 chars, no HTML tags).', tag.name));
       }
 
       if (tag.color && !isValidHexColor(tag.color)) {
-        throw new Error(`Invalid import payload: tag at index ${i} has invalid color (must be valid hex color).`);
+        issues.push(createImportIssue('tags', i, 'has invalid color (must be valid hex color).', tag.name));
       }
-    }
+    });
+  }
+
+  if (Array.isArray(payload.views)) {
+    payload.views.forEach((view, i) => {
+      if (!view || typeof view !== 'object' || typeof view.name !== 'string') {
+        issues.push(createImportIssue('views', i, "missing required field 'name'."));
+      }
+    });
   }
+
+  return issues;
 }
 
 /**
- * Replace the stored tag state using an imported payload from disk.
- * Always resets to the default starred tag before applying the import.
+ * Validate import payload structure before processing
  * @param {unknown} payload
- * @returns {Promise<{tagState: object}>}
+ * @throws {Error} With the first problem found, if any
+ */
+function validateImportPayload(payload) {
+  const [issue] = collectImportIssues(payload);
+  if (issue) {
+    throw new Error(issue.message);
+  }
+}
+
+function resolveImportedViews(rawViews, nameToId) {
+  const fromRef = (ref) => {
+    if (typeof ref !== 'string' || !ref) return null;
+    if (isReservedTagRef(ref)) return ref;
+    return nameToId[ref.toLowerCase()] || null;
+  };
+
+  const views = rawViews.map((view, index) => {
+    const tagFilter = view.tagFilter && typeof view.tagFilter === 'object' ? view.tagFilter : {};
+    return {
+      ...view,
+      id: String(index + 1),
+      selectedTagId: fromRef(view.selectedTagId),
+      tagFilter: {
+        include: (Array.isArray(tagFilter.include) ? tagFilter.include : []).map(fromRef).filter(Boolean),
+        exclude: (Array.isArray(tagFilter.exclude) ? tagFilter.exclude : []).map(fromRef).filter(Boolean),
+        mode: tagFilter.mode,
+      },
+    };
+  });
+
+  return normalizeSavedViews({ views });
+}
+
+/**
+ * Validate and migrate an import file, then normalize it into tags,
+ * assignments by tag name, starred streamer ids, the streamer directory and
+ * the raw views list.
+ * @param {unknown} rawPayload
+ * @returns {{tags: Array<object>, assignments: object, starred: Array<string>, streamers: object, views: Array<object>|null}}
+ */
+function parseImportPayload(rawPayload) {
+  validateImportPayload(rawPayload);
+  const payload = migrateExportPayload(rawPayload);
+  return {
+    tags: sortTagsByOrder(normalizeImportedTags(payload.tags)),
+    assignments: normalizeImportedAssignments(payload.assignments),
+    starred: normalizeImportedStarred(payload.starred),
+    streamers: normalizeImportedStreamers(payload.streamers),
+    views: Array.isArray(payload.views) ? payload.views : null,
+  };
+}
+
+/**
+ * Point imported streamer ids at the local follow list. An id that isn't
+ * followed here is swapped for the followed streamer with the same login, so
+ * a file exported from another account still lands on the right people.
+ * @param {ReturnType<typeof parseImportPayload>} imported
+ * @param {Array<object>|null} followedStreamers - Follow cache entries
+ * @returns {{imported: ReturnType<typeof parseImportPayload>, matchedByLogin: number, streamerNames: Record<string, string>}}
+ */
+function resolveImportedStreamers(imported, followedStreamers) {
+  const streamerNames = {};
+  Object.entries(imported.streamers).forEach(([streamerId, entry]) => {
+    streamerNames[streamerId] = entry.displayName;
+  });
+  if (!Array.isArray(followedStreamers)) {
+    return { imported, matchedByLogin: 0, streamerNames };
+  }
+
+  const followedIds = new Set();
+  const idByLogin = {};
+  followedStreamers.forEach((streamer) => {
+    const id = String(streamer.id);
+    followedIds.add(id);
+    if (streamer.login) idByLogin[String(streamer.login).toLowerCase()] = id;
+    streamerNames[id] = streamer.displayName || streamer.login || id;
+  });
+
+  const remapped = {};
+  const resolveId = (streamerId) => {
+    if (followedIds.has(streamerId)) return streamerId;
+    const login = imported.streamers[streamerId]?.login;
+    const localId = login ? idByLogin[login] : null;
+    if (!localId) return streamerId;
+    remapped[streamerId] = localId;
+    return localId;
+  };
+
+  const assignments = {};
+  Object.entries(imported.assignments).forEach(([streamerId, tagNames]) => {
+    const id = resolveId(streamerId);
+    assignments[id] = Array.from(new Set([...(assignments[id] || []), ...tagNames]));
+  });
+  const starred = Array.from(new Set(imported.starred.map(resolveId)));
+
+  return {
+    imported: { ...imported, assignments, starred },
+    matchedByLogin: Object.keys(remapped).length,
+    streamerNames,
+  };
+}
+
+function getImportedStreamerIds(imported) {
+  return Array.from(new Set([...Object.keys(imported.assignments), ...imported.starred]));
+}
+
+/**
+ * Id of the tag called `lowerName` that `accountId` can see, if any.
+ * @param {Record<string, object>} tags
+ * @param {string} lowerName
+ * @param {string|null} accountId
+ * @returns {string|null}
  */
-export async function handleImport(payload) {
-  // Validate payload structure before processing
-  validateImportPayload(payload);
+function findTagIdInScope(tags, lowerName, accountId) {
+  const match = Object.values(tags).find((tag) => (
+    tag.id !== STARRED_TAG_ID
+    && tag.name.toLowerCase() === lowerName
+    && isTagInAccountScope(tags, tag.id, accountId)
+  ));
+  return match ? String(match.id) : null;
+}
 
-  const rawTags = normalizeImportedTags(payload.tags);
-  const tags = sortTagsByOrder(rawTags);
-  const assignments = normalizeImportedAssignments(payload.assignments);
-  const starred = normalizeImportedStarred(payload.starred);
+function getParentNameKey(tags, tag) {
+  const parent = tag.parentId ? tags[tag.parentId] : null;
+  return parent ? parent.name.toLowerCase() : null;
+}
 
-  const state = await resetTagStateToDefault();
-  const working = { ...state, tags: { ...state.tags }, assignments: {} };
+/**
+ * Merge parsed import data into an existing tag state without removing
+ * anything. Tags are matched by name (case-insensitive). A matched tag whose
+ * color or parent differs is a conflict; it keeps the current values unless
+ * `resolutions[name]` is `imported`, in which case the imported color, parent,
+ * rules and position win. Assignments and stars are unioned. Only tags the
+ * imported tag's account (or, for shared tags, `accountId`) can see are
+ * matched, so nothing is merged into another account's tag.
+ * @param {object} currentState
+ * @param {ReturnType<typeof parseImportPayload>} imported
+ * @param {{resolutions?: Record<string, string>, knownStreamerIds?: Array<string>|null, accountId?: string|null}} [options]
+ * @returns {{state: object, nameToId: Record<string, string>, summary: object, conflicts: Array<object>}}
+ */
+export function mergeImportedState(currentState, imported, { resolutions = {}, knownStreamerIds = null, accountId = null } = {}) {
+  const state = normalizeTagState(structuredClone(currentState));
+  const now = new Date().toISOString();
+  const summary = {
+    tagsAdded: 0,
+    tagsMerged: 0,
+    tagsSkipped: 0,
+    assignmentsAdded: 0,
+    starredAdded: 0,
+    unknownStreamers: 0,
+  };
+  const conflicts = [];
 
   const nameToId = {};
-  tags.forEach((tag, index) => {
+  Object.values(state.tags).forEach((tag) => {
+    if (tag.id !== STARRED_TAG_ID && isTagInAccountScope(state.tags, tag.id, accountId)) {
+      nameToId[tag.name.toLowerCase()] = String(tag.id);
+    }
+  });
+  const order = sortTagsByOrder(Object.values(state.tags).filter((tag) => tag.id !== STARRED_TAG_ID))
+    .map((tag) => String(tag.id));
+  const parentUpdates = [];
+
+  // New and "imported wins" tags are placed right after the tag that precedes
+  // them in the file, so an imported set keeps its own order.
+  let previousImportedId = null;
+  const placeAfterPrevious = (id) => {
+    const existingIndex = order.indexOf(id);
+    if (existingIndex !== -1) order.splice(existingIndex, 1);
+    const anchorIndex = previousImportedId ? order.indexOf(previousImportedId) : -1;
+    if (anchorIndex === -1) {
+      order.push(id);
+    } else {
+      order.splice(anchorIndex + 1, 0, id);
+    }
+  };
+
+  imported.tags.forEach((tag) => {
     const lower = tag.name.toLowerCase();
-    if (
-      lower === '⭐ starred' ||
-      lower === 'favorite' ||
-      lower === 'starred' ||
-      nameToId[lower]
-    ) {
+    if (isReservedTagName(lower)) return;
+    const existingId = tag.account && tag.account !== accountId
+      ? findTagIdInScope(state.tags, lower, tag.account)
+      : nameToId[lower];
+
+    if (!existingId) {
+      const newId = String(state.nextId++);
+      const entry = {
+        id: newId,
+        name: tag.name,
+        color: tag.color || pickTagColor(newId),
+        createdAt: tag.createdAt || now,
+      };
+      if (tag.rules) entry.rules = tag.rules;
+      if (tag.smart) entry.smart = tag.smart;
+      if (tag.account) entry.accountId = tag.account;
+      state.tags[newId] = entry;
+      nameToId[lower] = newId;
+      parentUpdates.push([newId, tag.parent || null]);
+      placeAfterPrevious(newId);
+      previousImportedId = newId;
+      summary.tagsAdded += 1;
       return;
     }
 
-    const newId = String(working.nextId++);
+    const existing = state.tags[existingId];
+    nameToId[lower] = existingId;
+    if (isSmartTag(existing) !== !!tag.smart) {
+      // A smart and a regular tag cannot be merged into one.
+      summary.tagsSkipped += 1;
+      return;
+    }
+    summary.tagsMerged += 1;
+
+    const importedParent = tag.parent ? tag.parent.toLowerCase() : null;
+    const colorDiffers = !!tag.color && tag.color.toLowerCase() !== String(existing.color || '').toLowerCase();
+    const parentDiffers = importedParent !== getParentNameKey(state.tags, existing);
+    if (colorDiffers || parentDiffers) {
+      conflicts.push({
+        key: lower,
+        name: existing.name,
+        current: {
+          color: existing.color || null,
+          parent: existing.parentId ? state.tags[existing.parentId]?.name || null : null,
+        },
+        imported: { color: tag.color || null, parent: tag.parent || null },
+      });
+      if (resolutions[lower] === IMPORT_CONFLICT_IMPORTED) {
+        const next = { ...existing, updatedAt: now };
+        if (tag.color) next.color = tag.color;
+        if (tag.rules) next.rules = tag.rules;
+        if (tag.smart) next.smart = tag.smart;
+        state.tags[existingId] = next;
+        parentUpdates.push([existingId, tag.parent || null]);
+        placeAfterPrevious(existingId);
+      }
+    }
+    previousImportedId = existingId;
+  });
+
+  parentUpdates.forEach(([id, parentName]) => {
+    const parentId = parentName ? nameToId[parentName.toLowerCase()] : null;
+    const next = { ...state.tags[id] };
+    if (parentId && parentId !== id) {
+      next.parentId = parentId;
+    } else {
+      delete next.parentId;
+    }
+    state.tags[id] = next;
+  });
+
+  order.forEach((id, index) => {
+    state.tags[id] = { ...state.tags[id], sortOrder: index + 1 };
+  });
+
+  Object.entries(imported.assignments).forEach(([streamerId, tagNames]) => {
+    const current = state.assignments[streamerId] || [];
+    const additions = tagNames
+      .map((name) => nameToId[name.toLowerCase()])
+      .filter((id) => id && !isSmartTag(state.tags[id]) && !current.includes(id));
+    const unique = Array.from(new Set(additions));
+    if (unique.length) {
+      state.assignments[streamerId] = [...current, ...unique];
+      summary.assignmentsAdded += unique.length;
+    }
+  });
+
+  imported.starred.forEach((streamerId) => {
+    const current = state.assignments[streamerId] || [];
+    if (!current.includes(STARRED_TAG_ID)) {
+      state.assignments[streamerId] = [...current, STARRED_TAG_ID];
+      summary.starredAdded += 1;
+    }
+  });
+
+  if (Array.isArray(knownStreamerIds)) {
+    const known = new Set(knownStreamerIds.map(String));
+    summary.unknownStreamers = getImportedStreamerIds(imported).filter((id) => !known.has(id)).length;
+  }
+
+  return { state: normalizeTagState(state), nameToId, summary, conflicts };
+}
+
+function mergeImportedViews(currentViews, rawViews, nameToId) {
+  const imported = resolveImportedViews(rawViews, nameToId).views;
+  let { nextId } = currentViews;
+  const merged = normalizeSavedViews({
+    views: [...currentViews.views, ...imported.map((view) => ({ ...view, id: String(nextId++) }))],
+    nextId,
+  });
+  return merged;
+}
+
+function getFollowedStreamerIds(followedStreamers) {
+  return Array.isArray(followedStreamers) ? followedStreamers.map((streamer) => String(streamer.id)) : null;
+}
+
+/**
+ * Merge an import file into the stored tag state. Nothing is removed; see
+ * `mergeImportedState` for how conflicts are resolved. Saved views from the
+ * file are added when no view with the same name exists.
+ * @param {unknown} payload
+ * @param {{resolutions?: Record<string, string>, streamers?: Array<object>|null, accountId?: string|null}} [options]
+ *   `streamers` is the follow cache, used to match streamers by login and spot unknown ones;
+ *   `accountId` is the active account.
+ * @returns {Promise<{tagState: object, summary: object, savedViews?: object}>}
+ */
+export async function handleMergeImport(payload, { resolutions = {}, streamers = null, accountId = null } = {}) {
+  const { imported, matchedByLogin } = resolveImportedStreamers(parseImportPayload(payload), streamers);
+  let merge = null;
+  const tagState = await applyTagStateUpdate((current) => {
+    merge = mergeImportedState(current, imported, {
+      resolutions,
+      knownStreamerIds: getFollowedStreamerIds(streamers),
+      accountId,
+    });
+    return merge.state;
+  }, { historyAction: 'import' });
+  const summary = { ...merge.summary, matchedByLogin };
+
+  if (!imported.views) {
+    return { tagState, summary };
+  }
+
+  const currentViews = await getSavedViews();
+  const savedViews = mergeImportedViews(currentViews, imported.views, merge.nameToId);
+  await setSavedViews(savedViews);
+  return {
+    tagState,
+    summary: { ...summary, viewsAdded: savedViews.views.length - currentViews.views.length },
+    savedViews,
+  };
+}
+
+/**
+ * Build the tag state a replace import produces, starting from an empty
+ * state that only holds the starred tag. With `keepIdsFrom`, tags whose name
+ * matches a tag in that state keep its id and creation date, so preferences
+ * and views that point at them stay valid.
+ * @param {ReturnType<typeof parseImportPayload>} imported
+ * @param {object|null} [keepIdsFrom] - Normalized current tag state
+ * @returns {{state: object, nameToId: Record<string, string>}}
+ */
+function buildReplacedState(imported, keepIdsFrom = null) {
+  const working = normalizeTagState({ tags: {}, assignments: {}, nextId: keepIdsFrom?.nextId || 1 });
+  const existingByName = keepIdsFrom ? getTagNamesByKey(keepIdsFrom) : {};
+
+  const nameToId = {};
+  imported.tags.forEach((tag, index) => {
+    const lower = tag.name.toLowerCase();
+    if (isReservedTagName(lower) || nameToId[lower]) {
+      return;
+    }
+    const existing = existingByName[lower];
+    const newId = existing ? String(existing.id) : String(working.nextId++);
     const entry = {
       id: newId,
       name: tag.name,
       color: tag.color || pickTagColor(newId),
-      createdAt: tag.createdAt || new Date().toISOString(),
+      createdAt: tag.createdAt || existing?.createdAt || new Date().toISOString(),
       sortOrder: index + 1,
     };
     if (tag.updatedAt) {
       entry.updatedAt = tag.updatedAt;
     }
+    if (tag.rules) {
+      entry.rules = tag.rules;
+    }
+    if (tag.smart) {
+      entry.smart = tag.smart;
+    }
+    if (tag.account) {
+      entry.accountId = tag.account;
+    }
     working.tags[newId] = entry;
     nameToId[lower] = newId;
   });
 
-  Object.entries(assignments).forEach(([streamerId, tagNames]) => {
+  imported.tags.forEach((tag) => {
+    const id = nameToId[tag.name.toLowerCase()];
+    const parentId = tag.parent ? nameToId[tag.parent.toLowerCase()] : null;
+    if (id && parentId && working.tags[id] && !working.tags[id].parentId) {
+      working.tags[id].parentId = parentId;
+    }
+  });
+
+  Object.entries(imported.assignments).forEach(([streamerId, tagNames]) => {
     const resolved = tagNames
       .map((name) => nameToId[name.toLowerCase()])
       .filter(Boolean);
@@ -238,7 +848,7 @@ export async function handleImport(payload) {
     }
   });
 
-  starred.forEach((streamerId) => {
+  imported.starred.forEach((streamerId) => {
     const list = working.assignments[streamerId] ? [...working.assignments[streamerId]] : [];
     if (!list.includes(STARRED_TAG_ID)) {
       list.push(STARRED_TAG_ID);
@@ -246,8 +856,165 @@ export async function handleImport(payload) {
     working.assignments[streamerId] = list;
   });
 
-  const normalized = normalizeTagState(working);
-  await setTagState(normalized);
+  return { state: normalizeTagState(working), nameToId };
+}
+
+function getTagNamesByKey(state) {
+  return Object.values(state.tags).reduce((acc, tag) => {
+    if (tag.id !== STARRED_TAG_ID) acc[tag.name.toLowerCase()] = tag;
+    return acc;
+  }, {});
+}
+
+function getAssignedTagNames(state, streamerId) {
+  return (state.assignments[streamerId] || [])
+    .filter((tagId) => tagId !== STARRED_TAG_ID && state.tags[tagId])
+    .map((tagId) => state.tags[tagId].name);
+}
+
+/**
+ * Compare the current tag state with the state an import would produce.
+ * Tags are matched by name because an import assigns new ids.
+ * @param {object} current - Normalized current tag state
+ * @param {object} next - Normalized state after the import
+ * @param {Record<string, string>} [streamerNames] - Display names by streamer id
+ * @returns {{addedTags: Array<string>, removedTags: Array<string>, recoloredTags: Array<{name: string, from: string, to: string}>, streamers: Array<{id: string, name: string, added: Array<string>, removed: Array<string>}>, starredAdded: Array<{id: string, name: string}>, starredRemoved: Array<{id: string, name: string}>}}
+ */
+export function diffImportedState(current, next, streamerNames = {}) {
+  const before = getTagNamesByKey(current);
+  const after = getTagNamesByKey(next);
+  const describeStreamer = (id) => ({ id, name: streamerNames[id] || id });
+
+  const addedTags = Object.keys(after).filter((key) => !before[key]).map((key) => after[key].name);
+  const removedTags = Object.keys(before).filter((key) => !after[key]).map((key) => before[key].name);
+  const recoloredTags = Object.keys(after)
+    .filter((key) => before[key] && String(before[key].color || '').toLowerCase() !== String(after[key].color || '').toLowerCase())
+    .map((key) => ({ name: after[key].name, from: before[key].color || null, to: after[key].color || null }));
+
+  const streamers = [];
+  const starredAdded = [];
+  const starredRemoved = [];
+  const streamerIds = new Set([...Object.keys(current.assignments), ...Object.keys(next.assignments)]);
+  streamerIds.forEach((streamerId) => {
+    const beforeNames = getAssignedTagNames(current, streamerId);
+    const afterNames = getAssignedTagNames(next, streamerId);
+    const beforeKeys = new Set(beforeNames.map((name) => name.toLowerCase()));
+    const afterKeys = new Set(afterNames.map((name) => name.toLowerCase()));
+    const added = afterNames.filter((name) => !beforeKeys.has(name.toLowerCase()));
+    const removed = beforeNames.filter((name) => !afterKeys.has(name.toLowerCase()));
+    if (added.length || removed.length) {
+      streamers.push({ ...describeStreamer(streamerId), added, removed });
+    }
+
+    const wasStarred = (current.assignments[streamerId] || []).includes(STARRED_TAG_ID);
+    const isStarred = (next.assignments[streamerId] || []).includes(STARRED_TAG_ID);
+    if (isStarred && !wasStarred) starredAdded.push(describeStreamer(streamerId));
+    if (wasStarred && !isStarred) starredRemoved.push(describeStreamer(streamerId));
+  });
+  streamers.sort((a, b) => a.name.localeCompare(b.name));
+
+  return { addedTags, removedTags, recoloredTags, streamers, starredAdded, starredRemoved };
+}
+
+/**
+ * Dry-run an import: report problems in the file or, for a valid file, what
+ * the import would change. Nothing is stored.
+ * @param {unknown} payload
+ * @param {{mode?: string, resolutions?: Record<string, string>, streamers?: Array<object>|null, accountId?: string|null}} [options]
+ *   `streamers` is the follow cache, used to name streamers, match them by login and spot unknown ones;
+ *   `accountId` is the active account.
+ * @returns {Promise<{issues: Array<object>, diff?: object, matchedByLogin?: number, summary?: object, conflicts?: Array<object>}>}
+ */
+export async function previewImport(payload, {
+  mode = IMPORT_MODE_REPLACE,
+  resolutions = {},
+  streamers = null,
+  accountId = null,
+} = {}) {
+  const issues = collectImportIssues(payload);
+  if (issues.length) {
+    return { issues };
+  }
+
+  const { imported, matchedByLogin, streamerNames } = resolveImportedStreamers(
+    parseImportPayload(payload),
+    streamers,
+  );
+  const current = normalizeTagState(await getTagState());
+
+  if (mode === IMPORT_MODE_MERGE) {
+    const merge = mergeImportedState(current, imported, {
+      resolutions,
+      knownStreamerIds: getFollowedStreamerIds(streamers),
+      accountId,
+    });
+    return {
+      issues,
+      diff: diffImportedState(current, merge.state, streamerNames),
+      matchedByLogin,
+      summary: merge.summary,
+      conflicts: merge.conflicts,
+    };
+  }
+
+  const { state } = buildReplacedState(imported);
+  return { issues, diff: diffImportedState(current, state, streamerNames), matchedByLogin };
+}
+
+/**
+ * Replace the stored tag state using an imported payload from disk.
+ * Nothing but the starred tag survives; the previous state is journaled.
+ * Saved views are replaced only when the payload carries a `views` list.
+ * @param {unknown} payload
+ * @param {{streamers?: Array<object>|null}} [options] - `streamers` is the follow cache, used to match streamers by login
+ * @returns {Promise<{tagState: object, savedViews?: object}>}
+ */
+export async function handleImport(payload, { streamers = null } = {}) {
+  const { imported } = resolveImportedStreamers(parseImportPayload(payload), streamers);
+  const { state, nameToId } = buildReplacedState(imported);
+  const tagState = await replaceTagState(state, { historyAction: 'import' });
+
+  if (!imported.views) {
+    return { tagState };
+  }
+
+  const savedViews = resolveImportedViews(imported.views, nameToId);
+  await setSavedViews(savedViews);
+  return { tagState, savedViews };
+}
+
+/**
+ * Apply an export payload pulled from a remote sync endpoint. When only the
+ * remote side changed it replaces the local tags, keeping the ids of tags
+ * that still exist; when both sides changed it is merged in like a merge
+ * import, so nothing is removed and local colors and parents win.
+ * @param {unknown} payload
+ * @param {{merge?: boolean, streamers?: Array<object>|null, accountId?: string|null}} [options]
+ * @returns {Promise<{tagState: object, savedViews?: object}>}
+ */
+export async function applyRemotePayload(payload, { merge = false, streamers = null, accountId = null } = {}) {
+  if (merge) {
+    return handleMergeImport(payload, { streamers, accountId });
+  }
+
+  const { imported } = resolveImportedStreamers(parseImportPayload(payload), streamers);
+  let nameToId = null;
+  const tagState = await applyTagStateUpdate((current) => {
+    const replaced = buildReplacedState(imported, current);
+    nameToId = replaced.nameToId;
+    // Ids are kept, so rule bookkeeping still applies where the tag is still assigned
+    return {
+      ...replaced.state,
+      autoAssignments: current.autoAssignments,
+      ruleDismissals: current.ruleDismissals,
+    };
+  }, { historyAction: 'import' });
+
+  if (!imported.views) {
+    return { tagState };
+  }
 
-  return { tagState: normalized };
+  const savedViews = resolveImportedViews(imported.views, nameToId);
+  await setSavedViews(savedViews);
+  return { tagState, savedViews };
 }
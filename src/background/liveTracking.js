@@ -1,19 +1,29 @@
 import { extension, setBadgeBackgroundColor, setBadgeText } from '../util/extension.js';
 import { createLiveNotification } from '../util/notifications.js';
 import { FOLLOW_CACHE_TTL_MS } from '../config.js';
-import { getPreferences, getTagState, addUpdateLogEntry, setPopupSnapshot, constants as storageConstants } from '../storage/index.js';
+import {
+  getPreferences,
+  getTagState,
+  getAuthState,
+  addUpdateLogEntry,
+  setPopupSnapshot,
+  constants as storageConstants,
+} from '../storage/index.js';
 import { normalizeTagState } from './tagState.js';
 import { refreshFollowCache, CACHE_ITEMS_KEY } from './followCache.js';
 import { getAuthStatus } from '../../background/oauth.js';
 import { isValidTwitchUsername } from '../util/validators.js';
 import { getEffectiveNotificationTagIds } from '../util/notificationTags.js';
+import { getSmartTagIdsForStreamer, getStreamerTagIds } from '../util/smartTags.js';
+import { drainRequestStats } from '../api/requestScheduler.js';
+import { scopeTagStateToAccount, getOutOfScopeTagIds, filterAssignmentsByTagIds } from '../util/accountScope.js';
 
 const IS_MACOS = navigator.userAgentData?.platform === 'macOS'
   || /\bMac\b/i.test(navigator.userAgent);
 const NOTIFICATION_STAGGER_MS = IS_MACOS ? 5000 : 0;
 
 const LIVE_CHECK_ALARM_NAME = 'live-check-alarm';
-const LIVE_STATE_KEY = 'liveState';
+const LIVE_STATE_KEY = storageConstants.LIVE_STATE_KEY;
 const BADGE_COLOR = '#9146FF';
 const DEFAULT_NOTIFICATION_MAX_AGE_MINUTES = storageConstants.DEFAULT_NOTIFICATION_MAX_STREAM_AGE_MINUTES;
 const MAX_NOTIFICATION_MAX_AGE_MINUTES = storageConstants.MAX_NOTIFICATION_MAX_STREAM_AGE_MINUTES;
@@ -43,7 +53,9 @@ async function logUpdate(trigger, metadata = {}) {
     success: metadata.success !== false,
     error: metadata.error || null,
     skipped: metadata.skipped || null,
-    duration: metadata.duration || 0
+    duration: metadata.duration || 0,
+    // Helix calls since the previous entry, including dashboard refreshes
+    api: drainRequestStats(),
   };
 
   try {
@@ -241,13 +253,21 @@ function getLiveStarredCount(assignments = {}, liveStatusMap = new Map()) {
   return count;
 }
 
-function getTrackedStreamerIds(assignments = {}, notificationTagIds = []) {
+function getTrackedStreamerIds(assignments = {}, notificationTagIds = [], streamers = [], tags = {}) {
   const trackedTagSet = new Set((notificationTagIds || []).map(String));
-  return new Set(
+  const tracked = new Set(
     Object.entries(assignments)
       .filter(([, tagIds]) => Array.isArray(tagIds) && tagIds.some((tagId) => trackedTagSet.has(String(tagId))))
       .map(([streamerId]) => String(streamerId)),
   );
+  // Smart tags have no assignments; their members come from the follow cache.
+  const now = Date.now();
+  streamers.forEach((streamer) => {
+    if (getSmartTagIdsForStreamer(streamer, tags, now).some((tagId) => trackedTagSet.has(tagId))) {
+      tracked.add(String(streamer.id));
+    }
+  });
+  return tracked;
 }
 
 async function updateLiveBadge(liveCount) {
@@ -274,13 +294,17 @@ async function updateLiveBadge(liveCount) {
 export async function syncLiveAssignments(assignments = {}, options = {}) {
   const { changedStreamerId = null } = options;
   const normalizedChangedId = changedStreamerId != null ? String(changedStreamerId) : null;
-  const [preferences, rawTagState] = await Promise.all([
+  const [preferences, rawTagState, auth] = await Promise.all([
     getPreferences(),
     getTagState(),
+    getAuthState(),
   ]);
-  const tagState = normalizeTagState(rawTagState);
+  const accountId = auth?.user?.id || null;
+  const fullTagState = normalizeTagState(rawTagState);
+  const tagState = scopeTagStateToAccount(fullTagState, accountId);
   const trackedTagIds = getEffectiveNotificationTagIds(preferences, tagState);
-  const trackedStreamerIds = getTrackedStreamerIds(assignments, trackedTagIds);
+  // Tags of other accounts neither notify nor count towards the badge
+  assignments = filterAssignmentsByTagIds(assignments, getOutOfScopeTagIds(fullTagState.tags, accountId));
 
   // Get current follow cache to check live status
   let cache = await refreshFollowCache(false);
@@ -302,6 +326,8 @@ export async function syncLiveAssignments(assignments = {}, options = {}) {
     }
   }
 
+  const trackedStreamerIds = getTrackedStreamerIds(assignments, trackedTagIds, cacheItems, tagState.tags);
+
   const liveStatusMap = new Map();
 
   const cacheItemsById = new Map();
@@ -372,6 +398,14 @@ export async function syncLiveAssignments(assignments = {}, options = {}) {
   await updateLiveBadge(liveStarredCount);
 }
 
+/**
+ * Reload the live-state map from storage after the active account changed.
+ * @returns {Promise<void>}
+ */
+export async function reloadLiveState() {
+  await loadLiveState();
+}
+
 /**
  * Reset the persisted live-state map and clear the action badge.
  * @returns {Promise<void>}
@@ -389,7 +423,9 @@ async function runLiveCheck() {
     return { success: true, liveCount: 0, trackedCount: 0, cacheAge: 0, skipped: 'no_auth' };
   }
 
-  const cache = await refreshFollowCache(false);
+  // The alarm fires every FOLLOW_CACHE_TTL_MS, slightly before the cache
+  // stamped at the end of the previous check would count as stale
+  const cache = await refreshFollowCache(false, { refreshLive: true });
   if (!cache || !cache[CACHE_ITEMS_KEY]) {
     return { success: true, liveCount: 0, trackedCount: 0, cacheAge: 0, skipped: 'no_cache' };
   }
@@ -403,7 +439,7 @@ async function runLiveCheck() {
       : DEFAULT_NOTIFICATION_MAX_AGE_MINUTES;
     const maxAgeMs = maxAgeMinutes * 60 * 1000;
 
-    const tagState = normalizeTagState(await getTagState());
+    const tagState = scopeTagStateToAccount(normalizeTagState(await getTagState()), auth.user?.id || null);
     const assignments = tagState.assignments || {};
     const trackedTagIds = getEffectiveNotificationTagIds(preferences, tagState);
     const trackedTagSet = new Set(trackedTagIds.map(String));
@@ -412,10 +448,10 @@ async function runLiveCheck() {
     const liveStatusMap = new Map(
       streamers.map((streamer) => [String(streamer.id), !!streamer.isLive]),
     );
-    const trackedStreamers = streamers.filter((streamer) => {
-      const streamerTags = assignments[streamer.id] || [];
-      return Array.isArray(streamerTags) && streamerTags.some((tagId) => trackedTagSet.has(String(tagId)));
-    });
+    const now = Date.now();
+    const trackedStreamers = streamers.filter((streamer) => (
+      getStreamerTagIds(streamer, tagState, now).some((tagId) => trackedTagSet.has(tagId))
+    ));
     const trackedIds = new Set(trackedStreamers.map((streamer) => streamer.id));
     const pendingNotifications = [];
 
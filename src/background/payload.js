@@ -1,21 +1,23 @@
-import { getPreferences, getTagState } from '../storage/index.js';
+import { getPreferences, getTagState, getSavedViews } from '../storage/index.js';
 import { normalizeTagState } from './tagState.js';
 import { refreshFollowCache, getStoredFollowCache, CACHE_ITEMS_KEY } from './followCache.js';
-import { getAuthStatus } from '../../background/oauth.js';
+import { getSignedInState, getSessionInfo } from '../../background/oauth.js';
+import { listAccounts } from './accounts.js';
 
 /**
- * Assemble the dashboard payload: auth, follows, tags, preferences, timestamps.
+ * Assemble the dashboard payload: auth, connected accounts, follows, tags, preferences, saved views, timestamps.
  * Attempts to refresh the follow cache and gracefully degrades to stale data.
  * @param {{forceRefresh?: boolean}} [options]
- * @returns {Promise<{auth: object|null, follows: Array<object>, fetchedAt: number|null, tagState: object, preferences: object}>}
+ * @returns {Promise<{auth: object|null, session: {issue: string|null, expiresAt: number|null}, accounts: Array<object>, follows: Array<object>, fetchedAt: number|null, tagState: object, preferences: object, savedViews: object}>}
  */
 export async function getDashboardPayload({ forceRefresh = false } = {}) {
-  const [rawTagState, preferences] = await Promise.all([
+  const [rawTagState, preferences, savedViews] = await Promise.all([
     getTagState(),
     getPreferences(),
+    getSavedViews(),
   ]);
 
-  let auth = await getAuthStatus();
+  let auth = await getSignedInState();
   let cache = null;
 
   if (auth) {
@@ -27,15 +29,19 @@ export async function getDashboardPayload({ forceRefresh = false } = {}) {
     } catch (error) {
       console.error('Failed to refresh follow cache', error);
       cache = await getStoredFollowCache();
-      auth = await getAuthStatus();
     }
+    // Picks up a renewed token or a newly flagged session issue
+    auth = await getSignedInState();
   }
 
   return {
     auth,
+    session: getSessionInfo(auth),
+    accounts: await listAccounts(),
     follows: cache ? cache[CACHE_ITEMS_KEY] || [] : [],
     fetchedAt: cache?.fetchedAt || null,
     tagState: normalizeTagState(rawTagState),
     preferences,
+    savedViews,
   };
 }
@@ -0,0 +1,332 @@
+import { extension } from '../util/extension.js';
+import {
+  getRemoteSyncSettings,
+  setRemoteSyncSettings,
+  getRemoteSyncStatus,
+  setRemoteSyncStatus,
+  getAuthState,
+} from '../storage/index.js';
+import { handleExport, applyRemotePayload } from './importExport.js';
+import { getStoredFollowCache, CACHE_ITEMS_KEY } from './followCache.js';
+import { takeTagSnapshot } from './tagSnapshots.js';
+import { parseRemoteSyncUrl } from '../util/validators.js';
+
+export const REMOTE_SYNC_ALARM_NAME = 'remote-sync-alarm';
+export const REMOTE_SYNC_INTERVALS = Object.freeze([5, 15, 30, 60]);
+
+export const REMOTE_SYNC_RESULT_UNCHANGED = 'unchanged';
+export const REMOTE_SYNC_RESULT_PULLED = 'pulled';
+export const REMOTE_SYNC_RESULT_PUSHED = 'pushed';
+export const REMOTE_SYNC_RESULT_MERGED = 'merged';
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+// A precondition failure means another browser wrote in between; start over.
+const MAX_SYNC_ATTEMPTS = 3;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+let activeSync = null;
+
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function buildHeaders(settings, extra = {}) {
+  const headers = { ...extra };
+  if (settings.username) {
+    headers.Authorization = `Basic ${encodeBase64(`${settings.username}:${settings.password || ''}`)}`;
+  }
+  return headers;
+}
+
+async function request(settings, options) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(settings.url, {
+      cache: 'no-store',
+      credentials: 'omit',
+      ...options,
+      signal: controller.signal,
+    });
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('The sync server rejected the user name or password.');
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('The sync server did not respond in time.');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetch the remote export file.
+ * @param {object} settings
+ * @param {string|null} etag - ETag from the last sync, sent as If-None-Match
+ * @returns {Promise<{state: 'missing'}|{state: 'unchanged'}|{state: 'found', payload: object, etag: string|null}>}
+ */
+async function fetchRemotePayload(settings, etag) {
+  const response = await request(settings, {
+    method: 'GET',
+    headers: buildHeaders(settings, etag ? { 'If-None-Match': etag } : {}),
+  });
+  if (response.status === 404 || response.status === 410) {
+    return { state: 'missing' };
+  }
+  if (response.status === 304) {
+    return { state: 'unchanged' };
+  }
+  if (!response.ok) {
+    throw new Error(`The sync server answered with status ${response.status}.`);
+  }
+  let payload;
+  try {
+    payload = await response.json();
+  } catch (error) {
+    throw new Error('The file on the sync server is not a TTagger export.');
+  }
+  return { state: 'found', payload, etag: response.headers.get('ETag') };
+}
+
+/**
+ * Upload an export file. The write only goes through if the remote file is
+ * still the one last seen (If-Match) or, for a new file, doesn't exist yet
+ * (If-None-Match: *).
+ * @param {object} settings
+ * @param {object} payload
+ * @param {{etag: string|null, exists: boolean}} precondition
+ * @returns {Promise<{conflict: true}|{conflict: false, etag: string|null}>}
+ */
+async function putRemotePayload(settings, payload, { etag, exists }) {
+  const conditions = {};
+  if (!exists) {
+    conditions['If-None-Match'] = '*';
+  } else if (etag) {
+    conditions['If-Match'] = etag;
+  }
+  const response = await request(settings, {
+    method: 'PUT',
+    headers: buildHeaders(settings, { 'Content-Type': 'application/json', ...conditions }),
+    body: JSON.stringify(payload, null, 2),
+  });
+  if (response.status === 412) {
+    return { conflict: true };
+  }
+  if (!response.ok) {
+    throw new Error(`The sync server answered with status ${response.status}.`);
+  }
+
+  let nextEtag = response.headers.get('ETag');
+  if (!nextEtag) {
+    // Some WebDAV servers only report the ETag on reads
+    const head = await request(settings, { method: 'HEAD', headers: buildHeaders(settings) });
+    nextEtag = head.ok ? head.headers.get('ETag') : null;
+  }
+  return { conflict: false, etag: nextEtag };
+}
+
+/**
+ * Hash the parts of an export that describe the user's data, leaving out the
+ * timestamp, source, and streamer names that change without any edit.
+ * @param {object} payload
+ * @returns {Promise<string>}
+ */
+async function hashPayload(payload) {
+  const content = JSON.stringify([payload?.tags, payload?.assignments, payload?.starred, payload?.views ?? null]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function getFollowedStreamers() {
+  const cache = await getStoredFollowCache();
+  const items = cache?.[CACHE_ITEMS_KEY];
+  return Array.isArray(items) ? items : null;
+}
+
+/**
+ * One pull/push round. Returns null when the remote file changed between
+ * the read and the write.
+ * @param {object} settings
+ * @param {object} status
+ * @returns {Promise<{result: string, status: object, applied: object|null}|null>}
+ */
+async function syncOnce(settings, status) {
+  const streamers = await getFollowedStreamers();
+  const local = await handleExport(streamers);
+  const localHash = await hashPayload(local);
+  // Without a previous sync, both sides count as changed and get merged
+  const localChanged = localHash !== status.localHash;
+  const remote = await fetchRemotePayload(settings, status.etag || null);
+
+  let etag = status.etag || null;
+  const exists = remote.state !== 'missing';
+  let upload = local;
+  let uploadHash = localHash;
+  let applied = null;
+
+  if (remote.state === 'found') {
+    etag = remote.etag;
+    const remoteHash = await hashPayload(remote.payload);
+    if (remoteHash !== status.remoteHash) {
+      await takeTagSnapshot('remote');
+      applied = await applyRemotePayload(remote.payload, {
+        merge: localChanged,
+        streamers,
+        accountId: (await getAuthState())?.user?.id || null,
+      });
+      const merged = await handleExport(streamers);
+      const mergedHash = await hashPayload(merged);
+      if (!localChanged || mergedHash === remoteHash) {
+        return {
+          result: REMOTE_SYNC_RESULT_PULLED,
+          status: { etag, localHash: mergedHash, remoteHash },
+          applied,
+        };
+      }
+      upload = merged;
+      uploadHash = mergedHash;
+    } else if (!localChanged) {
+      return { result: REMOTE_SYNC_RESULT_UNCHANGED, status: { etag, localHash, remoteHash }, applied };
+    }
+  } else if (remote.state === 'unchanged' && !localChanged) {
+    return { result: REMOTE_SYNC_RESULT_UNCHANGED, status: { etag, localHash, remoteHash: status.remoteHash }, applied };
+  } else if (remote.state === 'missing') {
+    etag = null;
+  }
+
+  const pushed = await putRemotePayload(settings, upload, { etag, exists });
+  if (pushed.conflict) {
+    return null;
+  }
+  return {
+    result: applied ? REMOTE_SYNC_RESULT_MERGED : REMOTE_SYNC_RESULT_PUSHED,
+    status: { etag: pushed.etag, localHash: uploadHash, remoteHash: uploadHash },
+    applied,
+  };
+}
+
+async function performRemoteSync() {
+  const settings = await getRemoteSyncSettings();
+  if (!settings.enabled || !settings.url) {
+    return { result: null, applied: null };
+  }
+  const status = await getRemoteSyncStatus();
+  const syncedAt = new Date().toISOString();
+
+  try {
+    for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt += 1) {
+      const round = await syncOnce(settings, status);
+      if (round) {
+        await setRemoteSyncStatus({ ...round.status, lastSyncAt: syncedAt, lastResult: round.result, lastError: null });
+        return { result: round.result, applied: round.applied };
+      }
+    }
+    throw new Error('The file on the sync server kept changing. Try again in a moment.');
+  } catch (error) {
+    await setRemoteSyncStatus({ ...status, lastSyncAt: syncedAt, lastError: error.message || String(error) });
+    throw error;
+  }
+}
+
+/**
+ * Pull the export file from the configured endpoint and push local changes
+ * back. When only one side changed it wins; when both did, the remote file
+ * is merged into the local tags and the result uploaded. Concurrent calls
+ * share one run.
+ * @returns {Promise<{result: string|null, applied: {tagState: object, savedViews?: object}|null}>}
+ */
+export function runRemoteSync() {
+  if (!activeSync) {
+    activeSync = performRemoteSync().finally(() => {
+      activeSync = null;
+    });
+  }
+  return activeSync;
+}
+
+async function scheduleRemoteSyncAlarm(settings) {
+  try {
+    await extension.alarms.clear(REMOTE_SYNC_ALARM_NAME);
+    if (settings.enabled && settings.url) {
+      await extension.alarms.create(REMOTE_SYNC_ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: settings.intervalMinutes,
+      });
+    }
+  } catch (error) {
+    console.warn('[RemoteSync] Failed to schedule sync alarm:', error);
+  }
+}
+
+/**
+ * Settings and last-run status for the options page.
+ * @returns {Promise<{settings: object, status: object}>}
+ */
+export async function getRemoteSyncOverview() {
+  const [settings, status] = await Promise.all([getRemoteSyncSettings(), getRemoteSyncStatus()]);
+  return {
+    settings,
+    status: {
+      lastSyncAt: status.lastSyncAt || null,
+      lastResult: status.lastResult || null,
+      lastError: status.lastError || null,
+    },
+  };
+}
+
+/**
+ * Validate and save the remote sync settings, then reschedule the alarm.
+ * Pointing at another endpoint or account forgets the previous sync, so the
+ * first run merges both sides.
+ * @param {{enabled?: boolean, url?: string, username?: string, password?: string, intervalMinutes?: number}} input
+ * @returns {Promise<object>} Saved settings
+ */
+export async function updateRemoteSyncSettings(input = {}) {
+  const current = await getRemoteSyncSettings();
+  const enabled = !!input.enabled;
+  const rawUrl = typeof input.url === 'string' ? input.url.trim() : current.url;
+  const parsedUrl = rawUrl ? parseRemoteSyncUrl(rawUrl) : null;
+  if (rawUrl && !parsedUrl) {
+    throw new Error('The sync URL must be an HTTPS address without a user name or password in it (plain HTTP only works for localhost).');
+  }
+  const url = parsedUrl ? parsedUrl.href : '';
+  if (enabled && !url) {
+    throw new Error('Enter a sync URL first.');
+  }
+  const interval = Number(input.intervalMinutes);
+  const settings = {
+    enabled,
+    url,
+    username: typeof input.username === 'string' ? input.username.trim() : current.username,
+    password: typeof input.password === 'string' ? input.password : current.password,
+    intervalMinutes: REMOTE_SYNC_INTERVALS.includes(interval) ? interval : DEFAULT_INTERVAL_MINUTES,
+  };
+
+  await setRemoteSyncSettings(settings);
+  if (settings.url !== current.url || settings.username !== current.username) {
+    await setRemoteSyncStatus({});
+  }
+  await scheduleRemoteSyncAlarm(settings);
+  return settings;
+}
+
+/**
+ * Make sure the sync alarm matches the saved settings after a restart.
+ * @returns {Promise<void>}
+ */
+export async function initializeRemoteSync() {
+  const settings = await getRemoteSyncSettings();
+  const existing = await extension.alarms.get(REMOTE_SYNC_ALARM_NAME);
+  const wanted = settings.enabled && settings.url;
+  if (!!existing !== !!wanted || (existing && existing.periodInMinutes !== settings.intervalMinutes)) {
+    await scheduleRemoteSyncAlarm(settings);
+  }
+}
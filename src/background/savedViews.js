@@ -0,0 +1,114 @@
+import {
+  getSavedViews,
+  getStoredSavedViews,
+  setSavedViews,
+  getTagState,
+} from '../storage/index.js';
+import { normalizeTagState } from './tagState.js';
+import { sanitizeTagName, isValidTagName } from '../util/validators.js';
+import {
+  MAX_SAVED_VIEWS,
+  normalizeSavedViews,
+  pickSavedViewFields,
+} from '../util/savedViews.js';
+
+async function getValidTagIds() {
+  const tagState = normalizeTagState(await getTagState());
+  return Object.keys(tagState.tags || {});
+}
+
+/**
+ * Create or update a named view. New views snapshot `fields`; existing views
+ * keep their fields unless new ones are provided.
+ * @param {{name?: string, fields?: object}} [input]
+ * @param {string} [viewId]
+ * @returns {Promise<{views: Array<object>, nextId: number}>}
+ */
+export async function saveView({ name, fields } = {}, viewId) {
+  const [current, validTagIds] = await Promise.all([getSavedViews(), getValidTagIds()]);
+  const savedViews = normalizeSavedViews(current, validTagIds);
+  const targetId = viewId ? String(viewId) : null;
+  const now = new Date().toISOString();
+  const nameProvided = typeof name === 'string';
+  const trimmedName = nameProvided ? sanitizeTagName(name) : '';
+
+  if (nameProvided && (!trimmedName || !isValidTagName(trimmedName))) {
+    throw new Error('View name cannot be empty.');
+  }
+
+  const duplicate = trimmedName
+    ? savedViews.views.find(
+      (view) => view.id !== targetId && view.name.toLowerCase() === trimmedName.toLowerCase(),
+    )
+    : null;
+  if (duplicate) {
+    throw new Error('A view with that name already exists.');
+  }
+
+  if (targetId) {
+    const index = savedViews.views.findIndex((view) => view.id === targetId);
+    if (index === -1) {
+      throw new Error('View not found.');
+    }
+    const existing = savedViews.views[index];
+    savedViews.views[index] = {
+      ...existing,
+      ...(fields ? pickSavedViewFields(fields, validTagIds) : {}),
+      name: trimmedName || existing.name,
+      updatedAt: now,
+    };
+  } else {
+    if (!trimmedName) {
+      throw new Error('View name cannot be empty.');
+    }
+    if (savedViews.views.length >= MAX_SAVED_VIEWS) {
+      throw new Error(`You can save up to ${MAX_SAVED_VIEWS} views.`);
+    }
+    const newId = String(savedViews.nextId++);
+    savedViews.views.push({
+      id: newId,
+      name: trimmedName,
+      ...pickSavedViewFields(fields, validTagIds),
+      createdAt: now,
+    });
+  }
+
+  await setSavedViews(savedViews);
+  return savedViews;
+}
+
+/**
+ * Delete a saved view. Unknown ids are ignored.
+ * @param {string} viewId
+ * @returns {Promise<{views: Array<object>, nextId: number}>}
+ */
+export async function removeView(viewId) {
+  const savedViews = await getSavedViews();
+  const targetId = String(viewId);
+  const remaining = savedViews.views.filter((view) => view.id !== targetId);
+  if (remaining.length === savedViews.views.length) {
+    return savedViews;
+  }
+  const next = { ...savedViews, views: remaining };
+  await setSavedViews(next);
+  return next;
+}
+
+/**
+ * Drop references to tags that no longer exist from the stored views and
+ * write them back, so a view cannot pick up a tag that later reuses a freed
+ * id (after a reset, import or tag removal).
+ * @param {object} tagState
+ * @returns {Promise<{views: Array<object>, nextId: number}|null>} The pruned
+ *   views, or null when nothing changed
+ */
+export async function pruneSavedViews(tagState) {
+  const validTagIds = Object.keys(normalizeTagState(tagState).tags || {});
+  const stored = await getStoredSavedViews();
+  const pruned = normalizeSavedViews(stored, validTagIds);
+  if (JSON.stringify(pruned) === JSON.stringify(stored)) {
+    return null;
+  }
+  await setSavedViews(pruned);
+  return pruned;
+}
@@ -0,0 +1,130 @@
+import { extension } from '../util/extension.js';
+import { getAuthState } from '../storage/index.js';
+import { validateAccessToken } from '../api/twitch.js';
+import { TWITCH_SCOPES } from '../config.js';
+import { broadcastAuthStatus } from './auth.js';
+import {
+  startOAuthFlow,
+  refreshDeviceToken,
+  setSessionIssue,
+  SESSION_ISSUE_EXPIRING,
+  SESSION_ISSUE_REVOKED,
+  SESSION_ISSUE_SCOPES,
+} from '../../background/oauth.js';
+
+export const SESSION_ALARM_NAME = 'token-validation-alarm';
+
+const VALIDATION_INTERVAL_MINUTES = 60;
+// Longer than the validation interval, so one check always lands inside it
+const RENEWAL_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+let activeValidation = null;
+
+async function renewSilently(state) {
+  try {
+    if (state.refreshToken) {
+      await refreshDeviceToken(state);
+      return true;
+    }
+    await startOAuthFlow({
+      interactive: false,
+      forcePrompt: false,
+      expectedUserId: state.user?.id || null,
+    });
+    return true;
+  } catch (error) {
+    console.info('[Session] Silent token renewal failed:', error.message || error);
+    return false;
+  }
+}
+
+async function performValidation() {
+  const state = await getAuthState();
+  if (!state?.accessToken) {
+    return null;
+  }
+
+  let result;
+  try {
+    result = await validateAccessToken(state.accessToken);
+  } catch (error) {
+    // Offline or Twitch hiccup; keep whatever we knew and try again next time
+    console.warn('[Session] Token validation failed:', error);
+    return state.sessionIssue || null;
+  }
+
+  let issue = null;
+  let expiresAt = state.expiresAt ?? null;
+  if (!result.valid || (state.user?.id && result.userId !== state.user.id)) {
+    issue = SESSION_ISSUE_REVOKED;
+  } else {
+    expiresAt = result.expiresIn ? Date.now() + result.expiresIn * 1000 : null;
+    if (TWITCH_SCOPES.some((scope) => !result.scopes.includes(scope))) {
+      issue = SESSION_ISSUE_SCOPES;
+    } else if (expiresAt && expiresAt - Date.now() < RENEWAL_WINDOW_MS) {
+      issue = SESSION_ISSUE_EXPIRING;
+    }
+  }
+
+  if (issue && await renewSilently(state)) {
+    await broadcastAuthStatus();
+    return null;
+  }
+
+  if (await setSessionIssue(issue, { expiresAt })) {
+    await broadcastAuthStatus();
+  }
+  return issue;
+}
+
+/**
+ * Validate the stored token with Twitch. A token that is revoked, lacks
+ * scopes, or expires within two hours is renewed silently when possible;
+ * otherwise the problem is stored on the auth state and broadcast, so the
+ * dashboard and popup can ask the user to reconnect. Concurrent calls share
+ * one run.
+ * @returns {Promise<string|null>} Remaining `SESSION_ISSUE_*` value, if any
+ */
+export function validateSession() {
+  if (!activeValidation) {
+    activeValidation = performValidation().finally(() => {
+      activeValidation = null;
+    });
+  }
+  return activeValidation;
+}
+
+/**
+ * Create the hourly validation alarm if missing. Runs on every service worker
+ * wake, so it only validates right away when the alarm had to be created
+ * (install, update, browser restart); otherwise the alarm covers it.
+ * @returns {Promise<void>}
+ */
+export async function initializeSessionValidation() {
+  try {
+    const existing = await extension.alarms.get(SESSION_ALARM_NAME);
+    if (existing) {
+      return;
+    }
+    await extension.alarms.create(SESSION_ALARM_NAME, { periodInMinutes: VALIDATION_INTERVAL_MINUTES });
+  } catch (error) {
+    console.warn('[Session] Failed to create validation alarm:', error);
+  }
+  await validateSession();
+}
+
+/**
+ * Alarm listener for the hourly token validation.
+ * @param {{name: string}} alarm
+ * @returns {Promise<void>}
+ */
+export async function handleSessionAlarm(alarm) {
+  if (alarm.name !== SESSION_ALARM_NAME) {
+    return;
+  }
+  try {
+    await validateSession();
+  } catch (error) {
+    console.error('[Session] Token validation run failed:', error);
+  }
+}
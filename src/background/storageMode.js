@@ -0,0 +1,103 @@
+import {
+  getStorageMode,
+  setStorageMode,
+  getStoredUserData,
+  setStoredUserData,
+  clearStoredUserData,
+  setTagSyncMirror,
+} from '../storage/index.js';
+import { STORAGE_MODE_SYNC, STORAGE_MODE_LOCAL } from '../util/constants.js';
+import { runExclusiveTagOperation, STARRED_TAG_ID } from './tagState.js';
+import { takeTagSnapshot } from './tagSnapshots.js';
+
+/**
+ * What to keep when switching to sync while sync storage already holds tags
+ * from another browser: this browser's data or the synced data.
+ */
+export const STORAGE_SWITCH_KEEP_DEVICE = 'device';
+export const STORAGE_SWITCH_KEEP_SYNCED = 'synced';
+
+function countCustomTags(tagState) {
+  return Object.keys(tagState?.tags || {}).filter((id) => id !== STARRED_TAG_ID).length;
+}
+
+function countAssignedStreamers(tagState) {
+  return Object.values(tagState?.assignments || {})
+    .filter((tagIds) => Array.isArray(tagIds) && tagIds.length).length;
+}
+
+function hasTagData(tagState) {
+  return countCustomTags(tagState) > 0 || countAssignedStreamers(tagState) > 0;
+}
+
+function assertStorageMode(mode) {
+  if (mode !== STORAGE_MODE_SYNC && mode !== STORAGE_MODE_LOCAL) {
+    throw new Error('Unknown storage mode.');
+  }
+}
+
+/**
+ * Describe a switch to `mode`. Switching to sync needs a choice when sync
+ * storage already holds tags (e.g. from another browser on the same account).
+ * @param {'sync'|'local'} mode
+ * @returns {Promise<{current: string, target: string, needsChoice: boolean, device: {tags: number, streamers: number}, synced: {tags: number, streamers: number}|null}>}
+ */
+export async function previewStorageModeSwitch(mode) {
+  assertStorageMode(mode);
+  const current = await getStorageMode();
+  const deviceData = await getStoredUserData(current);
+  const synced = mode === STORAGE_MODE_SYNC && current !== STORAGE_MODE_SYNC
+    ? (await getStoredUserData(STORAGE_MODE_SYNC)).tagState
+    : null;
+  return {
+    current,
+    target: mode,
+    needsChoice: hasTagData(synced),
+    device: { tags: countCustomTags(deviceData.tagState), streamers: countAssignedStreamers(deviceData.tagState) },
+    synced: synced ? { tags: countCustomTags(synced), streamers: countAssignedStreamers(synced) } : null,
+  };
+}
+
+/**
+ * Move tag state, saved views, and preferences to the other storage area.
+ *
+ * To local: the data is copied and sync storage is left untouched, since
+ * other browsers on the same account may still use it.
+ * To sync: the local copy is written to sync (or, with `keep: 'synced'`, the
+ * synced data is adopted after snapshotting this browser's tags) and the local
+ * copy is removed. The mode only flips once the copy succeeded.
+ * @param {'sync'|'local'} mode
+ * @param {{keep?: string|null}} [options]
+ * @returns {Promise<{mode: string, changed: boolean}>}
+ */
+export async function switchStorageMode(mode, { keep = null } = {}) {
+  assertStorageMode(mode);
+  return runExclusiveTagOperation(async () => {
+    const current = await getStorageMode();
+    if (current === mode) {
+      return { mode, changed: false };
+    }
+
+    const deviceData = await getStoredUserData(current);
+    if (mode === STORAGE_MODE_LOCAL) {
+      await setStoredUserData(STORAGE_MODE_LOCAL, deviceData);
+      await setStorageMode(STORAGE_MODE_LOCAL);
+      await setTagSyncMirror(null);
+      return { mode, changed: true };
+    }
+
+    const synced = await getStoredUserData(STORAGE_MODE_SYNC);
+    if (hasTagData(synced.tagState) && keep !== STORAGE_SWITCH_KEEP_DEVICE) {
+      if (keep !== STORAGE_SWITCH_KEEP_SYNCED) {
+        throw new Error('Sync storage already holds tags. Choose which data to keep.');
+      }
+      await takeTagSnapshot('storage');
+      await setTagSyncMirror(synced.tagState);
+    } else {
+      await setStoredUserData(STORAGE_MODE_SYNC, deviceData);
+    }
+    await setStorageMode(STORAGE_MODE_SYNC);
+    await clearStoredUserData(STORAGE_MODE_LOCAL);
+    return { mode, changed: true };
+  });
+}
@@ -0,0 +1,226 @@
+import {
+  getStorageMode,
+  getSyncedTagState,
+  getTagSyncMirror,
+  setTagSyncMirror,
+  setTagState,
+  getFollowCache,
+  addSyncConflictEntries,
+} from '../storage/index.js';
+import { STORAGE_MODE_SYNC } from '../util/constants.js';
+import { normalizeTagState, runExclusiveTagOperation, STARRED_TAG_ID } from './tagState.js';
+
+export const SYNC_CONFLICT_KEPT_LOCAL = 'kept-local';
+export const SYNC_CONFLICT_RENUMBERED = 'renumbered';
+
+function stampOf(stamps, id) {
+  return Number(stamps?.[id]) || 0;
+}
+
+function isSameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isSameTagState(a, b) {
+  return isSameJson(normalizeTagState(a), normalizeTagState(b));
+}
+
+/**
+ * Give a local tag a new id, moving its children and assignments along.
+ * @param {object} state - Normalized state, changed in place
+ * @param {string} fromId
+ * @param {string} toId
+ */
+function renumberTag(state, fromId, toId) {
+  state.tags[toId] = { ...state.tags[fromId], id: toId };
+  delete state.tags[fromId];
+  Object.values(state.tags).forEach((tag) => {
+    if (tag.parentId === fromId) tag.parentId = toId;
+  });
+  ['assignments', 'autoAssignments', 'ruleDismissals'].forEach((mapName) => {
+    Object.keys(state[mapName] || {}).forEach((streamerId) => {
+      state[mapName][streamerId] = state[mapName][streamerId].map((id) => (id === fromId ? toId : id));
+    });
+  });
+  // Stamp it now so the merge keeps it even if its own stamp was pruned
+  state.tagModifiedAt[toId] = Math.max(stampOf(state.tagModifiedAt, fromId), Date.now());
+  delete state.tagModifiedAt[fromId];
+}
+
+/**
+ * Add the local assignments of renumbered tags to the merged state. The
+ * per-streamer merge takes the remote side when its stamp is newer, which
+ * would drop them, since the remote side never knew these tags.
+ * @param {object} merged - Changed in place
+ * @param {object} local
+ * @param {Set<string>} renumberedIds
+ * @returns {Array<string>} Streamers that gained a tag
+ */
+function carryRenumberedAssignments(merged, local, renumberedIds) {
+  const changed = new Set();
+  const now = Date.now();
+  ['assignments', 'autoAssignments', 'ruleDismissals'].forEach((mapName) => {
+    Object.entries(local[mapName] || {}).forEach(([streamerId, tagIds]) => {
+      const current = merged[mapName][streamerId] || [];
+      const missing = tagIds.filter((id) => renumberedIds.has(id) && !current.includes(id));
+      if (!missing.length) return;
+      merged[mapName][streamerId] = [...current, ...missing];
+      merged.streamerModifiedAt[streamerId] = Math.max(stampOf(merged.streamerModifiedAt, streamerId), now);
+      changed.add(streamerId);
+    });
+  });
+  return [...changed];
+}
+
+function describeStreamer(state, streamerId) {
+  return [
+    state.assignments[streamerId],
+    state.autoAssignments[streamerId],
+    state.ruleDismissals[streamerId],
+  ];
+}
+
+function copyStreamer(target, source, streamerId) {
+  ['assignments', 'autoAssignments', 'ruleDismissals'].forEach((mapName) => {
+    if (source[mapName][streamerId]) {
+      target[mapName][streamerId] = [...source[mapName][streamerId]];
+    } else {
+      delete target[mapName][streamerId];
+    }
+  });
+}
+
+/**
+ * Merge this browser's tag state with one written to sync by another browser.
+ * Each tag and each streamer's assignments are taken from the side that
+ * changed them last (ties go to the remote side, so browsers converge). Tags
+ * created on both sides under the same id are told apart by `createdAt`; the
+ * local one gets a new id.
+ *
+ * Conflicts are the cases plain last-writer-wins would have lost: a newer
+ * local edit the remote write didn't include, or a renumbered tag. Streamers
+ * carrying a renumbered tag keep it even when the remote side wins them.
+ * @param {object} localState - Last state this browser wrote
+ * @param {object} remoteState - State now in sync storage
+ * @returns {{state: object, conflicts: Array<{kind: 'tag'|'streamer', id: string, name: string|null, resolution: string}>}}
+ */
+export function mergeTagStates(localState, remoteState) {
+  const local = normalizeTagState(structuredClone(localState));
+  const remote = normalizeTagState(structuredClone(remoteState));
+  const conflicts = [];
+  const renumberedIds = new Set();
+  let nextId = Math.max(local.nextId, remote.nextId);
+
+  Object.keys(local.tags).forEach((tagId) => {
+    const mine = local.tags[tagId];
+    const theirs = remote.tags[tagId];
+    if (tagId === STARRED_TAG_ID || !theirs || mine.createdAt === theirs.createdAt) return;
+    const newId = String(nextId);
+    nextId += 1;
+    renumberTag(local, tagId, newId);
+    renumberedIds.add(newId);
+    conflicts.push({ kind: 'tag', id: newId, name: mine.name, resolution: SYNC_CONFLICT_RENUMBERED });
+  });
+
+  const merged = structuredClone(remote);
+  merged.nextId = nextId;
+
+  const tagIds = new Set([
+    ...Object.keys(local.tags),
+    ...Object.keys(remote.tags),
+    ...Object.keys(local.tagModifiedAt),
+    ...Object.keys(remote.tagModifiedAt),
+  ]);
+  tagIds.forEach((tagId) => {
+    if (tagId === STARRED_TAG_ID) return;
+    const localStamp = stampOf(local.tagModifiedAt, tagId);
+    if (localStamp <= stampOf(remote.tagModifiedAt, tagId)) return;
+    merged.tagModifiedAt[tagId] = localStamp;
+    if (isSameJson(local.tags[tagId], remote.tags[tagId])) return;
+    if (local.tags[tagId]) {
+      merged.tags[tagId] = local.tags[tagId];
+    } else {
+      delete merged.tags[tagId];
+    }
+    const renumbered = conflicts.some((conflict) => conflict.kind === 'tag' && conflict.id === tagId);
+    if (!renumbered) {
+      const name = (local.tags[tagId] || remote.tags[tagId])?.name || null;
+      conflicts.push({ kind: 'tag', id: tagId, name, resolution: SYNC_CONFLICT_KEPT_LOCAL });
+    }
+  });
+
+  const streamerIds = new Set([
+    ...Object.keys(local.assignments),
+    ...Object.keys(local.autoAssignments),
+    ...Object.keys(local.ruleDismissals),
+    ...Object.keys(local.streamerModifiedAt),
+    ...Object.keys(remote.streamerModifiedAt),
+  ]);
+  streamerIds.forEach((streamerId) => {
+    const localStamp = stampOf(local.streamerModifiedAt, streamerId);
+    if (localStamp <= stampOf(remote.streamerModifiedAt, streamerId)) return;
+    merged.streamerModifiedAt[streamerId] = localStamp;
+    if (isSameJson(describeStreamer(local, streamerId), describeStreamer(remote, streamerId))) return;
+    copyStreamer(merged, local, streamerId);
+    conflicts.push({ kind: 'streamer', id: streamerId, name: null, resolution: SYNC_CONFLICT_KEPT_LOCAL });
+  });
+
+  carryRenumberedAssignments(merged, local, renumberedIds).forEach((streamerId) => {
+    if (conflicts.some((conflict) => conflict.kind === 'streamer' && conflict.id === streamerId)) return;
+    conflicts.push({ kind: 'streamer', id: streamerId, name: null, resolution: SYNC_CONFLICT_KEPT_LOCAL });
+  });
+
+  return { state: normalizeTagState(merged), conflicts };
+}
+
+/**
+ * Merge a tag state another browser wrote to sync with this browser's last
+ * written state. The merged state is written back when it differs from the
+ * synced one, and conflicts are added to the sync conflict log.
+ * Does nothing in local-only mode or while shards are still arriving.
+ * @returns {Promise<{changed: boolean, tagState?: object, conflicts?: Array<object>}>}
+ */
+export async function reconcileRemoteTagState() {
+  return runExclusiveTagOperation(async () => {
+    if ((await getStorageMode()) !== STORAGE_MODE_SYNC) {
+      return { changed: false };
+    }
+    const { state: remote, missingShards } = await getSyncedTagState();
+    if (!remote || missingShards.length) {
+      return { changed: false };
+    }
+
+    const local = await getTagSyncMirror();
+    if (!local) {
+      await setTagSyncMirror(remote);
+      return { changed: false };
+    }
+    if (isSameTagState(local, remote)) {
+      return { changed: false };
+    }
+
+    const { state, conflicts } = mergeTagStates(local, remote);
+    if (isSameTagState(state, remote)) {
+      await setTagSyncMirror(remote);
+    } else {
+      await setTagState(state);
+    }
+
+    if (conflicts.length) {
+      const followCache = await getFollowCache();
+      const names = new Map((followCache?.items || []).map((streamer) => [
+        String(streamer.id),
+        streamer.displayName || streamer.login,
+      ]));
+      const at = new Date().toISOString();
+      await addSyncConflictEntries(conflicts.map((conflict) => ({
+        ...conflict,
+        at,
+        name: conflict.name || names.get(conflict.id) || null,
+      })));
+      console.info('[SyncMerge] Resolved sync conflicts:', conflicts.length);
+    }
+
+    return { changed: true, tagState: state, conflicts };
+  });
+}
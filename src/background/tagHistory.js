@@ -0,0 +1,118 @@
+import { getTagHistory, setTagHistory } from '../storage/index.js';
+
+/**
+ * Number of undo (and, separately, redo) steps kept in local storage.
+ * Each step stores a full tag state, so keep this small.
+ */
+export const MAX_TAG_HISTORY_ENTRIES = 25;
+
+export const TAG_HISTORY_ACTIONS = Object.freeze([
+  'create',
+  'rename',
+  'recolor',
+  'move',
+  'update',
+  'delete',
+  'assign',
+  'reorder',
+  'rules',
+  'import',
+  'reset',
+  'restore',
+]);
+
+function normalizeIdList(raw) {
+  return Array.isArray(raw) ? raw.map(String) : null;
+}
+
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.state || typeof raw.state !== 'object') {
+    return null;
+  }
+  return {
+    action: TAG_HISTORY_ACTIONS.includes(raw.action) ? raw.action : 'update',
+    label: typeof raw.label === 'string' && raw.label ? raw.label : null,
+    at: typeof raw.at === 'string' ? raw.at : null,
+    state: raw.state,
+    tagIds: normalizeIdList(raw.tagIds),
+    streamerIds: normalizeIdList(raw.streamerIds),
+  };
+}
+
+function normalizeStack(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .map(normalizeEntry)
+    .filter(Boolean)
+    .slice(-MAX_TAG_HISTORY_ENTRIES);
+}
+
+/**
+ * Coerce the stored journal into `{undo, redo}` stacks (oldest first).
+ * @param {unknown} raw
+ * @returns {{undo: Array<object>, redo: Array<object>}}
+ */
+export function normalizeTagHistory(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    undo: normalizeStack(source.undo),
+    redo: normalizeStack(source.redo),
+  };
+}
+
+function describeEntry(entry) {
+  return entry ? { action: entry.action, label: entry.label, at: entry.at } : null;
+}
+
+/**
+ * Strip stored states so the journal can be sent to UI surfaces.
+ * @param {{undo: Array<object>, redo: Array<object>}} history
+ * @returns {{undo: object|null, redo: object|null, undoCount: number, redoCount: number}}
+ */
+export function summarizeTagHistory(history) {
+  const { undo, redo } = normalizeTagHistory(history);
+  return {
+    undo: describeEntry(undo[undo.length - 1]),
+    redo: describeEntry(redo[redo.length - 1]),
+    undoCount: undo.length,
+    redoCount: redo.length,
+  };
+}
+
+/**
+ * Push the state from before a mutation onto the undo stack and drop the redo
+ * stack. The ids of the tags and streamers the mutation touched are kept with
+ * it so undo only puts those back. Journal failures are logged but never fail
+ * the mutation itself.
+ * @param {object} previousState - Tag state as stored before the change
+ * @param {string} action - One of TAG_HISTORY_ACTIONS
+ * @param {string|null} [label] - Tag name or other short context
+ * @param {{tagIds: string[], streamerIds: string[]}} [changes]
+ * @returns {Promise<void>}
+ */
+export async function recordTagHistory(previousState, action, label = null, changes = {}) {
+  try {
+    const history = normalizeTagHistory(await getTagHistory());
+    const entry = normalizeEntry({
+      action,
+      label,
+      at: new Date().toISOString(),
+      state: previousState,
+      tagIds: changes.tagIds,
+      streamerIds: changes.streamerIds,
+    });
+    if (!entry) return;
+    history.undo = [...history.undo, entry].slice(-MAX_TAG_HISTORY_ENTRIES);
+    history.redo = [];
+    await setTagHistory(history);
+  } catch (error) {
+    console.warn('[TagHistory] Failed to record tag history', error);
+  }
+}
+
+/**
+ * Summary of the stored journal for UI surfaces.
+ * @returns {Promise<{undo: object|null, redo: object|null, undoCount: number, redoCount: number}>}
+ */
+export async function getTagHistorySummary() {
+  return summarizeTagHistory(await getTagHistory());
+}
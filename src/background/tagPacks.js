@@ -0,0 +1,195 @@
+import { getTagState } from '../storage/index.js';
+import { normalizeTagState, applyTagStateUpdate, pickTagColor, STARRED_TAG_ID } from './tagState.js';
+import {
+  isValidTagName,
+  sanitizeTagName,
+  isValidHexColor,
+  isValidTwitchUsername,
+} from '../util/validators.js';
+import { isSmartTag } from '../util/smartTags.js';
+import { isTagInAccountScope } from '../util/accountScope.js';
+
+export const TAG_PACK_FORMAT = 'ttagger-tag-pack';
+export const TAG_PACK_VERSION = 1;
+export const MAX_TAG_PACK_MEMBERS = 5000;
+
+// Tags of other Twitch accounts are not visible to the user, so never reused
+function findTagByName(state, name, accountId) {
+  const lower = name.toLowerCase();
+  return Object.values(state.tags).find((tag) => (
+    tag.id !== STARRED_TAG_ID
+    && tag.name.toLowerCase() === lower
+    && isTagInAccountScope(state.tags, tag.id, accountId)
+  )) || null;
+}
+
+/**
+ * Build a shareable pack for one tag: its name, color and the logins of the
+ * streamers it is assigned to. Members missing from the follow cache are left
+ * out since their login is unknown.
+ * @param {object} state - Tag state
+ * @param {string} tagId
+ * @param {Array<object>} followedStreamers - Follow cache entries
+ * @returns {{format: string, version: number, name: string, color: string|null, members: Array<{login: string, displayName: string}>}}
+ */
+export function buildTagPack(state, tagId, followedStreamers) {
+  const normalized = normalizeTagState(state);
+  const tag = normalized.tags[String(tagId)];
+  if (!tag || tag.id === STARRED_TAG_ID) {
+    throw new Error('Tag not found.');
+  }
+  if (isSmartTag(tag)) {
+    throw new Error('Smart tags have no members to share.');
+  }
+
+  const followedById = new Map((followedStreamers || []).map((streamer) => [String(streamer.id), streamer]));
+  const members = Object.entries(normalized.assignments)
+    .filter(([, tagIds]) => tagIds.includes(tag.id))
+    .map(([streamerId]) => followedById.get(streamerId))
+    .filter((streamer) => streamer?.login)
+    .map((streamer) => ({ login: streamer.login, displayName: streamer.displayName || streamer.login }))
+    .sort((a, b) => a.login.localeCompare(b.login));
+
+  return {
+    format: TAG_PACK_FORMAT,
+    version: TAG_PACK_VERSION,
+    name: tag.name,
+    color: tag.color || null,
+    members,
+  };
+}
+
+/**
+ * Export a tag as a pack.
+ * @param {string} tagId
+ * @param {Array<object>} followedStreamers - Follow cache entries
+ * @returns {Promise<ReturnType<typeof buildTagPack>>}
+ */
+export async function exportTagPack(tagId, followedStreamers) {
+  return buildTagPack(await getTagState(), tagId, followedStreamers);
+}
+
+/**
+ * Read a pack from pasted text or a parsed object.
+ * @param {unknown} raw
+ * @returns {{name: string, color: string|null, members: Array<{login: string, displayName: string}>}}
+ * @throws {Error} If the input is not a usable tag pack
+ */
+export function parseTagPack(raw) {
+  let pack = raw;
+  if (typeof raw === 'string') {
+    try {
+      pack = JSON.parse(raw.trim());
+    } catch (error) {
+      throw new Error('This is not a tag pack.');
+    }
+  }
+  if (!pack || typeof pack !== 'object' || pack.format !== TAG_PACK_FORMAT) {
+    throw new Error('This is not a tag pack.');
+  }
+  if (Number(pack.version) > TAG_PACK_VERSION) {
+    throw new Error('This tag pack was made by a newer version of TTagger. Update the extension to import it.');
+  }
+
+  const name = typeof pack.name === 'string' ? sanitizeTagName(pack.name.trim()) : '';
+  if (!name || !isValidTagName(name)) {
+    throw new Error('The tag pack has an invalid tag name.');
+  }
+  const rawColor = typeof pack.color === 'string' ? pack.color.trim() : '';
+  const color = rawColor && isValidHexColor(rawColor)
+    ? (rawColor.startsWith('#') ? rawColor : `#${rawColor}`)
+    : null;
+
+  const rawMembers = Array.isArray(pack.members) ? pack.members.slice(0, MAX_TAG_PACK_MEMBERS) : [];
+  const seen = new Set();
+  const members = [];
+  rawMembers.forEach((member) => {
+    const login = typeof member?.login === 'string' ? member.login.trim().toLowerCase() : '';
+    if (!isValidTwitchUsername(login) || seen.has(login)) return;
+    seen.add(login);
+    const displayName = typeof member.displayName === 'string' && member.displayName.trim()
+      ? member.displayName.trim().slice(0, 50)
+      : login;
+    members.push({ login, displayName });
+  });
+
+  return { name, color, members };
+}
+
+function matchPackMembers(pack, followedStreamers) {
+  const idByLogin = new Map((followedStreamers || [])
+    .filter((streamer) => streamer.login)
+    .map((streamer) => [String(streamer.login).toLowerCase(), String(streamer.id)]));
+  const followed = [];
+  const missing = [];
+  pack.members.forEach((member) => {
+    const streamerId = idByLogin.get(member.login);
+    if (streamerId) {
+      followed.push({ id: streamerId, name: member.displayName });
+    } else {
+      missing.push(member.displayName);
+    }
+  });
+  return { followed, missing };
+}
+
+/**
+ * Describe what importing a pack would do.
+ * @param {unknown} raw
+ * @param {Array<object>|null} followedStreamers - Follow cache entries
+ * @param {string|null} [accountId] - Active account
+ * @returns {Promise<{name: string, color: string|null, existingTag: boolean, followed: Array<{id: string, name: string}>, missing: Array<string>}>}
+ */
+export async function previewTagPack(raw, followedStreamers, accountId = null) {
+  const pack = parseTagPack(raw);
+  const existing = findTagByName(normalizeTagState(await getTagState()), pack.name, accountId);
+  if (existing && isSmartTag(existing)) {
+    throw new Error('A smart tag with this name already exists.');
+  }
+  return { name: pack.name, color: pack.color, existingTag: !!existing, ...matchPackMembers(pack, followedStreamers) };
+}
+
+/**
+ * Add a pack's tag (or reuse the tag with the same name) and assign it to the
+ * members the user follows. Members they don't follow are reported back.
+ * @param {unknown} raw
+ * @param {Array<object>|null} followedStreamers - Follow cache entries
+ * @param {string|null} [accountId] - Active account
+ * @returns {Promise<{tagState: object, tagId: string, created: boolean, assigned: number, missing: Array<string>}>}
+ */
+export async function importTagPack(raw, followedStreamers, accountId = null) {
+  const pack = parseTagPack(raw);
+  const { followed, missing } = matchPackMembers(pack, followedStreamers);
+  let result = null;
+
+  const tagState = await applyTagStateUpdate((state) => {
+    let tag = findTagByName(state, pack.name, accountId);
+    if (tag && isSmartTag(tag)) {
+      throw new Error('A smart tag with this name already exists.');
+    }
+    const created = !tag;
+    if (!tag) {
+      const newId = String(state.nextId++);
+      tag = {
+        id: newId,
+        name: pack.name,
+        color: pack.color || pickTagColor(newId),
+        createdAt: new Date().toISOString(),
+      };
+      state.tags[newId] = tag;
+    }
+
+    let assigned = 0;
+    followed.forEach(({ id }) => {
+      const current = state.assignments[id] || [];
+      if (!current.includes(tag.id)) {
+        state.assignments[id] = [...current, tag.id];
+        assigned += 1;
+      }
+    });
+    result = { tagId: String(tag.id), created, assigned };
+    return state;
+  }, { historyAction: 'import', label: pack.name });
+
+  return { tagState, ...result, missing };
+}
@@ -0,0 +1,225 @@
+import { extension } from '../util/extension.js';
+import { getTagState, getTagSnapshots, setTagSnapshots } from '../storage/index.js';
+import { normalizeTagState, replaceTagState, STARRED_TAG_ID } from './tagState.js';
+
+const SNAPSHOT_ALARM_NAME = 'tag-snapshot-alarm';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Allow some slack so a daily alarm that fires a little early still counts.
+const DAILY_SNAPSHOT_INTERVAL_MS = DAY_MS - 60 * 60 * 1000;
+
+/**
+ * How many snapshots of each kind are kept. Older ones rotate out.
+ */
+const SNAPSHOT_LIMITS = Object.freeze({
+  daily: 7,
+  import: 5,
+  reset: 5,
+  restore: 5,
+  manual: 5,
+  storage: 3,
+  remote: 3,
+});
+
+export const TAG_SNAPSHOT_REASONS = Object.freeze(Object.keys(SNAPSHOT_LIMITS));
+
+function countTags(state) {
+  return Object.keys(state.tags || {}).filter((id) => id !== STARRED_TAG_ID).length;
+}
+
+function countAssignments(state) {
+  return Object.values(state.assignments || {})
+    .reduce((total, tagIds) => total + (Array.isArray(tagIds) ? tagIds.length : 0), 0);
+}
+
+function describeSnapshot(snapshot) {
+  const { state, ...meta } = snapshot;
+  return meta;
+}
+
+function normalizeSnapshots(raw) {
+  return (Array.isArray(raw) ? raw : []).filter((snapshot) => (
+    snapshot
+    && typeof snapshot.id === 'string'
+    && TAG_SNAPSHOT_REASONS.includes(snapshot.reason)
+    && snapshot.state
+    && typeof snapshot.state === 'object'
+  ));
+}
+
+function rotateSnapshots(snapshots) {
+  const kept = [];
+  const perReason = {};
+  // Newest first, so the oldest of each kind is the one that drops out.
+  snapshots
+    .slice()
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .forEach((snapshot) => {
+      perReason[snapshot.reason] = (perReason[snapshot.reason] || 0) + 1;
+      if (perReason[snapshot.reason] <= SNAPSHOT_LIMITS[snapshot.reason]) {
+        kept.push(snapshot);
+      }
+    });
+  return kept;
+}
+
+/**
+ * Store a copy of the current tag state.
+ * @param {string} reason - One of TAG_SNAPSHOT_REASONS
+ * @returns {Promise<object>} Snapshot metadata (without the state)
+ */
+export async function takeTagSnapshot(reason) {
+  if (!TAG_SNAPSHOT_REASONS.includes(reason)) {
+    throw new Error('Unknown snapshot reason.');
+  }
+  const [rawState, stored] = await Promise.all([getTagState(), getTagSnapshots()]);
+  const state = normalizeTagState(rawState);
+  const createdAt = new Date().toISOString();
+  const snapshot = {
+    id: `${Date.now().toString(36)}-${reason}`,
+    reason,
+    createdAt,
+    tagCount: countTags(state),
+    assignmentCount: countAssignments(state),
+    state,
+  };
+  await setTagSnapshots(rotateSnapshots([...normalizeSnapshots(stored), snapshot]));
+  return describeSnapshot(snapshot);
+}
+
+/**
+ * List stored snapshots, newest first, without their states.
+ * @returns {Promise<Array<{id: string, reason: string, createdAt: string, tagCount: number, assignmentCount: number}>>}
+ */
+export async function listTagSnapshots() {
+  const snapshots = normalizeSnapshots(await getTagSnapshots());
+  return snapshots
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+    .map(describeSnapshot);
+}
+
+async function findSnapshot(snapshotId) {
+  const snapshots = normalizeSnapshots(await getTagSnapshots());
+  const snapshot = snapshots.find((entry) => entry.id === String(snapshotId));
+  if (!snapshot) {
+    throw new Error('Snapshot not found.');
+  }
+  return snapshot;
+}
+
+function haveSameTagIds(a = [], b = []) {
+  return a.length === b.length && a.every((id) => b.includes(id));
+}
+
+/**
+ * Compare a snapshot with the current tag state. Tags are matched by id.
+ * @param {object} current - Normalized current tag state
+ * @param {object} target - Normalized snapshot state
+ * @returns {{addedTags: Array<string>, removedTags: Array<string>, changedTags: Array<string>, changedStreamers: number}}
+ */
+export function diffTagStates(current, target) {
+  const customIds = (state) => Object.keys(state.tags || {}).filter((id) => id !== STARRED_TAG_ID);
+  const currentIds = customIds(current);
+  const targetIds = customIds(target);
+
+  const addedTags = targetIds
+    .filter((id) => !current.tags[id])
+    .map((id) => target.tags[id].name);
+  const removedTags = currentIds
+    .filter((id) => !target.tags[id])
+    .map((id) => current.tags[id].name);
+  const changedTags = targetIds
+    .filter((id) => {
+      const before = current.tags[id];
+      const after = target.tags[id];
+      return before && (
+        before.name !== after.name
+        || before.color !== after.color
+        || (before.parentId || null) !== (after.parentId || null)
+      );
+    })
+    .map((id) => target.tags[id].name);
+
+  const streamerIds = new Set([
+    ...Object.keys(current.assignments || {}),
+    ...Object.keys(target.assignments || {}),
+  ]);
+  let changedStreamers = 0;
+  streamerIds.forEach((streamerId) => {
+    if (!haveSameTagIds(current.assignments[streamerId], target.assignments[streamerId])) {
+      changedStreamers += 1;
+    }
+  });
+
+  return { addedTags, removedTags, changedTags, changedStreamers };
+}
+
+/**
+ * Describe what restoring a snapshot would change.
+ * @param {string} snapshotId
+ * @returns {Promise<{snapshot: object, diff: object}>}
+ */
+export async function previewTagSnapshot(snapshotId) {
+  const [snapshot, rawState] = await Promise.all([findSnapshot(snapshotId), getTagState()]);
+  const diff = diffTagStates(normalizeTagState(rawState), normalizeTagState(snapshot.state));
+  return { snapshot: describeSnapshot(snapshot), diff };
+}
+
+/**
+ * Restore a snapshot. The current state is snapshotted first and the restore
+ * is journaled, so it can be undone either way.
+ * @param {string} snapshotId
+ * @returns {Promise<object>} Restored tag state
+ */
+export async function restoreTagSnapshot(snapshotId) {
+  const snapshot = await findSnapshot(snapshotId);
+  await takeTagSnapshot('restore');
+  return replaceTagState(snapshot.state, { historyAction: 'restore' });
+}
+
+/**
+ * Take the daily snapshot if the newest one is older than a day.
+ * @returns {Promise<boolean>} Whether a snapshot was taken
+ */
+export async function ensureDailyTagSnapshot() {
+  const snapshots = normalizeSnapshots(await getTagSnapshots());
+  const lastDaily = snapshots
+    .filter((snapshot) => snapshot.reason === 'daily')
+    .reduce((latest, snapshot) => Math.max(latest, Date.parse(snapshot.createdAt) || 0), 0);
+  if (Date.now() - lastDaily < DAILY_SNAPSHOT_INTERVAL_MS) {
+    return false;
+  }
+  await takeTagSnapshot('daily');
+  return true;
+}
+
+/**
+ * Schedule the daily snapshot alarm and catch up on a missed snapshot.
+ * @returns {Promise<void>}
+ */
+export async function initializeTagSnapshots() {
+  try {
+    const existing = await extension.alarms.get(SNAPSHOT_ALARM_NAME);
+    if (!existing) {
+      await extension.alarms.create(SNAPSHOT_ALARM_NAME, { periodInMinutes: DAY_MS / (60 * 1000) });
+    }
+  } catch (error) {
+    console.warn('[TagSnapshots] Failed to create snapshot alarm:', error);
+  }
+  await ensureDailyTagSnapshot();
+}
+
+/**
+ * Alarm listener for the daily snapshot.
+ * @param {{name: string}} alarm
+ * @returns {Promise<void>}
+ */
+export async function handleSnapshotAlarm(alarm) {
+  if (alarm.name !== SNAPSHOT_ALARM_NAME) {
+    return;
+  }
+  try {
+    await ensureDailyTagSnapshot();
+  } catch (error) {
+    console.error('[TagSnapshots] Daily snapshot failed:', error);
+  }
+}
@@ -1,8 +1,24 @@
-import { getTagState, setTagState } from '../storage/index.js';
+import {
+  getTagState,
+  setTagState,
+  hasLegacyTagState,
+  getTagHistory,
+  setTagHistory,
+} from '../storage/index.js';
 import { normalizeTagColor } from '../util/formatters.js';
 import { TAG_COLOR_POOL } from '../config.js';
 import { sanitizeTagName, isValidTagName } from '../util/validators.js';
 import { compareTagsByOrderWithCreatedAt } from '../util/sorting.js';
+import { getTagAncestorIds } from '../util/tagTree.js';
+import { normalizeTagRules, streamerMatchesTagRules } from '../util/tagRules.js';
+import { isSmartTag, normalizeSmartTagQuery } from '../util/smartTags.js';
+import { isTagInAccountScope, getOutOfScopeTagIds } from '../util/accountScope.js';
+import {
+  MAX_TAG_HISTORY_ENTRIES,
+  normalizeTagHistory,
+  recordTagHistory,
+  summarizeTagHistory,
+} from './tagHistory.js';
 
 const STARRED_TAG_ID = 'favorite';
 const STARRED_TAG_NAME = '⭐ Starred';
@@ -10,6 +26,9 @@ const STARRED_TAG_NAME_LOWER = STARRED_TAG_NAME.toLowerCase();
 
 // Concurrency control for tag state mutations
 const MAX_QUEUE_SIZE = 50;
+const MAX_BULK_STREAMERS = 5000;
+// Modification stamps only matter until every browser has synced an edit.
+const MODIFICATION_STAMP_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
 let isOperationInProgress = false;
 let operationQueue = [];
 
@@ -66,6 +85,118 @@ async function processQueue() {
   }
 }
 
+/**
+ * Read the stored tag state for a mutation. `previous` is a deep copy taken
+ * before normalization so in-place edits cannot leak into the history journal.
+ * @returns {Promise<{state: object, previous: object}>}
+ */
+async function loadTagStateForUpdate() {
+  const stored = await getTagState();
+  return { previous: structuredClone(stored), state: normalizeTagState(stored) };
+}
+
+/**
+ * Write a mutated tag state and journal the state it replaced.
+ * @param {object} state
+ * @param {object} previous - Value returned by loadTagStateForUpdate
+ * @param {string} action
+ * @param {string|null} [label]
+ */
+async function commitTagState(state, previous, action, label = null) {
+  const changes = listTagStateChanges(normalizeTagState(previous), state);
+  await saveTagState(state, previous);
+  await recordTagHistory(previous, action, label, changes);
+}
+
+function normalizeStampMap(map) {
+  const result = {};
+  if (!map || typeof map !== 'object') return result;
+  Object.entries(map).forEach(([id, value]) => {
+    const timestamp = Number(value);
+    if (Number.isFinite(timestamp) && timestamp > 0) {
+      result[id] = timestamp;
+    }
+  });
+  return result;
+}
+
+function getStreamerIds(state) {
+  return [
+    ...Object.keys(state.assignments || {}),
+    ...Object.keys(state.autoAssignments || {}),
+    ...Object.keys(state.ruleDismissals || {}),
+  ];
+}
+
+function describeStreamerEntry(state, streamerId) {
+  return JSON.stringify([
+    state.assignments?.[streamerId] || [],
+    state.autoAssignments?.[streamerId] || [],
+    state.ruleDismissals?.[streamerId] || [],
+  ]);
+}
+
+/**
+ * Ids of the tags and streamers whose entries differ between two states.
+ * @param {object} previous - Normalized state before the change
+ * @param {object} next
+ * @returns {{tagIds: string[], streamerIds: string[]}}
+ */
+function listTagStateChanges(previous, next) {
+  const tagIds = [...new Set([...Object.keys(previous.tags), ...Object.keys(next.tags || {})])].filter(
+    (tagId) => JSON.stringify(previous.tags[tagId]) !== JSON.stringify(next.tags?.[tagId])
+  );
+  const streamerIds = [...new Set([...getStreamerIds(previous), ...getStreamerIds(next)])].filter(
+    (streamerId) => describeStreamerEntry(previous, streamerId) !== describeStreamerEntry(next, streamerId)
+  );
+  return { tagIds, streamerIds };
+}
+
+/**
+ * Record when each tag and each streamer's assignments last changed, so edits
+ * from different browsers can be merged per tag and per streamer. Removed tags
+ * and cleared streamers keep their stamp as a tombstone. Stamps older than the
+ * retention window are dropped.
+ * @param {object} previousState - State before the change
+ * @param {object} next - State to store; stamps are written into it
+ * @param {number} [now]
+ */
+function stampTagStateChanges(previousState, next, now = Date.now()) {
+  const previous = normalizeTagState(previousState);
+  const tagStamps = { ...previous.tagModifiedAt };
+  const streamerStamps = { ...previous.streamerModifiedAt };
+  // Replaced states (imports, restores) may carry stamps of their own
+  Object.entries(normalizeStampMap(next.tagModifiedAt)).forEach(([id, timestamp]) => {
+    tagStamps[id] = Math.max(tagStamps[id] || 0, timestamp);
+  });
+  Object.entries(normalizeStampMap(next.streamerModifiedAt)).forEach(([id, timestamp]) => {
+    streamerStamps[id] = Math.max(streamerStamps[id] || 0, timestamp);
+  });
+
+  const { tagIds, streamerIds } = listTagStateChanges(previous, next);
+  tagIds.forEach((tagId) => {
+    tagStamps[tagId] = now;
+  });
+  streamerIds.forEach((streamerId) => {
+    streamerStamps[streamerId] = now;
+  });
+
+  const cutoff = now - MODIFICATION_STAMP_RETENTION_MS;
+  const prune = (stamps) => Object.fromEntries(Object.entries(stamps).filter(([, timestamp]) => timestamp >= cutoff));
+  next.tagModifiedAt = prune(tagStamps);
+  next.streamerModifiedAt = prune(streamerStamps);
+}
+
+/**
+ * Stamp what changed since `previous` and write the state.
+ * @param {object} state
+ * @param {object} previous - Stored state before the change
+ */
+async function saveTagState(state, previous) {
+  stampTagStateChanges(previous, state);
+  await setTagState(state);
+}
+
 function toNumber(value) {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : null;
@@ -128,12 +259,61 @@ function addOrNormalizeStarredTag(state) {
   favorite.sortOrder = 0;
 }
 
+/**
+ * Drop invalid `parentId` links: self references, missing or starred parents,
+ * and cycles. Tags whose link is dropped become top-level tags.
+ * @param {object} state - Normalized tag state
+ */
+function ensureTagHierarchy(state) {
+  const { tags } = state;
+  const detachParent = (id) => {
+    const next = { ...tags[id] };
+    delete next.parentId;
+    tags[id] = next;
+  };
+
+  Object.keys(tags).forEach((id) => {
+    const tag = tags[id];
+    if (!tag || !Object.prototype.hasOwnProperty.call(tag, 'parentId')) return;
+    const parentId = tag.parentId != null ? String(tag.parentId) : '';
+    if (
+      !parentId ||
+      id === STARRED_TAG_ID ||
+      parentId === id ||
+      parentId === STARRED_TAG_ID ||
+      !tags[parentId] ||
+      isSmartTag(tag) ||
+      isSmartTag(tags[parentId])
+    ) {
+      detachParent(id);
+    } else if (tag.parentId !== parentId) {
+      tags[id] = { ...tag, parentId };
+    }
+  });
+
+  Object.keys(tags).forEach((id) => {
+    const seen = new Set();
+    let currentId = id;
+    while (currentId && tags[currentId]?.parentId) {
+      if (seen.has(currentId)) {
+        detachParent(currentId);
+        break;
+      }
+      seen.add(currentId);
+      currentId = tags[currentId].parentId;
+    }
+  });
+}
+
 /**
  * Remove assignments for tags that no longer exist to prevent crashes from corrupted storage.
+ * Smart tags are computed from the follow cache and are never stored as assignments.
  * @param {object} state - Normalized tag state
  */
 function cleanOrphanedAssignments(state) {
-  const validTagIds = new Set(Object.keys(state.tags || {}));
+  const validTagIds = new Set(
+    Object.keys(state.tags || {}).filter((id) => !isSmartTag(state.tags[id])),
+  );
 
   Object.keys(state.assignments || {}).forEach((streamerId) => {
     const tagIds = state.assignments[streamerId];
@@ -151,27 +331,131 @@ function cleanOrphanedAssignments(state) {
   });
 }
 
+/**
+ * Normalise smart tag queries. Smart tags stay top-level and never have children
+ * (enforced in `ensureTagHierarchy`) or auto-tag rules.
+ * @param {object} state - Normalized tag state
+ */
+function ensureSmartTags(state) {
+  Object.keys(state.tags).forEach((id) => {
+    const tag = state.tags[id];
+    if (!tag || !Object.prototype.hasOwnProperty.call(tag, 'smart')) return;
+    const next = { ...tag };
+    if (id !== STARRED_TAG_ID && isSmartTag(tag)) {
+      next.smart = normalizeSmartTagQuery(tag.smart);
+    } else {
+      delete next.smart;
+    }
+    state.tags[id] = next;
+  });
+}
+
+/**
+ * Drop malformed auto-tag rules. Tags without usable rules lose the field.
+ * @param {object} state - Normalized tag state
+ */
+function ensureTagRules(state) {
+  Object.keys(state.tags).forEach((id) => {
+    const tag = state.tags[id];
+    if (!tag || !Object.prototype.hasOwnProperty.call(tag, 'rules')) return;
+    const rules = id === STARRED_TAG_ID || isSmartTag(tag) ? null : normalizeTagRules(tag.rules);
+    const next = { ...tag };
+    if (rules) {
+      next.rules = rules;
+    } else {
+      delete next.rules;
+    }
+    state.tags[id] = next;
+  });
+}
+
+/**
+ * Drop malformed `accountId` scopes. The starred tag is always shared.
+ * @param {object} state - Normalized tag state
+ */
+function ensureTagAccounts(state) {
+  Object.keys(state.tags).forEach((id) => {
+    const tag = state.tags[id];
+    if (!tag || !Object.prototype.hasOwnProperty.call(tag, 'accountId')) return;
+    state.tags[id] = applyAccountId(tag, id === STARRED_TAG_ID ? null : tag.accountId);
+  });
+}
+
+/**
+ * Filter a `{streamerId: tagIds}` map with a predicate, dropping empty entries.
+ * @param {unknown} map
+ * @param {(streamerId: string, tagId: string) => boolean} keep
+ * @returns {Record<string, Array<string>>}
+ */
+function filterAssignmentMap(map, keep) {
+  const result = {};
+  if (!map || typeof map !== 'object') return result;
+  Object.keys(map).forEach((streamerId) => {
+    if (!Array.isArray(map[streamerId])) return;
+    const tagIds = Array.from(new Set(map[streamerId].map(String)))
+      .filter((tagId) => keep(streamerId, tagId));
+    if (tagIds.length) {
+      result[streamerId] = tagIds;
+    }
+  });
+  return result;
+}
+
+/**
+ * Keep rule bookkeeping consistent with the assignments:
+ * `autoAssignments` marks assignments that were added by a rule and only holds
+ * pairs that are still assigned, while `ruleDismissals` remembers auto tags the
+ * user removed by hand (so rules do not re-add them) and only holds pairs that
+ * are currently unassigned.
+ * @param {object} state - Normalized tag state
+ */
+function cleanRuleBookkeeping(state) {
+  const isAssigned = (streamerId, tagId) => (state.assignments[streamerId] || []).includes(tagId);
+  state.autoAssignments = filterAssignmentMap(state.autoAssignments, isAssigned);
+  state.ruleDismissals = filterAssignmentMap(
+    state.ruleDismissals,
+    (streamerId, tagId) => !!state.tags[tagId] && !isAssigned(streamerId, tagId),
+  );
+}
+
 /**
  * Ensure the stored tag state has required defaults and valid metadata.
  * Adds the locked favorite tag and normalises the nextId counter.
  * @param {unknown} state
- * @returns {{tags: object, assignments: object, nextId: number}}
+ * @returns {{tags: object, assignments: object, nextId: number, autoAssignments: object, ruleDismissals: object, tagModifiedAt: object, streamerModifiedAt: object}}
  */
 export function normalizeTagState(state) {
   if (!state || typeof state !== 'object') {
-    return { tags: {}, assignments: {}, nextId: 1 };
+    return {
+      tags: {},
+      assignments: {},
+      nextId: 1,
+      autoAssignments: {},
+      ruleDismissals: {},
+      tagModifiedAt: {},
+      streamerModifiedAt: {},
+    };
   }
 
   const normalized = {
     tags: { ...(state.tags || {}) },
     assignments: { ...(state.assignments || {}) },
     nextId: Number(state.nextId) || 1,
+    autoAssignments: state.autoAssignments,
+    ruleDismissals: state.ruleDismissals,
+    tagModifiedAt: normalizeStampMap(state.tagModifiedAt),
+    streamerModifiedAt: normalizeStampMap(state.streamerModifiedAt),
   };
 
   addOrNormalizeStarredTag(normalized);
+  ensureSmartTags(normalized);
+  ensureTagHierarchy(normalized);
+  ensureTagRules(normalized);
+  ensureTagAccounts(normalized);
   ensureNextId(normalized);
   ensureSortOrder(normalized);
   cleanOrphanedAssignments(normalized);
+  cleanRuleBookkeeping(normalized);
 
   return normalized;
 }
@@ -194,6 +478,55 @@ function assertNotStarredTag(tagId) {
   }
 }
 
+/**
+ * Resolve a requested parent id for `tagId`, rejecting links that would
+ * point at the starred tag, a missing tag, or one of the tag's own descendants.
+ * @param {object} state
+ * @param {string|null} tagId - Tag being moved (null for a new tag)
+ * @param {unknown} parentId
+ * @returns {string|null}
+ */
+function resolveParentId(state, tagId, parentId) {
+  if (parentId == null || parentId === '') {
+    return null;
+  }
+  const key = String(parentId);
+  if (key === STARRED_TAG_ID) {
+    throw new Error('Tags cannot be nested under the starred tag.');
+  }
+  if (!state.tags[key]) {
+    throw new Error('Parent tag not found.');
+  }
+  if (isSmartTag(state.tags[key]) || (tagId && isSmartTag(state.tags[tagId]))) {
+    throw new Error('Smart tags cannot be nested.');
+  }
+  if (tagId && (key === tagId || getTagAncestorIds(state.tags, key).includes(tagId))) {
+    throw new Error('A tag cannot be nested inside itself.');
+  }
+  return key;
+}
+
+function applyParentId(tag, parentId) {
+  const next = { ...tag };
+  if (parentId) {
+    next.parentId = parentId;
+  } else {
+    delete next.parentId;
+  }
+  return next;
+}
+
+function applyAccountId(tag, accountId) {
+  const next = { ...tag };
+  const id = accountId != null ? String(accountId).trim() : '';
+  if (id) {
+    next.accountId = id;
+  } else {
+    delete next.accountId;
+  }
+  return next;
+}
+
 /**
  * Create or update a tag entry, validating names and colors.
  * @param {object} [fields]
@@ -202,11 +535,19 @@ function assertNotStarredTag(tagId) {
  */
 export async function upsertTag(fields = {}, tagId) {
   return withConcurrencyControl(async () => {
-    const state = normalizeTagState(await getTagState());
+    const { state, previous } = await loadTagStateForUpdate();
     const targetId = tagId ? String(tagId) : null;
     const now = new Date().toISOString();
     const nameProvided = Object.prototype.hasOwnProperty.call(fields, 'name');
     const colorProvided = Object.prototype.hasOwnProperty.call(fields, 'color');
+    const parentProvided = Object.prototype.hasOwnProperty.call(fields, 'parentId');
+    const accountProvided = Object.prototype.hasOwnProperty.call(fields, 'accountId');
+    const smartProvided = Object.prototype.hasOwnProperty.call(fields, 'smart') && fields.smart != null;
+    const smartQuery = smartProvided ? normalizeSmartTagQuery(fields.smart) : null;
+
+    if (smartQuery && !smartQuery.conditions.length) {
+      throw new Error('Add at least one smart tag condition.');
+    }
 
     // Sanitize tag name to remove HTML and enforce length limits
     const trimmedName = nameProvided && typeof fields.name === 'string' ? sanitizeTagName(fields.name) : '';
@@ -217,6 +558,9 @@ export async function upsertTag(fields = {}, tagId) {
       throw new Error('Tag name contains invalid characters or is too long.');
     }
 
+    let historyAction = 'create';
+    let historyLabel = trimmedName;
+
     if (targetId) {
       assertNotStarredTag(targetId);
       const existing = state.tags[targetId];
@@ -247,13 +591,37 @@ export async function upsertTag(fields = {}, tagId) {
         nextName = trimmedName;
       }
 
+      if (smartQuery && !isSmartTag(existing)) {
+        throw new Error('Only smart tags have a query.');
+      }
+
       const nextColor = colorProvided ? normalizedColor || existing.color : existing.color;
-      state.tags[targetId] = {
+      const nextTag = {
         ...existing,
         name: nextName,
         color: nextColor,
         updatedAt: now,
       };
+      if (smartQuery) {
+        nextTag.smart = smartQuery;
+      }
+      const placedTag = parentProvided
+        ? applyParentId(nextTag, resolveParentId(state, targetId, fields.parentId))
+        : nextTag;
+      state.tags[targetId] = accountProvided ? applyAccountId(placedTag, fields.accountId) : placedTag;
+
+      historyLabel = existing.name;
+      if (smartQuery || accountProvided) {
+        historyAction = 'update';
+      } else if (nextName !== existing.name) {
+        historyAction = 'rename';
+      } else if (parentProvided) {
+        historyAction = 'move';
+      } else if (colorProvided) {
+        historyAction = 'recolor';
+      } else {
+        historyAction = 'update';
+      }
     } else {
       if (!nameProvided || !trimmedName) {
         throw new Error('Tag name cannot be empty.');
@@ -275,38 +643,55 @@ export async function upsertTag(fields = {}, tagId) {
         throw new Error('A tag with that name already exists.');
       }
 
+      const parentId = parentProvided ? resolveParentId(state, null, fields.parentId) : null;
+      if (smartQuery && parentId) {
+        throw new Error('Smart tags cannot be nested.');
+      }
       const newId = String(state.nextId++);
       const color = colorProvided ? normalizedColor || pickTagColor(newId) : pickTagColor(newId);
-      state.tags[newId] = {
+      const entry = applyAccountId(applyParentId({
         id: newId,
         name: trimmedName,
         color,
         createdAt: now,
         sortOrder: getNextSortOrder(state),
-      };
+      }, parentId), accountProvided ? fields.accountId : null);
+      if (smartQuery) {
+        entry.smart = smartQuery;
+      }
+      state.tags[newId] = entry;
     }
 
-    await setTagState(state);
+    await commitTagState(state, previous, historyAction, historyLabel);
     return state;
   });
 }
 
 /**
  * Delete a tag and remove its assignments from all streamers.
+ * Child tags move up to the deleted tag's parent.
  * @param {string|number} tagId
  * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
  */
 export async function removeTag(tagId) {
   return withConcurrencyControl(async () => {
-    const state = normalizeTagState(await getTagState());
+    const { state, previous } = await loadTagStateForUpdate();
     const targetId = String(tagId);
     assertNotStarredTag(targetId);
     if (!state.tags[targetId]) {
       return state;
     }
 
+    const removedName = state.tags[targetId].name;
+    const removedParentId = state.tags[targetId].parentId || null;
     delete state.tags[targetId];
 
+    Object.values(state.tags).forEach((tag) => {
+      if (tag && tag.parentId === targetId) {
+        state.tags[tag.id] = applyParentId(tag, removedParentId);
+      }
+    });
+
     Object.keys(state.assignments).forEach((streamerId) => {
       const filtered = (state.assignments[streamerId] || []).filter((id) => id !== targetId);
       if (filtered.length) {
@@ -316,11 +701,29 @@ export async function removeTag(tagId) {
       }
     });
 
-    await setTagState(state);
+    await commitTagState(state, previous, 'delete', removedName);
     return state;
   });
 }
 
+/**
+ * After a manual edit, remember auto-applied tags the user removed so rules
+ * leave them alone, and drop bookkeeping that no longer applies.
+ * @param {object} state
+ * @param {string} streamerId
+ * @param {Array<string>} previousTagIds - Assignments before the edit
+ */
+function recordManualAssignmentChange(state, streamerId, previousTagIds) {
+  const assigned = state.assignments[streamerId] || [];
+  const auto = state.autoAssignments[streamerId] || [];
+  const removedAuto = auto.filter((tagId) => previousTagIds.includes(tagId) && !assigned.includes(tagId));
+  if (removedAuto.length) {
+    const dismissed = state.ruleDismissals[streamerId] || [];
+    state.ruleDismissals[streamerId] = Array.from(new Set([...dismissed, ...removedAuto]));
+  }
+  cleanRuleBookkeeping(state);
+}
+
 /**
  * Toggle a single tag assignment for a streamer.
  * @param {string} streamerId
@@ -330,11 +733,14 @@ export async function removeTag(tagId) {
  */
 export async function updateAssignment(streamerId, tagId, shouldAssign) {
   return withConcurrencyControl(async () => {
-    const state = normalizeTagState(await getTagState());
+    const { state, previous } = await loadTagStateForUpdate();
     const targetId = String(tagId);
     if (!state.tags[targetId]) {
       throw new Error('Tag not found.');
     }
+    if (isSmartTag(state.tags[targetId])) {
+      throw new Error('Smart tags are assigned automatically.');
+    }
 
     const current = state.assignments[streamerId] || [];
 
@@ -351,61 +757,157 @@ export async function updateAssignment(streamerId, tagId, shouldAssign) {
       }
     }
 
-    await setTagState(state);
+    recordManualAssignmentChange(state, streamerId, current);
+    await commitTagState(state, previous, 'assign', state.tags[targetId].name);
     return state;
   });
 }
 
 /**
  * Replace all tag assignments for a streamer with the provided list.
- * Invalid tag ids are filtered out.
+ * Invalid tag ids are filtered out. Tags scoped to accounts other than
+ * `accountId` are not visible to the caller and stay assigned.
  * @param {string} streamerId
  * @param {Array<string|number>} tagIds
+ * @param {{accountId?: string|null}} [options]
  * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
  */
-export async function replaceAssignments(streamerId, tagIds) {
+export async function replaceAssignments(streamerId, tagIds, { accountId = null } = {}) {
   return withConcurrencyControl(async () => {
-    const state = normalizeTagState(await getTagState());
-    const valid = (tagIds || []).map(String).filter((id) => state.tags[id]);
+    const { state, previous } = await loadTagStateForUpdate();
+    const current = state.assignments[streamerId] || [];
+    const hidden = getOutOfScopeTagIds(state.tags, accountId);
+    const requested = (tagIds || []).map(String).filter((id) => !hidden.has(id));
+    const valid = [...current.filter((id) => hidden.has(id)), ...requested]
+      .filter((id, index, list) => list.indexOf(id) === index)
+      .filter((id) => state.tags[id] && !isSmartTag(state.tags[id]));
     if (valid.length) {
       state.assignments[streamerId] = valid;
     } else {
       delete state.assignments[streamerId];
     }
 
-    await setTagState(state);
+    recordManualAssignmentChange(state, streamerId, current);
+    await commitTagState(state, previous, 'assign');
     return state;
   });
 }
 
+/**
+ * Apply one tag change to many streamers in a single queued operation and a
+ * single storage write. `clear` removes every custom tag visible to
+ * `accountId` but keeps the star; `remove` and `add` are applied after it,
+ * in that order.
+ * @param {Array<string>} streamerIds
+ * @param {{add?: Array<string|number>, remove?: Array<string|number>, clear?: boolean, accountId?: string|null}} [changes]
+ * @returns {Promise<{state: object, changed: number}>}
+ */
+export async function bulkUpdateAssignments(streamerIds, { add = [], remove = [], clear = false, accountId = null } = {}) {
+  return withConcurrencyControl(async () => {
+    const { state, previous } = await loadTagStateForUpdate();
+    const targets = Array.from(new Set((Array.isArray(streamerIds) ? streamerIds : []).map(String)))
+      .filter(Boolean);
+    if (!targets.length) {
+      throw new Error('No streamers selected.');
+    }
+    if (targets.length > MAX_BULK_STREAMERS) {
+      throw new Error(`You can edit up to ${MAX_BULK_STREAMERS} streamers at once.`);
+    }
+
+    const toTagIds = (ids) => Array.from(new Set((Array.isArray(ids) ? ids : []).map(String)));
+    const addIds = toTagIds(add);
+    const removeIds = toTagIds(remove);
+    [...addIds, ...removeIds].forEach((tagId) => {
+      if (!state.tags[tagId]) {
+        throw new Error('Tag not found.');
+      }
+      if (isSmartTag(state.tags[tagId])) {
+        throw new Error('Smart tags are assigned automatically.');
+      }
+    });
+
+    const hidden = getOutOfScopeTagIds(state.tags, accountId);
+    let changed = 0;
+    targets.forEach((streamerId) => {
+      const current = state.assignments[streamerId] || [];
+      let next = clear ? current.filter((id) => id === STARRED_TAG_ID || hidden.has(id)) : current;
+      next = next.filter((id) => !removeIds.includes(id));
+      addIds.forEach((tagId) => {
+        if (!next.includes(tagId)) next = [...next, tagId];
+      });
+
+      if (next.length === current.length && next.every((id) => current.includes(id))) {
+        return;
+      }
+      if (next.length) {
+        state.assignments[streamerId] = next;
+      } else {
+        delete state.assignments[streamerId];
+      }
+      recordManualAssignmentChange(state, streamerId, current);
+      changed += 1;
+    });
+
+    if (changed > 0) {
+      await commitTagState(state, previous, 'assign');
+    }
+    return { state, changed };
+  });
+}
+
 /**
  * Update sort order of custom tags based on the provided sequence.
  * Any tags not listed retain relative order at the end.
+ * `parents` optionally re-parents tags (`{tagId: parentId|null}`) in the same write.
+ * Tags scoped away from `accountId` are not visible to the caller and keep
+ * their positions; the listed tags fill the remaining slots.
  * @param {Array<string|number>} tagIds
+ * @param {Record<string, string|null>|null} [parents]
+ * @param {{accountId?: string|null}} [options]
  * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
  */
-export async function reorderTags(tagIds = []) {
+export async function reorderTags(tagIds = [], parents = null, { accountId = null } = {}) {
   return withConcurrencyControl(async () => {
-    const state = normalizeTagState(await getTagState());
+    const { state, previous } = await loadTagStateForUpdate();
+
+    if (parents && typeof parents === 'object') {
+      Object.entries(parents).forEach(([rawId, parentId]) => {
+        const id = String(rawId);
+        assertNotStarredTag(id);
+        if (!state.tags[id]) return;
+        state.tags[id] = applyParentId(state.tags[id], resolveParentId(state, id, parentId));
+      });
+    }
+
+    const hidden = getOutOfScopeTagIds(state.tags, accountId);
+    const current = Object.values(state.tags)
+      .filter((tag) => tag && String(tag.id) !== STARRED_TAG_ID)
+      .sort(compareTagsByOrderWithCreatedAt);
+
     const desired = Array.isArray(tagIds) ? tagIds.map(String) : [];
     const seen = new Set();
-    let position = 1;
+    const visibleOrder = [];
 
     desired.forEach((id) => {
       const key = String(id);
-      if (key === STARRED_TAG_ID || seen.has(key)) return;
+      if (key === STARRED_TAG_ID || seen.has(key) || hidden.has(key)) return;
       const tag = state.tags[key];
       if (!tag) return;
-      tag.sortOrder = position++;
+      visibleOrder.push(tag);
       seen.add(key);
     });
 
-    const remaining = Object.values(state.tags)
-      .filter((tag) => tag && String(tag.id) !== STARRED_TAG_ID && !seen.has(String(tag.id)))
-      .sort(compareTagsByOrderWithCreatedAt);
+    current.forEach((tag) => {
+      const key = String(tag.id);
+      if (!hidden.has(key) && !seen.has(key)) {
+        visibleOrder.push(tag);
+      }
+    });
 
-    remaining.forEach((tag) => {
-      tag.sortOrder = position++;
+    let nextVisible = 0;
+    current.forEach((tag, index) => {
+      const placed = hidden.has(String(tag.id)) ? tag : visibleOrder[nextVisible++];
+      placed.sortOrder = index + 1;
     });
 
     const favorite = state.tags[STARRED_TAG_ID];
@@ -413,17 +915,160 @@ export async function reorderTags(tagIds = []) {
       favorite.sortOrder = 0;
     }
 
-    await setTagState(state);
+    await commitTagState(state, previous, parents ? 'move' : 'reorder');
     return state;
   });
 }
 
+/**
+ * Set or clear the auto-tag rules of a tag. Enabled rules are applied to
+ * `streamers` right away when provided.
+ * @param {string|number} tagId
+ * @param {object|null} rules
+ * @param {{streamers?: Array<object>, removeAutoAssignments?: boolean}} [options]
+ * @returns {Promise<{state: object, applied: number, removed: number}>}
+ */
+export async function updateTagRules(tagId, rules, { streamers = null, removeAutoAssignments = false } = {}) {
+  return withConcurrencyControl(async () => {
+    const { state, previous } = await loadTagStateForUpdate();
+    const targetId = String(tagId);
+    assertNotStarredTag(targetId);
+    const existing = state.tags[targetId];
+    if (!existing) {
+      throw new Error('Tag not found.');
+    }
+    if (isSmartTag(existing)) {
+      throw new Error('Smart tags cannot have auto-tag rules.');
+    }
+
+    const normalizedRules = rules == null ? null : normalizeTagRules(rules);
+    if (rules != null && !normalizedRules) {
+      throw new Error('Add at least one valid rule condition.');
+    }
+
+    const nextTag = { ...existing, updatedAt: new Date().toISOString() };
+    if (normalizedRules) {
+      nextTag.rules = normalizedRules;
+    } else {
+      delete nextTag.rules;
+    }
+    state.tags[targetId] = nextTag;
+
+    const removed = removeAutoAssignments ? removeAutoAssignmentsForTag(state, targetId) : 0;
+    const applied = Array.isArray(streamers) ? applyRulesToState(state, streamers, [targetId]) : 0;
+
+    await commitTagState(state, previous, 'rules', existing.name);
+    return { state, applied, removed };
+  });
+}
+
+function removeAutoAssignmentsForTag(state, tagId) {
+  let removed = 0;
+  Object.keys(state.autoAssignments).forEach((streamerId) => {
+    if (!state.autoAssignments[streamerId].includes(tagId)) return;
+    const remaining = (state.assignments[streamerId] || []).filter((id) => id !== tagId);
+    if (remaining.length) {
+      state.assignments[streamerId] = remaining;
+    } else {
+      delete state.assignments[streamerId];
+    }
+    removed += 1;
+  });
+  Object.keys(state.ruleDismissals).forEach((streamerId) => {
+    state.ruleDismissals[streamerId] = state.ruleDismissals[streamerId].filter((id) => id !== tagId);
+  });
+  cleanRuleBookkeeping(state);
+  return removed;
+}
+
+/**
+ * Add rule matches to the state in place. Only adds assignments: streamers
+ * that stop matching keep their tag until it is removed by hand or via
+ * `clearAutoAssignments`.
+ * @param {object} state
+ * @param {Array<object>} streamers
+ * @param {Array<string>|null} [tagIds] - Limit evaluation to these tags
+ * @returns {number} Number of assignments added
+ */
+function applyRulesToState(state, streamers, tagIds = null) {
+  const ruleTags = Object.values(state.tags).filter((tag) => (
+    tag?.rules?.enabled && (!tagIds || tagIds.includes(String(tag.id)))
+  ));
+  if (!ruleTags.length) return 0;
+
+  let applied = 0;
+  streamers.forEach((streamer) => {
+    const streamerId = streamer?.id ? String(streamer.id) : null;
+    if (!streamerId) return;
+    ruleTags.forEach((tag) => {
+      const tagId = String(tag.id);
+      const current = state.assignments[streamerId] || [];
+      if (current.includes(tagId)) return;
+      if ((state.ruleDismissals[streamerId] || []).includes(tagId)) return;
+      if (!streamerMatchesTagRules(streamer, tag.rules)) return;
+      state.assignments[streamerId] = [...current, tagId];
+      state.autoAssignments[streamerId] = [...(state.autoAssignments[streamerId] || []), tagId];
+      applied += 1;
+    });
+  });
+  return applied;
+}
+
+/**
+ * Evaluate every enabled auto-tag rule against the follow list and store new
+ * matches. Storage is only written when something was added.
+ * @param {Array<object>} streamers - Follow cache entries
+ * @param {{accountId?: string|null}} [options] - Account the follow list
+ *   belongs to; rules of tags scoped to other accounts are skipped
+ * @returns {Promise<{state: object, applied: number}>}
+ */
+export async function applyAutoTagRules(streamers, { accountId = null } = {}) {
+  return withConcurrencyControl(async () => {
+    const { state, previous } = await loadTagStateForUpdate();
+    const tagIds = Object.keys(state.tags).filter((tagId) => isTagInAccountScope(state.tags, tagId, accountId));
+    const applied = Array.isArray(streamers) ? applyRulesToState(state, streamers, tagIds) : 0;
+    if (applied > 0) {
+      // Not journaled: rule runs happen on every refresh and would push the
+      // user's own changes out of the undo history.
+      await saveTagState(state, previous);
+    }
+    return { state, applied };
+  });
+}
+
+/**
+ * Undo a rule: remove every assignment of `tagId` that was added by a rule,
+ * leaving manual assignments untouched, and switch the rule off so the next
+ * refresh does not add them back.
+ * @param {string|number} tagId
+ * @returns {Promise<{state: object, removed: number}>}
+ */
+export async function clearAutoAssignments(tagId) {
+  return withConcurrencyControl(async () => {
+    const { state, previous } = await loadTagStateForUpdate();
+    const targetId = String(tagId);
+    const tag = state.tags[targetId];
+    if (!tag) {
+      throw new Error('Tag not found.');
+    }
+    if (tag.rules?.enabled) {
+      state.tags[targetId] = { ...tag, rules: { ...tag.rules, enabled: false } };
+    }
+    const removed = removeAutoAssignmentsForTag(state, targetId);
+    await commitTagState(state, previous, 'rules', tag.name);
+    return { state, removed };
+  });
+}
+
 /**
  * Reset storage to only contain the built-in favorite tag and no assignments.
+ * The replaced state is journaled under `historyAction` so it can be undone.
+ * @param {{historyAction?: string}} [options]
  * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
  */
-export async function resetTagStateToDefault() {
+export async function resetTagStateToDefault({ historyAction = 'reset' } = {}) {
   return withConcurrencyControl(async () => {
+    const previous = structuredClone(await getTagState());
     const favorite = {
       id: STARRED_TAG_ID,
       name: STARRED_TAG_NAME,
@@ -439,9 +1084,153 @@ export async function resetTagStateToDefault() {
       nextId: 1,
     };
 
-    await setTagState(fresh);
+    await commitTagState(fresh, previous, historyAction);
     return normalizeTagState(fresh);
   });
 }
 
+/**
+ * Replace the whole tag state, e.g. when restoring a snapshot. The replaced
+ * state is journaled so the restore can be undone.
+ * @param {object} nextState
+ * @param {{historyAction?: string}} [options]
+ * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
+ */
+export async function replaceTagState(nextState, { historyAction = 'restore' } = {}) {
+  return withConcurrencyControl(async () => {
+    const previous = structuredClone(await getTagState());
+    const state = normalizeTagState(structuredClone(nextState));
+    await commitTagState(state, previous, historyAction);
+    return state;
+  });
+}
+
+/**
+ * Compute a new tag state from the current one inside the mutation queue.
+ * `update` receives a normalized copy and returns the state to store.
+ * @param {(state: object) => object} update
+ * @param {{historyAction?: string, label?: string|null}} [options]
+ * @returns {Promise<{tags: object, assignments: object, nextId: number}>}
+ */
+export async function applyTagStateUpdate(update, { historyAction = 'update', label = null } = {}) {
+  return withConcurrencyControl(async () => {
+    const { state, previous } = await loadTagStateForUpdate();
+    const next = normalizeTagState(update(state));
+    await commitTagState(next, previous, historyAction, label);
+    return next;
+  });
+}
+
+/**
+ * Run an operation in the tag mutation queue so it cannot interleave with tag
+ * writes, e.g. while the stored state moves to another storage area.
+ * @param {Function} operation - Async function to execute
+ * @returns {Promise}
+ */
+export function runExclusiveTagOperation(operation) {
+  return withConcurrencyControl(operation);
+}
+
+/**
+ * Rewrite a tag state saved by an older version (one sync item) in the
+ * sharded layout. Runs in the mutation queue and is not journaled.
+ * @returns {Promise<boolean>} Whether the state was migrated
+ */
+export async function migrateTagStateStorage() {
+  return withConcurrencyControl(async () => {
+    if (!(await hasLegacyTagState())) {
+      return false;
+    }
+    await setTagState(await getTagState());
+    return true;
+  });
+}
+
+const STREAMER_ENTRY_MAPS = ['assignments', 'autoAssignments', 'ruleDismissals'];
+
+/**
+ * Put back the journaled tags and streamers of `entry` on top of the current
+ * state. Everything the entry did not touch keeps its current value, so
+ * unjournaled writes (sync merges, rule runs) made since then survive.
+ * Entries written before ids were journaled restore the whole state.
+ * @param {object} current - Stored state
+ * @param {object} entry - Journal entry
+ * @returns {object}
+ */
+function applyJournalEntry(current, entry) {
+  const source = normalizeTagState(structuredClone(entry.state));
+  if (!entry.tagIds || !entry.streamerIds) {
+    return source;
+  }
+
+  const state = normalizeTagState(structuredClone(current));
+  entry.tagIds.forEach((tagId) => {
+    if (source.tags[tagId]) {
+      state.tags[tagId] = source.tags[tagId];
+    } else {
+      delete state.tags[tagId];
+    }
+  });
+  entry.streamerIds.forEach((streamerId) => {
+    STREAMER_ENTRY_MAPS.forEach((mapName) => {
+      const value = source[mapName]?.[streamerId];
+      state[mapName] = { ...(state[mapName] || {}) };
+      if (value) {
+        state[mapName][streamerId] = value;
+      } else {
+        delete state[mapName][streamerId];
+      }
+    });
+  });
+  state.nextId = Math.max(state.nextId, source.nextId);
+  return normalizeTagState(state);
+}
+
+/**
+ * Move the newest journal entry from one stack to the other, putting back the
+ * parts of the state it touched and keeping their current values for the
+ * opposite direction.
+ * @param {'undo'|'redo'} from
+ * @param {'undo'|'redo'} to
+ * @returns {Promise<{state: object, entry: object, history: object}>}
+ */
+async function stepTagHistory(from, to) {
+  return withConcurrencyControl(async () => {
+    const history = normalizeTagHistory(await getTagHistory());
+    const entry = history[from].pop();
+    if (!entry) {
+      throw new Error(from === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.');
+    }
+
+    const current = await getTagState();
+    const state = applyJournalEntry(current, entry);
+    await saveTagState(state, current);
+
+    history[to] = [...history[to], { ...entry, state: current }].slice(-MAX_TAG_HISTORY_ENTRIES);
+    await setTagHistory(history);
+
+    return {
+      state,
+      entry: { action: entry.action, label: entry.label, at: entry.at },
+      history: summarizeTagHistory(history),
+    };
+  });
+}
+
+/**
+ * Undo the most recent journaled change.
+ * @returns {Promise<{state: object, entry: object, history: object}>}
+ */
+export async function undoTagState() {
+  return stepTagHistory('undo', 'redo');
+}
+
+/**
+ * Re-apply the most recently undone change.
+ * @returns {Promise<{state: object, entry: object, history: object}>}
+ */
+export async function redoTagState() {
+  return stepTagHistory('redo', 'undo');
+}
+
 export { STARRED_TAG_ID };
@@ -26,7 +26,8 @@ export const TWITCH_CLIENT_ID = 'a9j7abksc8ccs0ujeimo5q2w7dnkrk';
  * - user:read:follows: Required to read the user's followed channels
  */
 export const TWITCH_SCOPES = ['user:read:follows'];
-export const FOLLOW_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+export const FOLLOW_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes, live status only
+export const FOLLOW_LIST_TTL_MS = 60 * 60 * 1000; // 1 hour, full follow list and profiles
 export const DASHBOARD_REFRESH_INTERVAL_MS = 1 * 60 * 1000; // 1 minute
 export const TAG_COLOR_POOL = [
   '#6f42c1', // purple
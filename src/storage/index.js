@@ -1,29 +1,79 @@
-import { storageGet, storageSet, storageRemove } from '../util/extension.js';
-import { TAG_STARRED } from '../util/constants.js';
-import { checkStorageQuota, getStorageCleanupSuggestions } from '../util/storageQuota.js';
+import { extension, storageGet, storageSet, storageRemove } from '../util/extension.js';
+import {
+  TAG_STARRED,
+  STORAGE_MODE_SYNC,
+  STORAGE_MODE_LOCAL,
+  SIGN_IN_METHOD_BROWSER,
+  SIGN_IN_METHOD_DEVICE,
+} from '../util/constants.js';
+import { checkStorageQuota, getStorageCleanupSuggestions, getStorageUsage } from '../util/storageQuota.js';
 import { normalizeNotificationTagIds } from '../util/notificationTags.js';
-
+import { normalizeTagFilter, DEFAULT_TAG_FILTER } from '../util/tagFilter.js';
+import { normalizeSavedViews } from '../util/savedViews.js';
+import { normalizeCollapsedTagIds } from '../util/tagTree.js';
+import {
+  encodeTagState,
+  decodeTagState,
+  estimateItemBytes,
+  isShardedTagState,
+  isShardKey,
+  getShardKey,
+  TAG_SHARD_KEY_PREFIX,
+  MAX_SHARD_BYTES,
+} from './tagStateShards.js';
+
+// Single-account installs stored one token here; migrated to AUTH_ACCOUNTS_KEY
 const AUTH_KEY = 'authState';
+const AUTH_ACCOUNTS_KEY = 'authAccounts';
 const FOLLOW_CACHE_KEY = 'followCache';
 const POPUP_SNAPSHOT_KEY = 'popupSnapshot';
 const TAG_STATE_KEY = 'tagState';
 const PREFERENCE_KEY = 'preferences';
+const SAVED_VIEWS_KEY = 'savedViews';
 const LAST_SEEN_LIVE_KEY = 'lastSeenLive';
 const UPDATE_LOG_KEY = 'updateLog';
+const TAG_HISTORY_KEY = 'tagHistory';
+const TAG_SNAPSHOTS_KEY = 'tagSnapshots';
+const STORAGE_MODE_KEY = 'storageMode';
+const TAG_SYNC_MIRROR_KEY = 'tagSyncMirror';
+const SYNC_CONFLICT_LOG_KEY = 'syncConflictLog';
+const REMOTE_SYNC_SETTINGS_KEY = 'remoteSyncSettings';
+const REMOTE_SYNC_STATUS_KEY = 'remoteSyncStatus';
+const SIGN_IN_METHOD_KEY = 'signInMethod';
+const PENDING_DEVICE_AUTH_KEY = 'pendingDeviceAuth';
+const LIVE_STATE_KEY = 'liveState';
+// Follow cache and live state of the active account live under their plain
+// keys (content scripts read `followCache` directly); other accounts' copies
+// are parked under `<key>:<userId>` until the account is switched back to.
+const ACCOUNT_DATA_KEYS = [FOLLOW_CACHE_KEY, LIVE_STATE_KEY];
+const MAX_SYNC_CONFLICT_ENTRIES = 100;
 const MAX_LOG_ENTRIES = 300;
 const DEFAULT_NOTIFICATION_MAX_STREAM_AGE_MINUTES = 30;
 const MIN_NOTIFICATION_MAX_STREAM_AGE_MINUTES = 5;
 const MAX_NOTIFICATION_MAX_STREAM_AGE_MINUTES = 720;
 
 const defaultTagState = Object.freeze({ tags: {}, assignments: {}, nextId: 1 });
+// Kept in local storage only: the password must never reach browser sync.
+const defaultRemoteSyncSettings = Object.freeze({
+  enabled: false,
+  url: '',
+  username: '',
+  password: '',
+  intervalMinutes: 15,
+});
 const defaultPreferences = Object.freeze({
   sortBy: 'follow-date-desc',
   liveFirst: true,
   starredFirst: true,
   nameFilter: '',
   contentFilter: '',
+  languageFilter: '',
+  matureFilter: 'any',
   selectedTagId: null,
+  tagFilter: DEFAULT_TAG_FILTER,
+  collapsedTagIds: [],
   popupSelectedTagId: TAG_STARRED,
+  popupSelectedViewId: null,
   themeMode: 'system',
   notificationsEnabled: false,
   notificationTagIds: [TAG_STARRED],
@@ -36,47 +86,254 @@ const defaultPreferences = Object.freeze({
   notificationMaxStreamAgeMinutes: DEFAULT_NOTIFICATION_MAX_STREAM_AGE_MINUTES,
 });
 
+function getParkedAccountKey(key, userId) {
+  return `${key}:${userId}`;
+}
+
+async function readAuthAccounts() {
+  const result = await storageGet('local', [AUTH_ACCOUNTS_KEY, AUTH_KEY]);
+  const stored = result[AUTH_ACCOUNTS_KEY];
+  if (stored && typeof stored === 'object') {
+    return {
+      activeUserId: stored.activeUserId || null,
+      accounts: { ...(stored.accounts || {}) },
+    };
+  }
+
+  const data = { activeUserId: null, accounts: {} };
+  const legacy = result[AUTH_KEY];
+  if (legacy?.user?.id) {
+    data.activeUserId = String(legacy.user.id);
+    data.accounts[data.activeUserId] = legacy;
+    await storageSet('local', { [AUTH_ACCOUNTS_KEY]: data });
+    await storageRemove('local', AUTH_KEY);
+  }
+  return data;
+}
+
+/**
+ * Auth state of the active account.
+ * @returns {Promise<object|null>}
+ */
 export async function getAuthState() {
   try {
-    const result = await storageGet('local', AUTH_KEY);
-    return result[AUTH_KEY] || null;
+    const { activeUserId, accounts } = await readAuthAccounts();
+    return (activeUserId && accounts[activeUserId]) || null;
   } catch (error) {
     console.error('[Storage] Failed to get auth state:', error);
     return null;
   }
 }
 
+/**
+ * Store the auth state of one account. The account only becomes active when
+ * no other account is; use `setActiveAccount` to switch.
+ * @param {object} state - Auth state with `user.id`
+ * @returns {Promise<void>}
+ */
 export async function setAuthState(state) {
   try {
-    return await storageSet('local', { [AUTH_KEY]: state });
+    const userId = state?.user?.id ? String(state.user.id) : null;
+    if (!userId) {
+      throw new Error('Auth state has no user.');
+    }
+    const data = await readAuthAccounts();
+    data.accounts[userId] = state;
+    if (!data.activeUserId || !data.accounts[data.activeUserId]) {
+      data.activeUserId = userId;
+    }
+    return await storageSet('local', { [AUTH_ACCOUNTS_KEY]: data });
   } catch (error) {
     console.error('[Storage] Failed to set auth state:', error);
     throw new Error(`Failed to save authentication state: ${error.message}`);
   }
 }
 
+/**
+ * Remove the active account. The first remaining account becomes active, but
+ * its follow cache and live state stay parked; sign out through
+ * `signOutActiveAccount` (src/background/accounts.js), which swaps them in.
+ * @returns {Promise<void>}
+ */
 export async function clearAuthState() {
   try {
-    await storageRemove('local', AUTH_KEY);
+    const data = await readAuthAccounts();
+    if (data.activeUserId) {
+      delete data.accounts[data.activeUserId];
+    }
+    data.activeUserId = Object.keys(data.accounts)[0] || null;
+    await storageSet('local', { [AUTH_ACCOUNTS_KEY]: data });
   } catch (error) {
     console.error('[Storage] Failed to clear auth state:', error);
     // Don't throw - clearing is often done during cleanup
   }
 }
 
+/**
+ * Every connected account, in the order they were added.
+ * @returns {Promise<{activeUserId: string|null, accounts: Array<object>}>}
+ */
+export async function getAuthAccounts() {
+  try {
+    const { activeUserId, accounts } = await readAuthAccounts();
+    return { activeUserId, accounts: Object.values(accounts) };
+  } catch (error) {
+    console.error('[Storage] Failed to get accounts:', error);
+    return { activeUserId: null, accounts: [] };
+  }
+}
+
+/**
+ * Make a connected account the active one.
+ * @param {string} userId
+ * @returns {Promise<object>} Auth state of the account
+ */
+export async function setActiveAccount(userId) {
+  const data = await readAuthAccounts();
+  const key = String(userId);
+  if (!data.accounts[key]) {
+    throw new Error('This Twitch account is not connected.');
+  }
+  data.activeUserId = key;
+  try {
+    await storageSet('local', { [AUTH_ACCOUNTS_KEY]: data });
+  } catch (error) {
+    console.error('[Storage] Failed to set active account:', error);
+    throw new Error(`Failed to switch accounts: ${error.message}`);
+  }
+  return data.accounts[key];
+}
+
+/**
+ * Park the follow cache and live state of `fromUserId` and bring back the
+ * ones parked for `toUserId` (or start empty).
+ * @param {string|null} fromUserId - Account whose data is in place; null drops it
+ * @param {string} toUserId
+ * @returns {Promise<void>}
+ */
+export async function swapAccountData(fromUserId, toUserId) {
+  if (fromUserId && String(fromUserId) === String(toUserId)) return;
+  const parkedKeys = ACCOUNT_DATA_KEYS.map((key) => getParkedAccountKey(key, toUserId));
+  const result = await storageGet('local', [...ACCOUNT_DATA_KEYS, ...parkedKeys]);
+  const updates = {};
+  const removals = [];
+  ACCOUNT_DATA_KEYS.forEach((key) => {
+    if (fromUserId && result[key] !== undefined) {
+      updates[getParkedAccountKey(key, fromUserId)] = result[key];
+    }
+    const parkedKey = getParkedAccountKey(key, toUserId);
+    if (result[parkedKey] !== undefined) {
+      updates[key] = result[parkedKey];
+      removals.push(parkedKey);
+    } else {
+      removals.push(key);
+    }
+  });
+  if (Object.keys(updates).length) {
+    await storageSet('local', updates);
+  }
+  await storageRemove('local', removals);
+}
+
+export async function getSignInMethod() {
+  try {
+    const result = await storageGet('local', SIGN_IN_METHOD_KEY);
+    return result[SIGN_IN_METHOD_KEY] === SIGN_IN_METHOD_DEVICE ? SIGN_IN_METHOD_DEVICE : SIGN_IN_METHOD_BROWSER;
+  } catch (error) {
+    console.error('[Storage] Failed to get sign-in method:', error);
+    return SIGN_IN_METHOD_BROWSER;
+  }
+}
+
+export async function setSignInMethod(method) {
+  if (method !== SIGN_IN_METHOD_BROWSER && method !== SIGN_IN_METHOD_DEVICE) {
+    throw new Error('Unknown sign-in method.');
+  }
+  try {
+    return await storageSet('local', { [SIGN_IN_METHOD_KEY]: method });
+  } catch (error) {
+    console.error('[Storage] Failed to set sign-in method:', error);
+    throw new Error(`Failed to save sign-in method: ${error.message}`);
+  }
+}
+
+// Session storage is cleared with the browser and never hits the disk; older
+// browsers without it fall back to local storage.
+function getPendingDeviceAuthArea() {
+  return extension?.storage?.session ? 'session' : 'local';
+}
+
+/**
+ * Device code of a sign-in the user has not confirmed yet. Kept outside the
+ * service worker so polling survives the worker being stopped meanwhile.
+ * @returns {Promise<{deviceCode: string, interval: number, expiresAt: number}|null>}
+ */
+export async function getPendingDeviceAuth() {
+  try {
+    const result = await storageGet(getPendingDeviceAuthArea(), PENDING_DEVICE_AUTH_KEY);
+    const pending = result[PENDING_DEVICE_AUTH_KEY];
+    if (!pending || typeof pending.deviceCode !== 'string' || !pending.deviceCode) {
+      return null;
+    }
+    return {
+      deviceCode: pending.deviceCode,
+      interval: Number(pending.interval) || 0,
+      expiresAt: Number(pending.expiresAt) || 0,
+    };
+  } catch (error) {
+    console.error('[Storage] Failed to get pending device authorization:', error);
+    return null;
+  }
+}
+
+export async function setPendingDeviceAuth(pending) {
+  try {
+    return await storageSet(getPendingDeviceAuthArea(), { [PENDING_DEVICE_AUTH_KEY]: pending });
+  } catch (error) {
+    console.error('[Storage] Failed to set pending device authorization:', error);
+    throw new Error(`Failed to save device authorization: ${error.message}`);
+  }
+}
+
+export async function clearPendingDeviceAuth() {
+  try {
+    await storageRemove(getPendingDeviceAuthArea(), PENDING_DEVICE_AUTH_KEY);
+  } catch (error) {
+    console.error('[Storage] Failed to clear pending device authorization:', error);
+  }
+}
+
 export async function getFollowCache() {
   try {
-    const result = await storageGet('local', FOLLOW_CACHE_KEY);
-    return result[FOLLOW_CACHE_KEY] || null;
+    const [result, { activeUserId }] = await Promise.all([
+      storageGet('local', FOLLOW_CACHE_KEY),
+      readAuthAccounts(),
+    ]);
+    const cache = result[FOLLOW_CACHE_KEY] || null;
+    // Caches from before multiple accounts carry no account id
+    if (cache?.accountId && cache.accountId !== activeUserId) {
+      return null;
+    }
+    return cache;
   } catch (error) {
     console.error('[Storage] Failed to get follow cache:', error);
     return null;
   }
 }
 
+/**
+ * Save a follow cache. A cache stamped with an account that is no longer
+ * active (the user switched while it was being built) is parked instead.
+ * @param {object} cache
+ * @returns {Promise<void>}
+ */
 export async function setFollowCache(cache) {
   try {
-    return await storageSet('local', { [FOLLOW_CACHE_KEY]: cache });
+    const { activeUserId } = await readAuthAccounts();
+    const key = cache?.accountId && cache.accountId !== activeUserId
+      ? getParkedAccountKey(FOLLOW_CACHE_KEY, cache.accountId)
+      : FOLLOW_CACHE_KEY;
+    return await storageSet('local', { [key]: cache });
   } catch (error) {
     console.error('[Storage] Failed to set follow cache:', error);
     throw new Error(`Failed to save follow cache: ${error.message}`);
@@ -120,50 +377,163 @@ export async function clearPopupSnapshot() {
   }
 }
 
+/**
+ * Storage area that holds tag state, saved views, and preferences. The mode
+ * is kept in local storage so each browser profile decides on its own.
+ * @returns {Promise<'sync'|'local'>}
+ */
+export async function getStorageMode() {
+  try {
+    const result = await storageGet('local', STORAGE_MODE_KEY);
+    return result[STORAGE_MODE_KEY] === STORAGE_MODE_LOCAL ? STORAGE_MODE_LOCAL : STORAGE_MODE_SYNC;
+  } catch (error) {
+    console.error('[Storage] Failed to get storage mode:', error);
+    return STORAGE_MODE_SYNC;
+  }
+}
+
+export async function setStorageMode(mode) {
+  if (mode !== STORAGE_MODE_SYNC && mode !== STORAGE_MODE_LOCAL) {
+    throw new Error('Unknown storage mode.');
+  }
+  try {
+    return await storageSet('local', { [STORAGE_MODE_KEY]: mode });
+  } catch (error) {
+    console.error('[Storage] Failed to set storage mode:', error);
+    throw new Error(`Failed to save storage mode: ${error.message}`);
+  }
+}
+
+function getShardKeys(count) {
+  return Array.from({ length: Math.max(0, Number(count) || 0) }, (_, index) => getShardKey(index));
+}
+
+/**
+ * Read the tag state from a storage area. Both the sharded layout and the
+ * single-item layout of older versions are understood.
+ * @param {'sync'|'local'} area
+ * @returns {Promise<{items: Record<string, unknown>, state: object|null, legacy: boolean, missingShards: Array<string>}>}
+ */
+async function readStoredTagState(area) {
+  const indexResult = await storageGet(area, TAG_STATE_KEY);
+  const stored = indexResult[TAG_STATE_KEY];
+  if (!stored) {
+    return { items: {}, state: null, legacy: false, missingShards: [] };
+  }
+  if (!isShardedTagState(stored)) {
+    return { items: indexResult, state: stored, legacy: true, missingShards: [] };
+  }
+  const shardKeys = getShardKeys(stored.shardCount);
+  const items = { ...indexResult, ...(shardKeys.length ? await storageGet(area, shardKeys) : {}) };
+  const { state, missingShards } = decodeTagState(stored, items);
+  if (missingShards.length) {
+    console.warn('[Storage] Tag state shards missing (not synced yet?):', missingShards);
+  }
+  return { items, state, legacy: false, missingShards };
+}
+
 export async function getTagState() {
   try {
-    const result = await storageGet('sync', TAG_STATE_KEY);
-    return result[TAG_STATE_KEY] || { ...defaultTagState };
+    const { state } = await readStoredTagState(await getStorageMode());
+    return state || { ...defaultTagState };
   } catch (error) {
     console.error('[Storage] Failed to get tag state:', error);
     return { ...defaultTagState };
   }
 }
 
-export async function setTagState(state) {
-  try {
-    // Check quota before attempting to save
-    const quotaCheck = await checkStorageQuota();
+function sumItemBytes(items) {
+  return Object.entries(items).reduce((total, [key, value]) => total + estimateItemBytes(key, value), 0);
+}
 
-    if (quotaCheck.shouldBlock) {
-      const suggestions = getStorageCleanupSuggestions();
-      const suggestionText = suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n');
-      throw new Error(
-        `${quotaCheck.message}\n\nSuggestions:\n${suggestionText}`
-      );
-    }
+/**
+ * Whether a storage key belongs to the tag state (its index or a shard).
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isTagStateStorageKey(key) {
+  return key === TAG_STATE_KEY || isShardKey(key);
+}
 
-    // Warn user if approaching quota (but allow save)
-    if (quotaCheck.shouldWarn) {
-      console.warn('[Storage] Storage quota warning:', quotaCheck.message);
-    }
+function throwQuotaError(message) {
+  const suggestions = getStorageCleanupSuggestions();
+  const suggestionText = suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n');
+  throw new Error(`${message}\n\nSuggestions:\n${suggestionText}`);
+}
+
+function getItemQuotaBytes() {
+  return extension?.storage?.sync?.QUOTA_BYTES_PER_ITEM || 8192;
+}
+
+function isQuotaError(error) {
+  return Boolean(error?.message) && (
+    error.message.includes('QUOTA_BYTES') ||
+    error.message.includes('QuotaExceededError') ||
+    error.message.includes('quota')
+  );
+}
+
+/**
+ * Check the sync quota against the usage after replacing `storedItems` with
+ * `items`, so saves that shrink the data still go through when usage is
+ * already high. Throws when the save would exceed the quota.
+ * @param {object} storedItems - Items as currently stored
+ * @param {object} items - Items about to be written
+ */
+async function assertSyncQuota(storedItems, items) {
+  const { bytesInUse } = await getStorageUsage();
+  const projectedBytes = bytesInUse - sumItemBytes(storedItems) + sumItemBytes(items);
+  const quotaCheck = await checkStorageQuota(projectedBytes);
+
+  if (quotaCheck.shouldBlock) {
+    throwQuotaError(quotaCheck.message);
+  }
 
-    return await storageSet('sync', { [TAG_STATE_KEY]: state });
+  // Warn user if approaching quota (but allow save)
+  if (quotaCheck.shouldWarn) {
+    console.warn('[Storage] Storage quota warning:', quotaCheck.message);
+  }
+}
+
+/**
+ * Save the tag state to a storage area in the sharded layout: a small index
+ * under `tagState` and the tags and assignments spread over `tagShard_<n>`
+ * items. Shards left over from a larger state are removed afterwards.
+ * @param {'sync'|'local'} area
+ * @param {object} state
+ */
+async function writeTagState(area, state) {
+  const { items: storedItems } = await readStoredTagState(area);
+  const { items, shardCount } = encodeTagState(state, { indexKey: TAG_STATE_KEY });
+
+  if (area === STORAGE_MODE_SYNC) {
+    await assertSyncQuota(storedItems, items);
+  }
+
+  await storageSet(area, items);
+  if (area === STORAGE_MODE_SYNC) {
+    await setTagSyncMirror(state);
+  }
+
+  const staleShardKeys = Object.keys(storedItems).filter((key) => (
+    isShardKey(key) && Number(key.slice(TAG_SHARD_KEY_PREFIX.length)) >= shardCount
+  ));
+  if (staleShardKeys.length) {
+    await storageRemove(area, staleShardKeys);
+  }
+}
+
+export async function setTagState(state) {
+  try {
+    await writeTagState(await getStorageMode(), state);
   } catch (error) {
     // Check if quota exceeded during save (fallback)
-    const isQuotaError = error.message && (
-      error.message.includes('QUOTA_BYTES') ||
-      error.message.includes('QuotaExceededError') ||
-      error.message.includes('quota')
-    );
-
-    if (isQuotaError) {
+    if (isQuotaError(error)) {
       console.error('[Storage] Sync storage quota exceeded:', error);
-      const suggestions = getStorageCleanupSuggestions();
-      const suggestionText = suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n');
-      throw new Error(
-        `Storage quota exceeded. Please reduce your data usage.\n\nSuggestions:\n${suggestionText}`
-      );
+      if (error.message.startsWith('Storage quota')) {
+        throw error;
+      }
+      throwQuotaError('Storage quota exceeded. Please reduce your data usage.');
     }
 
     console.error('[Storage] Failed to set tag state:', error);
@@ -171,9 +541,129 @@ export async function setTagState(state) {
   }
 }
 
+/**
+ * Read the tag state currently in sync storage, whatever the storage mode.
+ * @returns {Promise<{state: object|null, missingShards: Array<string>}>}
+ */
+export async function getSyncedTagState() {
+  const { state, missingShards } = await readStoredTagState(STORAGE_MODE_SYNC);
+  return { state, missingShards };
+}
+
+/**
+ * The tag state this browser last wrote to (or accepted from) sync storage.
+ * Remote writes replace the synced copy, so this is the only record of the
+ * local side when merging them.
+ * @returns {Promise<object|null>}
+ */
+export async function getTagSyncMirror() {
+  try {
+    const result = await storageGet('local', TAG_SYNC_MIRROR_KEY);
+    return result[TAG_SYNC_MIRROR_KEY] || null;
+  } catch (error) {
+    console.error('[Storage] Failed to get tag sync mirror:', error);
+    return null;
+  }
+}
+
+export async function setTagSyncMirror(state) {
+  try {
+    if (state) {
+      await storageSet('local', { [TAG_SYNC_MIRROR_KEY]: state });
+    } else {
+      await storageRemove('local', TAG_SYNC_MIRROR_KEY);
+    }
+  } catch (error) {
+    console.error('[Storage] Failed to set tag sync mirror:', error);
+    // Don't throw - the next remote change re-seeds the mirror
+  }
+}
+
+/**
+ * Read the raw tag state, preferences, and saved views of one storage area,
+ * e.g. to move them to the other area. Missing entries are null.
+ * @param {'sync'|'local'} area
+ * @returns {Promise<{tagState: object|null, preferences: object|null, savedViews: object|null}>}
+ */
+export async function getStoredUserData(area) {
+  const [{ state }, result] = await Promise.all([
+    readStoredTagState(area),
+    storageGet(area, [PREFERENCE_KEY, SAVED_VIEWS_KEY]),
+  ]);
+  return {
+    tagState: state,
+    preferences: result[PREFERENCE_KEY] || null,
+    savedViews: result[SAVED_VIEWS_KEY] || null,
+  };
+}
+
+/**
+ * Write tag state, preferences, and saved views to one storage area.
+ * Null entries are left alone.
+ * @param {'sync'|'local'} area
+ * @param {{tagState?: object|null, preferences?: object|null, savedViews?: object|null}} data
+ */
+export async function setStoredUserData(area, { tagState = null, preferences = null, savedViews = null }) {
+  if (tagState) {
+    await writeTagState(area, tagState);
+  }
+  const items = {};
+  if (preferences) items[PREFERENCE_KEY] = preferences;
+  if (savedViews) items[SAVED_VIEWS_KEY] = savedViews;
+  if (Object.keys(items).length) {
+    await storageSet(area, items);
+  }
+}
+
+/**
+ * Remove tag state, preferences, and saved views from one storage area.
+ * @param {'sync'|'local'} area
+ */
+export async function clearStoredUserData(area) {
+  const { items } = await readStoredTagState(area);
+  await storageRemove(area, [...Object.keys(items).filter(isTagStateStorageKey), PREFERENCE_KEY, SAVED_VIEWS_KEY]);
+}
+
+/**
+ * Whether the tag state is still stored as a single item by an older version.
+ * @returns {Promise<boolean>}
+ */
+export async function hasLegacyTagState() {
+  try {
+    const { legacy } = await readStoredTagState(await getStorageMode());
+    return legacy;
+  } catch (error) {
+    console.error('[Storage] Failed to check tag state layout:', error);
+    return false;
+  }
+}
+
+/**
+ * Describe sync storage usage per item, listing the tag state index and each
+ * shard on their own.
+ * @returns {Promise<{bytesInUse: number, quotaBytes: number, percentUsed: number, itemQuotaBytes: number, shardBytes: number, items: Array<{key: string, bytes: number}>}>}
+ */
+export async function getSyncStorageUsage() {
+  const [usage, items] = await Promise.all([getStorageUsage(), storageGet('sync', null)]);
+  // Tag state index first, then the shards in order, then everything else
+  const rank = (key) => {
+    if (key === TAG_STATE_KEY) return -1;
+    return isShardKey(key) ? Number(key.slice(TAG_SHARD_KEY_PREFIX.length)) : Number.MAX_SAFE_INTEGER;
+  };
+  const entries = Object.entries(items)
+    .map(([key, value]) => ({ key, bytes: estimateItemBytes(key, value) }))
+    .sort((a, b) => (rank(a.key) - rank(b.key)) || a.key.localeCompare(b.key));
+  return {
+    ...usage,
+    itemQuotaBytes: getItemQuotaBytes(),
+    shardBytes: MAX_SHARD_BYTES,
+    items: entries,
+  };
+}
+
 export async function getPreferences() {
   try {
-    const result = await storageGet('sync', PREFERENCE_KEY);
+    const result = await storageGet(await getStorageMode(), PREFERENCE_KEY);
     const stored = result[PREFERENCE_KEY] || {};
     const merged = { ...defaultPreferences, ...stored };
 
@@ -201,6 +691,8 @@ export async function getPreferences() {
       merged.notificationTagIds,
       Array.from(validTagIds),
     );
+    merged.tagFilter = normalizeTagFilter(merged.tagFilter, Array.from(validTagIds));
+    merged.collapsedTagIds = normalizeCollapsedTagIds(merged.collapsedTagIds, Array.from(validTagIds));
 
     const highlightColor = typeof merged.twitchHighlightColor === 'string'
       ? merged.twitchHighlightColor.trim().toLowerCase()
@@ -219,13 +711,108 @@ export async function getPreferences() {
 
 export async function setPreferences(prefs) {
   try {
-    return await storageSet('sync', { [PREFERENCE_KEY]: prefs });
+    return await storageSet(await getStorageMode(), { [PREFERENCE_KEY]: prefs });
   } catch (error) {
     console.error('[Storage] Failed to set preferences:', error);
     throw new Error(`Failed to save preferences: ${error.message}`);
   }
 }
 
+export async function getSavedViews() {
+  try {
+    const [result, tagState] = await Promise.all([
+      getStorageMode().then((area) => storageGet(area, SAVED_VIEWS_KEY)),
+      getTagState(),
+    ]);
+    const validTagIds = [...Object.keys(tagState?.tags || {}), TAG_STARRED];
+    return normalizeSavedViews(result[SAVED_VIEWS_KEY], validTagIds);
+  } catch (error) {
+    console.error('[Storage] Failed to get saved views:', error);
+    return normalizeSavedViews(null);
+  }
+}
+
+/**
+ * Saved views as stored, without dropping references to removed tags.
+ * @returns {Promise<{views: Array<object>, nextId: number}>}
+ */
+export async function getStoredSavedViews() {
+  try {
+    const result = await storageGet(await getStorageMode(), SAVED_VIEWS_KEY);
+    return normalizeSavedViews(result[SAVED_VIEWS_KEY]);
+  } catch (error) {
+    console.error('[Storage] Failed to get saved views:', error);
+    return normalizeSavedViews(null);
+  }
+}
+
+export async function setSavedViews(savedViews) {
+  try {
+    const area = await getStorageMode();
+    const items = { [SAVED_VIEWS_KEY]: savedViews };
+    if (area === STORAGE_MODE_SYNC) {
+      // Views are stored as one item, so they must also fit the per-item quota
+      const itemQuotaBytes = getItemQuotaBytes();
+      const viewBytes = sumItemBytes(items);
+      if (viewBytes > itemQuotaBytes) {
+        const viewKB = (viewBytes / 1024).toFixed(1);
+        const quotaKB = (itemQuotaBytes / 1024).toFixed(1);
+        throwQuotaError(`Storage quota exceeded for saved views (${viewKB}KB / ${quotaKB}KB per item). Please delete some views before saving.`);
+      }
+      await assertSyncQuota(await storageGet(area, SAVED_VIEWS_KEY), items);
+    }
+    return await storageSet(area, items);
+  } catch (error) {
+    if (isQuotaError(error)) {
+      console.error('[Storage] Sync storage quota exceeded:', error);
+      if (error.message.startsWith('Storage quota')) {
+        throw error;
+      }
+      throwQuotaError('Storage quota exceeded. Please reduce your data usage.');
+    }
+    console.error('[Storage] Failed to set saved views:', error);
+    throw new Error(`Failed to save views: ${error.message}`);
+  }
+}
+
+export async function getTagHistory() {
+  try {
+    const result = await storageGet('local', TAG_HISTORY_KEY);
+    return result[TAG_HISTORY_KEY] || { undo: [], redo: [] };
+  } catch (error) {
+    console.error('[Storage] Failed to get tag history:', error);
+    return { undo: [], redo: [] };
+  }
+}
+
+export async function setTagHistory(history) {
+  try {
+    return await storageSet('local', { [TAG_HISTORY_KEY]: history });
+  } catch (error) {
+    console.error('[Storage] Failed to set tag history:', error);
+    throw new Error(`Failed to save tag history: ${error.message}`);
+  }
+}
+
+export async function getTagSnapshots() {
+  try {
+    const result = await storageGet('local', TAG_SNAPSHOTS_KEY);
+    return Array.isArray(result[TAG_SNAPSHOTS_KEY]) ? result[TAG_SNAPSHOTS_KEY] : [];
+  } catch (error) {
+    console.error('[Storage] Failed to get tag snapshots:', error);
+    return [];
+  }
+}
+
+export async function setTagSnapshots(snapshots) {
+  try {
+    return await storageSet('local', { [TAG_SNAPSHOTS_KEY]: snapshots });
+  } catch (error) {
+    console.error('[Storage] Failed to set tag snapshots:', error);
+    throw new Error(`Failed to save tag snapshots: ${error.message}`);
+  }
+}
+
 export async function getLastSeenLive() {
   try {
     const result = await storageGet('local', LAST_SEEN_LIVE_KEY);
@@ -281,13 +868,104 @@ export async function clearUpdateLog() {
   }
 }
 
+export async function getSyncConflictLog() {
+  try {
+    const result = await storageGet('local', SYNC_CONFLICT_LOG_KEY);
+    return Array.isArray(result[SYNC_CONFLICT_LOG_KEY]) ? result[SYNC_CONFLICT_LOG_KEY] : [];
+  } catch (error) {
+    console.error('[Storage] Failed to get sync conflict log:', error);
+    return [];
+  }
+}
+
+export async function addSyncConflictEntries(entries) {
+  try {
+    const log = [...(await getSyncConflictLog()), ...entries];
+
+    // Keep only the most recent entries
+    if (log.length > MAX_SYNC_CONFLICT_ENTRIES) {
+      log.splice(0, log.length - MAX_SYNC_CONFLICT_ENTRIES);
+    }
+
+    return await storageSet('local', { [SYNC_CONFLICT_LOG_KEY]: log });
+  } catch (error) {
+    console.error('[Storage] Failed to add sync conflict entries:', error);
+    // Don't throw - logging failures shouldn't break the merge
+  }
+}
+
+export async function clearSyncConflictLog() {
+  try {
+    await storageRemove('local', SYNC_CONFLICT_LOG_KEY);
+  } catch (error) {
+    console.error('[Storage] Failed to clear sync conflict log:', error);
+    // Don't throw - clearing is often done during cleanup
+  }
+}
+
+export async function getRemoteSyncSettings() {
+  try {
+    const result = await storageGet('local', REMOTE_SYNC_SETTINGS_KEY);
+    return { ...defaultRemoteSyncSettings, ...(result[REMOTE_SYNC_SETTINGS_KEY] || {}) };
+  } catch (error) {
+    console.error('[Storage] Failed to get remote sync settings:', error);
+    return { ...defaultRemoteSyncSettings };
+  }
+}
+
+export async function setRemoteSyncSettings(settings) {
+  try {
+    return await storageSet('local', { [REMOTE_SYNC_SETTINGS_KEY]: settings });
+  } catch (error) {
+    console.error('[Storage] Failed to set remote sync settings:', error);
+    throw new Error(`Failed to save remote sync settings: ${error.message}`);
+  }
+}
+
+/**
+ * Bookkeeping of the last remote sync: the ETag and content hashes it ended
+ * with, when it ran, and the last error.
+ * @returns {Promise<object>}
+ */
+export async function getRemoteSyncStatus() {
+  try {
+    const result = await storageGet('local', REMOTE_SYNC_STATUS_KEY);
+    return result[REMOTE_SYNC_STATUS_KEY] || {};
+  } catch (error) {
+    console.error('[Storage] Failed to get remote sync status:', error);
+    return {};
+  }
+}
+
+export async function setRemoteSyncStatus(status) {
+  try {
+    return await storageSet('local', { [REMOTE_SYNC_STATUS_KEY]: status });
+  } catch (error) {
+    console.error('[Storage] Failed to set remote sync status:', error);
+    // Don't throw - the next run starts over with a full compare
+  }
+}
+
 export const constants = {
   AUTH_KEY,
+  AUTH_ACCOUNTS_KEY,
   FOLLOW_CACHE_KEY,
   TAG_STATE_KEY,
+  TAG_SHARD_KEY_PREFIX,
   PREFERENCE_KEY,
+  SAVED_VIEWS_KEY,
   LAST_SEEN_LIVE_KEY,
   UPDATE_LOG_KEY,
+  TAG_HISTORY_KEY,
+  TAG_SNAPSHOTS_KEY,
+  STORAGE_MODE_KEY,
+  TAG_SYNC_MIRROR_KEY,
+  SYNC_CONFLICT_LOG_KEY,
+  REMOTE_SYNC_SETTINGS_KEY,
+  REMOTE_SYNC_STATUS_KEY,
+  SIGN_IN_METHOD_KEY,
+  PENDING_DEVICE_AUTH_KEY,
+  LIVE_STATE_KEY,
   POPUP_SNAPSHOT_KEY,
   MAX_LOG_ENTRIES,
   DEFAULT_NOTIFICATION_MAX_STREAM_AGE_MINUTES,
@@ -0,0 +1,222 @@
+/**
+ * Sharded sync layout for the tag state.
+ *
+ * Sync storage limits every item to 8 KB, so the tag state is split into a
+ * small index under `tagState` and a number of `tagShard_<n>` items. Tags are
+ * stored as records; the assignment maps are stored as compact strings:
+ * `<streamer>:<tag>.<tag>;<streamer>:<tag>` where numeric ids are written in
+ * base 36 and the starred tag is `*`. Modification timestamps use the same
+ * form with one base-36 number per id: `<id>:<ms>`.
+ */
+
+export const TAG_SHARD_KEY_PREFIX = 'tagShard_';
+export const TAG_STATE_LAYOUT_VERSION = 2;
+
+// Chrome's QUOTA_BYTES_PER_ITEM is 8192; stay below it with some headroom.
+export const MAX_SHARD_BYTES = 7680;
+
+const STARRED_TAG_ID = 'favorite';
+const STARRED_TOKEN = '*';
+const ESCAPED_PREFIX = '~';
+// Shard field per assignment-like map of the tag state.
+const MAP_FIELDS = Object.freeze({
+  assignments: 'a',
+  autoAssignments: 'r',
+  ruleDismissals: 'd',
+});
+// Shard field per `{id: timestamp}` map of the tag state.
+const STAMP_FIELDS = Object.freeze({
+  tagModifiedAt: 'u',
+  streamerModifiedAt: 'm',
+});
+const TAGS_FIELD = 't';
+// Longest shard key we budget for (`tagShard_999`).
+const SHARD_KEY_BYTES = TAG_SHARD_KEY_PREFIX.length + 3;
+// `"x":""` or `"x":{}` plus the comma between fields.
+const FIELD_OVERHEAD_BYTES = 7;
+
+const textEncoder = new TextEncoder();
+
+function byteLength(text) {
+  return textEncoder.encode(text).length;
+}
+
+/**
+ * Size of a storage item the way the sync quota counts it: key length plus
+ * the length of its JSON value.
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function estimateItemBytes(key, value) {
+  return byteLength(key) + byteLength(JSON.stringify(value) ?? '');
+}
+
+export function getShardKey(index) {
+  return `${TAG_SHARD_KEY_PREFIX}${index}`;
+}
+
+export function isShardKey(key) {
+  return typeof key === 'string' && key.startsWith(TAG_SHARD_KEY_PREFIX);
+}
+
+function encodeId(id) {
+  const value = String(id);
+  if (value === STARRED_TAG_ID) return STARRED_TOKEN;
+  if (/^[1-9]\d{0,14}$/.test(value)) return Number(value).toString(36);
+  return `${ESCAPED_PREFIX}${encodeURIComponent(value).replace(/\./g, '%2E')}`;
+}
+
+function decodeId(token) {
+  if (token === STARRED_TOKEN) return STARRED_TAG_ID;
+  if (token.startsWith(ESCAPED_PREFIX)) return decodeURIComponent(token.slice(1));
+  return String(parseInt(token, 36));
+}
+
+function encodeMapEntry(streamerId, tagIds) {
+  return `${encodeId(streamerId)}:${tagIds.map(encodeId).join('.')}`;
+}
+
+function encodeStampEntry(id, timestamp) {
+  return `${encodeId(id)}:${Math.round(timestamp).toString(36)}`;
+}
+
+function decodeStampEntries(text, target) {
+  if (typeof text !== 'string' || !text) return;
+  text.split(';').forEach((entry) => {
+    const [idToken, stampToken] = entry.split(':');
+    const timestamp = parseInt(stampToken, 36);
+    if (!idToken || !Number.isFinite(timestamp)) return;
+    target[decodeId(idToken)] = timestamp;
+  });
+}
+
+function decodeMapEntries(text, target) {
+  if (typeof text !== 'string' || !text) return;
+  text.split(';').forEach((entry) => {
+    const [streamerToken, tagTokens] = entry.split(':');
+    if (!streamerToken || !tagTokens) return;
+    target[decodeId(streamerToken)] = tagTokens.split('.').filter(Boolean).map(decodeId);
+  });
+}
+
+/**
+ * Whether a stored `tagState` value is the index of the sharded layout.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isShardedTagState(value) {
+  return !!value && typeof value === 'object' && value.layout === TAG_STATE_LAYOUT_VERSION;
+}
+
+/**
+ * Split a tag state into sync items. Entries are packed greedily so every
+ * shard stays under `maxShardBytes`.
+ * @param {object} state - Tag state
+ * @param {{indexKey: string, maxShardBytes?: number}} options
+ * @returns {{items: Record<string, object>, shardCount: number}}
+ * @throws {Error} If a single entry is larger than a shard
+ */
+export function encodeTagState(state, { indexKey, maxShardBytes = MAX_SHARD_BYTES }) {
+  const entries = [];
+  Object.entries(state?.tags || {}).forEach(([tagId, tag]) => {
+    entries.push({
+      field: TAGS_FIELD,
+      tagId,
+      tag,
+      bytes: byteLength(`${JSON.stringify(tagId)}:${JSON.stringify(tag)}`),
+    });
+  });
+  Object.entries(MAP_FIELDS).forEach(([mapName, field]) => {
+    Object.entries(state?.[mapName] || {}).forEach(([streamerId, tagIds]) => {
+      if (!Array.isArray(tagIds) || !tagIds.length) return;
+      const text = encodeMapEntry(streamerId, tagIds);
+      entries.push({ field, text, bytes: byteLength(text) });
+    });
+  });
+  Object.entries(STAMP_FIELDS).forEach(([mapName, field]) => {
+    Object.entries(state?.[mapName] || {}).forEach(([id, timestamp]) => {
+      if (!Number.isFinite(timestamp) || timestamp <= 0) return;
+      const text = encodeStampEntry(id, timestamp);
+      entries.push({ field, text, bytes: byteLength(text) });
+    });
+  });
+
+  const shards = [];
+  let current = null;
+  const startShard = () => {
+    current = { value: {}, bytes: SHARD_KEY_BYTES + 2 };
+    shards.push(current);
+  };
+
+  entries.forEach((entry) => {
+    if (!current) startShard();
+    const costIn = (shard) => (Object.prototype.hasOwnProperty.call(shard.value, entry.field)
+      ? entry.bytes + 1
+      : entry.bytes + FIELD_OVERHEAD_BYTES);
+    if (current.bytes + costIn(current) > maxShardBytes) {
+      startShard();
+      if (current.bytes + costIn(current) > maxShardBytes) {
+        throw new Error('A tag or streamer entry is too large to store in sync storage.');
+      }
+    }
+    current.bytes += costIn(current);
+    if (entry.field === TAGS_FIELD) {
+      current.value[TAGS_FIELD] = { ...(current.value[TAGS_FIELD] || {}), [entry.tagId]: entry.tag };
+    } else {
+      const existing = current.value[entry.field];
+      current.value[entry.field] = existing ? `${existing};${entry.text}` : entry.text;
+    }
+  });
+
+  const items = {
+    [indexKey]: {
+      layout: TAG_STATE_LAYOUT_VERSION,
+      nextId: Number(state?.nextId) || 1,
+      shardCount: shards.length,
+    },
+  };
+  shards.forEach((shard, index) => {
+    items[getShardKey(index)] = shard.value;
+  });
+  return { items, shardCount: shards.length };
+}
+
+/**
+ * Rebuild a tag state from the sharded index and the stored items.
+ * Missing shards are skipped (they may not have synced yet).
+ * @param {object} index - Value stored under the index key
+ * @param {Record<string, unknown>} items - Stored sync items
+ * @returns {{state: object, missingShards: Array<string>}}
+ */
+export function decodeTagState(index, items) {
+  const state = {
+    tags: {},
+    assignments: {},
+    nextId: Number(index?.nextId) || 1,
+    autoAssignments: {},
+    ruleDismissals: {},
+    tagModifiedAt: {},
+    streamerModifiedAt: {},
+  };
+  const missingShards = [];
+  const shardCount = Math.max(0, Number(index?.shardCount) || 0);
+  for (let i = 0; i < shardCount; i += 1) {
+    const key = getShardKey(i);
+    const shard = items?.[key];
+    if (!shard || typeof shard !== 'object') {
+      missingShards.push(key);
+      continue;
+    }
+    if (shard[TAGS_FIELD] && typeof shard[TAGS_FIELD] === 'object') {
+      Object.assign(state.tags, shard[TAGS_FIELD]);
+    }
+    Object.entries(MAP_FIELDS).forEach(([mapName, field]) => {
+      decodeMapEntries(shard[field], state[mapName]);
+    });
+    Object.entries(STAMP_FIELDS).forEach(([mapName, field]) => {
+      decodeStampEntries(shard[field], state[mapName]);
+    });
+  }
+  return { state, missingShards };
+}
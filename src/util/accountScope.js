@@ -0,0 +1,71 @@
+import { getTagAncestorIds } from './tagTree.js';
+
+/**
+ * Whether a tag is shown for the given Twitch account. Tags without an
+ * `accountId` are shared; scoped tags, and every tag nested below one, only
+ * show for their account.
+ * @param {Record<string, object>} tags
+ * @param {string} tagId
+ * @param {string|null} accountId - Active account's user id (null when signed out)
+ * @returns {boolean}
+ */
+export function isTagInAccountScope(tags, tagId, accountId) {
+  const key = String(tagId);
+  if (!tags?.[key]) return false;
+  return [key, ...getTagAncestorIds(tags, key)].every((id) => {
+    const owner = tags[id]?.accountId;
+    return !owner || owner === accountId;
+  });
+}
+
+/**
+ * Ids of tags that belong to other accounts.
+ * @param {Record<string, object>} tags
+ * @param {string|null} accountId
+ * @returns {Set<string>}
+ */
+export function getOutOfScopeTagIds(tags, accountId) {
+  return new Set(
+    Object.keys(tags || {}).filter((tagId) => !isTagInAccountScope(tags, tagId, accountId)),
+  );
+}
+
+/**
+ * Drop tag ids in `hidden` from an assignment map, leaving out streamers
+ * without any tag left.
+ * @param {Record<string, Array<string>>} assignments
+ * @param {Set<string>} hidden
+ * @returns {Record<string, Array<string>>}
+ */
+export function filterAssignmentsByTagIds(assignments, hidden) {
+  if (!hidden.size) return assignments || {};
+  return Object.entries(assignments || {}).reduce((acc, [streamerId, tagIds]) => {
+    const visible = Array.isArray(tagIds) ? tagIds.filter((tagId) => !hidden.has(String(tagId))) : [];
+    if (visible.length) acc[streamerId] = visible;
+    return acc;
+  }, {});
+}
+
+/**
+ * The part of a tag state the given account sees: tags scoped to other
+ * accounts are removed along with their assignments. Returns the input as-is
+ * when nothing is scoped away.
+ * @param {object} tagState - Normalized tag state
+ * @param {string|null} accountId
+ * @returns {object}
+ */
+export function scopeTagStateToAccount(tagState, accountId) {
+  if (!tagState?.tags) return tagState;
+  const hidden = getOutOfScopeTagIds(tagState.tags, accountId);
+  if (!hidden.size) return tagState;
+
+  const tags = Object.fromEntries(
+    Object.entries(tagState.tags).filter(([tagId]) => !hidden.has(tagId)),
+  );
+  return {
+    ...tagState,
+    tags,
+    assignments: filterAssignmentsByTagIds(tagState.assignments, hidden),
+    autoAssignments: filterAssignmentsByTagIds(tagState.autoAssignments, hidden),
+  };
+}
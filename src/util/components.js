@@ -2,6 +2,7 @@ import {
   formatUptime,
   formatViewerCount,
   formatLastSeenLive,
+  formatLanguageName,
   appendMetaSegment,
   resolveTagColor,
   getContrastingTextColor,
@@ -9,6 +10,8 @@ import {
 import { TAG_STARRED, DEFAULT_TAG_COLOR } from './constants.js';
 import { handleUserError } from './errors.js';
 import { compareTagsByOrder } from './sorting.js';
+import { buildTagTree } from './tagTree.js';
+import { isSmartTag, getSmartTagIdsForStreamer } from './smartTags.js';
 import { getMessageStrict } from './i18n.js';
 
 const STAR_SVG_PATH = 'M47.755 3.765l11.525 23.353c0.448 0.907 1.313 1.535 2.314 1.681l25.772 3.745c2.52 0.366 3.527 3.463 1.703 5.241L70.42 55.962c-0.724 0.706-1.055 1.723-0.884 2.72l4.402 25.667c0.431 2.51-2.204 4.424-4.458 3.239L46.43 75.47c-0.895-0.471-1.965-0.471-2.86 0L20.519 87.588c-2.254 1.185-4.889-0.729-4.458-3.239l4.402-25.667c0.171-0.997-0.16-2.014-0.884-2.72L0.931 37.784c-1.824-1.778-0.817-4.875 1.703-5.241l25.772-3.745c1.001-0.145 1.866-0.774 2.314-1.681L42.245 3.765c1.127-2.284 4.383-2.284 5.51 0z';
@@ -18,6 +21,13 @@ const t = (key, substitutions) => getMessageStrict(key, substitutions);
 export function createStreamerCard(streamer, state, handlers) {
   const card = document.createElement('div');
   card.className = 'streamer-card clickable-card';
+  card.dataset.streamerId = streamer.id;
+
+  if (handlers.onToggleSelection) {
+    const isSelected = isStreamerSelected(streamer.id, state);
+    card.classList.toggle('is-selected', isSelected);
+    card.appendChild(createSelectionCheckbox(streamer, isSelected, handlers));
+  }
 
   const avatar = createAvatar(streamer);
   card.appendChild(avatar);
@@ -32,11 +42,29 @@ export function createStreamerCard(streamer, state, handlers) {
   const footer = createStreamerActions(streamer, state, handlers);
   card.appendChild(footer);
 
-  addStreamerCardEvents(card, streamer);
+  addStreamerCardEvents(card, streamer, handlers);
 
   return card;
 }
 
+function isStreamerSelected(streamerId, state) {
+  return Array.isArray(state?.selectedStreamerIds) && state.selectedStreamerIds.includes(streamerId);
+}
+
+function createSelectionCheckbox(streamer, isSelected, handlers) {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'form-check-input streamer-select';
+  checkbox.checked = isSelected;
+  checkbox.title = t('app_select_streamer_tooltip');
+  checkbox.setAttribute('aria-label', t('app_select_streamer_aria', [streamer.displayName || streamer.login]));
+  checkbox.addEventListener('click', (event) => {
+    event.stopPropagation();
+    handlers.onToggleSelection(streamer.id, { range: event.shiftKey });
+  });
+  return checkbox;
+}
+
 function createAvatar(streamer) {
   const avatar = document.createElement('img');
   avatar.className = 'streamer-avatar';
@@ -151,6 +179,34 @@ function createPrimaryMeta(streamer) {
     appendMetaSegment(metaPrimary, gameSpan);
   }
 
+  const languageName = formatLanguageName(streamer.language);
+  if (languageName) {
+    const languageSpan = document.createElement('span');
+    languageSpan.className = 'streamer-meta-language';
+    languageSpan.textContent = languageName;
+    appendMetaSegment(metaPrimary, languageSpan);
+  }
+
+  if (streamer.isMature) {
+    const matureSpan = document.createElement('span');
+    matureSpan.className = 'streamer-meta-mature';
+    matureSpan.textContent = t('app_meta_mature');
+    matureSpan.title = t('app_meta_mature_title');
+    appendMetaSegment(metaPrimary, matureSpan);
+  }
+
+  if (Array.isArray(streamer.streamTags) && streamer.streamTags.length) {
+    const streamTags = document.createElement('span');
+    streamTags.className = 'streamer-meta-stream-tags';
+    streamer.streamTags.forEach((tag) => {
+      const tagSpan = document.createElement('span');
+      tagSpan.className = 'streamer-meta-stream-tag';
+      tagSpan.textContent = tag;
+      streamTags.appendChild(tagSpan);
+    });
+    appendMetaSegment(metaPrimary, streamTags);
+  }
+
   if (!streamer.isLive) {
     const offlineSpan = document.createElement('span');
     offlineSpan.className = 'streamer-meta-offline';
@@ -183,8 +239,11 @@ function createFollowMeta(streamer) {
 
 function createTagWrapper(streamer, state) {
   const tagWrapper = document.createElement('div');
-  const assignedTags = getAssignmentsFor(streamer.id, state);
-  
+  const assignedTags = [
+    ...getAssignmentsFor(streamer.id, state),
+    ...getSmartTagIdsForStreamer(streamer, state.tagState?.tags),
+  ];
+
   if (assignedTags.length) {
     const orderedTags = assignedTags
       .map((tagId) => state.tagState?.tags?.[tagId])
@@ -192,8 +251,11 @@ function createTagWrapper(streamer, state) {
       .filter((tag) => tag.id !== TAG_STARRED)
       .sort(compareTagsByOrder);
 
+    const autoTagIds = state.tagState?.autoAssignments?.[streamer.id] || [];
     orderedTags.forEach((tag) => {
-      const chip = createTagChip(tag);
+      const chip = isSmartTag(tag)
+        ? createTagChip(tag, 'smart')
+        : createTagChip(tag, autoTagIds.includes(String(tag.id)) ? 'auto' : null);
       tagWrapper.appendChild(chip);
     });
   }
@@ -205,13 +267,22 @@ function getAssignmentsFor(streamerId, state) {
   return state.tagState?.assignments?.[streamerId] || [];
 }
 
-function createTagChip(tag) {
+/**
+ * @param {object} tag
+ * @param {'auto'|'smart'|null} [source] - How the tag got onto the streamer, if not by hand
+ */
+function createTagChip(tag, source = null) {
   const chip = document.createElement('span');
-  chip.className = 'tag-chip';
+  chip.className = source ? `tag-chip is-${source}` : 'tag-chip';
   const backgroundColor = resolveTagColor(tag.color, DEFAULT_TAG_COLOR);
   chip.style.backgroundColor = backgroundColor;
   chip.style.color = getContrastingTextColor(backgroundColor);
   chip.textContent = tag.name;
+  if (source === 'auto') {
+    chip.title = t('app_tag_auto_assigned_title');
+  } else if (source === 'smart') {
+    chip.title = t('app_tag_smart_badge_title');
+  }
   return chip;
 }
 
@@ -349,9 +420,8 @@ function createTagMenu(streamer, state, handlers) {
   menu.setAttribute('role', 'menu');
   menu.setAttribute('aria-label', t('app_tag_menu_label'));
 
-  const availableTags = Object.values(state.tagState?.tags || {})
-    .filter((tag) => tag.id !== TAG_STARRED)
-    .sort(compareTagsByOrder);
+  const availableTags = buildTagTree(state.tagState?.tags || {})
+    .filter(({ tag }) => !isSmartTag(tag));
 
   if (!availableTags.length) {
     const emptyItem = document.createElement('li');
@@ -365,12 +435,15 @@ function createTagMenu(streamer, state, handlers) {
 
   const assignments = new Set(getAssignmentsFor(streamer.id, state));
 
-  availableTags.forEach((tag) => {
+  availableTags.forEach(({ tag, depth }) => {
     const item = document.createElement('li');
     const trigger = document.createElement('button');
     trigger.type = 'button';
     trigger.className = 'tag-selector-item';
     trigger.dataset.tagId = tag.id;
+    if (depth) {
+      trigger.style.setProperty('--tag-depth', String(depth));
+    }
     trigger.setAttribute('role', 'menuitemcheckbox');
 
     const isAssigned = assignments.has(tag.id);
@@ -429,7 +502,7 @@ function createTagMenu(streamer, state, handlers) {
   return menu;
 }
 
-function addStreamerCardEvents(card, streamer) {
+function addStreamerCardEvents(card, streamer, handlers = {}) {
   const openStreamer = () => {
     if (!streamer.login) return;
     const url = `https://www.twitch.tv/${streamer.login}`;
@@ -451,9 +524,22 @@ function addStreamerCardEvents(card, streamer) {
   card.addEventListener('click', (event) => {
     const interactive = event.target.closest('button, input, label, select, textarea, a');
     if (interactive) return;
+    if (event.shiftKey && handlers.onToggleSelection) {
+      // Shift-click extends the selection instead of opening the stream.
+      event.preventDefault();
+      handlers.onToggleSelection(streamer.id, { range: true });
+      return;
+    }
     openStreamer();
   });
 
+  if (handlers.onToggleSelection) {
+    // Keep shift-clicks from selecting card text.
+    card.addEventListener('mousedown', (event) => {
+      if (event.shiftKey) event.preventDefault();
+    });
+  }
+
   card.addEventListener('auxclick', (event) => {
     if (event.button === 1) {
       event.preventDefault();
@@ -2,6 +2,27 @@
 export const TAG_STARRED = 'favorite';
 export const TAG_UNTAGGED = '__untagged__';
 export const TAG_ALL = null;
+export const TAG_FILTER_MODE_ANY = 'any';
+export const TAG_FILTER_MODE_ALL = 'all';
+
+// Import constants
+export const IMPORT_MODE_REPLACE = 'replace';
+export const IMPORT_MODE_MERGE = 'merge';
+export const IMPORT_CONFLICT_KEEP = 'keep';
+export const IMPORT_CONFLICT_IMPORTED = 'imported';
+
+// Storage constants
+export const STORAGE_MODE_SYNC = 'sync';
+export const STORAGE_MODE_LOCAL = 'local';
+
+// Sign-in constants
+export const SIGN_IN_METHOD_BROWSER = 'browser';
+export const SIGN_IN_METHOD_DEVICE = 'device';
+export const DEVICE_SIGN_IN_HASH = 'device-sign-in';
+export const DEVICE_AUTH_PENDING = 'pending';
+export const DEVICE_AUTH_COMPLETE = 'complete';
+export const DEVICE_AUTH_EXPIRED = 'expired';
+export const DEVICE_AUTH_DENIED = 'denied';
 
 // Theme constants
 export const THEME_SYSTEM = 'system';
@@ -42,4 +63,11 @@ export const SORT_OPTIONS = {
   FOLLOW_DATE_ASC: 'follow-date-asc',
   NAME_ASC: 'name-asc',
   NAME_DESC: 'name-desc',
+  VIEWERS_DESC: 'viewers-desc',
+  LANGUAGE_ASC: 'language-asc',
 };
+
+// Mature stream filter
+export const MATURE_FILTER_ANY = 'any';
+export const MATURE_FILTER_HIDE = 'hide';
+export const MATURE_FILTER_ONLY = 'only';
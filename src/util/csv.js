@@ -0,0 +1,82 @@
+const BYTE_ORDER_MARK = '\uFEFF';
+
+function formatCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV (comma separated, CRLF line endings). A byte order mark
+ * is prepended so spreadsheet apps detect UTF-8.
+ * @param {Array<Array<unknown>>} rows
+ * @returns {string}
+ */
+export function formatCsv(rows) {
+  return `${BYTE_ORDER_MARK}${rows.map((row) => row.map(formatCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function detectDelimiter(text) {
+  // Spreadsheet apps in many locales save with semicolons.
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parse CSV text. Handles quoted cells with separators, quotes and line
+ * breaks, and accepts comma or semicolon separators. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: Array<string>}>} Rows with the 1-based line they start on
+ */
+export function parseCsv(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.some((value) => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length) {
+    endRow();
+  }
+  return rows;
+}
@@ -69,6 +69,15 @@ export function launchWebAuthFlow(details) {
   return withCallback(extensionNamespace.identity.launchWebAuthFlow, extensionNamespace.identity, [details]);
 }
 
+/**
+ * Ask for access to extra origins. Must be called from a user gesture.
+ * @param {Array<string>} origins - Match patterns
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+export function requestHostPermissions(origins) {
+  return withCallback(extensionNamespace.permissions.request, extensionNamespace.permissions, [{ origins }]);
+}
+
 export function sendRuntimeMessage(message) {
   return withCallback(extensionNamespace.runtime.sendMessage, extensionNamespace.runtime, [message]);
 }
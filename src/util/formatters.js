@@ -1,4 +1,4 @@
-import { getMessageStrict } from './i18n.js';
+import { getMessageStrict, getLanguageOverride } from './i18n.js';
 
 export function formatUptime(startedAt, prefix = '') {
   if (!startedAt) return null;
@@ -57,6 +57,42 @@ export function formatViewerCount(count) {
   return `${(count / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
 }
 
+/**
+ * Reconnect banner text for a session problem reported by the background.
+ * @param {{issue: string|null, expiresAt: number|null}|null} session
+ * @returns {string|null} Null when there is nothing to show
+ */
+export function formatSessionIssue(session) {
+  switch (session?.issue) {
+    case 'expiring':
+      return getMessageStrict('common_session_expiring', [new Date(session.expiresAt).toLocaleString()]);
+    case 'revoked':
+      return getMessageStrict('common_session_revoked');
+    case 'expired':
+      return getMessageStrict('common_session_expired');
+    case 'scopes':
+      return getMessageStrict('common_session_scopes');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Name of a Twitch stream language (ISO 639-1 code or `other`) in the UI language.
+ * @param {string|null} code
+ * @returns {string|null}
+ */
+export function formatLanguageName(code) {
+  if (!code) return null;
+  if (code === 'other') return getMessageStrict('app_language_other');
+  try {
+    const names = new Intl.DisplayNames([getLanguageOverride() || navigator.language], { type: 'language' });
+    return names.of(code) || code.toUpperCase();
+  } catch (error) {
+    return code.toUpperCase();
+  }
+}
+
 export function appendMetaSegment(container, element, separatorClass = 'streamer-meta-separator') {
   if (!container || !element) return;
   if (container.childElementCount) {
@@ -1,4 +1,5 @@
 import { TAG_STARRED } from './constants.js';
+import { getTagDescendantIds } from './tagTree.js';
 
 export const DEFAULT_NOTIFICATION_TAG_IDS = Object.freeze([TAG_STARRED]);
 
@@ -30,9 +31,21 @@ export function normalizeNotificationTagIds(rawIds, validTagIds = null) {
   return validSet.size ? [validSet.values().next().value] : [];
 }
 
+/**
+ * Notification tag ids from preferences, expanded with nested child tags so
+ * enabling notifications on a parent also covers its descendants.
+ */
 export function getEffectiveNotificationTagIds(preferences = {}, tagState = null) {
   const validTagIds = tagState && tagState.tags
     ? Object.keys(tagState.tags)
     : null;
-  return normalizeNotificationTagIds(preferences.notificationTagIds, validTagIds);
+  const tagIds = normalizeNotificationTagIds(preferences.notificationTagIds, validTagIds);
+  if (!tagState?.tags) {
+    return tagIds;
+  }
+  const expanded = new Set(tagIds);
+  tagIds.forEach((tagId) => {
+    getTagDescendantIds(tagState.tags, tagId).forEach((id) => expanded.add(id));
+  });
+  return Array.from(expanded);
 }
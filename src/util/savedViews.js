@@ -0,0 +1,166 @@
+import { TAG_UNTAGGED, SORT_OPTIONS } from './constants.js';
+import { normalizeTagFilter, matchesTagFilter, isTagFilterActive } from './tagFilter.js';
+import { sanitizeTagName, isValidTagName } from './validators.js';
+import {
+  normalizeLanguageFilter,
+  normalizeMatureFilter,
+  matchesContentTerm,
+  matchesStreamFilters,
+} from './streamFilters.js';
+
+export const MAX_SAVED_VIEWS = 30;
+
+export const DEFAULT_SAVED_VIEWS = Object.freeze({ views: Object.freeze([]), nextId: 1 });
+
+/**
+ * Preference fields captured by a saved view.
+ */
+export const SAVED_VIEW_FIELDS = Object.freeze([
+  'sortBy',
+  'liveFirst',
+  'starredFirst',
+  'nameFilter',
+  'contentFilter',
+  'languageFilter',
+  'matureFilter',
+  'selectedTagId',
+  'tagFilter',
+]);
+
+const VALID_SORT_VALUES = new Set(Object.values(SORT_OPTIONS));
+
+/**
+ * Pick and coerce the view fields from a preferences-like object.
+ * Tag references that no longer exist are dropped when `validTagIds` is provided.
+ * @param {object} source
+ * @param {Array<string>|null} [validTagIds]
+ * @returns {{sortBy: string, liveFirst: boolean, starredFirst: boolean, nameFilter: string, contentFilter: string, languageFilter: string, matureFilter: string, selectedTagId: string|null, tagFilter: object}}
+ */
+export function pickSavedViewFields(source = {}, validTagIds = null) {
+  const input = source && typeof source === 'object' ? source : {};
+  const validSet = validTagIds ? new Set(validTagIds.map(String)) : null;
+  const rawSelected = typeof input.selectedTagId === 'string' && input.selectedTagId
+    ? input.selectedTagId
+    : null;
+  const selectedTagId = rawSelected
+    && (!validSet || rawSelected === TAG_UNTAGGED || validSet.has(rawSelected))
+    ? rawSelected
+    : null;
+
+  return {
+    sortBy: VALID_SORT_VALUES.has(input.sortBy) ? input.sortBy : SORT_OPTIONS.FOLLOW_DATE_DESC,
+    liveFirst: input.liveFirst !== false,
+    starredFirst: input.starredFirst !== false,
+    nameFilter: typeof input.nameFilter === 'string' ? input.nameFilter : '',
+    contentFilter: typeof input.contentFilter === 'string' ? input.contentFilter : '',
+    languageFilter: normalizeLanguageFilter(input.languageFilter),
+    matureFilter: normalizeMatureFilter(input.matureFilter),
+    selectedTagId,
+    tagFilter: normalizeTagFilter(input.tagFilter, validTagIds),
+  };
+}
+
+function normalizeSavedView(raw, validTagIds) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = String(raw.id ?? '').trim();
+  const name = sanitizeTagName(typeof raw.name === 'string' ? raw.name : '');
+  if (!id || !name || !isValidTagName(name)) return null;
+
+  const view = {
+    id,
+    name,
+    ...pickSavedViewFields(raw, validTagIds),
+  };
+  if (typeof raw.createdAt === 'string') view.createdAt = raw.createdAt;
+  if (typeof raw.updatedAt === 'string') view.updatedAt = raw.updatedAt;
+  return view;
+}
+
+/**
+ * Coerce stored saved views into `{views, nextId}` with unique ids and names.
+ * @param {unknown} raw
+ * @param {Array<string>|null} [validTagIds]
+ * @returns {{views: Array<object>, nextId: number}}
+ */
+export function normalizeSavedViews(raw, validTagIds = null) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const seenIds = new Set();
+  const seenNames = new Set();
+  const views = [];
+
+  (Array.isArray(source.views) ? source.views : []).forEach((entry) => {
+    if (views.length >= MAX_SAVED_VIEWS) return;
+    const view = normalizeSavedView(entry, validTagIds);
+    if (!view) return;
+    const nameKey = view.name.toLowerCase();
+    if (seenIds.has(view.id) || seenNames.has(nameKey)) return;
+    seenIds.add(view.id);
+    seenNames.add(nameKey);
+    views.push(view);
+  });
+
+  const maxId = views.reduce((acc, view) => {
+    const numeric = Number(view.id);
+    return Number.isFinite(numeric) && numeric > acc ? numeric : acc;
+  }, 0);
+  const storedNext = Number(source.nextId) || 0;
+
+  return { views, nextId: storedNext > maxId ? storedNext : maxId + 1 };
+}
+
+/**
+ * Whether the given preferences currently reproduce a saved view exactly.
+ * @param {object} preferences
+ * @param {object} view
+ * @returns {boolean}
+ */
+export function isSavedViewActive(preferences, view) {
+  if (!preferences || !view) return false;
+  const current = pickSavedViewFields(preferences);
+  const target = pickSavedViewFields(view);
+  return SAVED_VIEW_FIELDS.every((field) => {
+    if (field === 'tagFilter') {
+      const a = current.tagFilter;
+      const b = target.tagFilter;
+      return a.mode === b.mode
+        && a.include.join('\n') === b.include.join('\n')
+        && a.exclude.join('\n') === b.exclude.join('\n');
+    }
+    return current[field] === target[field];
+  });
+}
+
+/**
+ * Evaluate the filter part of a saved view (tag selection, tag filter,
+ * name/content terms and stream language/mature filters) against a single streamer. Sorting is left to the caller.
+ * @param {object} streamer
+ * @param {Array<string>} assignedTagIds
+ * @param {object} view
+ * @param {boolean|null} [isUntagged] - Defaults to "no tag ids given"
+ * @returns {boolean}
+ */
+export function streamerMatchesSavedView(streamer, assignedTagIds, view, isUntagged = null) {
+  if (!streamer || !view) return false;
+  const tags = Array.isArray(assignedTagIds) ? assignedTagIds : [];
+  const untagged = isUntagged ?? tags.length === 0;
+
+  const nameTerm = (view.nameFilter || '').trim().toLowerCase();
+  if (nameTerm) {
+    const name = streamer.displayName?.toLowerCase() || '';
+    const login = streamer.login?.toLowerCase() || '';
+    if (!name.includes(nameTerm) && !login.includes(nameTerm)) return false;
+  }
+
+  const contentTerm = (view.contentFilter || '').trim().toLowerCase();
+  if (!matchesContentTerm(streamer, contentTerm)) return false;
+  if (!matchesStreamFilters(streamer, view)) return false;
+
+  if (view.selectedTagId === TAG_UNTAGGED) {
+    if (!untagged) return false;
+  } else if (view.selectedTagId && !tags.includes(view.selectedTagId)) {
+    return false;
+  }
+
+  const tagFilter = normalizeTagFilter(view.tagFilter);
+  return !isTagFilterActive(tagFilter) || matchesTagFilter(tags, tagFilter, untagged);
+}
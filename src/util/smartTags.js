@@ -0,0 +1,184 @@
+import { getTagIdsWithAncestors } from './tagTree.js';
+
+export const SMART_TAG_MATCH_ANY = 'any';
+export const SMART_TAG_MATCH_ALL = 'all';
+
+export const MAX_SMART_TAG_CONDITIONS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Follow cache fields a smart tag can query, with the operators each supports
+ * and the kind of value the operator expects.
+ */
+export const SMART_TAG_FIELDS = Object.freeze({
+  isLive: Object.freeze({ is: 'boolean' }),
+  viewerCount: Object.freeze({ atLeast: 'number', atMost: 'number' }),
+  gameName: Object.freeze({ equals: 'text', contains: 'text' }),
+  followDate: Object.freeze({ withinDays: 'number', olderThanDays: 'number', thisMonth: 'none' }),
+  lastSeenLive: Object.freeze({ withinDays: 'number', olderThanDays: 'number', thisMonth: 'none' }),
+});
+
+function normalizeValue(type, raw) {
+  switch (type) {
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      return undefined;
+    case 'number': {
+      const numeric = Number(raw);
+      return raw !== '' && raw !== null && Number.isFinite(numeric) && numeric >= 0
+        ? Math.floor(numeric)
+        : undefined;
+    }
+    case 'text': {
+      const text = typeof raw === 'string' ? raw.trim().slice(0, 100) : '';
+      return text || undefined;
+    }
+    case 'none':
+      return null;
+    default:
+      return undefined;
+  }
+}
+
+function normalizeCondition(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const operators = Object.prototype.hasOwnProperty.call(SMART_TAG_FIELDS, raw.field)
+    ? SMART_TAG_FIELDS[raw.field]
+    : null;
+  const type = operators && Object.prototype.hasOwnProperty.call(operators, raw.operator)
+    ? operators[raw.operator]
+    : null;
+  if (!type) return null;
+  const value = normalizeValue(type, raw.value);
+  if (value === undefined) return null;
+  return { field: raw.field, operator: raw.operator, value };
+}
+
+/**
+ * Coerce a stored smart tag query into `{match, conditions}`.
+ * Invalid conditions are dropped; an empty query matches nobody.
+ * @param {unknown} raw
+ * @returns {{match: string, conditions: Array<{field: string, operator: string, value: unknown}>}}
+ */
+export function normalizeSmartTagQuery(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const conditions = (Array.isArray(source.conditions) ? source.conditions : [])
+    .map(normalizeCondition)
+    .filter(Boolean)
+    .slice(0, MAX_SMART_TAG_CONDITIONS);
+  return {
+    match: source.match === SMART_TAG_MATCH_ALL ? SMART_TAG_MATCH_ALL : SMART_TAG_MATCH_ANY,
+    conditions,
+  };
+}
+
+/**
+ * Whether a tag record is a smart tag (membership computed, never assigned).
+ * @param {object|null|undefined} tag
+ * @returns {boolean}
+ */
+export function isSmartTag(tag) {
+  return !!tag && !!tag.smart && typeof tag.smart === 'object';
+}
+
+function toTimestamp(value) {
+  if (value == null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+function matchesDate(time, operator, days, now) {
+  // Missing dates ("never seen live") count as older than any window.
+  if (operator === 'olderThanDays') return time == null || now - time > days * DAY_MS;
+  if (time == null) return false;
+  if (operator === 'withinDays') return now - time <= days * DAY_MS;
+  if (operator === 'thisMonth') {
+    const date = new Date(time);
+    const current = new Date(now);
+    return date.getFullYear() === current.getFullYear() && date.getMonth() === current.getMonth();
+  }
+  return false;
+}
+
+function matchesCondition(streamer, condition, now) {
+  const { field, operator, value } = condition;
+  switch (field) {
+    case 'isLive':
+      return !!streamer.isLive === value;
+    case 'viewerCount': {
+      if (!streamer.isLive || typeof streamer.viewerCount !== 'number') return false;
+      return operator === 'atLeast' ? streamer.viewerCount >= value : streamer.viewerCount <= value;
+    }
+    case 'gameName': {
+      const actual = typeof streamer.gameName === 'string' ? streamer.gameName.trim().toLowerCase() : '';
+      if (!actual) return false;
+      const expected = value.toLowerCase();
+      return operator === 'equals' ? actual === expected : actual.includes(expected);
+    }
+    case 'followDate':
+      return matchesDate(toTimestamp(streamer.followDate), operator, value, now);
+    case 'lastSeenLive': {
+      const seen = streamer.isLive ? now : toTimestamp(streamer.lastSeenLive);
+      return matchesDate(seen, operator, value, now);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a smart tag query against a follow cache entry.
+ * @param {object} streamer
+ * @param {{match: string, conditions: Array<object>}} query - Normalized query
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function streamerMatchesSmartQuery(streamer, query, now = Date.now()) {
+  if (!streamer || !query || !Array.isArray(query.conditions) || !query.conditions.length) {
+    return false;
+  }
+  return query.match === SMART_TAG_MATCH_ALL
+    ? query.conditions.every((condition) => matchesCondition(streamer, condition, now))
+    : query.conditions.some((condition) => matchesCondition(streamer, condition, now));
+}
+
+/**
+ * Ids of the smart tags a streamer currently belongs to.
+ * @param {object} streamer
+ * @param {Record<string, object>} tags
+ * @param {number} [now]
+ * @returns {Array<string>}
+ */
+export function getSmartTagIdsForStreamer(streamer, tags, now = Date.now()) {
+  if (!streamer) return [];
+  return Object.values(tags || {})
+    .filter((tag) => isSmartTag(tag) && streamerMatchesSmartQuery(streamer, tag.smart, now))
+    .map((tag) => String(tag.id));
+}
+
+/**
+ * Whether any tag in the map is a smart tag.
+ * @param {Record<string, object>} tags
+ * @returns {boolean}
+ */
+export function hasSmartTags(tags) {
+  return Object.values(tags || {}).some(isSmartTag);
+}
+
+/**
+ * Every tag a streamer counts as: assigned tags with their ancestors plus the
+ * smart tags whose query matches.
+ * @param {object} streamer - Follow cache entry
+ * @param {{tags?: object, assignments?: object}|null} tagState
+ * @param {number} [now]
+ * @returns {Array<string>}
+ */
+export function getStreamerTagIds(streamer, tagState, now = Date.now()) {
+  if (!streamer) return [];
+  const tags = tagState?.tags || {};
+  const assigned = tagState?.assignments?.[streamer.id];
+  const tagIds = getTagIdsWithAncestors(tags, Array.isArray(assigned) ? assigned : []);
+  return [...tagIds, ...getSmartTagIdsForStreamer(streamer, tags, now)];
+}
@@ -42,10 +42,15 @@ export async function getStorageUsage() {
 
 /**
  * Check if storage quota is approaching limits and return appropriate warning/error
+ * @param {number|null} [projectedBytes] - Expected usage after a pending save; defaults to current usage
  * @returns {Promise<{shouldWarn: boolean, shouldBlock: boolean, message: string|null}>}
  */
-export async function checkStorageQuota() {
+export async function checkStorageQuota(projectedBytes = null) {
   const usage = await getStorageUsage();
+  if (Number.isFinite(projectedBytes) && usage.quotaBytes) {
+    usage.bytesInUse = projectedBytes;
+    usage.percentUsed = projectedBytes / usage.quotaBytes;
+  }
   const { percentUsed, bytesInUse, quotaBytes } = usage;
 
   if (percentUsed >= QUOTA_BLOCK_THRESHOLD) {
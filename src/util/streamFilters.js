@@ -0,0 +1,55 @@
+import { MATURE_FILTER_ANY, MATURE_FILTER_HIDE, MATURE_FILTER_ONLY } from './constants.js';
+
+const MATURE_FILTER_VALUES = new Set([MATURE_FILTER_ANY, MATURE_FILTER_HIDE, MATURE_FILTER_ONLY]);
+
+/**
+ * Coerce a stored language filter into a lowercase language code ('' = any).
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeLanguageFilter(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Coerce a stored mature filter into one of the `MATURE_FILTER_*` values.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeMatureFilter(value) {
+  return MATURE_FILTER_VALUES.has(value) ? value : MATURE_FILTER_ANY;
+}
+
+/**
+ * Whether a streamer's title, category or stream tags contain the term.
+ * @param {object} streamer
+ * @param {string} term - Lowercase search term
+ * @returns {boolean}
+ */
+export function matchesContentTerm(streamer, term) {
+  if (!term) return true;
+  const title = streamer.title?.toLowerCase() || '';
+  const category = streamer.gameName?.toLowerCase() || '';
+  if (title.includes(term) || category.includes(term)) return true;
+  return Array.isArray(streamer.streamTags)
+    && streamer.streamTags.some((tag) => tag.toLowerCase().includes(term));
+}
+
+/**
+ * Evaluate the language and mature filters against one streamer. Streamers
+ * without a known language never match a language filter; the mature flag only
+ * exists for live streams, so offline streamers are kept when mature streams
+ * are hidden.
+ * @param {object} streamer
+ * @param {{languageFilter?: string, matureFilter?: string}} filters
+ * @returns {boolean}
+ */
+export function matchesStreamFilters(streamer, { languageFilter, matureFilter } = {}) {
+  const language = normalizeLanguageFilter(languageFilter);
+  if (language && (streamer.language || '').toLowerCase() !== language) return false;
+
+  const mature = normalizeMatureFilter(matureFilter);
+  if (mature === MATURE_FILTER_HIDE) return streamer.isMature !== true;
+  if (mature === MATURE_FILTER_ONLY) return streamer.isMature === true;
+  return true;
+}
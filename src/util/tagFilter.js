@@ -0,0 +1,108 @@
+import { TAG_UNTAGGED, TAG_FILTER_MODE_ANY, TAG_FILTER_MODE_ALL } from './constants.js';
+
+export const DEFAULT_TAG_FILTER = Object.freeze({
+  include: Object.freeze([]),
+  exclude: Object.freeze([]),
+  mode: TAG_FILTER_MODE_ANY,
+});
+
+function toUniqueIds(values, validSet) {
+  if (!Array.isArray(values)) return [];
+  const seen = new Set();
+  const ids = [];
+  values.forEach((value) => {
+    const id = String(value ?? '').trim();
+    if (!id || seen.has(id)) return;
+    if (validSet && id !== TAG_UNTAGGED && !validSet.has(id)) return;
+    seen.add(id);
+    ids.push(id);
+  });
+  return ids;
+}
+
+/**
+ * Coerce a stored tag filter into `{include, exclude, mode}`.
+ * Unknown tag ids are dropped when `validTagIds` is provided and a tag can only
+ * live in one list (include wins).
+ * @param {unknown} raw
+ * @param {Array<string>|null} [validTagIds]
+ * @returns {{include: Array<string>, exclude: Array<string>, mode: string}}
+ */
+export function normalizeTagFilter(raw, validTagIds = null) {
+  if (!raw || typeof raw !== 'object') {
+    return { include: [], exclude: [], mode: TAG_FILTER_MODE_ANY };
+  }
+  const validSet = validTagIds ? new Set(validTagIds.map(String)) : null;
+  const include = toUniqueIds(raw.include, validSet);
+  const includeSet = new Set(include);
+  const exclude = toUniqueIds(raw.exclude, validSet).filter((id) => !includeSet.has(id));
+  const mode = raw.mode === TAG_FILTER_MODE_ALL ? TAG_FILTER_MODE_ALL : TAG_FILTER_MODE_ANY;
+  return { include, exclude, mode };
+}
+
+/**
+ * Whether the filter narrows the streamer list at all.
+ * @param {{include?: Array<string>, exclude?: Array<string>}|null} filter
+ * @returns {boolean}
+ */
+export function isTagFilterActive(filter) {
+  return !!filter && ((filter.include?.length || 0) + (filter.exclude?.length || 0) > 0);
+}
+
+/**
+ * Evaluate a tag filter against the tag ids assigned to one streamer.
+ * `TAG_UNTAGGED` matches streamers without any assignment; pass `isUntagged`
+ * when `assignedTagIds` also holds computed (smart) tags.
+ * @param {Array<string>} assignedTagIds
+ * @param {{include: Array<string>, exclude: Array<string>, mode: string}} filter
+ * @param {boolean|null} [isUntagged]
+ * @returns {boolean}
+ */
+export function matchesTagFilter(assignedTagIds, filter, isUntagged = null) {
+  if (!isTagFilterActive(filter)) return true;
+  const assigned = new Set((assignedTagIds || []).map(String));
+  const untagged = isUntagged ?? assigned.size === 0;
+  const hasTag = (tagId) => (tagId === TAG_UNTAGGED ? untagged : assigned.has(tagId));
+
+  const include = filter.include || [];
+  if (include.length) {
+    const included = filter.mode === TAG_FILTER_MODE_ALL
+      ? include.every(hasTag)
+      : include.some(hasTag);
+    if (!included) return false;
+  }
+
+  return !(filter.exclude || []).some(hasTag);
+}
+
+/**
+ * Return a copy of the filter with `tagId` moved into the requested list.
+ * Passing `null` as the target removes the tag from both lists.
+ * @param {{include: Array<string>, exclude: Array<string>, mode: string}} filter
+ * @param {string} tagId
+ * @param {'include'|'exclude'|null} target
+ * @returns {{include: Array<string>, exclude: Array<string>, mode: string}}
+ */
+export function setTagFilterMembership(filter, tagId, target) {
+  const current = normalizeTagFilter(filter);
+  const key = String(tagId);
+  const include = current.include.filter((id) => id !== key);
+  const exclude = current.exclude.filter((id) => id !== key);
+  if (target === 'include') include.push(key);
+  if (target === 'exclude') exclude.push(key);
+  return { include, exclude, mode: current.mode };
+}
+
+/**
+ * Report which list (if any) currently holds a tag.
+ * @param {{include?: Array<string>, exclude?: Array<string>}|null} filter
+ * @param {string|null} tagId
+ * @returns {'include'|'exclude'|null}
+ */
+export function getTagFilterMembership(filter, tagId) {
+  if (!filter || tagId == null) return null;
+  const key = String(tagId);
+  if ((filter.include || []).includes(key)) return 'include';
+  if ((filter.exclude || []).includes(key)) return 'exclude';
+  return null;
+}
@@ -0,0 +1,113 @@
+export const TAG_RULE_FIELDS = Object.freeze(['gameName', 'title', 'language']);
+
+export const TAG_RULE_OPERATORS = Object.freeze(['equals', 'contains', 'regex']);
+
+export const TAG_RULE_MATCH_ANY = 'any';
+export const TAG_RULE_MATCH_ALL = 'all';
+
+export const MAX_TAG_RULE_CONDITIONS = 10;
+export const MAX_TAG_RULE_VALUE_LENGTH = 100;
+
+const regexCache = new Map();
+
+function compileRegex(source) {
+  if (regexCache.has(source)) return regexCache.get(source);
+  let compiled = null;
+  try {
+    compiled = new RegExp(source, 'i');
+  } catch (error) {
+    compiled = null;
+  }
+  if (regexCache.size > 200) regexCache.clear();
+  regexCache.set(source, compiled);
+  return compiled;
+}
+
+/**
+ * Whether a regex rule value compiles.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidRulePattern(value) {
+  return typeof value === 'string' && value !== '' && compileRegex(value) !== null;
+}
+
+function normalizeCondition(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const field = TAG_RULE_FIELDS.includes(raw.field) ? raw.field : null;
+  const operator = TAG_RULE_OPERATORS.includes(raw.operator) ? raw.operator : null;
+  const value = typeof raw.value === 'string'
+    ? raw.value.trim().slice(0, MAX_TAG_RULE_VALUE_LENGTH)
+    : '';
+  if (!field || !operator || !value) return null;
+  if (operator === 'regex' && !isValidRulePattern(value)) return null;
+  return { field, operator, value };
+}
+
+/**
+ * Coerce stored auto-tag rules into `{enabled, match, conditions}`.
+ * Invalid conditions are dropped; returns null when nothing usable is left.
+ * @param {unknown} raw
+ * @returns {{enabled: boolean, match: string, conditions: Array<{field: string, operator: string, value: string}>}|null}
+ */
+export function normalizeTagRules(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+    .map(normalizeCondition)
+    .filter(Boolean)
+    .slice(0, MAX_TAG_RULE_CONDITIONS);
+  if (!conditions.length) return null;
+  return {
+    enabled: raw.enabled === true,
+    match: raw.match === TAG_RULE_MATCH_ALL ? TAG_RULE_MATCH_ALL : TAG_RULE_MATCH_ANY,
+    conditions,
+  };
+}
+
+function matchesCondition(streamer, condition) {
+  const actual = typeof streamer?.[condition.field] === 'string'
+    ? streamer[condition.field].trim().toLowerCase()
+    : '';
+  if (!actual) return false;
+  const expected = condition.value.toLowerCase();
+  switch (condition.operator) {
+    case 'equals':
+      return actual === expected;
+    case 'contains':
+      return actual.includes(expected);
+    case 'regex': {
+      const pattern = compileRegex(condition.value);
+      return pattern ? pattern.test(actual) : false;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate rule conditions against a follow cache entry. The `enabled` flag is
+ * ignored so the same check can preview rules before they are switched on.
+ * @param {object} streamer
+ * @param {{match: string, conditions: Array<object>}|null} rules
+ * @returns {boolean}
+ */
+export function streamerMatchesTagRules(streamer, rules) {
+  if (!streamer || !rules || !Array.isArray(rules.conditions) || !rules.conditions.length) {
+    return false;
+  }
+  return rules.match === TAG_RULE_MATCH_ALL
+    ? rules.conditions.every((condition) => matchesCondition(streamer, condition))
+    : rules.conditions.some((condition) => matchesCondition(streamer, condition));
+}
+
+/**
+ * List the streamers a rule set would match.
+ * @param {Array<object>} streamers
+ * @param {object|null} rules
+ * @returns {Array<object>}
+ */
+export function previewTagRules(streamers, rules) {
+  const normalized = normalizeTagRules(rules);
+  if (!normalized || !Array.isArray(streamers)) return [];
+  return streamers.filter((streamer) => streamerMatchesTagRules(streamer, normalized));
+}
@@ -0,0 +1,136 @@
+import { TAG_STARRED } from './constants.js';
+import { compareTagsByOrder } from './sorting.js';
+
+/**
+ * Return the parent id of a tag, or null for top-level tags.
+ * @param {Record<string, object>} tags
+ * @param {string} tagId
+ * @returns {string|null}
+ */
+export function getTagParentId(tags, tagId) {
+  const parentId = tags?.[tagId]?.parentId;
+  return parentId != null && parentId !== '' && tags[String(parentId)] ? String(parentId) : null;
+}
+
+/**
+ * List ancestor ids from the direct parent up to the root.
+ * Stops on missing parents or cycles so corrupted state cannot loop.
+ * @param {Record<string, object>} tags
+ * @param {string} tagId
+ * @returns {Array<string>}
+ */
+export function getTagAncestorIds(tags, tagId) {
+  const ancestors = [];
+  const seen = new Set([String(tagId)]);
+  let current = getTagParentId(tags, String(tagId));
+  while (current && !seen.has(current)) {
+    ancestors.push(current);
+    seen.add(current);
+    current = getTagParentId(tags, current);
+  }
+  return ancestors;
+}
+
+/**
+ * Collect the ids of every tag nested below `tagId` (not including itself).
+ * @param {Record<string, object>} tags
+ * @param {string} tagId
+ * @returns {Set<string>}
+ */
+export function getTagDescendantIds(tags, tagId) {
+  const root = String(tagId);
+  const descendants = new Set();
+  Object.keys(tags || {}).forEach((id) => {
+    if (id !== root && getTagAncestorIds(tags, id).includes(root)) {
+      descendants.add(id);
+    }
+  });
+  return descendants;
+}
+
+/**
+ * Expand assigned tag ids with their ancestors so a streamer tagged "Games/FPS"
+ * also counts as "Games" for filtering and counts.
+ * @param {Record<string, object>} tags
+ * @param {Array<string>} tagIds
+ * @returns {Array<string>}
+ */
+export function getTagIdsWithAncestors(tags, tagIds) {
+  if (!Array.isArray(tagIds) || !tagIds.length) return [];
+  const expanded = new Set();
+  tagIds.forEach((tagId) => {
+    const key = String(tagId);
+    expanded.add(key);
+    getTagAncestorIds(tags, key).forEach((ancestorId) => expanded.add(ancestorId));
+  });
+  return Array.from(expanded);
+}
+
+/**
+ * Keep collapsed tree ids unique and limited to existing tags.
+ * @param {unknown} raw
+ * @param {Array<string>|null} [validTagIds]
+ * @returns {Array<string>}
+ */
+export function normalizeCollapsedTagIds(raw, validTagIds = null) {
+  if (!Array.isArray(raw)) return [];
+  const validSet = validTagIds ? new Set(validTagIds.map(String)) : null;
+  return Array.from(new Set(raw.map((id) => String(id ?? '').trim())))
+    .filter((id) => id && (!validSet || validSet.has(id)));
+}
+
+/**
+ * Whether any tag in the state has a parent.
+ * @param {Record<string, object>} tags
+ * @returns {boolean}
+ */
+export function hasNestedTags(tags) {
+  return Object.keys(tags || {}).some((id) => getTagParentId(tags, id));
+}
+
+/**
+ * Flatten custom tags into depth-first display order.
+ * Siblings are ordered by `sortOrder`; the starred tag is left out.
+ * @param {Record<string, object>} tags
+ * @returns {Array<{tag: object, depth: number, hasChildren: boolean, ancestorIds: Array<string>}>}
+ */
+export function buildTagTree(tags) {
+  const custom = Object.values(tags || {}).filter((tag) => tag && tag.id && tag.id !== TAG_STARRED);
+  const childrenByParent = new Map();
+  custom.forEach((tag) => {
+    const parentId = getTagParentId(tags, tag.id);
+    const key = parentId && parentId !== TAG_STARRED ? parentId : null;
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(tag);
+  });
+
+  const result = [];
+  const visited = new Set();
+  const visit = (parentId, depth, ancestorIds) => {
+    const children = (childrenByParent.get(parentId) || []).slice().sort(compareTagsByOrder);
+    children.forEach((tag) => {
+      const id = String(tag.id);
+      if (visited.has(id)) return;
+      visited.add(id);
+      result.push({
+        tag,
+        depth,
+        hasChildren: (childrenByParent.get(id) || []).length > 0,
+        ancestorIds,
+      });
+      visit(id, depth + 1, [...ancestorIds, id]);
+    });
+  };
+  visit(null, 0, []);
+
+  // Tags caught in a cycle never get reached from the root; show them top-level.
+  custom
+    .filter((tag) => !visited.has(String(tag.id)))
+    .sort(compareTagsByOrder)
+    .forEach((tag) => {
+      visited.add(String(tag.id));
+      result.push({ tag, depth: 0, hasChildren: false, ancestorIds: [] });
+    });
+
+  return result;
+}
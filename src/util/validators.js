@@ -61,3 +61,26 @@ export function sanitizeTagName(name) {
   // Trim and limit length
   return withoutHtml.trim().slice(0, 50);
 }
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1']);
+
+/**
+ * Validate a remote sync URL
+ * It must use HTTPS (plain HTTP only for localhost, e.g. a local test server)
+ * and carry no credentials, which have their own settings fields
+ * @param {string} value - URL to validate
+ * @returns {URL|null} The parsed URL if valid, null otherwise
+ */
+export function parseRemoteSyncUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? '').trim());
+  } catch (error) {
+    return null;
+  }
+  const isSecure = url.protocol === 'https:' || (url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname));
+  if (!isSecure || url.username || url.password) {
+    return null;
+  }
+  return url;
+}